@@ -0,0 +1,121 @@
+const { httpError } = require('./errors');
+
+/*
+ * Everything under /api/users/:userId belongs to that user, the owner. Other
+ * users reach it through accepted memberships, either on a single list or on
+ * all of the owner's lists, with the role of editor or viewer.
+ *
+ * req.access = { ownerId, actorId, isOwner, grants: [{ listId | null, role }] }
+ *
+ * Memberships are read on every request, so removing a member takes effect
+ * on their very next call; open event streams read them again for every
+ * event (see routes/eventRoutes.js).
+ */
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+const outranks = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * What `actorId` may do with `ownerId`'s data, in the shape of req.access, or
+ * null when they have no access at all.
+ */
+async function resolveAccess(store, ownerId, actorId) {
+  if (ownerId === actorId) {
+    return { ownerId, actorId, isOwner: true, grants: [] };
+  }
+  const memberships = await store.members.listForUser(actorId);
+  const grants = memberships
+    .filter((membership) => membership.ownerId === ownerId && membership.status === 'accepted')
+    .map(({ listId, role }) => ({ listId, role }));
+  return grants.length ? { ownerId, actorId, isOwner: false, grants } : null;
+}
+
+/**
+ * Resolves req.access for the authenticated user. Must run after
+ * `requireAuth`; responds 403 when the caller has no access at all.
+ */
+function requireAccess(store) {
+  return async (req, res, next) => {
+    try {
+      const access = await resolveAccess(store, String(req.params.userId), req.auth.userId);
+      if (!access) {
+        return res.status(403).json({ message: 'You do not have access to this user' });
+      }
+      req.access = access;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Owner-only routes, such as managing lists, tags and members
+function requireOwner(req, res, next) {
+  if (!req.access.isOwner) {
+    return res.status(403).json({ message: 'Only the owner can do this' });
+  }
+  next();
+}
+
+/**
+ * The caller's role on a list, or null when they cannot see it. A grant on
+ * all lists and one on this list may both apply; the higher role wins.
+ */
+function roleFor(access, listId) {
+  if (access.isOwner) {
+    return 'owner';
+  }
+  return access.grants
+    .filter((grant) => grant.listId === null || grant.listId === String(listId))
+    .reduce((best, grant) => (best && outranks(best, grant.role) ? best : grant.role), null);
+}
+
+// The ids of the lists the caller can see, or null when they can see all of them
+function visibleListIds(access) {
+  if (access.isOwner || access.grants.some((grant) => grant.listId === null)) {
+    return null;
+  }
+  return access.grants.map((grant) => grant.listId);
+}
+
+/**
+ * Throws unless the caller has at least `role` on the list. Lists they cannot
+ * see at all are reported with `notFound` so their existence does not leak.
+ */
+function requireRole(access, listId, role, notFound = httpError(404, 'List not found')) {
+  const current = roleFor(access, listId);
+  if (!current) {
+    throw notFound;
+  }
+  if (!outranks(current, role)) {
+    throw httpError(403, role === 'owner' ? 'Only the owner can do this' : 'Viewers cannot change tasks');
+  }
+  return current;
+}
+
+/**
+ * Loads one of the owner's tasks for a caller who needs at least `role` on
+ * its list. Tasks on lists they cannot see are reported as missing.
+ */
+async function findTaskFor(store, access, taskId, role) {
+  const task = await store.tasks.findById(access.ownerId, taskId);
+  const notFound = httpError(404, 'Task not found');
+  if (!task) {
+    throw notFound;
+  }
+  requireRole(access, task.listId, role, notFound);
+  return task;
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  resolveAccess,
+  requireAccess,
+  requireOwner,
+  roleFor,
+  visibleListIds,
+  requireRole,
+  findTaskFor,
+};
@@ -0,0 +1,101 @@
+/*
+ * The emails behind password resets and email verification. Each carries a
+ * link to the app with a one-time token in its fragment (so it never reaches
+ * server logs); the app posts the token back to /api/auth.
+ */
+
+const { hashToken, createLinkToken } = require('./auth');
+
+const PASSWORD_RESET = 'password-reset';
+const EMAIL_VERIFICATION = 'email-verification';
+
+const PASSWORD_RESET_TTL_MINUTES = Number.parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = Number.parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+/**
+ * Where links in emails point. Set APP_URL in production: otherwise it is
+ * taken from the request's Host header, which the sender controls.
+ */
+function appUrl(req) {
+  return (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+async function sendLink(store, mailer, user, { purpose, ttlMinutes, url, subject, lines }) {
+  const { token, hash, expiresAt } = createLinkToken(ttlMinutes);
+  await store.userTokens.create(user.id, { purpose, tokenHash: hash, expiresAt });
+  await mailer.send({
+    to: user.email,
+    subject,
+    text: [`Hi ${user.name},`, '', ...lines, '', `${url}=${token}`, ''].join('\n'),
+  });
+}
+
+function sendVerificationEmail(store, mailer, user, baseUrl) {
+  return sendLink(store, mailer, user, {
+    purpose: EMAIL_VERIFICATION,
+    ttlMinutes: EMAIL_VERIFICATION_TTL_HOURS * 60,
+    url: `${baseUrl}/#verify-email`,
+    subject: 'Verify your email address',
+    lines: [
+      `Please confirm that ${user.email} is your address by opening the link below.`,
+      `It works for ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    ],
+  });
+}
+
+function sendPasswordResetEmail(store, mailer, user, baseUrl) {
+  return sendLink(store, mailer, user, {
+    purpose: PASSWORD_RESET,
+    ttlMinutes: PASSWORD_RESET_TTL_MINUTES,
+    url: `${baseUrl}/#reset-password`,
+    subject: 'Reset your password',
+    lines: [
+      `Someone asked to reset the password for ${user.email}. To choose a new one, open the link below.`,
+      `It works once, for ${PASSWORD_RESET_TTL_MINUTES} minutes. If it was not you, ignore this email.`,
+    ],
+  });
+}
+
+/**
+ * Tells the previous address that the account moved away from it, so that an
+ * email change made by someone else does not go unnoticed. It carries no link:
+ * the old address no longer gets to sign in or reset anything.
+ */
+function sendEmailChangedNotice(mailer, user, previousEmail, baseUrl) {
+  return mailer.send({
+    to: previousEmail,
+    subject: 'Your email address was changed',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `The email address of your account at ${baseUrl} was changed from ${previousEmail} to ${user.email}.`,
+      'If you did not make this change, sign in with the new address and your password, change',
+      'your password and review the signed-in sessions on your account page.',
+      '',
+    ].join('\n'),
+  });
+}
+
+// The user token behind a link's token, or null when it is unknown, expired or used
+function findLinkToken(store, purpose, token) {
+  return token ? store.userTokens.find(purpose, hashToken(String(token))) : null;
+}
+
+/**
+ * Like findLinkToken, but uses the token up: of several calls with the same
+ * one, only the first gets it.
+ */
+function redeemLinkToken(store, purpose, token) {
+  return token ? store.userTokens.consume(purpose, hashToken(String(token))) : null;
+}
+
+module.exports = {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  appUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangedNotice,
+  findLinkToken,
+  redeemLinkToken,
+};
@@ -0,0 +1,108 @@
+/*
+ * The history of every task: one append-only entry per change, naming who
+ * made it and what each changed field was before and after. Routes record
+ * after their writes, through the store they wrote with, so a batch's
+ * entries commit or roll back with it.
+ *
+ * Actions: created, deleted, restored, and for edits completed, reopened,
+ * renamed or updated, picked from the fields that changed in that order.
+ * A revert is recorded as reverted.
+ */
+
+const { httpError } = require('./errors');
+
+const TRACKED_FIELDS = [
+  'title',
+  'completed',
+  'dueAt',
+  'priority',
+  'notes',
+  'estimateMinutes',
+  'tags',
+  'autoComplete',
+  'recurrence',
+  'listId',
+  'items',
+];
+// Checklist items are shown in the history but not reverted: their ids would not come back
+const REVERTIBLE_FIELDS = TRACKED_FIELDS.filter((field) => field !== 'items');
+
+// Dates as ISO strings and items without ids, so every store keeps the same values
+function fieldValue(task, field) {
+  const value = field === 'items' ? task.items.map(({ title, done }) => ({ title, done })) : task[field];
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function diffTasks(before, after) {
+  const changes = {};
+  TRACKED_FIELDS.forEach((field) => {
+    const from = fieldValue(before, field);
+    const to = fieldValue(after, field);
+    if (!same(from, to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+function actionFor(changes) {
+  if (changes.completed) {
+    return changes.completed.to ? 'completed' : 'reopened';
+  }
+  return changes.title ? 'renamed' : 'updated';
+}
+
+/**
+ * Records a change to `task` made through `access`. Pass `before` for edits:
+ * nothing is recorded when no tracked field changed. `action` names the
+ * change instead of working it out. A next occurrence that completing the
+ * task created gets its own `created` entry.
+ */
+async function recordActivity(store, access, task, { before = null, action } = {}) {
+  const changes = before ? diffTasks(before, task) : {};
+  if (before && !action && !Object.keys(changes).length) {
+    return;
+  }
+  await store.activity.add(access.ownerId, {
+    taskId: task.id,
+    listId: task.listId,
+    actorId: access.actorId,
+    action: action || actionFor(changes),
+    title: task.title,
+    changes,
+  });
+  if (task.nextOccurrence) {
+    await recordActivity(store, access, task.nextOccurrence, { action: 'created' });
+  }
+}
+
+/**
+ * The field changes that take `task` back to how it was right after the
+ * entry `entryId` of its history (newest first), as a request body for
+ * taskFields.readTaskInput. Fields changed later are put back one entry at a
+ * time, so only what those entries recorded is undone.
+ */
+function revertChanges(task, history, entryId) {
+  const index = history.findIndex((entry) => entry.id === String(entryId));
+  if (index === -1) {
+    throw httpError(404, 'History entry not found');
+  }
+  if (history[index].action === 'deleted') {
+    throw httpError(400, 'Pick a change that left the task in place');
+  }
+  const state = Object.fromEntries(REVERTIBLE_FIELDS.map((field) => [field, fieldValue(task, field)]));
+  history.slice(0, index).forEach(({ changes }) => {
+    Object.entries(changes).forEach(([field, { from }]) => {
+      if (REVERTIBLE_FIELDS.includes(field)) {
+        state[field] = from;
+      }
+    });
+  });
+  return Object.fromEntries(
+    Object.entries(state).filter(([field, value]) => !same(value, fieldValue(task, field)))
+  );
+}
+
+module.exports = { recordActivity, revertChanges };
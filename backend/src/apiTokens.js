@@ -0,0 +1,99 @@
+/*
+ * Personal API tokens let scripts and integrations call the task routes
+ * without a password login. A user makes as many as they like, each with a
+ * name, scopes and an optional expiry. A token acts as its user, but only on
+ * /api/users/:userId/tasks and below, and only as far as its scopes go:
+ * tasks:read for GET, tasks:write for everything else.
+ */
+
+const { httpError } = require('./errors');
+
+const API_TOKEN_SCOPES = ['tasks:read', 'tasks:write'];
+const MAX_NAME_LENGTH = 100;
+// lastUsedAt is only written when it is older than this, so a busy script does not write on every call
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function readName(value) {
+  const name = String(value ?? '').trim();
+  if (!name) {
+    throw httpError(400, 'Token name cannot be empty');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `Token name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+}
+
+// Kept in the order of API_TOKEN_SCOPES, without repeats
+function readScopes(value) {
+  if (!Array.isArray(value) || !value.length) {
+    throw httpError(400, `Scopes must be a non-empty list of ${API_TOKEN_SCOPES.join(', ')}`);
+  }
+  const unknown = value.find((scope) => !API_TOKEN_SCOPES.includes(scope));
+  if (unknown !== undefined) {
+    throw httpError(400, `Unknown scope: ${unknown}`);
+  }
+  return API_TOKEN_SCOPES.filter((scope) => value.includes(scope));
+}
+
+function readExpiresAt(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const expiresAt = new Date(value);
+  if (Number.isNaN(expiresAt.getTime())) {
+    throw httpError(400, 'expiresAt must be a date');
+  }
+  if (expiresAt <= new Date()) {
+    throw httpError(400, 'expiresAt must be in the future');
+  }
+  return expiresAt;
+}
+
+/**
+ * Validates the body of POST /api-tokens into { name, scopes, expiresAt },
+ * with a null expiresAt for a token that never expires.
+ */
+function readApiTokenFields(body) {
+  return {
+    name: readName(body.name),
+    scopes: readScopes(body.scopes),
+    expiresAt: readExpiresAt(body.expiresAt),
+  };
+}
+
+/**
+ * The loader requireAuth takes for API tokens: finds the token by its hash
+ * and notes that it was used.
+ */
+async function useApiToken(store, hash) {
+  const token = await store.apiTokens.findByHash(hash);
+  if (token && !(token.lastUsedAt && Date.now() - new Date(token.lastUsedAt) < LAST_USED_PRECISION_MS)) {
+    await store.apiTokens.touch(token.id);
+  }
+  return token;
+}
+
+/**
+ * Runs under /api/users/:userId after authentication. Requests made with a
+ * session pass; those made with an API token must stay on the task routes
+ * and have the scope the method needs.
+ */
+function limitApiTokens(req, res, next) {
+  const { apiToken } = req.auth;
+  if (!apiToken) {
+    return next();
+  }
+  if (!/^\/tasks(\/|$)/.test(req.path)) {
+    return res.status(403).json({ message: 'API tokens can only be used on the task routes' });
+  }
+  const scope = READ_METHODS.includes(req.method) ? 'tasks:read' : 'tasks:write';
+  if (!apiToken.scopes.includes(scope)) {
+    return res.status(403).json({ message: `This API token does not have the ${scope} scope` });
+  }
+  next();
+}
+
+module.exports = { API_TOKEN_SCOPES, readApiTokenFields, useApiToken, limitApiTokens };
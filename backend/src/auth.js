@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Tells personal API tokens apart from access tokens, and makes them easy for secret scanners to spot
+const API_TOKEN_PREFIX = 'pat_';
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined');
+  }
+  return process.env.JWT_SECRET;
+}
+
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates an opaque refresh token. Only the hash is persisted, the raw value
+ * is handed to the client once.
+ */
+function createRefreshToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return { token, hash: hashToken(token), expiresAt };
+}
+
+/**
+ * Creates the secret in a calendar feed URL. Calendar apps cannot send
+ * headers, so the URL itself is the credential; as with refresh tokens,
+ * only its hash is stored.
+ */
+function createFeedToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Creates the secret in a password reset or email verification link. The
+ * link goes out by email and stops working after `ttlMinutes`; only the
+ * hash is stored.
+ */
+function createLinkToken(ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token), expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000) };
+}
+
+/**
+ * Creates a personal API token (see apiTokens.js). Like the other secrets,
+ * it is shown once and only its hash is stored.
+ */
+function createApiToken() {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, hash: hashToken(token) };
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ sid: String(sessionId) }, getSecret(), {
+    subject: String(userId),
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+/**
+ * Builds the payload returned by register, login and refresh.
+ */
+function issueTokens(user, sessionId, refreshToken) {
+  const accessToken = signAccessToken(user.id, sessionId);
+  const { exp } = jwt.decode(accessToken);
+  return {
+    user,
+    accessToken,
+    refreshToken,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+function readBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware that verifies the bearer access token and checks that its
+ * session has not been revoked. `loadSession(id)` must resolve to an object
+ * with `userId`, `revokedAt` and `expiresAt`, or null when it does not exist.
+ *
+ * With `loadApiToken(hash)`, personal API tokens are taken too; it resolves
+ * to the token (with `userId`, `scopes` and `expiresAt`) or null. Requests
+ * made with one get `req.auth.apiToken`, and no `sessionId`.
+ */
+function requireAuth(loadSession, loadApiToken = null) {
+  return async (req, res, next) => {
+    try {
+      const token = readBearerToken(req);
+      if (!token) {
+        throw authError('Authentication required');
+      }
+
+      if (loadApiToken && token.startsWith(API_TOKEN_PREFIX)) {
+        const apiToken = await loadApiToken(hashToken(token));
+        if (!apiToken || (apiToken.expiresAt && new Date(apiToken.expiresAt) <= new Date())) {
+          throw authError('Invalid API token');
+        }
+        req.auth = { userId: String(apiToken.userId), apiToken };
+        return next();
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(token, getSecret());
+      } catch (err) {
+        throw authError(err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+      }
+
+      const session = await loadSession(payload.sid);
+      if (
+        !session ||
+        session.revokedAt ||
+        new Date(session.expiresAt) <= new Date() ||
+        String(session.userId) !== payload.sub
+      ) {
+        throw authError('Session is no longer valid');
+      }
+
+      req.auth = { userId: payload.sub, sessionId: payload.sid };
+      next();
+    } catch (error) {
+      if (!error.status) {
+        return next(error);
+      }
+      res.status(error.status).json({ message: error.message });
+    }
+  };
+}
+
+module.exports = {
+  hashToken,
+  createRefreshToken,
+  createFeedToken,
+  createLinkToken,
+  createApiToken,
+  issueTokens,
+  requireAuth,
+};
@@ -0,0 +1,98 @@
+const { httpError } = require('./errors');
+const { readListId, readTaskInput } = require('./taskFields');
+const { readVersion } = require('./taskVersions');
+
+const MAX_OPERATIONS = 100;
+const OPERATIONS = ['create', 'update', 'delete', 'restore'];
+
+/**
+ * Reports an error of one operation of a batch, naming it by its position
+ * (from 1) and adding `index` (from 0) to the error body.
+ */
+function inOperation(index, error) {
+  return httpError(error.status, `Operation ${index + 1}: ${error.message}`, { index, ...error.details });
+}
+
+function readObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw httpError(400, `${name} must be an object`);
+  }
+  return value;
+}
+
+function readTaskId(value) {
+  if ((typeof value !== 'string' && typeof value !== 'number') || String(value).trim() === '') {
+    throw httpError(400, 'Task id must be a string');
+  }
+  return String(value).trim();
+}
+
+function readOperation(value) {
+  const operation = readObject(value, 'Each operation');
+  const { op } = operation;
+  if (!OPERATIONS.includes(op)) {
+    throw httpError(400, `op must be one of: ${OPERATIONS.join(', ')}`);
+  }
+  if (op === 'create') {
+    return { op, input: readTaskInput(readObject(operation.task, 'task'), { creating: true }) };
+  }
+  const id = readTaskId(operation.id);
+  if (op === 'restore') {
+    return { op, id };
+  }
+  const precondition = readVersion(operation.version);
+  if (op === 'delete') {
+    return { op, id, precondition };
+  }
+  const changes = readTaskInput(readObject(operation.changes, 'changes'));
+  if (!Object.keys(changes).length) {
+    throw httpError(400, 'Send at least one field to change');
+  }
+  return { op, id, changes, precondition };
+}
+
+/**
+ * Validates the body of POST /tasks/batch, { operations: [...] }, where each
+ * operation is one of
+ *
+ *   { op: 'create', task: { ...fields } }
+ *   { op: 'update', id, changes: { ...fields }, version? }
+ *   { op: 'delete', id, version? }
+ *   { op: 'restore', id }       takes a task back out of the trash
+ *
+ * Task fields are read as by POST and PATCH /tasks. `version` makes the
+ * operation conditional, like a `version` in a single task's body.
+ */
+function readBatch(body) {
+  const { operations } = body;
+  if (!Array.isArray(operations) || !operations.length) {
+    throw httpError(400, 'Send a non-empty "operations" array');
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    throw httpError(400, `A batch can have at most ${MAX_OPERATIONS} operations`);
+  }
+  return operations.map((operation, index) => {
+    try {
+      return readOperation(operation);
+    } catch (error) {
+      throw inOperation(index, error);
+    }
+  });
+}
+
+// The { ids, listId } body of POST /tasks/move-to-list
+function readMove(body) {
+  const { ids } = body;
+  if (!Array.isArray(ids) || !ids.length) {
+    throw httpError(400, 'Send a non-empty "ids" array');
+  }
+  if (ids.length > MAX_OPERATIONS) {
+    throw httpError(400, `At most ${MAX_OPERATIONS} tasks can be moved at once`);
+  }
+  if (body.listId === undefined) {
+    throw httpError(400, 'Choose the list to move the tasks to');
+  }
+  return { ids: [...new Set(ids.map(readTaskId))], listId: readListId(body.listId) };
+}
+
+module.exports = { MAX_OPERATIONS, inOperation, readBatch, readMove };
@@ -0,0 +1,61 @@
+const { httpError } = require('./errors');
+
+const MAX_ITEMS = 100;
+const MAX_ITEM_TITLE_LENGTH = 255;
+
+function readItemTitle(value) {
+  const title = String(value ?? '').trim();
+  if (!title) {
+    throw httpError(400, 'Item title cannot be empty');
+  }
+  if (title.length > MAX_ITEM_TITLE_LENGTH) {
+    throw httpError(400, `Item title must be at most ${MAX_ITEM_TITLE_LENGTH} characters`);
+  }
+  return title;
+}
+
+/**
+ * Validates a checklist item body ({ title, done }) and returns only the
+ * fields that were sent. When `creating`, a title is required.
+ */
+function readItemInput(body, { creating = false } = {}) {
+  const input = {};
+  if (creating || body.title !== undefined) {
+    input.title = readItemTitle(body.title);
+  }
+  if (body.done !== undefined) {
+    if (typeof body.done !== 'boolean') {
+      throw httpError(400, 'Done must be true or false');
+    }
+    input.done = body.done;
+  }
+  if (!creating && !Object.keys(input).length) {
+    throw httpError(400, 'Send a title or done');
+  }
+  return input;
+}
+
+/**
+ * A reorder request must name every item of the task exactly once.
+ */
+function readItemOrder(body, items) {
+  const itemIds = Array.isArray(body.itemIds) ? body.itemIds.map(String) : null;
+  const current = items.map((item) => item.id);
+  const samePermutation =
+    itemIds &&
+    itemIds.length === current.length &&
+    new Set(itemIds).size === itemIds.length &&
+    itemIds.every((id) => current.includes(id));
+  if (!samePermutation) {
+    throw httpError(400, 'itemIds must list every item of the task exactly once');
+  }
+  return itemIds;
+}
+
+// Every store's task mapper derives `progress` from the items with this.
+const checklistProgress = (items) => ({
+  done: items.filter((item) => item.done).length,
+  total: items.length,
+});
+
+module.exports = { MAX_ITEMS, readItemInput, readItemOrder, checklistProgress };
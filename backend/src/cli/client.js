@@ -0,0 +1,112 @@
+/*
+ * The CLI's way into the API. Requests carry the saved access token, or the
+ * API token when the CLI was logged in with one. An access token that has
+ * expired is refreshed once, and the new pair saved, before giving up.
+ */
+
+// `status` is the API's, or 0 when the server could not be reached at all
+function apiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * `config` is the loaded config file; the client updates its tokens in place
+ * and hands it to `save` whenever they change.
+ */
+function createClient(config, { server, save }) {
+  async function send(method, path, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    try {
+      return await fetch(`${server}/api${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (error) {
+      throw apiError(0, `Cannot reach ${server}: ${error.cause?.message || error.message}`);
+    }
+  }
+
+  async function read(response) {
+    if (response.status === 204) {
+      return null;
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw apiError(response.status, body.message || `Request failed with status ${response.status}`);
+    }
+    return body;
+  }
+
+  async function storeSession(session) {
+    delete config.apiToken;
+    Object.assign(config, {
+      userId: session.user.id,
+      email: session.user.email,
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+    });
+    await save(config);
+  }
+
+  async function refresh() {
+    if (!config.refreshToken) {
+      return false;
+    }
+    const response = await send('POST', '/auth/refresh', { refreshToken: config.refreshToken });
+    if (!response.ok) {
+      return false;
+    }
+    await storeSession(await response.json());
+    return true;
+  }
+
+  return {
+    async request(method, path, body) {
+      const token = config.apiToken || config.accessToken;
+      if (!token) {
+        throw apiError(401, 'Not logged in, run `todo login` first');
+      }
+      let response = await send(method, path, body, token);
+      if (response.status === 401 && !config.apiToken && (await refresh())) {
+        response = await send(method, path, body, config.accessToken);
+      }
+      if (response.status === 401) {
+        const { message } = await response.json().catch(() => ({}));
+        throw apiError(401, `${message || 'Not logged in'}, run \`todo login\` again`);
+      }
+      return read(response);
+    },
+
+    // Unlike request(), these go out without credentials
+    async login(email, password) {
+      const session = await read(await send('POST', '/auth/login', { email, password }));
+      await storeSession(session);
+      return session.user;
+    },
+
+    async logout() {
+      if (config.accessToken) {
+        await send('POST', '/auth/logout', undefined, config.accessToken).catch(() => null);
+      }
+      ['userId', 'email', 'accessToken', 'refreshToken', 'apiToken'].forEach((key) => delete config[key]);
+      await save(config);
+    },
+
+    // API tokens cannot look their user up, so the user id comes with it. The
+    // token is tried before it is saved.
+    async useApiToken(apiToken, userId) {
+      ['email', 'accessToken', 'refreshToken'].forEach((key) => delete config[key]);
+      Object.assign(config, { userId: String(userId), apiToken });
+      await this.request('GET', `/users/${encodeURIComponent(userId)}/tasks?limit=1`);
+      await save(config);
+    },
+  };
+}
+
+module.exports = { createClient, apiError };
@@ -0,0 +1,246 @@
+const { apiError } = require('./client');
+const { ask } = require('./prompt');
+const { formatTasks, formatJson } = require('./format');
+
+/*
+ * One function per `todo` command. Each gets the parsed options and
+ * positionals, the loaded config, an API client and `out` for stdout, and
+ * throws on failure: usage errors (see usageError) or the client's API errors.
+ */
+
+const STATUSES = ['open', 'completed', 'all'];
+const PAGE_SIZE = 200;
+
+// Exits with the usage code rather than one derived from an API status
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+function userPath(config) {
+  if (!config.userId) {
+    throw apiError(401, 'Not logged in, run `todo login` first');
+  }
+  return `/users/${encodeURIComponent(config.userId)}`;
+}
+
+const tasksPath = (config, id) => `${userPath(config)}/tasks${id === undefined ? '' : `/${encodeURIComponent(id)}`}`;
+
+// YYYY-MM-DD, today and tomorrow mean midnight local time; anything else must parse as a date
+function readDue(value) {
+  if (value === 'none') {
+    return null;
+  }
+  let date;
+  if (value === 'today' || value === 'tomorrow') {
+    date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + (value === 'tomorrow' ? 1 : 0));
+  } else {
+    date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value);
+  }
+  if (Number.isNaN(date.getTime())) {
+    throw usageError(`Cannot read the date "${value}", use YYYY-MM-DD, today, tomorrow or an ISO 8601 date`);
+  }
+  return date.toISOString();
+}
+
+function readIds(positionals, command) {
+  if (!positionals.length) {
+    throw usageError(`Usage: todo ${command} <id>...`);
+  }
+  return positionals;
+}
+
+/**
+ * Runs `fn` for each id, carrying on past failures so one bad id does not
+ * stop the rest. Each failure is reported as it happens and the first one is
+ * thrown at the end to set the exit code.
+ */
+async function eachId(ids, fn) {
+  let failure = null;
+  for (const id of ids) {
+    try {
+      await fn(id);
+    } catch (error) {
+      console.error(`todo: ${id}: ${error.message}`);
+      failure = failure || Object.assign(error, { reported: true });
+    }
+  }
+  if (failure) {
+    throw failure;
+  }
+}
+
+async function login({ client, config, options, server, out }) {
+  config.server = server;
+  if (options.token) {
+    if (!options.user) {
+      throw usageError('--token needs --user with the id of the user the token belongs to');
+    }
+    await client.useApiToken(options.token, options.user);
+    out(`Using the API token for user ${options.user} on ${server}`);
+    return;
+  }
+  if (!options.email && !process.stdin.isTTY) {
+    throw usageError('Pass --email when the password is piped in');
+  }
+  const email = options.email || (await ask('Email: '));
+  const password = await ask('Password: ', { hidden: true });
+  if (!email.trim() || !password) {
+    throw usageError('Email and password are required');
+  }
+  const user = await client.login(email.trim(), password);
+  out(`Logged in as ${user.name} <${user.email}> on ${server}`);
+}
+
+async function logout({ client, out }) {
+  await client.logout();
+  out('Logged out');
+}
+
+async function whoami({ client, config, options, server, out }) {
+  const path = userPath(config);
+  if (config.apiToken) {
+    out(options.json ? formatJson({ id: config.userId }) : `User ${config.userId} with an API token on ${server}`);
+    return;
+  }
+  const user = await client.request('GET', path);
+  if (options.json) {
+    out(formatJson(user));
+  } else {
+    out(`${user.name} <${user.email}>${user.emailVerified ? '' : ' (email not verified)'} on ${server}`);
+  }
+}
+
+async function add({ client, config, options, positionals, out }) {
+  const title = positionals.join(' ').trim();
+  if (!title) {
+    throw usageError('Usage: todo add <title> [--due <date>] [--priority <level>] [--tag <tag>]...');
+  }
+  const body = { title };
+  if (options.list !== undefined) {
+    body.listId = options.list;
+  }
+  if (options.due !== undefined) {
+    body.dueAt = readDue(options.due);
+  }
+  if (options.priority !== undefined) {
+    body.priority = options.priority;
+  }
+  if (options.tag) {
+    body.tags = options.tag;
+  }
+  if (options.notes !== undefined) {
+    body.notes = options.notes;
+  }
+  const task = await client.request('POST', tasksPath(config), body);
+  out(options.json ? formatJson(task) : `Added ${task.id}: ${task.title}`);
+}
+
+// Follows nextCursor until --limit tasks, or all of them, have been read
+async function list({ client, config, options, out }) {
+  const status = options.status || 'open';
+  if (!STATUSES.includes(status)) {
+    throw usageError(`--status must be one of: ${STATUSES.join(', ')}`);
+  }
+  const max = options.limit === undefined ? Infinity : Number(options.limit);
+  if (!Number.isInteger(max) && max !== Infinity) {
+    throw usageError('--limit must be a whole number');
+  }
+  if (max < 1) {
+    throw usageError('--limit must be at least 1');
+  }
+
+  const params = new URLSearchParams({ status });
+  if (options.list !== undefined) {
+    params.set('listId', options.list);
+  }
+  if (options.tag) {
+    params.set('tags', options.tag.join(','));
+  }
+  if (options.search !== undefined) {
+    params.set('q', options.search);
+  }
+  if (options.sort !== undefined) {
+    params.set('sort', options.sort);
+  }
+
+  const tasks = [];
+  let cursor = null;
+  do {
+    params.set('limit', String(Math.min(PAGE_SIZE, max - tasks.length)));
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    const page = await client.request('GET', `${tasksPath(config)}?${params}`);
+    tasks.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor && tasks.length < max);
+
+  if (options.json) {
+    out(formatJson(tasks));
+  } else {
+    out(tasks.length ? formatTasks(tasks) : 'No tasks');
+  }
+}
+
+async function done({ client, config, options, positionals, out }) {
+  const tasks = [];
+  await eachId(readIds(positionals, 'done'), async (id) => {
+    const task = await client.request('PATCH', tasksPath(config, id), { completed: !options.undo });
+    tasks.push(task);
+    if (!options.json) {
+      out(`${task.completed ? 'Completed' : 'Reopened'} ${task.id}: ${task.title}`);
+    }
+  }).finally(() => {
+    if (options.json) {
+      out(formatJson(tasks));
+    }
+  });
+}
+
+async function edit({ client, config, options, positionals, out }) {
+  if (positionals.length !== 1) {
+    throw usageError('Usage: todo edit <id> [--title <title>] [--due <date|none>] [--priority <level>] ...');
+  }
+  const body = {};
+  if (options.title !== undefined) {
+    body.title = options.title;
+  }
+  if (options.due !== undefined) {
+    body.dueAt = readDue(options.due);
+  }
+  if (options.priority !== undefined) {
+    body.priority = options.priority;
+  }
+  if (options['clear-tags'] || options.tag) {
+    body.tags = options.tag || [];
+  }
+  if (options.notes !== undefined) {
+    body.notes = options.notes;
+  }
+  if (options.list !== undefined) {
+    body.listId = options.list;
+  }
+  if (!Object.keys(body).length) {
+    throw usageError('Nothing to change, pass at least one of --title, --due, --priority, --tag, --notes or --list');
+  }
+  // The API turns a stale version into a 409 rather than overwriting someone else's change
+  if (options.version !== undefined) {
+    body.version = Number(options.version);
+  }
+  const task = await client.request('PATCH', tasksPath(config, positionals[0]), body);
+  out(options.json ? formatJson(task) : `Updated ${task.id}: ${task.title}`);
+}
+
+// Deleted tasks go to the trash, where the web app can restore them
+async function remove({ client, config, positionals, out }) {
+  await eachId(readIds(positionals, 'rm'), async (id) => {
+    await client.request('DELETE', tasksPath(config, id));
+    out(`Deleted ${id}`);
+  });
+}
+
+module.exports = { usageError, login, logout, whoami, add, list, done, edit, remove };
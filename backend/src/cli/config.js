@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/*
+ * The CLI keeps the server URL and the credentials of the last login in
+ * ~/.todo/config.json (TODO_CONFIG points elsewhere). The file holds a
+ * refresh token, so it is readable by its owner only.
+ */
+
+const DEFAULT_SERVER = 'http://localhost:5000';
+
+const configPath = () => process.env.TODO_CONFIG || path.join(os.homedir(), '.todo', 'config.json');
+
+async function loadConfig() {
+  try {
+    return JSON.parse(await fs.readFile(configPath(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Cannot read ${configPath()}: ${error.message}`);
+  }
+}
+
+async function saveConfig(config) {
+  const file = configPath();
+  await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  await fs.writeFile(file, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  // The mode above only applies when the file is created
+  await fs.chmod(file, 0o600);
+}
+
+// --server wins over TODO_SERVER, which wins over the server of the last login
+function serverUrl(config, flag) {
+  return (flag || process.env.TODO_SERVER || config.server || DEFAULT_SERVER).replace(/\/+$/, '');
+}
+
+module.exports = { configPath, loadConfig, saveConfig, serverUrl };
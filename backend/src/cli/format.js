@@ -0,0 +1,48 @@
+/*
+ * How the CLI prints tasks: a plain table for people, or JSON (--json) for
+ * scripts, which get the tasks exactly as the API returned them.
+ */
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Local time, to the minute; a due date at midnight shows as the day alone
+function formatDate(value) {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  if (!date.getHours() && !date.getMinutes()) {
+    return day;
+  }
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+const TASK_COLUMNS = [
+  { header: 'ID', value: (task) => task.id },
+  { header: 'DONE', value: (task) => (task.completed ? 'x' : '') },
+  { header: 'DUE', value: (task) => formatDate(task.dueAt) },
+  { header: 'PRIORITY', value: (task) => (task.priority === 'none' ? '' : task.priority) },
+  { header: 'TITLE', value: (task) => [task.title, ...task.tags.map((tag) => `#${tag}`)].join(' ') },
+];
+
+// Columns padded to their widest cell; the last one is left ragged
+function formatTable(rows, columns) {
+  const header = columns.map((column) => column.header);
+  const cells = [header, ...rows.map((row) => columns.map((column) => column.value(row)))];
+  const widths = columns.map((_column, index) => Math.max(...cells.map((line) => line[index].length)));
+  return cells
+    .map((line) =>
+      line
+        .map((cell, index) => (index === line.length - 1 ? cell : cell.padEnd(widths[index])))
+        .join('  ')
+        .trimEnd()
+    )
+    .join('\n');
+}
+
+const formatTasks = (tasks) => formatTable(tasks, TASK_COLUMNS);
+
+const formatJson = (value) => JSON.stringify(value, null, 2);
+
+module.exports = { formatDate, formatTasks, formatJson };
@@ -0,0 +1,151 @@
+const { parseArgs } = require('util');
+const { createClient } = require('./client');
+const commands = require('./commands');
+const { loadConfig, saveConfig, serverUrl } = require('./config');
+
+/*
+ * `todo`, a command-line client for the task API. main() parses the
+ * arguments, runs one command and resolves with the exit code, which tells
+ * scripts how a command failed (see EXIT_CODES).
+ */
+
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  usage: 2,
+  400: 3,
+  401: 4,
+  403: 5,
+  404: 6,
+  409: 7,
+  429: 8,
+  unreachable: 9,
+};
+
+const USAGE = `Usage: todo <command> [options]
+
+Commands:
+  login [--email <email>]          Log in with your password (read from stdin when piped)
+  login --token <token> --user <id>
+                                   Use a personal API token instead of a password
+  logout                           Forget the saved credentials
+  whoami                           Show who is logged in
+  add <title>                      Add a task
+      [--due <date>] [--priority none|low|medium|high] [--tag <tag>]... [--notes <text>] [--list <id>]
+  ls                               List tasks
+      [--status open|completed|all] [--tag <tag>]... [--search <text>] [--list <id>]
+      [--sort created|updated|due|priority|title|manual] [--limit <n>]
+  done <id>... [--undo]            Complete tasks, or reopen them with --undo
+  edit <id>                        Change a task
+      [--title <title>] [--due <date|none>] [--priority <level>] [--tag <tag>]... [--clear-tags]
+      [--notes <text>] [--list <id>] [--version <n>]
+  rm <id>...                       Move tasks to the trash
+
+Dates are YYYY-MM-DD, today, tomorrow or ISO 8601.
+
+Options for every command:
+  --server <url>    The API server (default: TODO_SERVER, then the one logged in to, then http://localhost:5000)
+  --json            Print JSON instead of text
+  -h, --help        Show this help
+
+Exit codes: 0 ok, 1 other failure, 2 usage, 3 bad request (400), 4 not logged in (401),
+5 forbidden (403), 6 not found (404), 7 conflict (409), 8 rate limited (429), 9 server unreachable
+`;
+
+const GLOBAL_OPTIONS = {
+  server: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const TASK_OPTIONS = {
+  due: { type: 'string' },
+  priority: { type: 'string' },
+  tag: { type: 'string', multiple: true },
+  notes: { type: 'string' },
+  list: { type: 'string' },
+};
+
+const COMMANDS = {
+  login: {
+    run: commands.login,
+    options: { email: { type: 'string' }, token: { type: 'string' }, user: { type: 'string' } },
+  },
+  logout: { run: commands.logout, options: {} },
+  whoami: { run: commands.whoami, options: {} },
+  add: { run: commands.add, options: TASK_OPTIONS },
+  ls: {
+    run: commands.list,
+    options: {
+      status: { type: 'string' },
+      tag: { type: 'string', multiple: true },
+      search: { type: 'string' },
+      list: { type: 'string' },
+      sort: { type: 'string' },
+      limit: { type: 'string' },
+    },
+  },
+  done: { run: commands.done, options: { undo: { type: 'boolean' } } },
+  edit: {
+    run: commands.edit,
+    options: {
+      ...TASK_OPTIONS,
+      title: { type: 'string' },
+      'clear-tags': { type: 'boolean' },
+      version: { type: 'string' },
+    },
+  },
+  rm: { run: commands.remove, options: {} },
+};
+
+function exitCodeFor(error) {
+  if (error.usage || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    return EXIT_CODES.usage;
+  }
+  if (error.status === 0) {
+    return EXIT_CODES.unreachable;
+  }
+  return EXIT_CODES[error.status] ?? EXIT_CODES.failed;
+}
+
+/**
+ * Runs `todo` with `argv` (without node and the script) and resolves with
+ * the exit code. Output goes to stdout, errors to stderr.
+ */
+async function main(argv) {
+  const out = (text) => console.log(text);
+  const [name, ...rest] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    out(USAGE.trimEnd());
+    return name ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  try {
+    const command = COMMANDS[name];
+    if (!command) {
+      throw commands.usageError(`Unknown command "${name}", run \`todo help\` for the list`);
+    }
+    const { values: options, positionals } = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+    if (options.help) {
+      out(USAGE.trimEnd());
+      return EXIT_CODES.ok;
+    }
+
+    const config = await loadConfig();
+    const server = serverUrl(config, options.server);
+    const client = createClient(config, { server, save: saveConfig });
+    await command.run({ client, config, options, positionals, server, out });
+    return EXIT_CODES.ok;
+  } catch (error) {
+    if (!error.reported) {
+      console.error(`todo: ${error.message}`);
+    }
+    return exitCodeFor(error);
+  }
+}
+
+module.exports = { main, EXIT_CODES };
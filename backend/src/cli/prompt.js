@@ -0,0 +1,50 @@
+const readline = require('readline');
+const { Writable } = require('stream');
+
+// stderr behind a switch: while `muted`, what readline writes goes nowhere
+function createOutput() {
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!output.muted) {
+        process.stderr.write(chunk, encoding);
+      }
+      callback();
+    },
+  });
+  output.muted = false;
+  return output;
+}
+
+/**
+ * Asks for one line on stderr, keeping stdout for output. With `hidden`, a
+ * terminal does not echo what is typed. When stdin is not a terminal the
+ * next line is read as is, so a password can be piped in.
+ */
+function ask(question, { hidden = false } = {}) {
+  const terminal = Boolean(process.stdin.isTTY);
+  const output = hidden && terminal ? createOutput() : process.stderr;
+  const rl = readline.createInterface({ input: process.stdin, output, terminal });
+  return new Promise((resolve) => {
+    let answered = false;
+    rl.question(question, (answer) => {
+      answered = true;
+      rl.close();
+      // Nothing echoed the answer, so end the prompt's line
+      if (hidden || !terminal) {
+        process.stderr.write('\n');
+      }
+      resolve(answer);
+    });
+    if (hidden && terminal) {
+      // The question is out by now; drop readline's echo of the keys that follow
+      output.muted = true;
+    }
+    rl.on('close', () => {
+      if (!answered) {
+        resolve('');
+      }
+    });
+  });
+}
+
+module.exports = { ask };
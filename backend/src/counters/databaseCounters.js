@@ -0,0 +1,31 @@
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/*
+ * Counts in the app's database through store.counters (see
+ * stores/index.js). Finished windows are deleted in the background at most
+ * once an hour per process, the way the trash is purged.
+ */
+function createDatabaseCounters(store) {
+  let lastPrune = 0;
+
+  return {
+    hit(key, windowMs) {
+      const now = Date.now();
+      if (now - lastPrune >= PRUNE_INTERVAL_MS) {
+        lastPrune = now;
+        store.counters.prune().catch((error) => {
+          console.error('COUNTER PRUNE FAILED:', error);
+        });
+      }
+      return store.counters.hit(key, windowMs);
+    },
+    get(key) {
+      return store.counters.get(key);
+    },
+    reset(key) {
+      return store.counters.reset(key);
+    },
+  };
+}
+
+module.exports = { createDatabaseCounters };
@@ -0,0 +1,24 @@
+/*
+ * Rate limits and login lockouts (see throttle.js) count hits in fixed
+ * windows. The counts live in a counter store; each implementation in this
+ * directory has the shape below:
+ *
+ * counters.hit(key, windowMs)   -> Promise<{ count, resetAt }>, one more hit in the key's window;
+ *                                  the first hit opens a window that lasts windowMs
+ * counters.get(key)             -> Promise<{ count, resetAt } | null>, null once the window is over
+ * counters.reset(key)           -> Promise, forgets the key
+ *
+ * The in-process store is the default and is all a single server needs.
+ * With RATE_LIMIT_STORE=database the counts are kept in the app's database
+ * instead, so that every instance, and every serverless invocation, counts
+ * together.
+ */
+
+const { createMemoryCounters } = require('./memoryCounters');
+const { createDatabaseCounters } = require('./databaseCounters');
+
+function createCountersFromEnv(store) {
+  return process.env.RATE_LIMIT_STORE === 'database' ? createDatabaseCounters(store) : createMemoryCounters();
+}
+
+module.exports = { createMemoryCounters, createDatabaseCounters, createCountersFromEnv };
@@ -0,0 +1,44 @@
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/*
+ * Counts within this process only. Finished windows are dropped at most once
+ * a minute, so keys that never come back do not pile up.
+ */
+function createMemoryCounters() {
+  const counters = new Map();
+  let lastPrune = Date.now();
+
+  const live = (key, now = Date.now()) => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > now ? counter : null;
+  };
+
+  function prune(now) {
+    if (now - lastPrune >= PRUNE_INTERVAL_MS) {
+      lastPrune = now;
+      [...counters.keys()].filter((key) => !live(key, now)).forEach((key) => counters.delete(key));
+    }
+  }
+
+  const toResult = ({ count, resetAt }) => ({ count, resetAt: new Date(resetAt) });
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      prune(now);
+      const counter = live(key, now) || { count: 0, resetAt: now + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return toResult(counter);
+    },
+    async get(key) {
+      const counter = live(key);
+      return counter ? toResult(counter) : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryCounters };
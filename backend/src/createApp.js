@@ -0,0 +1,69 @@
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { createEventHub } = require('./events');
+const { createMemoryPubSub } = require('./pubsub');
+const { createMailerFromEnv } = require('./mailer');
+const { createCountersFromEnv } = require('./counters');
+const { createApiRouter } = require('./routes');
+const { createWebhookDispatcher } = require('./webhooks');
+
+const FRONTEND_DIR = path.resolve(__dirname, '../../frontend');
+
+/**
+ * Creates the Express app for a given store. Every entry point (Vercel,
+ * the local server, tests) goes through here so they all behave the same.
+ * Live updates use the in-process pub/sub unless another one is passed (see
+ * pubsub/index.js), emails the mailer MAIL_URL configures (see
+ * mailer/index.js), and rate limits the counters RATE_LIMIT_STORE picks (see
+ * counters/index.js). Task changes are sent to the users' webhooks (see
+ * webhooks.js).
+ */
+function createApp(
+  store,
+  {
+    serveFrontend = false,
+    pubsub = createMemoryPubSub(),
+    mailer = createMailerFromEnv(),
+    counters = createCountersFromEnv(store),
+  } = {}
+) {
+  const app = express();
+
+  // Behind a proxy, rate limits need the client's IP from X-Forwarded-For
+  // rather than the proxy's. TRUST_PROXY takes what Express's 'trust proxy'
+  // does: true, a number of hops, or addresses such as loopback.
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy) {
+    const hops = /^\d+$/.test(trustProxy) ? Number(trustProxy) : null;
+    app.set('trust proxy', trustProxy === 'true' ? true : hops ?? trustProxy);
+  }
+
+  // Browser clients on other origins need the ETag to send If-Match
+  app.use(cors({ exposedHeaders: ['ETag'] }));
+  // Backups posted to /import can run to a few megabytes
+  app.use(express.json({ limit: '5mb' }));
+  const webhooks = createWebhookDispatcher(store);
+  const events = createEventHub(pubsub, { webhooks });
+  app.use('/api', createApiRouter(store, events, { mailer, counters, webhooks }));
+
+  if (serveFrontend) {
+    app.use(express.static(FRONTEND_DIR));
+    app.get('*', (_req, res) => {
+      res.sendFile(path.join(FRONTEND_DIR, 'index.html'));
+    });
+  }
+
+  // Errors passed to next(), e.g. malformed JSON bodies or a failed store init
+  app.use((error, _req, res, _next) => {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+      console.error('UNHANDLED ERROR:', error);
+    }
+    res.status(status).json({ message: error.message || 'Request failed' });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
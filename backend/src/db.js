@@ -1,13 +1,362 @@
-const mongoose = require("mongoose");
+const fs = require('fs');
+const path = require('path');
 
-const connectDB = async () => {
+const MIGRATIONS_DIR = path.resolve(__dirname, 'migrations');
+const DEFAULT_SQLITE_FILE = path.resolve(__dirname, '../../database/app.db');
+
+/*
+ * Route code is written in Postgres flavour: `$1` placeholders, `NOW()` and
+ * `RETURNING`. Each dialect below translates that into what its driver
+ * understands, so queries never need per-database fallbacks.
+ */
+
+const columnTypes = {
+  postgres: {
+    id: 'SERIAL PRIMARY KEY',
+    foreignId: 'INTEGER',
+    string: 'VARCHAR(255)',
+    text: 'TEXT',
+    integer: 'INTEGER',
+    boolean: 'BOOLEAN',
+    timestamp: 'TIMESTAMPTZ',
+  },
+  mysql: {
+    id: 'INT AUTO_INCREMENT PRIMARY KEY',
+    foreignId: 'INT',
+    string: 'VARCHAR(255)',
+    text: 'TEXT',
+    integer: 'INT',
+    boolean: 'BOOLEAN',
+    timestamp: 'DATETIME(3)',
+  },
+  sqlite: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    foreignId: 'INTEGER',
+    string: 'TEXT',
+    text: 'TEXT',
+    integer: 'INTEGER',
+    boolean: 'BOOLEAN',
+    timestamp: 'TEXT',
+  },
+};
+
+function parseDatabaseUrl(url) {
+  if (!url) {
+    return { dialect: 'sqlite', filename: DEFAULT_SQLITE_FILE };
+  }
+  const scheme = url.slice(0, url.indexOf(':')).toLowerCase();
+  if (scheme === 'postgres' || scheme === 'postgresql') {
+    return { dialect: 'postgres', url };
+  }
+  if (scheme === 'mysql') {
+    return { dialect: 'mysql', url };
+  }
+  if (scheme === 'sqlite') {
+    // sqlite::memory:, sqlite:relative/path.db or sqlite:///absolute/path.db
+    const target = url.slice('sqlite:'.length).replace(/^\/\//, '');
+    if (target === ':memory:') {
+      return { dialect: 'sqlite', filename: ':memory:' };
+    }
+    return { dialect: 'sqlite', filename: path.resolve(target || DEFAULT_SQLITE_FILE) };
+  }
+  throw new Error(`Unsupported DATABASE_URL scheme "${scheme}"`);
+}
+
+function requireDriver(name) {
   try {
-    const conn = await mongoose.connect(process.env.MONGO_URI);
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    return require(name);
   } catch (error) {
-    console.error(error);
-    process.exit(1);
+    throw new Error(`The "${name}" package is required for this DATABASE_URL. Run npm install ${name}.`);
+  }
+}
+
+/**
+ * Rewrites `$n` placeholders as positional `?` markers, expanding the
+ * parameter list so repeated placeholders keep working.
+ */
+function toPositional(sql, params) {
+  const values = [];
+  const text = sql.replace(/\$(\d+)/g, (_match, index) => {
+    values.push(params[Number(index) - 1]);
+    return '?';
+  });
+  return { text, values };
+}
+
+function splitReturning(sql) {
+  const match = sql.match(/^([\s\S]*?)\s+RETURNING\s+([\s\S]+)$/i);
+  return match ? { statement: match[1], columns: match[2] } : { statement: sql, columns: null };
+}
+
+function createPostgresAdapter({ url }) {
+  const { Pool } = requireDriver('pg');
+  const pool = new Pool({ connectionString: url });
+
+  const run = async (client, sql, params) => {
+    const result = await client.query(sql, params);
+    return { rows: result.rows, rowCount: result.rowCount };
+  };
+
+  return {
+    dialect: 'postgres',
+    query: (sql, params) => run(pool, sql, params),
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn((sql, params = []) => run(client, sql, params));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+    close: () => pool.end(),
+  };
+}
+
+// `pool`, when given, stands in for the mysql2 pool, which is how the tests run it without a server
+function createMysqlAdapter({ url, pool = null }) {
+  const connections =
+    pool || requireDriver('mysql2/promise').createPool({ uri: url, timezone: 'Z', dateStrings: false });
+
+  const execute = async (conn, sql, params) => {
+    const { text, values } = toPositional(sql.replace(/\bNOW\(\)/gi, 'NOW(3)'), params);
+    const [result] = await conn.query(text, values);
+    return Array.isArray(result)
+      ? { rows: result, rowCount: result.length }
+      : { rows: [], rowCount: result.affectedRows, insertId: result.insertId };
+  };
+
+  async function inTransaction(fn) {
+    const conn = await connections.getConnection();
+    try {
+      await conn.beginTransaction();
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  // MySQL has no RETURNING, so the affected rows are read back with a SELECT.
+  // An UPDATE may change the very columns its WHERE tests (a version, a
+  // deleted_at), so the rows it is about to change are locked and their ids
+  // noted first, and read back by id afterwards; outside a transaction that
+  // takes one of its own.
+  const run = async (conn, sql, params, { locked = false } = {}) => {
+    const { statement, columns } = splitReturning(sql);
+    if (!columns) {
+      return execute(conn, sql, params);
+    }
+
+    const insert = statement.match(/^\s*INSERT\s+INTO\s+(\w+)/i);
+    if (insert) {
+      const result = await execute(conn, statement, params);
+      return execute(conn, `SELECT ${columns} FROM ${insert[1]} WHERE id = $1`, [result.insertId]);
+    }
+
+    const update = statement.match(/^\s*UPDATE\s+(\w+)\s+SET\s+[\s\S]+?\s+WHERE\s+([\s\S]+)$/i);
+    if (update) {
+      if (!locked) {
+        return inTransaction((tx) => run(tx, sql, params, { locked: true }));
+      }
+      const [, table, where] = update;
+      const matched = await execute(conn, `SELECT id FROM ${table} WHERE ${where} FOR UPDATE`, params);
+      const result = await execute(conn, statement, params);
+      if (!matched.rows.length) {
+        return { rows: [], rowCount: result.rowCount };
+      }
+      const ids = matched.rows.map(({ id }) => id);
+      const selected = await execute(
+        conn,
+        `SELECT ${columns} FROM ${table} WHERE id IN (${ids.map((_id, index) => `$${index + 1}`).join(', ')})`,
+        ids
+      );
+      return { rows: selected.rows, rowCount: result.rowCount };
+    }
+
+    const remove = statement.match(/^\s*DELETE\s+FROM\s+(\w+)\s+WHERE\s+([\s\S]+)$/i);
+    if (remove) {
+      const selected = await execute(conn, `SELECT ${columns} FROM ${remove[1]} WHERE ${remove[2]}`, params);
+      const result = await execute(conn, statement, params);
+      return { rows: selected.rows, rowCount: result.rowCount };
+    }
+
+    throw new Error('RETURNING is only supported on INSERT, UPDATE and DELETE');
+  };
+
+  return {
+    dialect: 'mysql',
+    query: (sql, params) => run(connections, sql, params),
+    transaction: (fn) => inTransaction((conn) => fn((sql, params = []) => run(conn, sql, params, { locked: true }))),
+    close: () => connections.end(),
+  };
+}
+
+function createSqliteAdapter({ filename }) {
+  const Database = requireDriver('better-sqlite3');
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
   }
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const toSqliteValue = (value) => {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    return value === undefined ? null : value;
+  };
+
+  // better-sqlite3 is synchronous; the async wrapper keeps the adapter
+  // interchangeable with the networked drivers.
+  const run = async (sql, params) => {
+    const { text, values } = toPositional(
+      sql.replace(/\bNOW\(\)/gi, "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')"),
+      params
+    );
+    const statement = db.prepare(text);
+    const bound = values.map(toSqliteValue);
+    if (statement.reader) {
+      const rows = statement.all(bound);
+      return { rows, rowCount: rows.length };
+    }
+    const info = statement.run(bound);
+    return { rows: [], rowCount: info.changes, insertId: info.lastInsertRowid };
+  };
+
+  // Statements are serialised through a single connection, so a transaction
+  // only has to keep other callers out until it finishes.
+  let queue = Promise.resolve();
+
+  return {
+    dialect: 'sqlite',
+    query: (sql, params) => {
+      const next = queue.then(() => run(sql, params));
+      queue = next.catch(() => {});
+      return next;
+    },
+    transaction(fn) {
+      const next = queue.then(async () => {
+        db.exec('BEGIN');
+        try {
+          const result = await fn((sql, params = []) => run(sql, params));
+          db.exec('COMMIT');
+          return result;
+        } catch (error) {
+          db.exec('ROLLBACK');
+          throw error;
+        }
+      });
+      queue = next.catch(() => {});
+      return next;
+    },
+    close: async () => db.close(),
+  };
+}
+
+const adapters = {
+  postgres: createPostgresAdapter,
+  mysql: createMysqlAdapter,
+  sqlite: createSqliteAdapter,
 };
 
-module.exports = connectDB;
+let adapter = null;
+let bootstrapped = null;
+
+function getAdapter() {
+  if (!adapter) {
+    const config = parseDatabaseUrl(process.env.DATABASE_URL);
+    adapter = adapters[config.dialect](config);
+  }
+  return adapter;
+}
+
+/**
+ * Runs a Postgres-style query against the configured database and resolves
+ * to `{ rows, rowCount }`.
+ */
+function query(sql, params = []) {
+  return getAdapter().query(sql, params);
+}
+
+/**
+ * Runs `fn(query)` inside a transaction. Queries issued through the callback's
+ * argument share the transaction; it commits when `fn` resolves and rolls back
+ * when it throws.
+ */
+function transaction(fn) {
+  return getAdapter().transaction(fn);
+}
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .map((file) => ({
+      version: Number.parseInt(file, 10),
+      name: path.basename(file, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function migrate() {
+  const db = getAdapter();
+  const types = columnTypes[db.dialect];
+
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (version ${types.integer} PRIMARY KEY, name ${types.string} NOT NULL, applied_at ${types.timestamp} NOT NULL)`
+  );
+  const applied = await db.query('SELECT version FROM schema_migrations');
+  const done = new Set(applied.rows.map((row) => Number(row.version)));
+
+  for (const migration of loadMigrations()) {
+    if (done.has(migration.version)) {
+      continue;
+    }
+    // MySQL commits DDL implicitly, so a failed migration there may leave
+    // partial changes behind; Postgres and SQLite roll back cleanly.
+    await db.transaction(async (tx) => {
+      for (const statement of migration.up({ dialect: db.dialect, types })) {
+        await tx(statement);
+      }
+      await tx('INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())', [
+        migration.version,
+        migration.name,
+      ]);
+    });
+    console.log(`Applied migration ${migration.name}`);
+  }
+}
+
+/**
+ * Connects to the database and applies pending migrations. Safe to call more
+ * than once; the work only happens the first time.
+ */
+function bootstrapDatabase() {
+  if (!bootstrapped) {
+    bootstrapped = migrate();
+  }
+  return bootstrapped;
+}
+
+async function closeDatabase() {
+  if (adapter) {
+    await adapter.close();
+    adapter = null;
+    bootstrapped = null;
+  }
+}
+
+const getDialect = () => getAdapter().dialect;
+
+module.exports = { query, transaction, bootstrapDatabase, closeDatabase, getDialect, createMysqlAdapter };
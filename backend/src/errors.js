@@ -0,0 +1,23 @@
+// `details` are extra fields for the JSON error body, next to `message`
+function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function handleError(res, error, fallbackMessage = 'Request failed') {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(`${fallbackMessage.toUpperCase()}:`, error);
+  }
+  // Rate limits (see throttle.js) say in the body and the header when to come back
+  if (error.details && error.details.retryAfter) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+  res.status(status).json({ message: error.message || fallbackMessage, ...error.details });
+}
+
+module.exports = { httpError, handleError };
@@ -0,0 +1,112 @@
+const { randomUUID } = require('crypto');
+
+/*
+ * Live task events behind GET /api/users/:userId/events. Routes publish one
+ * after every task change; every instance hears it through the pub/sub (see
+ * pubsub/index.js), keeps the latest ones per owner so a reconnecting client
+ * can resume from its Last-Event-ID, and hands them to its open streams.
+ *
+ * Event { id, type, taskId, listIds }
+ *   type is task.created, task.updated, task.deleted, task.restored (out of
+ *   the trash) or resync. listIds are the lists the change touched: the
+ *   task's list, and the one it left when it was moved. resync has no task
+ *   and asks clients to reload, for changes that touch many tasks at once.
+ *
+ * Events carry ids only; streams load the task as it stands when they send.
+ * Task changes also go to the owner's webhooks, with the task (see webhooks.js).
+ */
+
+const BUFFER_SIZE = 200;
+// Owners nobody is watching stay subscribed this long, so quick reconnects can resume
+const IDLE_MS = 60 * 1000;
+
+const channelName = (ownerId) => `user:${ownerId}`;
+
+function createEventHub(pubsub, { webhooks = null } = {}) {
+  const channels = new Map();
+
+  function openChannel(ownerId) {
+    let channel = channels.get(ownerId);
+    if (!channel) {
+      channel = { listeners: new Set(), buffer: [], idleTimer: null };
+      channel.ready = pubsub.subscribe(channelName(ownerId), (event) => {
+        channel.buffer.push(event);
+        if (channel.buffer.length > BUFFER_SIZE) {
+          channel.buffer.shift();
+        }
+        channel.listeners.forEach((listener) => listener(event));
+      });
+      channel.ready.catch(() => channels.delete(ownerId));
+      channels.set(ownerId, channel);
+    }
+    clearTimeout(channel.idleTimer);
+    return channel;
+  }
+
+  function releaseChannel(ownerId, channel) {
+    if (channel.listeners.size) {
+      return;
+    }
+    channel.idleTimer = setTimeout(async () => {
+      channels.delete(ownerId);
+      (await channel.ready)();
+    }, IDLE_MS);
+    channel.idleTimer.unref();
+  }
+
+  const toEvent = (type, task, previous) => ({
+    id: randomUUID(),
+    type,
+    taskId: task ? task.id : null,
+    listIds: task ? [...new Set([task.listId, previous ? previous.listId : task.listId])] : [],
+  });
+
+  return {
+    /**
+     * Announces a change to `task` (omitted for resync). Pass the task as it
+     * was before an update so moving it between lists reaches both. A
+     * `nextOccurrence` on the task is announced as created too. Never throws:
+     * a failed publish only costs the live update.
+     */
+    publish(ownerId, type, task = null, previous = null) {
+      const changes = [[type, task, previous]];
+      if (task && task.nextOccurrence) {
+        changes.push(['task.created', task.nextOccurrence, null]);
+      }
+      changes.forEach(([changeType, changed, before]) => {
+        pubsub.publish(channelName(ownerId), toEvent(changeType, changed, before)).catch((error) => {
+          console.error('FAILED TO PUBLISH EVENT:', error);
+        });
+        if (webhooks) {
+          webhooks.notify(ownerId, changeType, changed, before);
+        }
+      });
+    },
+
+    /**
+     * Calls `listener(event)` for every event of the owner from now on. With
+     * `lastEventId`, first replays what came after it, or sends a resync when
+     * that event is no longer known. Resolves to an unsubscribe function.
+     */
+    async subscribe(ownerId, lastEventId, listener) {
+      const channel = openChannel(ownerId);
+      await channel.ready;
+      if (lastEventId) {
+        const index = channel.buffer.findIndex((event) => event.id === lastEventId);
+        if (index === -1) {
+          const latest = channel.buffer[channel.buffer.length - 1];
+          listener({ id: latest ? latest.id : null, type: 'resync', taskId: null, listIds: [] });
+        } else {
+          channel.buffer.slice(index + 1).forEach(listener);
+        }
+      }
+      channel.listeners.add(listener);
+      return () => {
+        channel.listeners.delete(listener);
+        releaseChannel(ownerId, channel);
+      };
+    },
+  };
+}
+
+module.exports = { createEventHub };
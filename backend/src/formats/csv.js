@@ -0,0 +1,164 @@
+const { httpError } = require('../errors');
+const { toIso, listNames, checklistLine, readChecklistLine } = require('./values');
+
+/*
+ * One task per row, for spreadsheets. Tags are separated by spaces and
+ * checklist items are "[x] step" lines inside one cell. Importing matches
+ * columns by name in any order; only `title` is required.
+ */
+
+const COLUMNS = [
+  'title',
+  'list',
+  'completed',
+  'dueAt',
+  'priority',
+  'tags',
+  'notes',
+  'estimateMinutes',
+  'recurrence',
+  'checklist',
+  'createdAt',
+  'updatedAt',
+];
+// Headers other tools commonly use, compared without case, spaces, _ or -
+const ALIASES = { task: 'title', name: 'title', due: 'dueAt', duedate: 'dueAt', done: 'completed', estimate: 'estimateMinutes' };
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', ''];
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const headerKey = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+const COLUMN_KEYS = new Map([
+  ...COLUMNS.map((column) => [headerKey(column), column]),
+  ...Object.entries(ALIASES),
+]);
+
+function cell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serialize({ lists, tasks }) {
+  const names = listNames(lists);
+  const rows = tasks.map((task) =>
+    [
+      task.title,
+      names.get(task.listId),
+      task.completed,
+      toIso(task.dueAt),
+      task.priority,
+      task.tags.join(' '),
+      task.notes,
+      task.estimateMinutes,
+      task.recurrence,
+      task.items.map(checklistLine).join('\n'),
+      toIso(task.createdAt),
+      toIso(task.updatedAt),
+    ].map(cell)
+  );
+  // The byte order mark tells Excel the file is UTF-8
+  return `\uFEFF${[COLUMNS, ...rows].map((row) => row.join(',')).join('\r\n')}\r\n`;
+}
+
+// RFC 4180 records, each with the line it starts on; blank lines are skipped
+function readRecords(text) {
+  const records = [];
+  let cells = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endRecord = () => {
+    cells.push(value);
+    if (cells.some((item) => item.trim())) {
+      records.push({ line: start, cells });
+    }
+    cells = [];
+    value = '';
+  };
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        line += char === '\n' ? 1 : 0;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(value);
+      value = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      endRecord();
+      line += 1;
+      start = line;
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) {
+    throw httpError(400, `Line ${start}: a quoted value is never closed`);
+  }
+  endRecord();
+  return records;
+}
+
+function readFlag(text) {
+  const value = text.toLowerCase();
+  if (TRUE_VALUES.includes(value)) return true;
+  if (FALSE_VALUES.includes(value)) return false;
+  return text;
+}
+
+// Turns the cells of one row into task fields; anything invalid is left for validation to report
+const readers = {
+  title: (text) => ({ title: text }),
+  list: (text) => ({ list: text ? { name: text } : null }),
+  completed: (text) => ({ completed: readFlag(text) }),
+  dueAt: (text) => ({ dueAt: text || null }),
+  priority: (text) => ({ priority: text.toLowerCase() || 'none' }),
+  tags: (text) => ({ tags: text.split(/[\s,]+/).filter(Boolean) }),
+  notes: (text) => ({ notes: text }),
+  estimateMinutes: (text) => ({ estimateMinutes: text ? Number(text) : null }),
+  recurrence: (text) => ({ recurrence: text || null }),
+  checklist: (text) => ({ items: text.split(/\r?\n/).filter((line) => line.trim()).map(readChecklistLine) }),
+  createdAt: (text) => (text ? { createdAt: text } : {}),
+  updatedAt: (text) => (text ? { updatedAt: text } : {}),
+};
+
+function parse(text) {
+  const [header, ...records] = readRecords(String(text).replace(/^\uFEFF/, ''));
+  const named = (header?.cells ?? []).map((name) => COLUMN_KEYS.get(headerKey(name.trim())) || null);
+  // Of repeated columns, the first one counts
+  const columns = named.map((column, index) => (named.indexOf(column) === index ? column : null));
+  if (!columns.includes('title')) {
+    throw httpError(400, 'The CSV needs a header row with a "title" column');
+  }
+  const tasks = records.map(({ line, cells }) => {
+    const { list = null, ...fields } = columns.reduce((row, column, index) => {
+      if (!column) {
+        return row;
+      }
+      const raw = (cells[index] ?? '').trim();
+      const text = raw.startsWith("'") && FORMULA_START.test(raw.slice(1)) ? raw.slice(1) : raw;
+      return { ...row, ...readers[column](text) };
+    }, {});
+    return { row: line, list, fields };
+  });
+  return { lists: [], tasks, warnings: [] };
+}
+
+module.exports = { contentType: 'text/csv', extension: 'csv', serialize, parse };
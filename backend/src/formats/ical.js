@@ -0,0 +1,238 @@
+const { httpError } = require('../errors');
+const { parseRule, formatRule } = require('../recurrence');
+const { toIso, listNames, checklistLine, readChecklistLine } = require('./values');
+
+/*
+ * An iCalendar (RFC 5545) file of VTODO entries, one per task. Tags become
+ * CATEGORIES and the rule RRULE; the list name and checklist items, which
+ * iCalendar has no place for, travel in X-TASKS-LIST and X-TASKS-ITEM.
+ * The calendar feed (routes/calendarRoutes.js) can ask for VEVENTs instead.
+ * Either way a task's UID never changes and SEQUENCE is its version, so
+ * apps update entries they have seen before.
+ * On import, times with a TZID or none are read as UTC, and a repeat rule
+ * outside the supported subset (see recurrence.js) is dropped with a warning.
+ */
+
+const PRODUCT_ID = '-//Personal Tasks//Tasks//EN';
+const MAX_LINE_OCTETS = 75;
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+// How long an event lasts when its task has no estimate
+const DEFAULT_EVENT_MINUTES = 30;
+
+const escapeText = (value) => String(value).replace(/[\\;,]/g, (char) => `\\${char}`).replace(/\r?\n/g, '\\n');
+const formatDate = (value) => toIso(value).replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Long lines are folded onto continuation lines that start with a space, without splitting characters
+function fold(line) {
+  const parts = [];
+  let part = '';
+  for (const char of line) {
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (Buffer.byteLength(part + char) > limit) {
+      parts.push(part);
+      part = '';
+    }
+    part += char;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+// The properties every entry starts with, whichever the component
+const entryLines = (task, stamp) => [
+  `UID:task-${task.id}@personal-tasks`,
+  `DTSTAMP:${stamp}`,
+  `CREATED:${formatDate(task.createdAt)}`,
+  `LAST-MODIFIED:${formatDate(task.updatedAt)}`,
+  `SEQUENCE:${task.version}`,
+  `SUMMARY:${escapeText(task.title)}`,
+];
+
+function todoLines(task, { listName, stamp }) {
+  const lines = [
+    'BEGIN:VTODO',
+    ...entryLines(task, stamp),
+    `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+  ];
+  if (task.notes) lines.push(`DESCRIPTION:${escapeText(task.notes)}`);
+  if (task.dueAt) lines.push(`DUE:${formatDate(task.dueAt)}`);
+  if (PRIORITIES[task.priority]) lines.push(`PRIORITY:${PRIORITIES[task.priority]}`);
+  if (task.tags.length) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  if (task.recurrence) lines.push(`RRULE:${task.recurrence}`);
+  if (listName) lines.push(`X-TASKS-LIST:${escapeText(listName)}`);
+  task.items.forEach((item) => lines.push(`X-TASKS-ITEM:${escapeText(checklistLine(item))}`));
+  lines.push('END:VTODO');
+  return lines;
+}
+
+// Calendars place an event at the due time, lasting the estimate. Repeating
+// tasks are left as single events: the next occurrence is a task of its own.
+function eventLines(task, { listName, stamp }) {
+  const minutes = task.estimateMinutes || DEFAULT_EVENT_MINUTES;
+  const lines = [
+    'BEGIN:VEVENT',
+    ...entryLines(task, stamp),
+    `DTSTART:${formatDate(task.dueAt)}`,
+    `DURATION:PT${minutes}M`,
+    'TRANSP:TRANSPARENT',
+  ];
+  if (task.notes) lines.push(`DESCRIPTION:${escapeText(task.notes)}`);
+  if (task.tags.length) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  if (listName) lines.push(`X-TASKS-LIST:${escapeText(listName)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serialises tasks as a VCALENDAR. `name` titles the calendar in apps that
+ * show one (X-WR-CALNAME). `component` is 'VTODO' or 'VEVENT', which needs
+ * every task to have a due date. `refresh`, an ISO 8601 duration, tells
+ * subscribed apps how often to reload.
+ */
+function serialize({ lists, tasks, exportedAt, name = 'Personal Tasks', component = 'VTODO', refresh = null }) {
+  const names = listNames(lists);
+  const stamp = formatDate(exportedAt);
+  const componentLines = component === 'VEVENT' ? eventLines : todoLines;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(refresh ? [`REFRESH-INTERVAL;VALUE=DURATION:${refresh}`, `X-PUBLISHED-TTL:${refresh}`] : []),
+    ...tasks.flatMap((task) => componentLines(task, { listName: names.get(task.listId), stamp })),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+// Unfolds continuation lines, keeping the number of the line each one started on
+function readLines(text) {
+  const lines = [];
+  String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      if (/^[ \t]/.test(line) && lines.length) {
+        lines[lines.length - 1].text += line.slice(1);
+      } else if (line) {
+        lines.push({ number: index + 1, text: line });
+      }
+    });
+  return lines;
+}
+
+// NAME;PARAM=...:VALUE, where quoted parameter values may contain colons
+function readProperty(text) {
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    if (text[index] === '"') {
+      quoted = !quoted;
+    } else if (text[index] === ':' && !quoted) {
+      return { name: text.slice(0, index).split(';')[0].toUpperCase(), value: text.slice(index + 1) };
+    }
+  }
+  return { name: text.toUpperCase(), value: '' };
+}
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (_match, char) => (/n/i.test(char) ? '\n' : char));
+// Splits on commas that are not escaped
+const splitList = (value) => value.split(/(?<!\\),/).map(unescapeText);
+
+function readDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}.000Z`;
+}
+
+function readPriority(value) {
+  const rank = Number(value);
+  if (rank >= 1 && rank <= 4) return 'high';
+  if (rank === 5) return 'medium';
+  if (rank >= 6 && rank <= 9) return 'low';
+  return 'none';
+}
+
+function readTodo(properties, row, warnings) {
+  const fields = { title: '', completed: false, tags: [], items: [] };
+  let list = null;
+  properties.forEach(({ name, value }) => {
+    switch (name) {
+      case 'SUMMARY':
+        fields.title = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        fields.notes = unescapeText(value);
+        break;
+      case 'DUE':
+        fields.dueAt = readDate(value);
+        break;
+      case 'STATUS':
+        fields.completed = fields.completed || value.toUpperCase() === 'COMPLETED';
+        break;
+      case 'COMPLETED':
+        fields.completed = true;
+        break;
+      case 'PRIORITY':
+        fields.priority = readPriority(value);
+        break;
+      case 'CATEGORIES':
+        fields.tags.push(...splitList(value).map((tag) => tag.trim().replace(/\s+/g, '-')).filter(Boolean));
+        break;
+      case 'RRULE':
+        try {
+          fields.recurrence = formatRule(parseRule(value));
+        } catch (error) {
+          warnings.push({ row, message: `Repeat rule ${value} is not supported and was left out` });
+        }
+        break;
+      case 'CREATED':
+        fields.createdAt = readDate(value);
+        break;
+      case 'LAST-MODIFIED':
+        fields.updatedAt = readDate(value);
+        break;
+      case 'X-TASKS-LIST':
+        list = { name: unescapeText(value) };
+        break;
+      case 'X-TASKS-ITEM':
+        fields.items.push(readChecklistLine(unescapeText(value)));
+        break;
+      default:
+    }
+  });
+  return { row, list, fields };
+}
+
+function parse(text) {
+  const lines = readLines(text);
+  if (!lines.length || readProperty(lines[0].text).value.toUpperCase() !== 'VCALENDAR') {
+    throw httpError(400, 'The file is not an iCalendar file');
+  }
+  const tasks = [];
+  const warnings = [];
+  // Components nested in a VTODO, such as VALARM, are skipped
+  let todo = null;
+  let depth = 0;
+  lines.forEach(({ number, text: line }) => {
+    const property = readProperty(line);
+    if (property.name === 'BEGIN' && !todo && property.value.toUpperCase() === 'VTODO') {
+      todo = { row: number, properties: [] };
+    } else if (property.name === 'BEGIN' && todo) {
+      depth += 1;
+    } else if (property.name === 'END' && todo && depth) {
+      depth -= 1;
+    } else if (property.name === 'END' && todo) {
+      tasks.push(readTodo(todo.properties, todo.row, warnings));
+      todo = null;
+    } else if (todo && !depth) {
+      todo.properties.push(property);
+    }
+  });
+  return { lists: [], tasks, warnings };
+}
+
+module.exports = { contentType: 'text/calendar', extension: 'ics', serialize, parse };
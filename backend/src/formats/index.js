@@ -0,0 +1,49 @@
+/*
+ * File formats for GET /export and POST /import. Each module has the shape
+ *
+ * format.contentType, format.extension
+ * format.serialize({ lists, tasks, exportedAt })   -> string
+ *     lists and tasks as the stores return them, tasks oldest first
+ * format.parse(text)                               -> { lists, tasks, warnings }
+ *     throws a 400 error when the file as a whole cannot be read
+ *
+ * lists    [{ key, fields }], the lists of a backup (JSON only)
+ * tasks    [{ row, key, list, fields }]
+ *          row: where the task is in the file (a line, or its place in a
+ *          backup), for error messages; key: its id in a backup;
+ *          list: { key } of a backup list, { name } of a list, or null;
+ *          fields: as POST /tasks takes them, plus items [{ title, done }]
+ *          and whatever the file keeps of createdAt, updatedAt and the
+ *          other backup-only fields (see taskImport.js)
+ * warnings [{ row, message }], for things that were left out
+ *
+ * Parsing only reads the file; taskImport.js validates the rows.
+ */
+
+const { httpError } = require('../errors');
+
+const FORMATS = {
+  json: require('./json'),
+  csv: require('./csv'),
+  md: require('./markdown'),
+  ics: require('./ical'),
+};
+const NAMES = Object.keys(FORMATS);
+
+function formatFor(name) {
+  if (!NAMES.includes(name)) {
+    throw httpError(400, `Format must be one of: ${NAMES.join(', ')}`);
+  }
+  return FORMATS[name];
+}
+
+// The format an upload is in, from ?format= or else its Content-Type
+function formatOf(req) {
+  if (req.query.format !== undefined) {
+    return String(req.query.format);
+  }
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return NAMES.find((name) => FORMATS[name].contentType === type) || 'json';
+}
+
+module.exports = { FORMATS, formatFor, formatOf };
@@ -0,0 +1,89 @@
+const { httpError } = require('../errors');
+const { toIso } = require('./values');
+
+/*
+ * The full backup: every list and task with all of their fields. Importing
+ * it into an empty account and exporting again gives back the same file,
+ * apart from the ids and exportedAt.
+ */
+
+const BACKUP_FORMAT = 'personal-tasks-backup';
+const BACKUP_VERSION = 1;
+const LIST_FIELDS = ['id', 'name', 'color', 'icon', 'archived', 'isInbox', 'createdAt', 'updatedAt'];
+const TASK_FIELDS = [
+  'id',
+  'listId',
+  'title',
+  'completed',
+  'dueAt',
+  'priority',
+  'notes',
+  'estimateMinutes',
+  'tags',
+  'autoComplete',
+  'recurrence',
+  'seriesId',
+  'position',
+  'createdBy',
+  'completedBy',
+  'version',
+  'items',
+  'createdAt',
+  'updatedAt',
+];
+
+// Fields keep the order the API uses; dates become ISO strings in place
+const pick = (record, fields) => ({
+  ...Object.fromEntries(fields.map((field) => [field, record[field]])),
+  createdAt: toIso(record.createdAt),
+  updatedAt: toIso(record.updatedAt),
+});
+
+function serialize({ lists, tasks, exportedAt }) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: toIso(exportedAt),
+    lists: lists.map((list) => pick(list, LIST_FIELDS)),
+    tasks: tasks.map((task) => ({
+      ...pick(task, TASK_FIELDS),
+      dueAt: toIso(task.dueAt),
+      items: task.items.map(({ id, title, done }) => ({ id, title, done })),
+    })),
+  };
+  return `${JSON.stringify(backup, null, 2)}\n`;
+}
+
+// Takes the file as text, or already parsed when it was sent as application/json
+function parse(input) {
+  let backup = input;
+  if (typeof input === 'string') {
+    try {
+      backup = JSON.parse(input);
+    } catch (error) {
+      throw httpError(400, 'The file is not valid JSON');
+    }
+  }
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw httpError(400, 'The file is not a backup exported by this app');
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw httpError(400, `Backups of version ${backup.version} are not supported`);
+  }
+  if (!Array.isArray(backup.lists) || !Array.isArray(backup.tasks)) {
+    throw httpError(400, 'A backup needs "lists" and "tasks" arrays');
+  }
+  const key = (record) => String(record?.id ?? '');
+  return {
+    lists: backup.lists.map((list) => ({ key: key(list), fields: list })),
+    tasks: backup.tasks.map((task, index) => ({
+      row: index + 1,
+      key: key(task),
+      list: { key: String(task?.listId ?? '') },
+      fields: task,
+    })),
+    warnings: [],
+  };
+}
+
+module.exports = { contentType: 'application/json', extension: 'json', serialize, parse };
@@ -0,0 +1,111 @@
+const { toIso, checklistLine, readChecklistLine } = require('./values');
+
+/*
+ * A checklist per list:
+ *
+ *   # Errands
+ *
+ *   - [ ] Renew passport !high due:2026-11-01 repeat:FREQ=YEARLY #paperwork
+ *     - [x] Fill in the form
+ *     > Bring two photos
+ *
+ * Trailing !priority, due:, repeat: and #tag words carry those fields,
+ * indented checkboxes are checklist items and indented "> " lines are notes.
+ * Importing also takes plain "- item" lines as open tasks. Tasks before the
+ * first heading go to the list chosen for the import.
+ */
+
+const TASK_LINE = /^([ \t]*)[-*+][ \t]+(?:\[([ xX])\][ \t]+)?(.*)$/;
+const HEADING = /^#{1,6}[ \t]+(.*?)[ \t#]*$/;
+const NOTE_LINE = /^[ \t]+>[ \t]?(.*)$/;
+const TOKENS = [
+  [/^#([\p{L}\p{N}_-]+)$/u, (fields, tag) => ({ ...fields, tags: [tag, ...fields.tags] })],
+  [/^!(low|medium|high)$/, (fields, priority) => ({ ...fields, priority })],
+  [/^due:(\S+)$/, (fields, dueAt) => ({ ...fields, dueAt })],
+  [/^repeat:(\S+)$/, (fields, recurrence) => ({ ...fields, recurrence })],
+];
+
+// Dates at midnight UTC are written without a time
+function formatDue(dueAt) {
+  const iso = toIso(dueAt);
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+function taskLine(task) {
+  const words = [`- [${task.completed ? 'x' : ' '}] ${task.title}`];
+  if (task.priority !== 'none') words.push(`!${task.priority}`);
+  if (task.dueAt) words.push(`due:${formatDue(task.dueAt)}`);
+  if (task.recurrence) words.push(`repeat:${task.recurrence}`);
+  task.tags.forEach((tag) => words.push(`#${tag}`));
+  return [
+    words.join(' '),
+    ...task.items.map((item) => `  - ${checklistLine(item)}`),
+    ...(task.notes ? task.notes.split('\n').map((line) => `  > ${line}`.trimEnd()) : []),
+  ];
+}
+
+function serialize({ lists, tasks }) {
+  const sections = lists
+    .map((list) => ({ list, tasks: tasks.filter((task) => task.listId === list.id) }))
+    .filter((section) => section.tasks.length)
+    .map((section) => [`# ${section.list.name}`, '', ...section.tasks.flatMap(taskLine)].join('\n'));
+  return `${sections.join('\n\n')}\n`;
+}
+
+// Splits trailing field words off a task line
+function readTaskText(text) {
+  const words = text.trim().split(/\s+/);
+  let fields = { tags: [] };
+  while (words.length > 1) {
+    const word = words[words.length - 1];
+    const token = TOKENS.find(([pattern]) => pattern.test(word));
+    if (!token) {
+      break;
+    }
+    fields = token[1](fields, word.match(token[0])[1]);
+    words.pop();
+  }
+  return { ...fields, title: words.join(' ') };
+}
+
+function parse(text) {
+  const tasks = [];
+  let list = null;
+  let current = null;
+  let notes = [];
+  const finishTask = () => {
+    if (current) {
+      current.fields.notes = notes.join('\n');
+    }
+    notes = [];
+  };
+
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      const heading = line.match(HEADING);
+      const note = line.match(NOTE_LINE);
+      const item = line.match(TASK_LINE);
+      if (heading) {
+        finishTask();
+        current = null;
+        list = heading[1] ? { name: heading[1] } : null;
+      } else if (note && current) {
+        notes.push(note[1]);
+      } else if (item && current && item[1].replace(/\t/g, '  ').length >= 2) {
+        current.fields.items.push(readChecklistLine(`[${item[2] || ' '}] ${item[3]}`));
+      } else if (item) {
+        finishTask();
+        current = {
+          row: index + 1,
+          list,
+          fields: { ...readTaskText(item[3]), completed: Boolean(item[2]) && item[2] !== ' ', items: [] },
+        };
+        tasks.push(current);
+      }
+    });
+  finishTask();
+  return { lists: [], tasks, warnings: [] };
+}
+
+module.exports = { contentType: 'text/markdown', extension: 'md', serialize, parse };
@@ -0,0 +1,16 @@
+// Value conversions shared by the export formats
+
+// Stores may hand out Date objects or ISO strings; files always get ISO strings
+const toIso = (value) => (value === null || value === undefined ? null : new Date(value).toISOString());
+
+const listNames = (lists) => new Map(lists.map((list) => [list.id, list.name]));
+
+// A checklist item as one line of text, "[x] Call the bank", in CSV cells, Markdown and iCalendar
+const checklistLine = ({ title, done }) => `[${done ? 'x' : ' '}] ${title}`;
+
+function readChecklistLine(line) {
+  const match = line.match(/^\s*\[([ xX])\]\s*(.*)$/);
+  return match ? { title: match[2].trim(), done: match[1] !== ' ' } : { title: line.trim(), done: false };
+}
+
+module.exports = { toIso, listNames, checklistLine, readChecklistLine };
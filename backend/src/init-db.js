@@ -1,7 +1,13 @@
-const { bootstrapDatabase } = require('./db');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(__dirname, '../../.env') });
+
+const { bootstrapDatabase, closeDatabase } = require('./db');
 
 bootstrapDatabase()
-  .then(() => {
+  .then(async () => {
+    await closeDatabase();
     console.log('Database initialized successfully.');
     process.exit(0);
   })
@@ -0,0 +1,77 @@
+const { httpError } = require('./errors');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_ICON_LENGTH = 16;
+const INBOX_NAME = 'Inbox';
+
+const LIST_DEFAULTS = {
+  color: null,
+  icon: null,
+  archived: false,
+  isInbox: false,
+};
+
+function readName(value) {
+  const name = String(value ?? '').trim();
+  if (!name) {
+    throw httpError(400, 'List name cannot be empty');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `List name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+}
+
+function readColor(value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+    throw httpError(400, 'Color must be a hex value like #3366ff');
+  }
+  return value.toLowerCase();
+}
+
+function readIcon(value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.trim().length > MAX_ICON_LENGTH) {
+    throw httpError(400, `Icon must be at most ${MAX_ICON_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+const readers = {
+  name: readName,
+  color: readColor,
+  icon: readIcon,
+  archived: (value) => {
+    if (typeof value !== 'boolean') {
+      throw httpError(400, 'Archived must be true or false');
+    }
+    return value;
+  },
+};
+
+/**
+ * Validates the writable list fields of a request body and returns only the
+ * ones that were sent. When `creating`, a name is required.
+ */
+function readListInput(body, { creating = false } = {}) {
+  const input = {};
+
+  if (creating && !String(body.name ?? '').trim()) {
+    throw httpError(400, 'List name is required');
+  }
+
+  Object.entries(readers).forEach(([field, read]) => {
+    if (body[field] !== undefined) {
+      input[field] = read(body[field]);
+    }
+  });
+
+  return input;
+}
+
+module.exports = { INBOX_NAME, LIST_DEFAULTS, readListInput };
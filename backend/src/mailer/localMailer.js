@@ -0,0 +1,31 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { formatMessage } = require('./message');
+
+/*
+ * Mailers that never leave the machine. Links in account emails are the
+ * only way to finish a reset or a verification, so in development they are
+ * printed or saved where they can be copied from.
+ */
+
+function createConsoleMailer({ from }) {
+  return {
+    async send(message) {
+      console.log(`MAIL\n${formatMessage(message, { from }).replace(/\r\n/g, '\n')}\n`);
+    },
+  };
+}
+
+// One file per message, named so that a directory listing is in sending order
+function createFileMailer(dir, { from }) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      await fs.writeFile(path.join(dir, name), formatMessage(message, { from }));
+    },
+  };
+}
+
+module.exports = { createConsoleMailer, createFileMailer };
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// RFC 2047 encoding for header text that is not plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// The address part of "Name <address>", or the whole value when there is no name
+function addressOf(mailbox) {
+  const match = /<([^>]+)>\s*$/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+function formatFrom(from) {
+  const match = /^(.*?)\s*<([^>]+)>\s*$/.exec(from);
+  return match && match[1] ? `${encodeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2]}>` : from;
+}
+
+/**
+ * Renders a message as an RFC 5322 text with CRLF line endings. Header
+ * values are taken as given, so callers must not pass line breaks in them.
+ */
+function formatMessage({ to, subject, text }, { from }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const body = text.replace(/\r?\n/g, '\r\n');
+  return [
+    `From: ${formatFrom(from)}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+module.exports = { addressOf, formatMessage };
@@ -0,0 +1,174 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { addressOf, formatMessage } = require('./message');
+
+/*
+ * A minimal SMTP client: one connection per message, STARTTLS when the
+ * server offers it (or TLS from the start for smtps://), AUTH PLAIN when the
+ * URL has credentials. Account emails are rare enough that pooling
+ * connections is not worth it.
+ */
+
+const TIMEOUT_MS = 30 * 1000;
+
+function smtpError(message, reply) {
+  const error = new Error(reply ? `${message}: ${reply.code} ${reply.lines.join(' ')}` : message);
+  error.reply = reply;
+  return error;
+}
+
+/*
+ * Reads replies off a socket. A reply is one or more lines, all but the last
+ * with a dash after the code ("250-SIZE", then "250 HELP").
+ */
+function replyReader(socket) {
+  const replies = [];
+  const waiting = [];
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+
+  function settle() {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: Number.parseInt(line.slice(0, 3), 10), lines });
+        lines = [];
+      }
+    }
+    settle();
+  }
+
+  function onFailure(error) {
+    failure = failure || error || smtpError('SMTP connection closed');
+    settle();
+  }
+
+  let current = null;
+  const onClose = () => onFailure();
+  const onTimeout = () => {
+    onFailure(smtpError('SMTP server timed out'));
+    current.destroy();
+  };
+
+  function attach(target) {
+    current = target;
+    target.on('data', onData);
+    target.on('error', onFailure);
+    target.on('close', onClose);
+    target.setTimeout(TIMEOUT_MS, onTimeout);
+  }
+
+  attach(socket);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+    // Before STARTTLS hands the socket over; the replies then come through the TLS socket
+    detach() {
+      current.off('data', onData);
+      current.off('error', onFailure);
+      current.off('close', onClose);
+      current.setTimeout(0);
+    },
+    attach,
+  };
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+}
+
+// Lines starting with a dot get another one, so none of them ends the DATA section
+const dotStuff = (text) => text.replace(/^\./gm, '..');
+
+function createSmtpMailer(url, { from }) {
+  const parsed = new URL(url);
+  const secure = parsed.protocol === 'smtps:';
+  const host = parsed.hostname;
+  const port = Number.parseInt(parsed.port, 10) || (secure ? 465 : 587);
+  const username = decodeURIComponent(parsed.username);
+  const password = decodeURIComponent(parsed.password);
+  const sender = addressOf(from);
+
+  return {
+    async send(message) {
+      let socket = await connect({ host, port, secure });
+      const replies = replyReader(socket);
+
+      async function command(line, expected) {
+        if (line !== null) {
+          socket.write(`${line}\r\n`);
+        }
+        const reply = await replies.next();
+        if (Math.floor(reply.code / 100) !== expected) {
+          throw smtpError(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed`, reply);
+        }
+        return reply;
+      }
+
+      const hello = async () => {
+        const reply = await command(`EHLO ${os.hostname()}`, 2);
+        return reply.lines.map((line) => line.toUpperCase());
+      };
+
+      try {
+        await command(null, 2);
+        let extensions = await hello();
+        if (!secure && extensions.includes('STARTTLS')) {
+          await command('STARTTLS', 2);
+          replies.detach();
+          socket = await upgrade(socket, host);
+          replies.attach(socket);
+          extensions = await hello();
+        }
+        if (username) {
+          const credentials = Buffer.from(`\0${username}\0${password}`).toString('base64');
+          await command(`AUTH PLAIN ${credentials}`, 2);
+        }
+        const body = extensions.includes('8BITMIME') ? ' BODY=8BITMIME' : '';
+        await command(`MAIL FROM:<${sender}>${body}`, 2);
+        await command(`RCPT TO:<${message.to}>`, 2);
+        await command('DATA', 3);
+        await command(`${dotStuff(formatMessage(message, { from }))}\r\n.`, 2);
+        await command('QUIT', 2).catch(() => null);
+      } finally {
+        socket.destroy();
+      }
+    },
+  };
+}
+
+module.exports = { createSmtpMailer };
@@ -0,0 +1,22 @@
+module.exports = {
+  up: ({ types: t }) => [
+    `CREATE TABLE users (
+      id ${t.id},
+      name ${t.string} NOT NULL,
+      email ${t.string} NOT NULL UNIQUE,
+      password_hash ${t.string} NOT NULL,
+      created_at ${t.timestamp} NOT NULL,
+      updated_at ${t.timestamp} NOT NULL
+    )`,
+    `CREATE TABLE tasks (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      title ${t.string} NOT NULL,
+      completed ${t.boolean} NOT NULL DEFAULT FALSE,
+      created_at ${t.timestamp} NOT NULL,
+      updated_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX tasks_user_created_idx ON tasks (user_id, created_at)',
+  ],
+};
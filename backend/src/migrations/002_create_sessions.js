@@ -0,0 +1,15 @@
+module.exports = {
+  up: ({ types: t }) => [
+    `CREATE TABLE sessions (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      refresh_token_hash ${t.string} NOT NULL UNIQUE,
+      expires_at ${t.timestamp} NOT NULL,
+      revoked_at ${t.timestamp},
+      created_at ${t.timestamp} NOT NULL,
+      updated_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX sessions_user_idx ON sessions (user_id)',
+  ],
+};
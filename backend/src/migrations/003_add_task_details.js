@@ -0,0 +1,8 @@
+module.exports = {
+  up: ({ types: t }) => [
+    `ALTER TABLE tasks ADD COLUMN due_at ${t.timestamp}`,
+    `ALTER TABLE tasks ADD COLUMN priority ${t.integer} NOT NULL DEFAULT 0`,
+    `ALTER TABLE tasks ADD COLUMN notes ${t.text}`,
+    `ALTER TABLE tasks ADD COLUMN estimate_minutes ${t.integer}`,
+  ],
+};
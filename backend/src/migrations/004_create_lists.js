@@ -0,0 +1,26 @@
+module.exports = {
+  up: ({ dialect, types: t }) => [
+    `CREATE TABLE lists (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      name ${t.string} NOT NULL,
+      color ${t.string},
+      icon ${t.string},
+      archived ${t.boolean} NOT NULL DEFAULT FALSE,
+      is_inbox ${t.boolean} NOT NULL DEFAULT FALSE,
+      created_at ${t.timestamp} NOT NULL,
+      updated_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX lists_user_idx ON lists (user_id)',
+    // Every existing user gets an inbox that adopts their current tasks
+    `INSERT INTO lists (user_id, name, archived, is_inbox, created_at, updated_at)
+      SELECT id, 'Inbox', FALSE, TRUE, NOW(), NOW() FROM users`,
+    // MySQL ignores inline REFERENCES; SQLite cannot add a constraint separately
+    dialect === 'mysql'
+      ? `ALTER TABLE tasks ADD COLUMN list_id ${t.foreignId}, ADD FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE`
+      : `ALTER TABLE tasks ADD COLUMN list_id ${t.foreignId} REFERENCES lists(id) ON DELETE CASCADE`,
+    'UPDATE tasks SET list_id = (SELECT lists.id FROM lists WHERE lists.user_id = tasks.user_id AND lists.is_inbox = TRUE)',
+    'CREATE INDEX tasks_list_idx ON tasks (list_id)',
+  ],
+};
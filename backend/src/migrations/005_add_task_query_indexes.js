@@ -0,0 +1,10 @@
+// Supports the filters and sort orders of GET /tasks (see taskQuery.js)
+module.exports = {
+  up: () => [
+    'CREATE INDEX tasks_user_updated_idx ON tasks (user_id, updated_at)',
+    'CREATE INDEX tasks_user_due_idx ON tasks (user_id, due_at)',
+    'CREATE INDEX tasks_user_priority_idx ON tasks (user_id, priority)',
+    'CREATE INDEX tasks_user_completed_created_idx ON tasks (user_id, completed, created_at)',
+    'CREATE INDEX tasks_list_created_idx ON tasks (list_id, created_at)',
+  ],
+};
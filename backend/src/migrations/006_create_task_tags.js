@@ -0,0 +1,13 @@
+module.exports = {
+  up: ({ types: t }) => [
+    `CREATE TABLE task_tags (
+      task_id ${t.foreignId} NOT NULL,
+      user_id ${t.foreignId} NOT NULL,
+      tag ${t.string} NOT NULL,
+      PRIMARY KEY (task_id, tag),
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX task_tags_user_tag_idx ON task_tags (user_id, tag)',
+  ],
+};
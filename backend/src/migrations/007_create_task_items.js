@@ -0,0 +1,14 @@
+module.exports = {
+  up: ({ types: t }) => [
+    `ALTER TABLE tasks ADD COLUMN auto_complete ${t.boolean} NOT NULL DEFAULT FALSE`,
+    `CREATE TABLE task_items (
+      id ${t.id},
+      task_id ${t.foreignId} NOT NULL,
+      title ${t.string} NOT NULL,
+      done ${t.boolean} NOT NULL DEFAULT FALSE,
+      position ${t.integer} NOT NULL,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX task_items_task_position_idx ON task_items (task_id, position)',
+  ],
+};
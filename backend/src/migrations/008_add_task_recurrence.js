@@ -0,0 +1,8 @@
+module.exports = {
+  up: ({ types: t }) => [
+    `ALTER TABLE tasks ADD COLUMN recurrence ${t.string}`,
+    // No foreign key: a series outlives the task that started it
+    `ALTER TABLE tasks ADD COLUMN series_id ${t.foreignId}`,
+    'CREATE INDEX tasks_series_idx ON tasks (series_id)',
+  ],
+};
@@ -0,0 +1,15 @@
+// Existing tasks keep their newest-first order: a higher id gets a lower
+// rank. The ranks are fixed-width digit strings (see rank.js) ending in 1.
+const backfill = {
+  postgres: "'h' || LPAD(CAST(1000000000 - id AS TEXT), 10, '0') || '1'",
+  mysql: "CONCAT('h', LPAD(CAST(1000000000 - id AS CHAR), 10, '0'), '1')",
+  sqlite: "'h' || substr('0000000000' || (1000000000 - id), -10) || '1'",
+};
+
+module.exports = {
+  up: ({ dialect, types: t }) => [
+    `ALTER TABLE tasks ADD COLUMN position ${t.string}`,
+    `UPDATE tasks SET position = ${backfill[dialect]}`,
+    'CREATE INDEX tasks_user_position_idx ON tasks (user_id, position)',
+  ],
+};
@@ -0,0 +1,32 @@
+module.exports = {
+  up: ({ dialect, types: t }) => [
+    // A null list_id shares all of the owner's lists
+    `CREATE TABLE memberships (
+      id ${t.id},
+      owner_id ${t.foreignId} NOT NULL,
+      list_id ${t.foreignId},
+      user_id ${t.foreignId} NOT NULL,
+      role ${t.string} NOT NULL,
+      status ${t.string} NOT NULL,
+      created_at ${t.timestamp} NOT NULL,
+      updated_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX memberships_user_idx ON memberships (user_id)',
+    'CREATE INDEX memberships_owner_list_idx ON memberships (owner_id, list_id)',
+    ...(dialect === 'mysql'
+      ? [
+          `ALTER TABLE tasks ADD COLUMN created_by ${t.foreignId}, ADD COLUMN completed_by ${t.foreignId},
+            ADD FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+            ADD FOREIGN KEY (completed_by) REFERENCES users(id) ON DELETE SET NULL`,
+        ]
+      : [
+          `ALTER TABLE tasks ADD COLUMN created_by ${t.foreignId} REFERENCES users(id) ON DELETE SET NULL`,
+          `ALTER TABLE tasks ADD COLUMN completed_by ${t.foreignId} REFERENCES users(id) ON DELETE SET NULL`,
+        ]),
+    // Until now every task was created by its owner
+    'UPDATE tasks SET created_by = user_id',
+  ],
+};
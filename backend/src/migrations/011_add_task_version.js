@@ -0,0 +1,4 @@
+// Bumped on every change to a task; served as its ETag (see taskVersions.js)
+module.exports = {
+  up: ({ types: t }) => [`ALTER TABLE tasks ADD COLUMN version ${t.integer} NOT NULL DEFAULT 1`],
+};
@@ -0,0 +1,13 @@
+// One secret calendar feed URL per user; only the token's hash is kept
+module.exports = {
+  up: ({ types: t }) => [
+    `CREATE TABLE calendar_feeds (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL UNIQUE,
+      token_hash ${t.string} NOT NULL UNIQUE,
+      created_at ${t.timestamp} NOT NULL,
+      updated_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+  ],
+};
@@ -0,0 +1,7 @@
+// Deleted tasks stay in the trash until restored or purged (see trash.js)
+module.exports = {
+  up: ({ types: t }) => [
+    `ALTER TABLE tasks ADD COLUMN deleted_at ${t.timestamp}`,
+    'CREATE INDEX tasks_deleted_idx ON tasks (deleted_at)',
+  ],
+};
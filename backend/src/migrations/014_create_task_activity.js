@@ -0,0 +1,21 @@
+// Append-only task history (see activity.js). No key on task_id: entries
+// outlive the tasks they describe once those are purged from the trash.
+module.exports = {
+  up: ({ types: t }) => [
+    `CREATE TABLE task_activity (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      task_id ${t.foreignId} NOT NULL,
+      list_id ${t.foreignId},
+      actor_id ${t.foreignId},
+      action ${t.string} NOT NULL,
+      title ${t.text} NOT NULL,
+      changes ${t.text} NOT NULL,
+      created_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+    )`,
+    'CREATE INDEX task_activity_user_idx ON task_activity (user_id, id)',
+    'CREATE INDEX task_activity_task_idx ON task_activity (task_id, id)',
+  ],
+};
@@ -0,0 +1,17 @@
+// Password reset and email verification links (see accountEmails.js). Only
+// the token's hash is kept, and a token is deleted once it has been used.
+module.exports = {
+  up: ({ types: t }) => [
+    `ALTER TABLE users ADD COLUMN email_verified_at ${t.timestamp}`,
+    `CREATE TABLE user_tokens (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      purpose ${t.string} NOT NULL,
+      token_hash ${t.string} NOT NULL UNIQUE,
+      expires_at ${t.timestamp} NOT NULL,
+      created_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX user_tokens_user_idx ON user_tokens (user_id, purpose)',
+  ],
+};
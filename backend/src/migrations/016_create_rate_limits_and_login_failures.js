@@ -0,0 +1,22 @@
+// Rate limit counts when they are kept in the database (see counters/), and
+// the failed logins an account owner can review (see throttle.js)
+module.exports = {
+  up: ({ types: t }) => [
+    `CREATE TABLE rate_limit_counters (
+      counter_key ${t.string} NOT NULL PRIMARY KEY,
+      hits ${t.integer} NOT NULL,
+      reset_at ${t.timestamp} NOT NULL
+    )`,
+    'CREATE INDEX rate_limit_counters_reset_idx ON rate_limit_counters (reset_at)',
+    `CREATE TABLE login_failures (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      ip ${t.string},
+      user_agent ${t.string},
+      reason ${t.string} NOT NULL,
+      created_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX login_failures_user_idx ON login_failures (user_id, id)',
+  ],
+};
@@ -0,0 +1,8 @@
+// What the account page shows about each signed-in session: the browser or
+// client that started it and the address it came from
+module.exports = {
+  up: ({ types: t }) => [
+    `ALTER TABLE sessions ADD COLUMN user_agent ${t.string}`,
+    `ALTER TABLE sessions ADD COLUMN ip ${t.string}`,
+  ],
+};
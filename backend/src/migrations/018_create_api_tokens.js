@@ -0,0 +1,18 @@
+// Personal API tokens for scripts and integrations (see apiTokens.js). Only
+// the token's hash is kept; scopes are stored space-separated.
+module.exports = {
+  up: ({ types: t }) => [
+    `CREATE TABLE api_tokens (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      name ${t.string} NOT NULL,
+      token_hash ${t.string} NOT NULL UNIQUE,
+      scopes ${t.string} NOT NULL,
+      expires_at ${t.timestamp},
+      last_used_at ${t.timestamp},
+      created_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX api_tokens_user_idx ON api_tokens (user_id)',
+  ],
+};
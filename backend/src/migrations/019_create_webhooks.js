@@ -0,0 +1,37 @@
+// Outgoing webhooks and their delivery log (see webhooks.js). Event types are
+// stored space-separated; a delivery keeps its JSON payload for retries.
+module.exports = {
+  up: ({ types: t }) => [
+    `CREATE TABLE webhooks (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      url ${t.text} NOT NULL,
+      events ${t.string} NOT NULL,
+      secret ${t.string} NOT NULL,
+      active ${t.boolean} NOT NULL,
+      created_at ${t.timestamp} NOT NULL,
+      updated_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX webhooks_user_idx ON webhooks (user_id)',
+    `CREATE TABLE webhook_deliveries (
+      id ${t.id},
+      user_id ${t.foreignId} NOT NULL,
+      webhook_id ${t.foreignId} NOT NULL,
+      event_id ${t.string} NOT NULL,
+      type ${t.string} NOT NULL,
+      payload ${t.text} NOT NULL,
+      status ${t.string} NOT NULL,
+      attempts ${t.integer} NOT NULL,
+      response_status ${t.integer},
+      error ${t.text},
+      next_attempt_at ${t.timestamp},
+      created_at ${t.timestamp} NOT NULL,
+      updated_at ${t.timestamp} NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX webhook_deliveries_webhook_idx ON webhook_deliveries (webhook_id, id)',
+    'CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at)',
+  ],
+};
@@ -0,0 +1,15 @@
+// Ranks (see rank.js) grow as tasks keep being added at the top or moved
+// into the same gap, so 255 characters is not enough. MySQL can only index
+// the start of a TEXT column; SQLite's column is TEXT already.
+module.exports = {
+  up: ({ dialect, types: t }) => {
+    if (dialect === 'mysql') {
+      return [
+        'DROP INDEX tasks_user_position_idx ON tasks',
+        `ALTER TABLE tasks MODIFY position ${t.text}`,
+        'CREATE INDEX tasks_user_position_idx ON tasks (user_id, position(191))',
+      ];
+    }
+    return dialect === 'postgres' ? [`ALTER TABLE tasks ALTER COLUMN position TYPE ${t.text}`] : [];
+  },
+};
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Append-only task history, see activity.js
+const activitySchema = new mongoose.Schema({
+  // The owner of the task
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Who made the change; the owner or a member
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  // The task's title right after the change
+  title: {
+    type: String,
+    required: true,
+  },
+  // { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: false });
+
+activitySchema.index({ userId: 1, _id: -1 });
+activitySchema.index({ taskId: 1, _id: -1 });
+
+module.exports = mongoose.models.Activity || mongoose.model("Activity", activitySchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Personal API tokens, see apiTokens.js; only the token's hash is kept
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scopes: {
+    type: [String],
+    required: true,
+  },
+  // Null for a token that does not expire
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+apiTokenSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.ApiToken || mongoose.model("ApiToken", apiTokenSchema);
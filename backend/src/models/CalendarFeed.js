@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// One secret calendar feed URL per user; only the token's hash is kept
+const calendarFeedSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.models.CalendarFeed || mongoose.model("CalendarFeed", calendarFeedSchema);
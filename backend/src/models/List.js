@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const listSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  color: {
+    type: String,
+    default: null,
+  },
+  icon: {
+    type: String,
+    default: null,
+  },
+  archived: {
+    type: Boolean,
+    default: false,
+  },
+  isInbox: {
+    type: Boolean,
+    default: false,
+  },
+}, { timestamps: true });
+
+listSchema.index({ userId: 1, isInbox: -1, createdAt: 1 });
+
+module.exports = mongoose.models.List || mongoose.model("List", listSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Failed logins into an account, shown to its owner
+const loginFailureSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+loginFailureSchema.index({ userId: 1, _id: -1 });
+
+module.exports = mongoose.models.LoginFailure || mongoose.model("LoginFailure", loginFailureSchema);
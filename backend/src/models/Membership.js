@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const membershipSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // null shares all of the owner's lists
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "List",
+    default: null,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["editor", "viewer"],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted"],
+    default: "pending",
+  },
+}, { timestamps: true });
+
+membershipSchema.index({ userId: 1 });
+membershipSchema.index({ ownerId: 1, listId: 1 });
+
+module.exports = mongoose.models.Membership || mongoose.model("Membership", membershipSchema);
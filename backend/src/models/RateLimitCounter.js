@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Rate limit counts when RATE_LIMIT_STORE=database; MongoDB drops them once their window is over
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  hits: {
+    type: Number,
+    required: true,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RateLimitCounter || mongoose.model("RateLimitCounter", rateLimitCounterSchema);
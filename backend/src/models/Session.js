@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  // The client that signed in, for the account page's list of sessions
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.models.Session || mongoose.model("Session", sessionSchema);
@@ -1,6 +1,27 @@
 const mongoose = require("mongoose");
 
+const itemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const taskSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "List",
+    required: true,
+  },
   title: {
     type: String,
     required: true,
@@ -9,6 +30,88 @@ const taskSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  dueAt: {
+    type: Date,
+    default: null,
+  },
+  // 0 = none, 1 = low, 2 = medium, 3 = high
+  priority: {
+    type: Number,
+    min: 0,
+    max: 3,
+    default: 0,
+  },
+  notes: {
+    type: String,
+    default: "",
+  },
+  estimateMinutes: {
+    type: Number,
+    default: null,
+  },
+  // Normalised by taskFields.normalizeTag, kept sorted
+  tags: {
+    type: [String],
+    default: [],
+  },
+  autoComplete: {
+    type: Boolean,
+    default: false,
+  },
+  // RRULE subset, see recurrence.js
+  recurrence: {
+    type: String,
+    default: null,
+  },
+  // The first task of a recurring series; shared by every occurrence
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Manual order, see rank.js
+  position: {
+    type: String,
+    default: null,
+  },
+  // Who added the task and who last completed it; differs from userId on shared lists
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Bumped on every change, for If-Match (see taskVersions.js). Tasks from
+  // before versioning have none until their first change.
+  version: {
+    type: Number,
+    default: 1,
+  },
+  // Checklist, in display order
+  items: {
+    type: [itemSchema],
+    default: [],
+  },
+  // Set while the task is in the trash (see trash.js)
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
 }, { timestamps: true });
 
-module.exports = mongoose.model("Task", taskSchema);
+// Support the filters and sort orders of GET /tasks (see taskQuery.js)
+taskSchema.index({ userId: 1, createdAt: -1 });
+taskSchema.index({ userId: 1, updatedAt: -1 });
+taskSchema.index({ userId: 1, dueAt: 1 });
+taskSchema.index({ userId: 1, priority: -1 });
+taskSchema.index({ userId: 1, completed: 1, createdAt: -1 });
+taskSchema.index({ listId: 1, createdAt: -1 });
+taskSchema.index({ userId: 1, tags: 1 });
+taskSchema.index({ seriesId: 1 });
+taskSchema.index({ userId: 1, position: 1 });
+taskSchema.index({ deletedAt: 1 });
+
+module.exports = mongoose.models.Task || mongoose.model("Task", taskSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  password_hash: {
+    type: String,
+    required: true,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.models.User || mongoose.model("User", userSchema);
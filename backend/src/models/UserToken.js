@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Password reset and email verification links; only the token's hash is kept
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  purpose: {
+    type: String,
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+
+module.exports = mongoose.models.UserToken || mongoose.model("UserToken", userTokenSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Outgoing webhooks, see webhooks.js. The secret signs every delivery.
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  events: {
+    type: [String],
+    required: true,
+  },
+  secret: {
+    type: String,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+webhookSchema.index({ userId: 1, _id: 1 });
+
+module.exports = mongoose.models.Webhook || mongoose.model("Webhook", webhookSchema);
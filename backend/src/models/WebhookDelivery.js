@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// One event sent, or still to send, to a webhook, with how its attempts went
+const webhookDeliverySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // pending while attempts are left, then succeeded or failed
+  status: {
+    type: String,
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  responseStatus: {
+    type: Number,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true, minimize: false });
+
+webhookDeliverySchema.index({ webhookId: 1, _id: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.models.WebhookDelivery || mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,53 @@
+/*
+ * What a new password must be: long enough, short enough for bcrypt (which
+ * ignores everything past 72 bytes), not the user's own name or email, and
+ * not on the bundled list of passwords that turn up most in breach dumps,
+ * since those are the first an attacker tries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_MIN_LENGTH = Number.parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const PASSWORD_MAX_BYTES = 72;
+const SALT_ROUNDS = 10;
+// PASSWORD_CHECK_COMMON=false skips the list, e.g. for test fixtures
+const CHECK_COMMON = process.env.PASSWORD_CHECK_COMMON !== 'false';
+
+let commonPasswords = null;
+
+// Loaded on first use; the list is lowercase, one password per line
+function isCommon(password) {
+  if (!commonPasswords) {
+    const list = fs.readFileSync(path.join(__dirname, 'commonPasswords.txt'), 'utf8');
+    commonPasswords = new Set(list.split('\n').filter(Boolean));
+  }
+  return commonPasswords.has(password.toLowerCase());
+}
+
+/**
+ * The reason `password` is not acceptable for the user with `email` and
+ * `name`, or null when it is.
+ */
+function passwordProblem(password, { email = '', name = '' } = {}) {
+  if ([...password].length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    return `Password must be at most ${PASSWORD_MAX_BYTES} bytes`;
+  }
+  const lower = password.toLowerCase();
+  if ([email, email.split('@')[0], name].some((value) => value && lower === value.toLowerCase())) {
+    return 'Password must not be your name or email';
+  }
+  if (CHECK_COMMON && isCommon(password)) {
+    return 'This password is too common, please choose another one';
+  }
+  return null;
+}
+
+// What users.create and users.update store for a password that passed the policy
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+module.exports = { passwordProblem, hashPassword };
@@ -0,0 +1,26 @@
+/*
+ * Live updates travel through a pub/sub so that an event published by one
+ * server instance reaches the streams open on every other instance. Each
+ * implementation in this directory has the shape below:
+ *
+ * pubsub.publish(channel, message)       -> Promise, resolves once sent
+ * pubsub.subscribe(channel, listener)    -> Promise<unsubscribe()>, resolves once listening
+ * pubsub.close()                         -> Promise
+ *
+ * Messages are plain JSON-serialisable objects. Listeners receive every
+ * message published on their channel after they subscribed, in publish
+ * order, including the ones published by the same instance.
+ *
+ * The in-process pub/sub is the default and is all a single server needs.
+ * Setting PUBSUB_URL to a Postgres URL switches to LISTEN/NOTIFY so several
+ * instances behind a load balancer see each other's events.
+ */
+
+const { createMemoryPubSub } = require('./memoryPubSub');
+const { createPostgresPubSub } = require('./postgresPubSub');
+
+function createPubSubFromEnv() {
+  return process.env.PUBSUB_URL ? createPostgresPubSub(process.env.PUBSUB_URL) : createMemoryPubSub();
+}
+
+module.exports = { createMemoryPubSub, createPostgresPubSub, createPubSubFromEnv };
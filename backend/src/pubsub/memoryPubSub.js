@@ -0,0 +1,26 @@
+const { EventEmitter } = require('events');
+
+/*
+ * Delivers messages within this process only. Delivery is deferred to a
+ * microtask so publishers never run listener code inline, as with the
+ * networked implementations.
+ */
+function createMemoryPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    async publish(channel, message) {
+      queueMicrotask(() => emitter.emit(channel, structuredClone(message)));
+    },
+    async subscribe(channel, listener) {
+      emitter.on(channel, listener);
+      return () => emitter.off(channel, listener);
+    },
+    async close() {
+      emitter.removeAllListeners();
+    },
+  };
+}
+
+module.exports = { createMemoryPubSub };
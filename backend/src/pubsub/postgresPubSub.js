@@ -0,0 +1,93 @@
+/*
+ * Postgres LISTEN/NOTIFY. All channels share one Postgres channel; the
+ * payload names the logical channel, so a single listening connection serves
+ * every subscriber of this instance. Payloads must stay under Postgres's
+ * 8000 byte limit, which is why events carry ids rather than whole tasks.
+ */
+
+const PG_CHANNEL = 'todo_events';
+const RECONNECT_MS = 2000;
+
+function createPostgresPubSub(url) {
+  const { Client, Pool } = require('pg');
+  const pool = new Pool({ connectionString: url, max: 2 });
+  const listeners = new Map();
+  let connection = null;
+  let closed = false;
+
+  function deliver({ payload }) {
+    let parsed;
+    try {
+      parsed = JSON.parse(payload);
+    } catch (error) {
+      return;
+    }
+    (listeners.get(parsed.channel) || []).forEach((listener) => listener(parsed.message));
+  }
+
+  // The listening connection, opened on first subscribe and reopened when lost
+  function listen() {
+    if (!connection) {
+      const client = new Client({ connectionString: url });
+      let lost = false;
+      const dropped = (error) => {
+        // 'error' is usually followed by 'end'; reconnect once
+        if (lost) {
+          return;
+        }
+        lost = true;
+        if (error) {
+          console.error('PUBSUB CONNECTION LOST:', error);
+        }
+        connection = null;
+        client.end().catch(() => {});
+        if (!closed && listeners.size) {
+          setTimeout(() => listen().catch(() => {}), RECONNECT_MS).unref();
+        }
+      };
+      connection = client
+        .connect()
+        .then(() => client.query(`LISTEN ${PG_CHANNEL}`))
+        .then(() => {
+          client.on('notification', deliver);
+          client.on('error', dropped);
+          client.on('end', () => dropped());
+          return client;
+        })
+        .catch((error) => {
+          connection = null;
+          client.end().catch(() => {});
+          throw error;
+        });
+    }
+    return connection;
+  }
+
+  return {
+    async publish(channel, message) {
+      await pool.query('SELECT pg_notify($1, $2)', [PG_CHANNEL, JSON.stringify({ channel, message })]);
+    },
+    async subscribe(channel, listener) {
+      await listen();
+      if (!listeners.has(channel)) {
+        listeners.set(channel, new Set());
+      }
+      listeners.get(channel).add(listener);
+      return () => {
+        const set = listeners.get(channel);
+        set.delete(listener);
+        if (!set.size) {
+          listeners.delete(channel);
+        }
+      };
+    },
+    async close() {
+      closed = true;
+      listeners.clear();
+      const client = connection && (await connection.catch(() => null));
+      await Promise.all([client && client.end(), pool.end()]);
+    },
+  };
+}
+
+module.exports = { createPostgresPubSub };
@@ -0,0 +1,83 @@
+/*
+ * Lexicographic ranks for manual ordering. A rank is a string of base-36
+ * digits (0-9, a-z) that never ends in 0, so there is always room for
+ * another rank between any two. Moving a task rewrites only its own rank.
+ *
+ * Only digits and lower-case letters are used so that every database
+ * collation sorts ranks the same way as a plain string comparison.
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+// The longest rank taken from outside, such as an imported file
+const MAX_RANK_LENGTH = 1000;
+const digit = (char) => DIGITS.indexOf(char);
+
+// A rank strictly between a and b, where '' stands for the start and null for the end.
+function midpoint(a, b) {
+  if (b !== null) {
+    let shared = 0;
+    while ((a[shared] || '0') === b[shared]) {
+      shared += 1;
+    }
+    if (shared > 0) {
+      return b.slice(0, shared) + midpoint(a.slice(shared), b.slice(shared));
+    }
+  }
+  const low = a ? digit(a[0]) : 0;
+  const high = b !== null ? digit(b[0]) : DIGITS.length;
+  if (high - low > 1) {
+    return DIGITS[Math.round((low + high) / 2)];
+  }
+  if (b !== null && b.length > 1) {
+    return b[0];
+  }
+  return DIGITS[low] + midpoint(a.slice(1), null);
+}
+
+/*
+ * Ranks at either end step one digit at a time rather than halving, and a
+ * new digit starts at the far end of its range ('z' at the start, '1' at the
+ * end) so that it has 35 steps to go. Always adding to the top of a list
+ * grows ranks by one character per 35 tasks: 'i' counts down to '1', then
+ * '0z' down to '01', '00z', and so on.
+ */
+function rankBefore(rank) {
+  for (let index = 0; index < rank.length; index += 1) {
+    if (digit(rank[index]) > 1) {
+      return rank.slice(0, index) + DIGITS[digit(rank[index]) - 1];
+    }
+  }
+  // Only 0s and 1s, ending in 1: the same rank with that 1 turned into 0z
+  return `${rank.slice(0, -1)}0z`;
+}
+
+function rankAfter(rank) {
+  for (let index = 0; index < rank.length; index += 1) {
+    if (rank[index] !== 'z') {
+      return rank.slice(0, index) + DIGITS[digit(rank[index]) + 1];
+    }
+  }
+  return `${rank}1`;
+}
+
+/**
+ * A rank that sorts after `before` and before `after`; either may be null
+ * for the start or end of the list.
+ */
+function rankBetween(before, after) {
+  if (before === null && after === null) {
+    return 'i';
+  }
+  if (before === null) {
+    return rankBefore(after);
+  }
+  if (after === null) {
+    return rankAfter(before);
+  }
+  if (before >= after) {
+    throw new Error(`Cannot rank between ${before} and ${after}`);
+  }
+  return midpoint(before, after);
+}
+
+module.exports = { MAX_RANK_LENGTH, rankBetween };
@@ -0,0 +1,181 @@
+const { httpError } = require('./errors');
+
+/*
+ * Recurrence rules are a subset of iCalendar RRULE (RFC 5545):
+ *
+ *   FREQ=DAILY;INTERVAL=2                  every other day
+ *   FREQ=WEEKLY;BYDAY=MO,TH                every Monday and Thursday
+ *   FREQ=MONTHLY;BYMONTHDAY=-1             on the last day of every month
+ *   FREQ=DAILY;INTERVAL=3;X-FROM=COMPLETION  three days after it was completed
+ *
+ * X-FROM=COMPLETION is our extension: the next due date counts from when the
+ * task was completed instead of from its schedule. Dates are computed in UTC
+ * and keep the time of day of the task's due date.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 365;
+const MAX_RULE_LENGTH = 200;
+
+function readPart(rule, name, value) {
+  switch (name) {
+    case 'FREQ':
+      if (!FREQUENCIES.includes(value)) {
+        throw httpError(400, `FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+      }
+      rule.freq = value;
+      break;
+    case 'INTERVAL':
+      rule.interval = Number(value);
+      if (!/^\d+$/.test(value) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+        throw httpError(400, `INTERVAL must be a whole number between 1 and ${MAX_INTERVAL}`);
+      }
+      break;
+    case 'BYDAY':
+      rule.byDay = [...new Set(value.split(','))];
+      if (!rule.byDay.every((day) => WEEKDAYS.includes(day))) {
+        throw httpError(400, 'BYDAY must list weekdays like MO,WE,FR');
+      }
+      rule.byDay.sort((a, b) => ((WEEKDAYS.indexOf(a) + 6) % 7) - ((WEEKDAYS.indexOf(b) + 6) % 7));
+      break;
+    case 'BYMONTHDAY':
+      rule.byMonthDay = Number(value);
+      if (!/^-?\d+$/.test(value) || !((rule.byMonthDay >= 1 && rule.byMonthDay <= 31) || rule.byMonthDay === -1)) {
+        throw httpError(400, 'BYMONTHDAY must be a day from 1 to 31, or -1 for the last day');
+      }
+      break;
+    case 'X-FROM':
+      if (value !== 'COMPLETION') {
+        throw httpError(400, 'X-FROM only supports COMPLETION');
+      }
+      rule.fromCompletion = true;
+      break;
+    default:
+      throw httpError(400, `Unsupported recurrence part ${name}`);
+  }
+}
+
+/**
+ * Parses a rule string into { freq, interval, byDay, byMonthDay, fromCompletion }.
+ * Throws a 400 error for anything outside the supported subset.
+ */
+function parseRule(value) {
+  if (typeof value !== 'string' || value.length > MAX_RULE_LENGTH) {
+    throw httpError(400, 'Recurrence must be an RRULE string or null');
+  }
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, fromCompletion: false };
+  const seen = new Set();
+  value
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach((part) => {
+      const [name, partValue = ''] = part.split('=').map((piece) => piece.trim().toUpperCase());
+      if (seen.has(name)) {
+        throw httpError(400, `Recurrence part ${name} is repeated`);
+      }
+      seen.add(name);
+      readPart(rule, name, partValue);
+    });
+
+  if (!rule.freq) {
+    throw httpError(400, 'Recurrence needs a FREQ');
+  }
+  if (rule.byDay && rule.freq !== 'WEEKLY') {
+    throw httpError(400, 'BYDAY is only supported with FREQ=WEEKLY');
+  }
+  if (rule.byMonthDay !== null && rule.freq !== 'MONTHLY') {
+    throw httpError(400, 'BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (rule.fromCompletion && rule.freq !== 'DAILY') {
+    throw httpError(400, 'X-FROM=COMPLETION is only supported with FREQ=DAILY');
+  }
+  return rule;
+}
+
+// The canonical string stored on tasks, so equal rules compare equal.
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.fromCompletion) parts.push('X-FROM=COMPLETION');
+  return parts.join(';');
+}
+
+const mondayOf = (date) => {
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return midnight - ((date.getUTCDay() + 6) % 7) * DAY;
+};
+
+function monthDay(anchor, monthOffset, day) {
+  const year = anchor.getUTCFullYear();
+  const month = anchor.getUTCMonth() + monthOffset;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const date = day === -1 ? lastDay : Math.min(day, lastDay);
+  return new Date(
+    Date.UTC(year, month, date, anchor.getUTCHours(), anchor.getUTCMinutes(), anchor.getUTCSeconds(), anchor.getUTCMilliseconds())
+  );
+}
+
+// The first occurrence of the schedule anchored at `anchor` that is after `current`.
+function step(rule, anchor, current) {
+  if (rule.freq === 'DAILY') {
+    return new Date(current.getTime() + rule.interval * DAY);
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay || [WEEKDAYS[anchor.getUTCDay()]];
+    for (let date = new Date(current.getTime() + DAY); ; date = new Date(date.getTime() + DAY)) {
+      const weeks = Math.round((mondayOf(date) - mondayOf(anchor)) / (7 * DAY));
+      if (weeks % rule.interval === 0 && days.includes(WEEKDAYS[date.getUTCDay()])) {
+        return date;
+      }
+    }
+  }
+
+  // Months without the requested day (e.g. the 31st) use their last day instead
+  const day = rule.byMonthDay ?? anchor.getUTCDate();
+  const monthsSoFar =
+    (current.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + current.getUTCMonth() - anchor.getUTCMonth();
+  for (let offset = Math.max(monthsSoFar, 0); ; offset += 1) {
+    if (offset % rule.interval === 0) {
+      const candidate = monthDay(anchor, offset, day);
+      if (candidate > current) {
+        return candidate;
+      }
+    }
+  }
+}
+
+/**
+ * The due date of the occurrence after a task due at `dueAt` (or undated),
+ * given that it is being completed or skipped at `now`. Scheduled rules
+ * never return a date in the past: occurrences missed in the meantime are
+ * skipped.
+ */
+function nextOccurrence(rule, dueAt, now = new Date()) {
+  const anchor = dueAt ? new Date(dueAt) : now;
+  if (rule.fromCompletion) {
+    const next = new Date(now.getTime() + rule.interval * DAY);
+    if (dueAt) {
+      next.setUTCHours(anchor.getUTCHours(), anchor.getUTCMinutes(), anchor.getUTCSeconds(), anchor.getUTCMilliseconds());
+    }
+    return next;
+  }
+
+  // Jumps over the missed occurrences: from the anchor moved on by whole days
+  // (whole intervals for DAILY) to just before `now`, only a step or two is left
+  const elapsed = Math.max(Math.floor((now - anchor) / DAY), 0);
+  const skipped = rule.freq === 'DAILY' ? elapsed - (elapsed % rule.interval) : elapsed;
+  let next = step(rule, anchor, new Date(anchor.getTime() + skipped * DAY));
+  while (next <= now) {
+    next = step(rule, anchor, next);
+  }
+  return next;
+}
+
+module.exports = { parseRule, formatRule, nextOccurrence };
@@ -0,0 +1,157 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { requireOwner } = require('../access');
+const { appUrl, sendVerificationEmail, sendEmailChangedNotice } = require('../accountEmails');
+const { handleError, httpError } = require('../errors');
+const { passwordProblem, hashPassword } = require('../passwordPolicy');
+const { createLoginThrottle } = require('../throttle');
+const { readName, readEmail } = require('../userFields');
+
+/**
+ * The owner's own account, mounted under /api/users/:userId: the profile,
+ * the password, the signed-in sessions and deleting the account. Changing
+ * the email or the password and deleting ask for the current password, so
+ * that a session left open somewhere is not enough to take the account over.
+ */
+function createAccountRouter(store, { mailer, counters }) {
+  const router = express.Router({ mergeParams: true });
+  const loginThrottle = createLoginThrottle(counters);
+
+  // Wrong guesses count as failed logins, so this is no faster a way to try passwords
+  async function confirmPassword(req, user, password) {
+    await loginThrottle.check(user.email, req.ip);
+    const { passwordHash } = await store.users.findByEmail(user.email);
+    if (!password || !(await bcrypt.compare(String(password), passwordHash))) {
+      await loginThrottle.failed(user.email, req.ip);
+      throw httpError(403, 'Current password is incorrect');
+    }
+  }
+
+  // A failed email must not fail the change it is about
+  async function quietly(send) {
+    try {
+      await send();
+    } catch (error) {
+      console.error('MAIL FAILED:', error);
+    }
+  }
+
+  router.get('/', requireOwner, async (req, res) => {
+    try {
+      res.json(await store.users.findById(req.params.userId));
+    } catch (error) {
+      handleError(res, error, 'Failed to load profile');
+    }
+  });
+
+  // A new email has to be verified again, and the old address is told about it
+  router.patch('/', requireOwner, async (req, res) => {
+    try {
+      const user = await store.users.findById(req.params.userId);
+      const changes = {};
+      if (req.body.name !== undefined) {
+        changes.name = readName(req.body.name);
+      }
+      if (req.body.email !== undefined) {
+        const email = readEmail(req.body.email);
+        if (email !== user.email) {
+          await confirmPassword(req, user, req.body.currentPassword);
+          if (await store.users.findByEmail(email)) {
+            throw httpError(409, 'Email already registered');
+          }
+          Object.assign(changes, { email, emailVerified: false });
+        }
+      }
+      if (!Object.keys(changes).length) {
+        return res.json(user);
+      }
+
+      const updated = await store.users.update(user.id, changes);
+      if (changes.email) {
+        await quietly(() => sendVerificationEmail(store, mailer, updated, appUrl(req)));
+        await quietly(() => sendEmailChangedNotice(mailer, updated, user.email, appUrl(req)));
+      }
+      res.json(updated);
+    } catch (error) {
+      handleError(res, error, 'Failed to update profile');
+    }
+  });
+
+  // Signs out every other session; this one stays signed in
+  router.post('/password', requireOwner, async (req, res) => {
+    try {
+      const user = await store.users.findById(req.params.userId);
+      await confirmPassword(req, user, req.body.currentPassword);
+
+      const password = String(req.body.newPassword || '');
+      const problem = passwordProblem(password, user);
+      if (problem) {
+        throw httpError(400, problem);
+      }
+
+      await store.users.update(user.id, { passwordHash: await hashPassword(password) });
+      await store.sessions.revokeAll(user.id, { except: req.auth.sessionId });
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to change password');
+    }
+  });
+
+  // Deletes every list, task, membership and token of the user, in either role
+  router.delete('/', requireOwner, async (req, res) => {
+    try {
+      const user = await store.users.findById(req.params.userId);
+      await confirmPassword(req, user, req.body.currentPassword);
+      await store.users.remove(user.id);
+      await loginThrottle.succeeded(user.email, req.ip);
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to delete account');
+    }
+  });
+
+  router.get('/sessions', requireOwner, async (req, res) => {
+    try {
+      const sessions = await store.sessions.listForUser(req.params.userId);
+      res.json({
+        items: sessions.map(({ id, userAgent, ip, createdAt, lastUsedAt }) => ({
+          id,
+          userAgent,
+          ip,
+          createdAt,
+          lastUsedAt,
+          current: id === req.auth.sessionId,
+        })),
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to load sessions');
+    }
+  });
+
+  // Every session but the one making the request
+  router.delete('/sessions', requireOwner, async (req, res) => {
+    try {
+      await store.sessions.revokeAll(req.params.userId, { except: req.auth.sessionId });
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to sign out sessions');
+    }
+  });
+
+  router.delete('/sessions/:sessionId', requireOwner, async (req, res) => {
+    try {
+      const session = await store.sessions.findById(req.params.sessionId);
+      if (!session || session.userId !== req.params.userId || session.revokedAt) {
+        throw httpError(404, 'Session not found');
+      }
+      await store.sessions.revoke(session.id);
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to sign out session');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRouter };
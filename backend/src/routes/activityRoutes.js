@@ -0,0 +1,86 @@
+const express = require('express');
+const { findTaskFor, requireRole, visibleListIds } = require('../access');
+const { revertChanges } = require('../activity');
+const { handleError, httpError } = require('../errors');
+const { readTaskInput } = require('../taskFields');
+const { updateTask } = require('../taskOperations');
+const { decodeCursor, encodeCursor, readLimit } = require('../taskQuery');
+const { checkVersion, etagFor, readPrecondition } = require('../taskVersions');
+
+/**
+ * Task history, mounted under /api/users/:userId: the activity of the whole
+ * account, that of one task, and reverting a task to an earlier state.
+ * Members see the entries of the lists shared with them and need the editor
+ * role to revert. Pages run newest first and take `limit` and `cursor` like
+ * GET /tasks.
+ */
+function createActivityRouter(store, events) {
+  const router = express.Router({ mergeParams: true });
+
+  async function withActors(entries) {
+    const actors = new Map();
+    for (const id of new Set(entries.map((entry) => entry.actorId).filter(Boolean))) {
+      const user = await store.users.findById(id);
+      actors.set(id, user && { id: user.id, name: user.name });
+    }
+    return entries.map((entry) => ({ ...entry, actor: actors.get(entry.actorId) ?? null }));
+  }
+
+  async function sendPage(req, res, filters) {
+    const limit = readLimit(req.query.limit);
+    const before = req.query.cursor ? decodeCursor(req.query.cursor).id : undefined;
+    // One extra entry tells us whether there is another page
+    const rows = await store.activity.list(req.params.userId, { ...filters, before, limit: limit + 1 });
+    const items = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor(null, items[items.length - 1].id) : null;
+    res.json({ items: await withActors(items), nextCursor });
+  }
+
+  router.get('/activity', async (req, res) => {
+    try {
+      await sendPage(req, res, { listIds: visibleListIds(req.access) });
+    } catch (error) {
+      handleError(res, error, 'Failed to load activity');
+    }
+  });
+
+  // Tasks in the trash keep their history
+  router.get('/tasks/:taskId/history', async (req, res) => {
+    try {
+      const { userId, taskId } = req.params;
+      const task = (await store.tasks.findById(userId, taskId)) || (await store.tasks.findInTrash(userId, taskId));
+      const notFound = httpError(404, 'Task not found');
+      if (!task) {
+        throw notFound;
+      }
+      requireRole(req.access, task.listId, 'viewer', notFound);
+      await sendPage(req, res, { taskId: task.id });
+    } catch (error) {
+      handleError(res, error, 'Failed to load task history');
+    }
+  });
+
+  router.post('/tasks/:taskId/history/:entryId/revert', async (req, res) => {
+    try {
+      const { userId, taskId, entryId } = req.params;
+      const precondition = readPrecondition(req);
+      const current = await findTaskFor(store, req.access, taskId, 'editor');
+      checkVersion(precondition, current);
+      const history = await store.activity.list(userId, { taskId: current.id });
+      const changes = readTaskInput(revertChanges(current, history, entryId));
+      if (!Object.keys(changes).length) {
+        return res.set('ETag', etagFor(current)).json(current);
+      }
+      const options = { action: 'reverted' };
+      const { task, before } = await updateTask(store, req.access, taskId, changes, precondition, options);
+      events.publish(userId, 'task.updated', task, before);
+      res.set('ETag', etagFor(task)).json(task);
+    } catch (error) {
+      handleError(res, error, 'Failed to revert task');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createActivityRouter };
@@ -0,0 +1,48 @@
+const express = require('express');
+const { requireOwner } = require('../access');
+const { createApiToken } = require('../auth');
+const { readApiTokenFields } = require('../apiTokens');
+const { handleError, httpError } = require('../errors');
+
+/**
+ * Managing personal API tokens, mounted under /api/users/:userId. Only the
+ * response that creates a token carries its secret; tokens themselves
+ * cannot reach these routes (see apiTokens.limitApiTokens).
+ */
+function createApiTokenRouter(store) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/api-tokens', requireOwner, async (req, res) => {
+    try {
+      res.json({ items: await store.apiTokens.list(req.params.userId) });
+    } catch (error) {
+      handleError(res, error, 'Failed to load API tokens');
+    }
+  });
+
+  router.post('/api-tokens', requireOwner, async (req, res) => {
+    try {
+      const fields = readApiTokenFields(req.body);
+      const { token, hash } = createApiToken();
+      const apiToken = await store.apiTokens.create(req.params.userId, { ...fields, tokenHash: hash });
+      res.status(201).json({ ...apiToken, token });
+    } catch (error) {
+      handleError(res, error, 'Failed to create API token');
+    }
+  });
+
+  router.delete('/api-tokens/:tokenId', requireOwner, async (req, res) => {
+    try {
+      if (!(await store.apiTokens.remove(req.params.userId, req.params.tokenId))) {
+        throw httpError(404, 'API token not found');
+      }
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to revoke API token');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createApiTokenRouter };
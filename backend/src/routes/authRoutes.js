@@ -0,0 +1,243 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { hashToken, createRefreshToken, issueTokens, requireAuth } = require('../auth');
+const { handleError } = require('../errors');
+const {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  appUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  findLinkToken,
+  redeemLinkToken,
+} = require('../accountEmails');
+const { passwordProblem, hashPassword } = require('../passwordPolicy');
+const { rateLimit, createLoginThrottle } = require('../throttle');
+const { readName, readEmail } = require('../userFields');
+
+// Where a request came from, as kept with sessions and failed logins
+const clientOf = (req) => ({
+  ip: req.ip || null,
+  userAgent: (req.get('user-agent') || '').slice(0, 255) || null,
+});
+
+/**
+ * Account routes, mounted at /api/auth. `mailer` sends the reset and
+ * verification emails (see mailer/index.js) and `counters` keeps the rate
+ * limits and login lockouts (see throttle.js).
+ */
+function createAuthRouter(store, { mailer, counters }) {
+  const router = express.Router();
+  const authenticate = requireAuth((id) => store.sessions.findById(id));
+  const loginThrottle = createLoginThrottle(counters);
+
+  async function startSession(req, user) {
+    const refresh = createRefreshToken();
+    const session = await store.sessions.create({
+      userId: user.id,
+      refreshTokenHash: refresh.hash,
+      expiresAt: refresh.expiresAt,
+      ...clientOf(req),
+    });
+    const { id, name, email, emailVerified } = user;
+    return issueTokens({ id, name, email, emailVerified }, session.id, refresh.token);
+  }
+
+  // A failed email must not fail the request it came from; the user can ask again
+  async function sendEmail(send, req, user) {
+    try {
+      await send(store, mailer, user, appUrl(req));
+    } catch (error) {
+      console.error('MAIL FAILED:', error);
+    }
+  }
+
+  router.post('/register', rateLimit(counters, 'register'), async (req, res) => {
+    try {
+      const password = String(req.body.password || '');
+
+      if (!String(req.body.name || '').trim() || !String(req.body.email || '').trim() || !password) {
+        return res.status(400).json({ message: 'Name, email, and password are required' });
+      }
+
+      const name = readName(req.body.name);
+      const email = readEmail(req.body.email);
+
+      const problem = passwordProblem(password, { email, name });
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+
+      if (await store.users.findByEmail(email)) {
+        return res.status(409).json({ message: 'Email already registered' });
+      }
+
+      const passwordHash = await hashPassword(password);
+      const user = await store.users.create({ name, email, passwordHash });
+      await store.lists.getInbox(user.id);
+      await sendEmail(sendVerificationEmail, req, user);
+
+      res.status(201).json(await startSession(req, user));
+    } catch (error) {
+      handleError(res, error, 'Failed to register');
+    }
+  });
+
+  router.post('/login', rateLimit(counters, 'login'), async (req, res) => {
+    try {
+      const email = String(req.body.email || '').trim().toLowerCase();
+      const password = String(req.body.password || '');
+
+      if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required' });
+      }
+
+      const user = await store.users.findByEmail(email);
+      // Failed logins into an existing account are kept for its owner to review
+      const audit = async (reason) => {
+        if (user) {
+          await store.loginFailures.add(user.id, { ...clientOf(req), reason });
+        }
+      };
+
+      try {
+        await loginThrottle.check(email, req.ip);
+      } catch (error) {
+        await audit('locked');
+        throw error;
+      }
+
+      const match = user && (await bcrypt.compare(password, user.passwordHash));
+      if (!match) {
+        await loginThrottle.failed(email, req.ip);
+        await audit('password');
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
+
+      await loginThrottle.succeeded(email, req.ip);
+      res.json(await startSession(req, user));
+    } catch (error) {
+      handleError(res, error, 'Failed to login');
+    }
+  });
+
+  router.post('/refresh', async (req, res) => {
+    try {
+      const refreshToken = String(req.body.refreshToken || '');
+      if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+      }
+
+      const session = await store.sessions.findByRefreshTokenHash(hashToken(refreshToken));
+      if (!session || session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+
+      const user = await store.users.findById(session.userId);
+      if (!user) {
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+
+      // Rotate the refresh token so a leaked one can only be used once
+      const refresh = createRefreshToken();
+      await store.sessions.rotate(session.id, { refreshTokenHash: refresh.hash, expiresAt: refresh.expiresAt });
+
+      res.json(issueTokens(user, session.id, refresh.token));
+    } catch (error) {
+      handleError(res, error, 'Failed to refresh session');
+    }
+  });
+
+  router.post('/logout', authenticate, async (req, res) => {
+    try {
+      await store.sessions.revoke(req.auth.sessionId);
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to logout');
+    }
+  });
+
+  // Answers the same whether or not the email is registered, so it cannot be used to look accounts up
+  router.post('/forgot-password', rateLimit(counters, 'forgot-password'), async (req, res) => {
+    try {
+      const email = String(req.body.email || '').trim().toLowerCase();
+      if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+      }
+
+      const user = await store.users.findByEmail(email);
+      if (user) {
+        await sendEmail(sendPasswordResetEmail, req, user);
+      }
+
+      res.status(202).json({ message: 'If that email is registered, a reset link is on its way' });
+    } catch (error) {
+      handleError(res, error, 'Failed to send reset link');
+    }
+  });
+
+  // Sets the new password, signs out every session and starts a new one
+  router.post('/reset-password', rateLimit(counters, 'reset-password'), async (req, res) => {
+    try {
+      const password = String(req.body.password || '');
+      const invalidLink = { message: 'Reset link is invalid or has expired' };
+
+      const link = await findLinkToken(store, PASSWORD_RESET, req.body.token);
+      const owner = link && (await store.users.findById(link.userId));
+      if (!owner) {
+        return res.status(400).json(invalidLink);
+      }
+
+      const problem = passwordProblem(password, owner);
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+
+      // Used up only now, so that a rejected password leaves the link working
+      if (!(await redeemLinkToken(store, PASSWORD_RESET, req.body.token))) {
+        return res.status(400).json(invalidLink);
+      }
+
+      // The link came by email, so it proves the address too
+      const passwordHash = await hashPassword(password);
+      const user = await store.users.update(owner.id, { passwordHash, emailVerified: true });
+      await store.sessions.revokeAll(user.id);
+      await loginThrottle.succeeded(user.email, req.ip);
+
+      res.json(await startSession(req, user));
+    } catch (error) {
+      handleError(res, error, 'Failed to reset password');
+    }
+  });
+
+  router.post('/verify-email', rateLimit(counters, 'verify-email'), async (req, res) => {
+    try {
+      const token = await redeemLinkToken(store, EMAIL_VERIFICATION, req.body.token);
+      const user = token && (await store.users.update(token.userId, { emailVerified: true }));
+      if (!user) {
+        return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+      }
+      res.json({ user });
+    } catch (error) {
+      handleError(res, error, 'Failed to verify email');
+    }
+  });
+
+  router.post('/verify-email/resend', authenticate, rateLimit(counters, 'verify-email'), async (req, res) => {
+    try {
+      const user = await store.users.findById(req.auth.userId);
+      if (user.emailVerified) {
+        return res.status(409).json({ message: 'Email is already verified' });
+      }
+      // Unlike the emails sent as a side effect, the user is waiting for this one
+      await sendVerificationEmail(store, mailer, user, appUrl(req));
+      res.status(202).json({ message: `Verification link sent to ${user.email}` });
+    } catch (error) {
+      handleError(res, error, 'Failed to send verification link');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
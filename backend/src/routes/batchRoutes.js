@@ -0,0 +1,112 @@
+const express = require('express');
+const { requireRole, roleFor, visibleListIds } = require('../access');
+const { handleError } = require('../errors');
+const { inOperation, readBatch, readMove } = require('../batchFields');
+const { readListId } = require('../taskFields');
+const { createTask, updateTask, removeTask, restoreTask } = require('../taskOperations');
+
+const EVENT_TYPES = {
+  create: 'task.created',
+  update: 'task.updated',
+  delete: 'task.deleted',
+  restore: 'task.restored',
+};
+
+async function applyOperation(store, access, operation) {
+  const { op } = operation;
+  if (op === 'create') {
+    return { op, status: 201, task: await createTask(store, access, operation.input) };
+  }
+  if (op === 'update') {
+    const { task, before } = await updateTask(store, access, operation.id, operation.changes, operation.precondition);
+    return { op, status: 200, task, before };
+  }
+  if (op === 'restore') {
+    return { op, status: 200, task: await restoreTask(store, access, operation.id) };
+  }
+  return { op, status: 204, task: await removeTask(store, access, operation.id, operation.precondition) };
+}
+
+/**
+ * Bulk task changes, mounted under /api/users/:userId/tasks next to the task
+ * routes. Every request runs in one store transaction: either all of its
+ * operations apply, or the first failing one is reported and none do.
+ * Events go out only once the transaction has committed.
+ */
+function createBatchRouter(store, events) {
+  const router = express.Router({ mergeParams: true });
+
+  async function runBatch(req, res, operations) {
+    const { userId } = req.params;
+    const applied = operations.length
+      ? await store.transaction(async (tx) => {
+          const results = [];
+          for (const [index, operation] of operations.entries()) {
+            try {
+              results.push(await applyOperation(tx, req.access, operation));
+            } catch (error) {
+              throw error.status ? inOperation(index, error) : error;
+            }
+          }
+          return results;
+        })
+      : [];
+    applied.forEach(({ op, task, before }) => events.publish(userId, EVENT_TYPES[op], task, before));
+    const results = applied.map(({ op, status, task }) =>
+      op === 'delete' ? { op, status, id: task.id } : { op, status, task }
+    );
+    res.json({ results });
+  }
+
+  // The tasks a bulk action covers: those in `listId`, or on every list the caller can edit
+  async function editableTasks(access, listId, status) {
+    const options = { status };
+    if (listId === undefined) {
+      options.listIds = visibleListIds(access);
+    } else {
+      options.listId = readListId(listId);
+      requireRole(access, options.listId, 'editor');
+    }
+    const { items } = await store.tasks.list(access.ownerId, options);
+    return items.filter((task) => roleFor(access, task.listId) !== 'viewer');
+  }
+
+  router.post('/batch', async (req, res) => {
+    try {
+      await runBatch(req, res, readBatch(req.body));
+    } catch (error) {
+      handleError(res, error, 'Failed to apply batch');
+    }
+  });
+
+  router.post('/complete-all', async (req, res) => {
+    try {
+      const tasks = await editableTasks(req.access, req.body.listId, 'open');
+      await runBatch(req, res, tasks.map(({ id }) => ({ op: 'update', id, changes: { completed: true } })));
+    } catch (error) {
+      handleError(res, error, 'Failed to complete tasks');
+    }
+  });
+
+  router.post('/clear-completed', async (req, res) => {
+    try {
+      const tasks = await editableTasks(req.access, req.body.listId, 'completed');
+      await runBatch(req, res, tasks.map(({ id }) => ({ op: 'delete', id })));
+    } catch (error) {
+      handleError(res, error, 'Failed to clear completed tasks');
+    }
+  });
+
+  router.post('/move-to-list', async (req, res) => {
+    try {
+      const { ids, listId } = readMove(req.body);
+      await runBatch(req, res, ids.map((id) => ({ op: 'update', id, changes: { listId } })));
+    } catch (error) {
+      handleError(res, error, 'Failed to move tasks');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBatchRouter };
@@ -0,0 +1,126 @@
+const express = require('express');
+const { requireOwner } = require('../access');
+const { createFeedToken, hashToken } = require('../auth');
+const { handleError, httpError } = require('../errors');
+const ical = require('../formats/ical');
+const { readTaskQuery } = require('../taskQuery');
+
+const COMPONENTS = { event: 'VEVENT', todo: 'VTODO' };
+const MAX_COMPLETED_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const feedPath = (token) => `/api/calendar/${token}.ics`;
+
+/*
+ * The feed's query string:
+ *   type       event (default) or todo
+ *   completed  also show tasks completed in the last N days (default 0)
+ *   listId     comma-separated lists; all unarchived lists by default
+ *   tags, tagsMatch   as for GET /tasks
+ */
+function readFeedQuery(query) {
+  const type = query.type === undefined ? 'event' : String(query.type);
+  if (!COMPONENTS[type]) {
+    throw httpError(400, `Type must be one of: ${Object.keys(COMPONENTS).join(', ')}`);
+  }
+  const days = query.completed === undefined ? 0 : Number(query.completed);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_COMPLETED_DAYS) {
+    throw httpError(400, `completed must be a number of days from 0 to ${MAX_COMPLETED_DAYS}`);
+  }
+  const { tags } = readTaskQuery({ tags: query.tags, tagsMatch: query.tagsMatch });
+  const listIds =
+    query.listId === undefined ? null : String(query.listId).split(',').map((id) => id.trim()).filter(Boolean);
+  return {
+    component: COMPONENTS[type],
+    completedSince: days ? new Date(Date.now() - days * DAY_MS) : null,
+    listIds,
+    tags,
+  };
+}
+
+/**
+ * The calendar feed itself, mounted at /api/calendar. It has no
+ * Authorization header to check: the token in the URL stands in for it.
+ */
+function createCalendarRouter(store) {
+  const router = express.Router();
+
+  router.get('/:token.ics', async (req, res) => {
+    try {
+      const feed = await store.feeds.findByTokenHash(hashToken(req.params.token));
+      if (!feed) {
+        throw httpError(404, 'Calendar feed not found');
+      }
+      const { component, completedSince, listIds, tags } = readFeedQuery(req.query);
+      const lists = await store.lists.list(feed.userId, { includeArchived: true });
+      const { items } = await store.tasks.list(feed.userId, {
+        listIds: listIds || lists.filter((list) => !list.archived).map((list) => list.id),
+        tags,
+        status: completedSince ? 'all' : 'open',
+        sort: { field: 'due', direction: 'asc' },
+      });
+      // A task's last change is taken as when it was completed
+      const tasks = items.filter(
+        (task) => task.dueAt && (!task.completed || new Date(task.updatedAt) >= completedSince)
+      );
+      const shown = listIds && listIds.length === 1 ? lists.find((list) => list.id === listIds[0]) : null;
+      res.type(ical.contentType).send(
+        ical.serialize({
+          lists,
+          tasks,
+          exportedAt: new Date(),
+          name: shown ? `Tasks: ${shown.name}` : 'Tasks',
+          component,
+          refresh: 'PT1H',
+        })
+      );
+    } catch (error) {
+      handleError(res, error, 'Failed to load calendar feed');
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Turning the feed on, rotating and revoking it, mounted under
+ * /api/users/:userId. The token is only ever shown in the response that
+ * creates it; POST again for a new URL, which stops the old one working.
+ */
+function createCalendarFeedRouter(store) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/calendar-feed', requireOwner, async (req, res) => {
+    try {
+      const feed = await store.feeds.findByUser(req.params.userId);
+      res.json(feed ? { active: true, createdAt: feed.createdAt } : { active: false });
+    } catch (error) {
+      handleError(res, error, 'Failed to load calendar feed');
+    }
+  });
+
+  router.post('/calendar-feed', requireOwner, async (req, res) => {
+    try {
+      const { token, hash } = createFeedToken();
+      const feed = await store.feeds.replace(req.params.userId, { tokenHash: hash });
+      res.status(201).json({ active: true, createdAt: feed.createdAt, token, path: feedPath(token) });
+    } catch (error) {
+      handleError(res, error, 'Failed to create calendar feed');
+    }
+  });
+
+  router.delete('/calendar-feed', requireOwner, async (req, res) => {
+    try {
+      if (!(await store.feeds.remove(req.params.userId))) {
+        throw httpError(404, 'Calendar feed not found');
+      }
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to turn off calendar feed');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCalendarRouter, createCalendarFeedRouter };
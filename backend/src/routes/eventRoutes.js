@@ -0,0 +1,89 @@
+const express = require('express');
+const { resolveAccess, roleFor } = require('../access');
+const { handleError } = require('../errors');
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+/**
+ * The live event stream, mounted under /api/users/:userId/events. A
+ * Server-Sent Events response that stays open and sends
+ *
+ *   task.created / task.updated / task.restored   data: { task }
+ *   task.deleted                                  data: { id }
+ *   resync                                        data: {}
+ *
+ * Members only hear about the lists they can see; a task moved out of their
+ * sight arrives as task.deleted. Their memberships are read again for every
+ * event, so a changed role applies from the next event on and a member who
+ * loses all access has the stream closed.
+ */
+function createEventRouter(store, events) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const write = (event, data) => {
+        const id = event.id ? `id: ${event.id}\n` : '';
+        res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      async function send(event) {
+        if (res.writableEnded) {
+          return null;
+        }
+        const access = req.access.isOwner ? req.access : await resolveAccess(store, userId, req.access.actorId);
+        if (!access) {
+          return res.end();
+        }
+        if (event.type === 'resync') {
+          return write(event, {});
+        }
+        const visible = (listId) => Boolean(roleFor(access, listId));
+        if (!event.listIds.some(visible)) {
+          return null;
+        }
+        const task = event.type === 'task.deleted' ? null : await store.tasks.findById(userId, event.taskId);
+        if (!task || !visible(task.listId)) {
+          return write({ ...event, type: 'task.deleted' }, { id: event.taskId });
+        }
+        return write(event, { task });
+      }
+
+      // Events go out one at a time, in order, once the headers are out
+      let opened;
+      let queue = new Promise((resolve) => {
+        opened = resolve;
+      });
+      const enqueue = (event) => {
+        queue = queue.then(() => send(event)).catch((error) => console.error('FAILED TO SEND EVENT:', error));
+      };
+
+      const unsubscribe = await events.subscribe(userId, req.get('Last-Event-ID') || null, enqueue);
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops nginx and similar proxies from holding events back
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+      opened();
+
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+      res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to open event stream');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEventRouter };
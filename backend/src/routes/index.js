@@ -0,0 +1,74 @@
+const express = require('express');
+const { requireAccess, requireOwner } = require('../access');
+const { limitApiTokens, useApiToken } = require('../apiTokens');
+const { requireAuth } = require('../auth');
+const { sweepTrash } = require('../trash');
+const { sweepWebhooks } = require('../webhooks');
+const { createAccountRouter } = require('./accountRoutes');
+const { createActivityRouter } = require('./activityRoutes');
+const { createApiTokenRouter } = require('./apiTokenRoutes');
+const { createAuthRouter } = require('./authRoutes');
+const { createBatchRouter } = require('./batchRoutes');
+const { createCalendarFeedRouter, createCalendarRouter } = require('./calendarRoutes');
+const { createEventRouter } = require('./eventRoutes');
+const { createInvitationRouter } = require('./invitationRoutes');
+const { createItemRouter } = require('./itemRoutes');
+const { createListRouter } = require('./listRoutes');
+const { createMemberRouter } = require('./memberRoutes');
+const { createTagRouter } = require('./tagRoutes');
+const { createSecurityRouter } = require('./securityRoutes');
+const { createTaskRouter } = require('./taskRoutes');
+const { createTransferRouter } = require('./transferRoutes');
+const { createTrashRouter } = require('./trashRoutes');
+const { createWebhookRouter } = require('./webhookRoutes');
+
+/**
+ * Builds the whole /api surface on top of a store (see stores/index.js), the
+ * live event hub (see events.js), a mailer for account emails (see
+ * mailer/index.js), the counters behind rate limits (see counters/index.js)
+ * and the webhook dispatcher (see webhooks.js).
+ */
+function createApiRouter(store, events, { mailer, counters, webhooks }) {
+  const router = express.Router();
+  const authenticate = requireAuth((id) => store.sessions.findById(id), (hash) => useApiToken(store, hash));
+
+  router.use((req, res, next) => {
+    store.init().then(() => next(), next);
+  });
+  router.use(sweepTrash(store));
+  router.use(sweepWebhooks(webhooks));
+
+  router.get('/health', async (_req, res) => {
+    try {
+      await store.ping();
+      res.json({ status: 'ok' });
+    } catch (error) {
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+
+  router.use('/auth', createAuthRouter(store, { mailer, counters }));
+  router.use('/calendar', createCalendarRouter(store));
+  router.use('/users/:userId', authenticate, requireAccess(store), limitApiTokens);
+  router.use('/users/:userId', createAccountRouter(store, { mailer, counters }));
+  router.use('/users/:userId', createApiTokenRouter(store));
+  router.use('/users/:userId', createWebhookRouter(store, webhooks));
+  router.use('/users/:userId', createInvitationRouter(store));
+  router.use('/users/:userId', createTransferRouter(store, events, webhooks));
+  router.use('/users/:userId', createCalendarFeedRouter(store));
+  router.use('/users/:userId', createActivityRouter(store, events));
+  router.use('/users/:userId', createSecurityRouter(store));
+  router.use('/users/:userId/members', createMemberRouter(store));
+  router.use('/users/:userId/lists/:listId/members', createMemberRouter(store));
+  router.use('/users/:userId/lists', createListRouter(store, events, webhooks));
+  router.use('/users/:userId/tasks', createBatchRouter(store, events));
+  router.use('/users/:userId/tasks', createTrashRouter(store, events));
+  router.use('/users/:userId/tasks', createTaskRouter(store, events));
+  router.use('/users/:userId/tasks/:taskId/items', createItemRouter(store, events));
+  router.use('/users/:userId/tags', requireOwner, createTagRouter(store, events, webhooks));
+  router.use('/users/:userId/events', createEventRouter(store, events));
+
+  return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,73 @@
+const express = require('express');
+const { requireOwner } = require('../access');
+const { handleError, httpError } = require('../errors');
+
+/**
+ * The other side of sharing, mounted under /api/users/:userId: the
+ * invitations the user has received and the lists shared with them. Every
+ * route acts on the caller's own memberships, so all are owner-only.
+ */
+function createInvitationRouter(store) {
+  const router = express.Router({ mergeParams: true });
+
+  async function findInvitation(req) {
+    const member = await store.members.findById(req.params.invitationId);
+    if (!member || member.userId !== req.params.userId || member.status !== 'pending') {
+      throw httpError(404, 'Invitation not found');
+    }
+    return member;
+  }
+
+  // A membership with who shared it and which list (null for all lists)
+  async function describe(member) {
+    const [owner, list] = await Promise.all([
+      store.users.findById(member.ownerId),
+      member.listId === null ? null : store.lists.findById(member.ownerId, member.listId),
+    ]);
+    return { ...member, owner, list: list && { id: list.id, name: list.name, color: list.color, icon: list.icon } };
+  }
+
+  async function listByStatus(userId, status) {
+    const memberships = await store.members.listForUser(userId);
+    return Promise.all(memberships.filter((member) => member.status === status).map(describe));
+  }
+
+  router.get('/invitations', requireOwner, async (req, res) => {
+    try {
+      res.json(await listByStatus(req.params.userId, 'pending'));
+    } catch (error) {
+      handleError(res, error, 'Failed to load invitations');
+    }
+  });
+
+  router.get('/shared', requireOwner, async (req, res) => {
+    try {
+      res.json(await listByStatus(req.params.userId, 'accepted'));
+    } catch (error) {
+      handleError(res, error, 'Failed to load shared lists');
+    }
+  });
+
+  router.post('/invitations/:invitationId/accept', requireOwner, async (req, res) => {
+    try {
+      const invitation = await findInvitation(req);
+      res.json(await describe(await store.members.update(invitation.id, { status: 'accepted' })));
+    } catch (error) {
+      handleError(res, error, 'Failed to accept invitation');
+    }
+  });
+
+  router.post('/invitations/:invitationId/decline', requireOwner, async (req, res) => {
+    try {
+      const invitation = await findInvitation(req);
+      await store.members.remove(invitation.id);
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to decline invitation');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createInvitationRouter };
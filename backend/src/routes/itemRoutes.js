@@ -0,0 +1,81 @@
+const express = require('express');
+const { findTaskFor } = require('../access');
+const { recordActivity } = require('../activity');
+const { httpError, handleError } = require('../errors');
+const { MAX_ITEMS, readItemInput, readItemOrder } = require('../checklistFields');
+const { syncCompletion } = require('../taskLifecycle');
+const { etagFor } = require('../taskVersions');
+
+/**
+ * Checklist routes, mounted under /api/users/:userId/tasks/:taskId/items.
+ * Every change responds with the whole task so `progress` and `completed`
+ * stay in step on the client. Changing a checklist takes the editor role.
+ */
+function createItemRouter(store, events) {
+  const router = express.Router({ mergeParams: true });
+
+  async function sendTask(req, res, before, task, status = 200) {
+    await recordActivity(store, req.access, task, { before });
+    events.publish(req.params.userId, 'task.updated', task, before);
+    res.status(status).set('ETag', etagFor(task)).json(task);
+  }
+
+  router.post('/', async (req, res) => {
+    try {
+      const { userId, taskId } = req.params;
+      const input = readItemInput(req.body, { creating: true });
+      const task = await findTaskFor(store, req.access, taskId, 'editor');
+      if (task.items.length >= MAX_ITEMS) {
+        throw httpError(400, `A task can have at most ${MAX_ITEMS} checklist items`);
+      }
+      const updated = await store.items.add(userId, taskId, input);
+      await sendTask(req, res, task, await syncCompletion(store, userId, updated, req.access.actorId), 201);
+    } catch (error) {
+      handleError(res, error, 'Failed to add checklist item');
+    }
+  });
+
+  router.put('/order', async (req, res) => {
+    try {
+      const { userId, taskId } = req.params;
+      const task = await findTaskFor(store, req.access, taskId, 'editor');
+      const itemIds = readItemOrder(req.body, task.items);
+      await sendTask(req, res, task, await store.items.reorder(userId, taskId, itemIds));
+    } catch (error) {
+      handleError(res, error, 'Failed to reorder checklist');
+    }
+  });
+
+  router.put('/:itemId', async (req, res) => {
+    try {
+      const { userId, taskId, itemId } = req.params;
+      const changes = readItemInput(req.body);
+      const task = await findTaskFor(store, req.access, taskId, 'editor');
+      const updated = await store.items.update(userId, taskId, itemId, changes);
+      if (!updated) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+      await sendTask(req, res, task, await syncCompletion(store, userId, updated, req.access.actorId));
+    } catch (error) {
+      handleError(res, error, 'Failed to update checklist item');
+    }
+  });
+
+  router.delete('/:itemId', async (req, res) => {
+    try {
+      const { userId, taskId, itemId } = req.params;
+      const task = await findTaskFor(store, req.access, taskId, 'editor');
+      const updated = await store.items.remove(userId, taskId, itemId);
+      if (!updated) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+      await sendTask(req, res, task, await syncCompletion(store, userId, updated, req.access.actorId));
+    } catch (error) {
+      handleError(res, error, 'Failed to delete checklist item');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createItemRouter };
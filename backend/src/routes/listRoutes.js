@@ -0,0 +1,91 @@
+const express = require('express');
+const { requireOwner, roleFor, visibleListIds } = require('../access');
+const { recordActivity } = require('../activity');
+const { handleError } = require('../errors');
+const { readListInput } = require('../listFields');
+
+/**
+ * List routes, mounted under /api/users/:userId/lists once req.access has been
+ * resolved. Members see the lists shared with them; only the owner changes
+ * lists.
+ */
+function createListRouter(store, events, webhooks) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', async (req, res) => {
+    try {
+      const { userId } = req.params;
+      // Users registered before lists existed get their inbox here
+      if (req.access.isOwner) {
+        await store.lists.getInbox(userId);
+      }
+      const includeArchived = req.query.archived === 'true';
+      const visible = visibleListIds(req.access);
+      const lists = await store.lists.list(userId, { includeArchived });
+      res.json(
+        lists
+          .filter((list) => !visible || visible.includes(list.id))
+          .map((list) => ({ ...list, role: roleFor(req.access, list.id) }))
+      );
+    } catch (error) {
+      handleError(res, error, 'Failed to load lists');
+    }
+  });
+
+  router.post('/', requireOwner, async (req, res) => {
+    try {
+      const input = readListInput(req.body, { creating: true });
+      const list = await store.lists.create(req.params.userId, input);
+      res.status(201).json(list);
+    } catch (error) {
+      handleError(res, error, 'Failed to create list');
+    }
+  });
+
+  router.put('/:listId', requireOwner, async (req, res) => {
+    try {
+      const { userId, listId } = req.params;
+      const changes = readListInput(req.body);
+      const current = await store.lists.findById(userId, listId);
+      if (!current) {
+        return res.status(404).json({ message: 'List not found' });
+      }
+      if (current.isInbox && changes.archived) {
+        return res.status(400).json({ message: 'The inbox cannot be archived' });
+      }
+
+      res.json(await store.lists.update(userId, listId, changes));
+    } catch (error) {
+      handleError(res, error, 'Failed to update list');
+    }
+  });
+
+  router.delete('/:listId', requireOwner, async (req, res) => {
+    try {
+      const { userId, listId } = req.params;
+      const current = await store.lists.findById(userId, listId);
+      if (!current) {
+        return res.status(404).json({ message: 'List not found' });
+      }
+      if (current.isInbox) {
+        return res.status(400).json({ message: 'The inbox cannot be deleted' });
+      }
+
+      const { items: tasks } = await store.tasks.list(userId, { listId });
+      await store.lists.remove(userId, listId);
+      for (const task of tasks) {
+        await recordActivity(store, req.access, task, { action: 'deleted' });
+      }
+      // The list's tasks moved to the trash, in the inbox
+      events.publish(userId, 'resync');
+      tasks.forEach((task) => webhooks.notify(userId, 'task.deleted', task));
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to delete list');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createListRouter };
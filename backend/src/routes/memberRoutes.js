@@ -0,0 +1,124 @@
+const express = require('express');
+const { MEMBER_ROLES, requireOwner, requireRole } = require('../access');
+const { handleError, httpError } = require('../errors');
+
+const readRole = (value) => {
+  if (!MEMBER_ROLES.includes(value)) {
+    throw httpError(400, `Role must be one of: ${MEMBER_ROLES.join(', ')}`);
+  }
+  return value;
+};
+
+/**
+ * Member routes, mounted twice: under /api/users/:userId/members for sharing
+ * all of the owner's lists, and under /api/users/:userId/lists/:listId/members
+ * for a single list. Only the owner invites and changes roles; members can
+ * see who else has access and can remove themselves.
+ */
+function createMemberRouter(store) {
+  const router = express.Router({ mergeParams: true });
+
+  // The list being shared (null for all lists), once the caller may see its members
+  async function resolveScope(req) {
+    const { userId, listId } = req.params;
+    if (listId === undefined) {
+      if (!req.access.isOwner && !req.access.grants.some((grant) => grant.listId === null)) {
+        throw httpError(403, 'Only the owner can do this');
+      }
+      return null;
+    }
+    if (!(await store.lists.findById(userId, listId))) {
+      throw httpError(404, 'List not found');
+    }
+    requireRole(req.access, listId, 'viewer');
+    return listId;
+  }
+
+  async function findMember(req, scope) {
+    const member = await store.members.findById(req.params.memberId);
+    if (!member || member.ownerId !== req.access.ownerId || member.listId !== scope) {
+      throw httpError(404, 'Member not found');
+    }
+    return member;
+  }
+
+  async function describe(member) {
+    const user = await store.users.findById(member.userId);
+    return { ...member, name: user ? user.name : null, email: user ? user.email : null };
+  }
+
+  // Everyone with access: the owner, then the members of this scope. A list
+  // also lists the members who were given all lists.
+  router.get('/', async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const scope = await resolveScope(req);
+      const members = [
+        ...(scope === null ? [] : await store.members.listForOwner(userId, null)),
+        ...(await store.members.listForOwner(userId, scope)),
+      ].filter((member) => req.access.isOwner || member.status === 'accepted');
+      res.json({
+        owner: await store.users.findById(userId),
+        members: await Promise.all(members.map(describe)),
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to load members');
+    }
+  });
+
+  router.post('/', requireOwner, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const scope = await resolveScope(req);
+      const email = String(req.body.email || '').trim().toLowerCase();
+      const role = req.body.role === undefined ? 'editor' : readRole(req.body.role);
+      if (!email) {
+        throw httpError(400, 'Email is required');
+      }
+      const user = await store.users.findByEmail(email);
+      if (!user) {
+        throw httpError(404, 'No user has that email');
+      }
+      if (user.id === userId) {
+        throw httpError(400, 'You already own these lists');
+      }
+      const existing = await store.members.listForOwner(userId, scope);
+      if (existing.some((member) => member.userId === user.id)) {
+        throw httpError(409, 'Already shared with this user');
+      }
+
+      const member = await store.members.create({ ownerId: userId, listId: scope, userId: user.id, role });
+      res.status(201).json(await describe(member));
+    } catch (error) {
+      handleError(res, error, 'Failed to share');
+    }
+  });
+
+  router.put('/:memberId', requireOwner, async (req, res) => {
+    try {
+      const member = await findMember(req, await resolveScope(req));
+      const role = readRole(req.body.role);
+      res.json(await describe(await store.members.update(member.id, { role })));
+    } catch (error) {
+      handleError(res, error, 'Failed to update member');
+    }
+  });
+
+  // The owner removes a member, or a member leaves
+  router.delete('/:memberId', async (req, res) => {
+    try {
+      const member = await findMember(req, await resolveScope(req));
+      if (!req.access.isOwner && member.userId !== req.access.actorId) {
+        throw httpError(403, 'Only the owner can do this');
+      }
+      await store.members.remove(member.id);
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to remove member');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMemberRouter };
@@ -0,0 +1,30 @@
+const express = require('express');
+const { requireOwner } = require('../access');
+const { handleError } = require('../errors');
+const { decodeCursor, encodeCursor, readLimit } = require('../taskQuery');
+
+/**
+ * What the owner can see of attempts on their account, mounted under
+ * /api/users/:userId. Failed logins run newest first and page with `limit`
+ * and `cursor` like GET /tasks.
+ */
+function createSecurityRouter(store) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/login-failures', requireOwner, async (req, res) => {
+    try {
+      const limit = readLimit(req.query.limit);
+      const before = req.query.cursor ? decodeCursor(req.query.cursor).id : undefined;
+      const rows = await store.loginFailures.list(req.params.userId, { before, limit: limit + 1 });
+      const items = rows.slice(0, limit);
+      const nextCursor = rows.length > limit ? encodeCursor(null, items[items.length - 1].id) : null;
+      res.json({ items, nextCursor });
+    } catch (error) {
+      handleError(res, error, 'Failed to load failed logins');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSecurityRouter };
@@ -0,0 +1,98 @@
+const express = require('express');
+const { recordActivity } = require('../activity');
+const { handleError, httpError } = require('../errors');
+const { normalizeTag } = require('../taskFields');
+
+const readTag = (value, name) => {
+  if (typeof value !== 'string') {
+    throw httpError(400, `${name} must be a tag`);
+  }
+  return normalizeTag(value);
+};
+
+/**
+ * Tag routes, mounted under /api/users/:userId/tags. Tags only exist on tasks,
+ * so renaming, merging and deleting rewrite every task carrying them.
+ */
+function createTagRouter(store, events, webhooks) {
+  const router = express.Router({ mergeParams: true });
+
+  // Too many tasks may have changed to announce one by one live; webhooks still get each of them
+  function announce(req, updated, changed) {
+    if (updated) {
+      events.publish(req.params.userId, 'resync');
+    }
+    changed.forEach(({ task, before }) => webhooks.notify(req.params.userId, 'task.updated', task, before));
+  }
+
+  // Runs `change` on the tags `names` and adds a history entry to every live task it touched.
+  // Resolves to the count `change` reports and each touched task, as it is now and was before.
+  async function changeTags(req, names, change) {
+    const { userId } = req.params;
+    const { items: tagged } = await store.tasks.list(userId, { tags: { names, match: 'any' } });
+    const updated = await change();
+    const changed = [];
+    for (const before of tagged) {
+      const task = await store.tasks.findById(userId, before.id);
+      await recordActivity(store, req.access, task, { before });
+      changed.push({ task, before });
+    }
+    return { updated, changed };
+  }
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await store.tags.list(req.params.userId));
+    } catch (error) {
+      handleError(res, error, 'Failed to load tags');
+    }
+  });
+
+  // Renaming onto a tag that is already in use merges the two
+  router.put('/:tag', async (req, res) => {
+    try {
+      const from = readTag(req.params.tag, 'Tag');
+      const to = readTag(req.body.name, 'Name');
+      const { updated, changed } =
+        from === to
+          ? { updated: 0, changed: [] }
+          : await changeTags(req, [from], () => store.tags.rename(req.params.userId, [from], to));
+      announce(req, updated, changed);
+      res.json({ tag: to, updated });
+    } catch (error) {
+      handleError(res, error, 'Failed to rename tag');
+    }
+  });
+
+  router.post('/merge', async (req, res) => {
+    try {
+      if (!Array.isArray(req.body.sources) || !req.body.sources.length) {
+        throw httpError(400, 'Sources must be a non-empty array of tags');
+      }
+      const target = readTag(req.body.target, 'Target');
+      const sources = req.body.sources.map((source) => readTag(source, 'Source')).filter((tag) => tag !== target);
+      const { updated, changed } = sources.length
+        ? await changeTags(req, sources, () => store.tags.rename(req.params.userId, sources, target))
+        : { updated: 0, changed: [] };
+      announce(req, updated, changed);
+      res.json({ tag: target, updated });
+    } catch (error) {
+      handleError(res, error, 'Failed to merge tags');
+    }
+  });
+
+  router.delete('/:tag', async (req, res) => {
+    try {
+      const tag = readTag(req.params.tag, 'Tag');
+      const { updated, changed } = await changeTags(req, [tag], () => store.tags.remove(req.params.userId, tag));
+      announce(req, updated, changed);
+      res.json({ tag, updated });
+    } catch (error) {
+      handleError(res, error, 'Failed to delete tag');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTagRouter };
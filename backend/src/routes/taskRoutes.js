@@ -1,33 +1,157 @@
-const express = require("express");
-const router = express.Router();
-const Task = require("../models/Task");
-
-// CREATE
-router.post("/", async (req, res) => {
-  const task = await Task.create(req.body);
-  res.json(task);
-});
-
-// READ
-router.get("/", async (req, res) => {
-  const tasks = await Task.find();
-  res.json(tasks);
-});
-
-// UPDATE
-router.put("/:id", async (req, res) => {
-  const updated = await Task.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    { new: true }
-  );
-  res.json(updated);
-});
-
-// DELETE
-router.delete("/:id", async (req, res) => {
-  await Task.findByIdAndDelete(req.params.id);
-  res.json({ message: "Deleted" });
-});
-
-module.exports = router;
+const express = require('express');
+const { findTaskFor, requireRole, roleFor, visibleListIds } = require('../access');
+const { recordActivity } = require('../activity');
+const { httpError, handleError } = require('../errors');
+const { readTaskInput } = require('../taskFields');
+const { readTaskQuery, toPage } = require('../taskQuery');
+const { rankBetween } = require('../rank');
+const { skipOccurrence } = require('../taskLifecycle');
+const { createTask, updateTask, removeTask } = require('../taskOperations');
+const { etagFor, readPrecondition } = require('../taskVersions');
+
+/**
+ * Task routes, mounted under /api/users/:userId/tasks once req.access has been
+ * resolved. Members only see tasks on the lists shared with them, and need
+ * the editor role to change them.
+ */
+function createTaskRouter(store, events) {
+  const router = express.Router({ mergeParams: true });
+
+  function sendTask(res, task, status = 200) {
+    res.status(status).set('ETag', etagFor(task)).json(task);
+  }
+
+  async function loadNeighbour(access, id) {
+    const userId = access.ownerId;
+    const task = await store.tasks.findById(userId, id);
+    if (!task || !roleFor(access, task.listId)) {
+      throw httpError(400, 'Neighbour task not found');
+    }
+    if (task.position !== null) {
+      return task;
+    }
+    // Tasks from before manual ordering get a place at the end on first use
+    const last = await store.tasks.nextPosition(userId, null, 'desc');
+    return store.tasks.update(userId, task.id, { position: rankBetween(last, null) });
+  }
+
+  // The rank for a task placed right after `after` and/or right before `before`
+  async function positionBetween(access, taskId, { after, before }) {
+    const userId = access.ownerId;
+    if (after === undefined && before === undefined) {
+      throw httpError(400, 'Send the id of the task to move after or before');
+    }
+    if (String(after) === String(taskId) || String(before) === String(taskId)) {
+      throw httpError(400, 'A task cannot be moved next to itself');
+    }
+    const previous = after === undefined ? null : await loadNeighbour(access, after);
+    const next = before === undefined ? null : await loadNeighbour(access, before);
+    if (previous && next) {
+      if (previous.position >= next.position) {
+        throw httpError(400, '"after" must come before "before"');
+      }
+      return rankBetween(previous.position, next.position);
+    }
+    if (previous) {
+      return rankBetween(previous.position, await store.tasks.nextPosition(userId, previous.position, 'asc'));
+    }
+    return rankBetween(await store.tasks.nextPosition(userId, next.position, 'desc'), next.position);
+  }
+
+  router.get('/', async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const options = readTaskQuery(req.query);
+      if (options.listId !== undefined) {
+        requireRole(req.access, options.listId, 'viewer');
+      } else {
+        options.listIds = visibleListIds(req.access);
+      }
+      // One extra row tells us whether there is another page
+      const { items, total } = await store.tasks.list(userId, { ...options, limit: options.limit + 1 });
+      res.json(toPage(items, total, options));
+    } catch (error) {
+      handleError(res, error, 'Failed to load tasks');
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const task = await createTask(store, req.access, readTaskInput(req.body, { creating: true }));
+      events.publish(userId, 'task.created', task);
+      sendTask(res, task, 201);
+    } catch (error) {
+      handleError(res, error, 'Failed to create task');
+    }
+  });
+
+  router.get('/:taskId', async (req, res) => {
+    try {
+      sendTask(res, await findTaskFor(store, req.access, req.params.taskId, 'viewer'));
+    } catch (error) {
+      handleError(res, error, 'Failed to load task');
+    }
+  });
+
+  // PUT and PATCH both change only the fields that are sent
+  async function update(req, res) {
+    try {
+      const { userId, taskId } = req.params;
+      const precondition = readPrecondition(req);
+      const changes = readTaskInput(req.body);
+      const { task, before } = await updateTask(store, req.access, taskId, changes, precondition);
+      events.publish(userId, 'task.updated', task, before);
+      sendTask(res, task);
+    } catch (error) {
+      handleError(res, error, 'Failed to update task');
+    }
+  }
+
+  router.put('/:taskId', update);
+  router.patch('/:taskId', update);
+
+  router.post('/:taskId/move', async (req, res) => {
+    try {
+      const { userId, taskId } = req.params;
+      await findTaskFor(store, req.access, taskId, 'editor');
+      const position = await positionBetween(req.access, taskId, req.body);
+      const task = await store.tasks.update(userId, taskId, { position });
+      events.publish(userId, 'task.updated', task);
+      sendTask(res, task);
+    } catch (error) {
+      handleError(res, error, 'Failed to move task');
+    }
+  });
+
+  router.post('/:taskId/skip', async (req, res) => {
+    try {
+      const { userId, taskId } = req.params;
+      const task = await findTaskFor(store, req.access, taskId, 'editor');
+      if (!task.recurrence) {
+        return res.status(400).json({ message: 'Task does not repeat' });
+      }
+      const skipped = await skipOccurrence(store, userId, task);
+      await recordActivity(store, req.access, skipped, { before: task });
+      events.publish(userId, 'task.updated', skipped);
+      sendTask(res, skipped);
+    } catch (error) {
+      handleError(res, error, 'Failed to skip occurrence');
+    }
+  });
+
+  router.delete('/:taskId', async (req, res) => {
+    try {
+      const { userId, taskId } = req.params;
+      const task = await removeTask(store, req.access, taskId, readPrecondition(req));
+      events.publish(userId, 'task.deleted', task);
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to delete task');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTaskRouter };
@@ -0,0 +1,68 @@
+const express = require('express');
+const { requireOwner } = require('../access');
+const { handleError, httpError } = require('../errors');
+const { formatFor, formatOf } = require('../formats');
+const { prepareImport, runImport, summarize } = require('../taskImport');
+
+// CSV, Markdown and iCalendar uploads; JSON goes through the app-wide parser
+const readText = express.text({ type: 'text/*', limit: '5mb' });
+
+/**
+ * Export and import of a whole account, mounted under /api/users/:userId.
+ * Both are owner-only: an export holds every list, and an import adds to
+ * them. See formats/index.js for the file formats.
+ */
+function createTransferRouter(store, events, webhooks) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/export', requireOwner, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const format = formatFor(req.query.format === undefined ? 'json' : String(req.query.format));
+      await store.lists.getInbox(userId);
+      const lists = await store.lists.list(userId, { includeArchived: true });
+      const { items: tasks } = await store.tasks.list(userId, { sort: { field: 'created', direction: 'asc' } });
+      const exportedAt = new Date();
+      res.attachment(`tasks-${exportedAt.toISOString().slice(0, 10)}.${format.extension}`);
+      res.type(format.contentType).send(format.serialize({ lists, tasks, exportedAt }));
+    } catch (error) {
+      handleError(res, error, 'Failed to export tasks');
+    }
+  });
+
+  // ?dryRun=true only reports what would be imported. Otherwise a file with
+  // any bad row is turned down whole, with the same report as details.
+  router.post('/import', requireOwner, readText, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const name = formatOf(req);
+      const format = formatFor(name);
+      if (typeof req.body !== 'string' && name !== 'json') {
+        throw httpError(400, `Send the file as the request body, with Content-Type: ${format.contentType}`);
+      }
+      const dryRun = req.query.dryRun === 'true';
+      const plan = await prepareImport(store, userId, format.parse(req.body), { listId: req.query.listId });
+      const report = { format: name, dryRun, ...summarize(plan) };
+      if (dryRun) {
+        return res.json(report);
+      }
+      if (plan.errors.length) {
+        const count = plan.errors.length;
+        throw httpError(400, `${count} ${count === 1 ? 'row has' : 'rows have'} errors; nothing was imported`, report);
+      }
+      if (!plan.rows.length && !plan.lists.length) {
+        throw httpError(400, 'The file has nothing to import');
+      }
+      const created = await store.transaction((tx) => runImport(tx, req.access, plan));
+      events.publish(userId, 'resync');
+      created.forEach((task) => webhooks.notify(userId, 'task.created', task));
+      res.status(201).json(report);
+    } catch (error) {
+      handleError(res, error, 'Failed to import tasks');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTransferRouter };
@@ -0,0 +1,40 @@
+const express = require('express');
+const { visibleListIds } = require('../access');
+const { handleError } = require('../errors');
+const { restoreTask } = require('../taskOperations');
+const { TRASH_RETENTION_DAYS } = require('../trash');
+const { etagFor } = require('../taskVersions');
+
+/**
+ * The trash, mounted under /api/users/:userId/tasks ahead of the task routes
+ * so /trash is not taken for a task id. Members see and restore the deleted
+ * tasks of the lists shared with them, like the live ones.
+ */
+function createTrashRouter(store, events) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/trash', async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const items = await store.tasks.listTrash(userId, { listIds: visibleListIds(req.access) });
+      res.json({ items, retentionDays: TRASH_RETENTION_DAYS });
+    } catch (error) {
+      handleError(res, error, 'Failed to load the trash');
+    }
+  });
+
+  router.post('/:taskId/restore', async (req, res) => {
+    try {
+      const { userId, taskId } = req.params;
+      const task = await restoreTask(store, req.access, taskId);
+      events.publish(userId, 'task.restored', task);
+      res.set('ETag', etagFor(task)).json(task);
+    } catch (error) {
+      handleError(res, error, 'Failed to restore task');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTrashRouter };
@@ -0,0 +1,96 @@
+const express = require('express');
+const { requireOwner } = require('../access');
+const { handleError, httpError } = require('../errors');
+const { readLimit } = require('../taskQuery');
+const { MAX_WEBHOOKS, DELIVERY_LOG_SIZE, createWebhookSecret, readWebhookFields } = require('../webhooks');
+
+// The secret only goes out once, when the webhook is created
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+/**
+ * Managing outgoing webhooks (see webhooks.js), mounted under
+ * /api/users/:userId. Only the owner gets here; API tokens cannot either
+ * (see apiTokens.limitApiTokens).
+ */
+function createWebhookRouter(store, webhooks) {
+  const router = express.Router({ mergeParams: true });
+
+  async function loadWebhook(req) {
+    const webhook = await store.webhooks.findById(req.params.userId, req.params.webhookId);
+    if (!webhook) {
+      throw httpError(404, 'Webhook not found');
+    }
+    return webhook;
+  }
+
+  router.get('/webhooks', requireOwner, async (req, res) => {
+    try {
+      res.json({ items: (await store.webhooks.list(req.params.userId)).map(publicWebhook) });
+    } catch (error) {
+      handleError(res, error, 'Failed to load webhooks');
+    }
+  });
+
+  router.post('/webhooks', requireOwner, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const fields = await readWebhookFields(req.body, { creating: true });
+      if ((await store.webhooks.list(userId)).length >= MAX_WEBHOOKS) {
+        throw httpError(400, `You can have at most ${MAX_WEBHOOKS} webhooks`);
+      }
+      const webhook = await store.webhooks.create(userId, { ...fields, secret: createWebhookSecret() });
+      res.status(201).json(webhook);
+    } catch (error) {
+      handleError(res, error, 'Failed to create webhook');
+    }
+  });
+
+  // Changes url, events and whether it is active
+  router.patch('/webhooks/:webhookId', requireOwner, async (req, res) => {
+    try {
+      const fields = await readWebhookFields(req.body);
+      const webhook = await store.webhooks.update(req.params.userId, req.params.webhookId, fields);
+      if (!webhook) {
+        throw httpError(404, 'Webhook not found');
+      }
+      res.json(publicWebhook(webhook));
+    } catch (error) {
+      handleError(res, error, 'Failed to update webhook');
+    }
+  });
+
+  router.delete('/webhooks/:webhookId', requireOwner, async (req, res) => {
+    try {
+      if (!(await store.webhooks.remove(req.params.userId, req.params.webhookId))) {
+        throw httpError(404, 'Webhook not found');
+      }
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'Failed to delete webhook');
+    }
+  });
+
+  // The delivery log, newest first
+  router.get('/webhooks/:webhookId/deliveries', requireOwner, async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req);
+      const limit = req.query.limit === undefined ? DELIVERY_LOG_SIZE : readLimit(req.query.limit);
+      res.json({ items: await store.webhookDeliveries.list(webhook.id, { limit }) });
+    } catch (error) {
+      handleError(res, error, 'Failed to load webhook deliveries');
+    }
+  });
+
+  // Sends a webhook.test event once, whether or not the webhook is active, and answers with how it went
+  router.post('/webhooks/:webhookId/test', requireOwner, async (req, res) => {
+    try {
+      res.json(await webhooks.sendTest(await loadWebhook(req)));
+    } catch (error) {
+      handleError(res, error, 'Failed to send test event');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
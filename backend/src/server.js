@@ -1,9 +1,24 @@
 require('dotenv').config();
 
-const app = require('../api/index');
+const { createApp } = require('./createApp');
+const { createPubSubFromEnv } = require('./pubsub');
+const { createMongoStore, createSqlStore } = require('./stores');
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running locally at http://localhost:${PORT}`);
-});
+// MONGO_URI selects the MongoDB store (same as Vercel); otherwise the SQL
+// store is used with DATABASE_URL, defaulting to a local SQLite file.
+const store = process.env.MONGO_URI ? createMongoStore() : createSqlStore();
+const app = createApp(store, { serveFrontend: true, pubsub: createPubSubFromEnv() });
+
+store
+  .init()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running locally at http://localhost:${PORT}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
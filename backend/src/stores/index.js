@@ -0,0 +1,185 @@
+/*
+ * The API routes never talk to a database directly. They receive a store with
+ * the shape below, and every implementation in this directory (Mongo, SQL,
+ * in-memory) must behave identically so the routes produce the same responses
+ * whichever one is plugged in.
+ *
+ * Ids are always strings. Unknown or malformed ids resolve to null/false
+ * rather than throwing. Timestamps may be Date objects or ISO strings; both
+ * serialise the same way.
+ *
+ * store.init()                                  connect / migrate, memoised
+ * store.ping()                                  health check
+ * store.transaction(fn)                         -> what fn(txStore) resolves to
+ *     every call through txStore commits together, or none does when fn throws
+ *
+ * store.users.create({ name, email, passwordHash })    -> User
+ * store.users.findById(id)                             -> User | null
+ * store.users.findByEmail(email)                       -> User & { passwordHash } | null
+ * store.users.update(id, changes)                      -> User | null
+ *     changes among name, email, passwordHash and emailVerified (a boolean)
+ * store.users.remove(id)                               -> boolean
+ *     deletes the user with everything they own: sessions, lists, tasks,
+ *     memberships either way, feed, activity, tokens, API tokens and login failures;
+ *     their id is cleared from createdBy, completedBy and actorId elsewhere
+ *
+ * store.sessions.create({ userId, refreshTokenHash, expiresAt, userAgent, ip })   -> Session
+ * store.sessions.findById(id)                                      -> Session | null
+ * store.sessions.findByRefreshTokenHash(hash)                      -> Session | null
+ * store.sessions.listForUser(userId)                               -> Session[] neither revoked nor
+ *     expired, most recently used first
+ * store.sessions.rotate(id, { refreshTokenHash, expiresAt })       also sets lastUsedAt
+ * store.sessions.revoke(id)
+ * store.sessions.revokeAll(userId, { except })                     every session of the user, but
+ *     the one with the id `except` when given
+ *
+ * store.userTokens.create(userId, { purpose, tokenHash, expiresAt })   -> UserToken,
+ *     replacing the user's earlier tokens for that purpose
+ * store.userTokens.find(purpose, tokenHash)                             -> UserToken | null, unless expired
+ * store.userTokens.consume(purpose, tokenHash)                          -> UserToken | null
+ *     deletes and returns the token unless it has expired; a token is only
+ *     ever returned once
+ *
+ * store.lists.list(userId, { includeArchived })  -> List[] (inbox first, then oldest first)
+ * store.lists.create(userId, fields)             -> List
+ * store.lists.findById(userId, listId)           -> List | null
+ * store.lists.getInbox(userId)                   -> List (created on first use)
+ * store.lists.update(userId, listId, changes)    -> List | null
+ * store.lists.remove(userId, listId)             -> boolean, deletes the list's memberships too and
+ *     moves its tasks to the inbox, in the trash, so they can still be restored
+ * store.lists.restore(userId, fields)            -> List with the given createdAt and updatedAt
+ *     (for imports); with isInbox, the user's inbox takes the fields instead
+ *
+ * store.tasks.list(userId, options)            -> { items: Task[], total }
+ *     options as produced by taskQuery.readTaskQuery (filters, sort, limit,
+ *     cursor); all optional, defaulting to every task newest first. `total`
+ *     counts the filtered tasks ignoring cursor and limit. `listIds` (an array)
+ *     further limits the tasks to those lists; access.js uses it for members.
+ * store.tasks.create(userId, fields)            -> Task (missing fields get TASK_DEFAULTS)
+ * store.tasks.restore(userId, fields, { ownSeries })   -> Task
+ *     for imports: saves a task as given, including version, createdAt,
+ *     updatedAt and items ([{ title, done }]); `ownSeries` sets its seriesId
+ *     to its own new id
+ * store.tasks.findById(userId, taskId)          -> Task | null
+ * store.tasks.update(userId, taskId, changes, { version })   -> Task | null
+ * store.tasks.remove(userId, taskId, { version })            -> boolean
+ *     with `version`, only a task still at that version is changed or removed
+ *     remove moves the task to the trash: it sets deletedAt and leaves
+ *     version and updatedAt alone. Every other method here and in
+ *     store.items and store.tags.list acts as if trashed tasks were gone
+ * store.tasks.listTrash(userId, { listIds })    -> Task[] in the trash, most recently deleted first
+ * store.tasks.findInTrash(userId, taskId)       -> Task | null
+ * store.tasks.recover(userId, taskId, { position })   -> Task | null, back out of the trash with a new version,
+ *     moved to `position` when it is given
+ * store.tasks.purgeTrash(before)                -> number of tasks of any user deleted for good,
+ *     those trashed before the `before` Date
+ * store.tasks.nextPosition(userId, position, direction)   -> string | null
+ *     the nearest task position after (direction 'asc') or before ('desc')
+ *     `position`; with a null position, the first or last one
+ *
+ * store.items.add(userId, taskId, { title, done })         -> Task | null, appends to the checklist
+ * store.items.update(userId, taskId, itemId, changes)     -> Task | null when the task or item is missing
+ * store.items.reorder(userId, taskId, itemIds)            -> Task | null, itemIds a permutation of the items
+ * store.items.remove(userId, taskId, itemId)              -> Task | null
+ *     all bump the task's version and updatedAt
+ *
+ * store.members.create({ ownerId, listId, userId, role })   -> Membership, status 'pending'
+ * store.members.findById(id)                                -> Membership | null
+ * store.members.listForOwner(ownerId, listId)               -> Membership[] on that list
+ *     (a null listId means the memberships on all of the owner's lists)
+ * store.members.listForUser(userId)                         -> Membership[] of any owner
+ * store.members.update(id, changes)                         -> Membership | null
+ * store.members.remove(id)                                  -> boolean
+ *     both lists are oldest first
+ *
+ * store.feeds.findByUser(userId)                -> Feed | null, the user's calendar feed
+ * store.feeds.findByTokenHash(hash)             -> Feed | null
+ * store.feeds.replace(userId, { tokenHash })    -> Feed, a new one in place of any old one
+ * store.feeds.remove(userId)                    -> boolean
+ *
+ * store.apiTokens.create(userId, { name, scopes, tokenHash, expiresAt })   -> ApiToken
+ * store.apiTokens.list(userId)                   -> ApiToken[], newest first, expired ones too
+ * store.apiTokens.findByHash(hash)               -> ApiToken | null, unless expired
+ * store.apiTokens.touch(id)                      sets lastUsedAt to now
+ * store.apiTokens.remove(userId, tokenId)        -> boolean
+ *
+ * store.webhooks.create(userId, { url, events, secret })   -> Webhook, active
+ * store.webhooks.list(userId)                    -> Webhook[], oldest first
+ * store.webhooks.findById(userId, webhookId)     -> Webhook | null
+ * store.webhooks.update(userId, webhookId, { url, events, active })   -> Webhook | null
+ * store.webhooks.remove(userId, webhookId)       -> boolean, with its deliveries
+ *
+ * store.webhookDeliveries.create({ userId, webhookId, eventId, type, payload, nextAttemptAt })
+ *     -> Delivery, pending with no attempts yet
+ * store.webhookDeliveries.list(webhookId, { limit })   -> Delivery[], newest first
+ * store.webhookDeliveries.update(id, { status, attempts, responseStatus, error, nextAttemptAt })
+ *     -> Delivery | null
+ * store.webhookDeliveries.listDue(limit)         -> pending Delivery[] whose nextAttemptAt has come,
+ *     the longest waiting first
+ * store.webhookDeliveries.claim(id, until)       -> Delivery | null; moves the nextAttemptAt of a
+ *     delivery that is still due to `until`, so that nobody else attempts it meanwhile
+ * store.webhookDeliveries.prune(webhookId, keep) -> number of finished deliveries dropped
+ *     that are older than the newest `keep`
+ *
+ * store.activity.add(userId, { taskId, listId, actorId, action, title, changes })   -> Activity
+ * store.activity.list(userId, { taskId, listIds, before, limit })   -> Activity[], newest first
+ *     the owner's entries, all optional filters: one task's, those on
+ *     `listIds`, and only those older than the entry id `before`
+ *
+ * store.counters.hit(key, windowMs)           -> { count, resetAt }, one more in the key's window,
+ *     opening a new window of windowMs when there is none
+ * store.counters.get(key)                      -> { count, resetAt } | null once the window is over
+ * store.counters.reset(key)
+ * store.counters.prune()                       -> number of counters dropped whose window is over
+ *     the database counter store (see counters/index.js)
+ *
+ * store.loginFailures.add(userId, { ip, userAgent, reason })   -> LoginFailure
+ * store.loginFailures.list(userId, { before, limit })         -> LoginFailure[], newest first,
+ *     only those older than the id `before` when given
+ *
+ * store.tags.list(userId)                       -> { name, count }[] (most used first, then by name)
+ * store.tags.rename(userId, from[], to)         -> number of tasks changed; merges into `to`
+ * store.tags.remove(userId, name)               -> number of tasks changed
+ *     both bump version and updatedAt on the tasks they touch
+ *
+ * User    { id, name, email, emailVerified }
+ * Session { id, userId, expiresAt, revokedAt, userAgent, ip, createdAt, lastUsedAt }
+ * List    { id, userId, name, color, icon, archived, isInbox, createdAt, updatedAt }
+ * Task    { id, userId, listId, title, completed, dueAt, priority, notes, estimateMinutes,
+ *           tags, autoComplete, recurrence, seriesId, position, createdBy, completedBy, version, items,
+ *           progress, createdAt, updatedAt, deletedAt }
+ *         priority is a name from taskFields.PRIORITIES, tags are normalised and sorted,
+ *         recurrence is a canonical rule string (recurrence.js) or null,
+ *         position is a rank (rank.js) for manual ordering,
+ *         createdBy/completedBy are user ids (the owner or a member) or null,
+ *         version starts at 1 and goes up by one with every change (taskVersions.js),
+ *         items is the checklist in order and progress is checklistProgress(items),
+ *         deletedAt is null unless the task is in the trash
+ * Item    { id, title, done }
+ * Membership { id, ownerId, listId, userId, role, status, createdAt, updatedAt }
+ *         listId is null for all lists, role is 'editor' or 'viewer',
+ *         status is 'pending' until the invited user accepts
+ * UserToken { id, userId, purpose, expiresAt, createdAt }
+ *         purpose is 'password-reset' or 'email-verification' (see accountEmails.js)
+ * Feed    { userId, createdAt }
+ * ApiToken { id, userId, name, scopes, expiresAt, lastUsedAt, createdAt }
+ *         scopes are names from apiTokens.API_TOKEN_SCOPES; expiresAt and
+ *         lastUsedAt may be null
+ * Webhook { id, userId, url, events, secret, active, createdAt, updatedAt }
+ *         events are names from webhooks.WEBHOOK_EVENTS
+ * Delivery { id, userId, webhookId, eventId, type, payload, status, attempts, responseStatus,
+ *           error, nextAttemptAt, createdAt, updatedAt }
+ *         status is 'pending', 'succeeded' or 'failed'; responseStatus and
+ *         error are the last attempt's; nextAttemptAt is null once finished
+ * LoginFailure { id, userId, ip, userAgent, reason, createdAt }
+ *         reason is 'password' or 'locked' (see throttle.js)
+ * Activity { id, userId, taskId, listId, actorId, action, title, changes, createdAt }
+ *         userId is the task's owner and actorId who made the change (see
+ *         activity.js for actions and changes); title is the task's after it
+ */
+
+const { createMemoryStore } = require('./memoryStore');
+const { createMongoStore } = require('./mongoStore');
+const { createSqlStore } = require('./sqlStore');
+
+module.exports = { createMemoryStore, createMongoStore, createSqlStore };
@@ -0,0 +1,823 @@
+/*
+ * Keeps everything in process memory. Used for tests and quick local runs;
+ * nothing survives a restart.
+ */
+
+const { TASK_DEFAULTS } = require('../taskFields');
+const { checklistProgress } = require('../checklistFields');
+const { INBOX_NAME, LIST_DEFAULTS } = require('../listFields');
+const { sortValue } = require('../taskQuery');
+
+const clone = (value) => (value ? structuredClone(value) : null);
+const normalize = (fields) =>
+  fields.dueAt instanceof Date ? { ...fields, dueAt: fields.dueAt.toISOString() } : fields;
+const iso = (value) => new Date(value).toISOString();
+const sequence = () => {
+  let next = 1;
+  return () => String(next++);
+};
+
+// Orders (value, id) keys the way the SQL and Mongo stores do: nulls last in
+// either direction, ties broken by id in the sort direction.
+function compareKeys(valueA, idA, valueB, idB, direction) {
+  const sign = direction === 'asc' ? 1 : -1;
+  if (valueA !== valueB) {
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    return (valueA < valueB ? -1 : 1) * sign;
+  }
+  return (Number(idA) - Number(idB)) * sign;
+}
+
+// Tasks are stored with their items; progress is derived on the way out.
+function toTask(task) {
+  if (!task) return null;
+  const { createdAt, updatedAt, deletedAt = null, ...fields } = task;
+  return clone({ ...fields, progress: checklistProgress(task.items), createdAt, updatedAt, deletedAt });
+}
+
+function matchesFilters(task, { listId, listIds, status, search, tags, dueBefore, dueAfter }) {
+  if (listId !== undefined && task.listId !== String(listId)) return false;
+  if (listIds && !listIds.includes(task.listId)) return false;
+  if (status === 'open' && task.completed) return false;
+  if (status === 'completed' && !task.completed) return false;
+  if (search && !task.title.toLowerCase().includes(search.toLowerCase())) return false;
+  if (tags && tags.match === 'all' && !tags.names.every((tag) => task.tags.includes(tag))) return false;
+  if (tags && tags.match === 'any' && !tags.names.some((tag) => task.tags.includes(tag))) return false;
+  if (dueBefore && !(task.dueAt && new Date(task.dueAt) < dueBefore)) return false;
+  if (dueAfter && !(task.dueAt && new Date(task.dueAt) >= dueAfter)) return false;
+  return true;
+}
+const inboxFirst = (a, b) =>
+  Number(b.isInbox) - Number(a.isInbox) || a.createdAt.localeCompare(b.createdAt) || Number(a.id) - Number(b.id);
+
+function createMemoryStore() {
+  const users = new Map();
+  const sessions = new Map();
+  const lists = new Map();
+  const tasks = new Map();
+  const members = new Map();
+  const feeds = new Map();
+  const activity = new Map();
+  const userTokens = new Map();
+  const counters = new Map();
+  const loginFailures = new Map();
+  const apiTokens = new Map();
+  const webhooks = new Map();
+  const deliveries = new Map();
+  const nextUserId = sequence();
+  const nextSessionId = sequence();
+  const nextListId = sequence();
+  const nextTaskId = sequence();
+  const nextItemId = sequence();
+  const nextMemberId = sequence();
+  const nextActivityId = sequence();
+  const nextUserTokenId = sequence();
+  const nextLoginFailureId = sequence();
+  const nextApiTokenId = sequence();
+  const nextWebhookId = sequence();
+  const nextDeliveryId = sequence();
+
+  const now = () => new Date().toISOString();
+  const publicUser = (user) => ({
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    emailVerified: Boolean(user.emailVerifiedAt),
+  });
+  const publicSession = ({ refreshTokenHash, ...session }) => clone(session);
+  const publicUserToken = ({ tokenHash, ...token }) => clone(token);
+  const publicFeed = (feed) => ({ userId: feed.userId, createdAt: feed.createdAt });
+  const publicApiToken = ({ tokenHash, ...token }) => clone(token);
+
+  const liveUserToken = (purpose, tokenHash) => {
+    const token = [...userTokens.values()].find(
+      (candidate) => candidate.tokenHash === tokenHash && candidate.purpose === purpose
+    );
+    return token && new Date(token.expiresAt) > new Date() ? token : null;
+  };
+
+  const liveCounter = (key) => {
+    const counter = counters.get(key);
+    return counter && new Date(counter.resetAt) > new Date() ? counter : null;
+  };
+
+  const findList = (userId, listId) => {
+    const list = lists.get(String(listId));
+    return list && list.userId === String(userId) ? list : null;
+  };
+
+  // Tasks in the trash are only found by the trash methods
+  const findTask = (userId, taskId, { trashed = false } = {}) => {
+    const task = tasks.get(String(taskId));
+    return task && task.userId === String(userId) && Boolean(task.deletedAt) === trashed ? task : null;
+  };
+
+  const touch = (task) => {
+    task.version += 1;
+    task.updatedAt = now();
+  };
+
+  return {
+    async init() {},
+    async ping() {},
+    // Undoes the list, task and activity changes of `fn` when it throws. Not
+    // isolated from requests running meanwhile, which is fine for tests and
+    // local runs.
+    async transaction(fn) {
+      const saved = structuredClone([lists, tasks, activity].map((map) => [...map]));
+      try {
+        return await fn(this);
+      } catch (error) {
+        [lists, tasks, activity].forEach((map, index) => {
+          map.clear();
+          saved[index].forEach(([id, value]) => map.set(id, value));
+        });
+        throw error;
+      }
+    },
+
+    users: {
+      async create({ name, email, passwordHash }) {
+        const timestamp = now();
+        const user = {
+          id: nextUserId(),
+          name,
+          email,
+          passwordHash,
+          emailVerifiedAt: null,
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        users.set(user.id, user);
+        return publicUser(user);
+      },
+      async findById(id) {
+        const user = users.get(String(id));
+        return user ? publicUser(user) : null;
+      },
+      async findByEmail(email) {
+        const user = [...users.values()].find((candidate) => candidate.email === email);
+        return user ? { ...publicUser(user), passwordHash: user.passwordHash } : null;
+      },
+      async update(id, { emailVerified, ...changes }) {
+        const user = users.get(String(id));
+        if (!user) {
+          return null;
+        }
+        const fields = ['name', 'email', 'passwordHash'].filter((field) => changes[field] !== undefined);
+        fields.forEach((field) => {
+          user[field] = changes[field];
+        });
+        if (emailVerified !== undefined) {
+          user.emailVerifiedAt = emailVerified ? now() : null;
+        }
+        user.updatedAt = now();
+        return publicUser(user);
+      },
+      // What the SQL schema's foreign keys do: cascade to what the user owns and
+      // forget them as the author of changes elsewhere
+      async remove(id) {
+        const userId = String(id);
+        if (!users.delete(userId)) {
+          return false;
+        }
+        const owned = (entry) => entry.userId === userId;
+        const userMaps = [sessions, lists, tasks, feeds, activity, userTokens, loginFailures, apiTokens];
+        [...userMaps, webhooks, deliveries].forEach((map) => {
+          map.forEach((entry, key) => {
+            if (owned(entry)) {
+              map.delete(key);
+            }
+          });
+        });
+        members.forEach((membership, key) => {
+          if (membership.ownerId === userId || membership.userId === userId) {
+            members.delete(key);
+          }
+        });
+        tasks.forEach((task) => {
+          if (task.createdBy === userId) task.createdBy = null;
+          if (task.completedBy === userId) task.completedBy = null;
+        });
+        activity.forEach((entry) => {
+          if (entry.actorId === userId) entry.actorId = null;
+        });
+        return true;
+      },
+    },
+
+    sessions: {
+      async create({ userId, refreshTokenHash, expiresAt, userAgent = null, ip = null }) {
+        const timestamp = now();
+        const session = {
+          id: nextSessionId(),
+          userId: String(userId),
+          refreshTokenHash,
+          expiresAt,
+          revokedAt: null,
+          userAgent,
+          ip,
+          createdAt: timestamp,
+          lastUsedAt: timestamp,
+        };
+        sessions.set(session.id, session);
+        return publicSession(session);
+      },
+      async findById(id) {
+        const session = sessions.get(String(id));
+        return session ? publicSession(session) : null;
+      },
+      async findByRefreshTokenHash(hash) {
+        const session = [...sessions.values()].find((candidate) => candidate.refreshTokenHash === hash);
+        return session ? publicSession(session) : null;
+      },
+      async listForUser(userId) {
+        return [...sessions.values()]
+          .filter((session) => session.userId === String(userId) && !session.revokedAt)
+          .filter((session) => new Date(session.expiresAt) > new Date())
+          .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt) || Number(b.id) - Number(a.id))
+          .map(publicSession);
+      },
+      async rotate(id, { refreshTokenHash, expiresAt }) {
+        const session = sessions.get(String(id));
+        if (session) {
+          Object.assign(session, { refreshTokenHash, expiresAt, lastUsedAt: now() });
+        }
+      },
+      async revoke(id) {
+        const session = sessions.get(String(id));
+        if (session) {
+          session.revokedAt = new Date();
+        }
+      },
+      async revokeAll(userId, { except } = {}) {
+        sessions.forEach((session) => {
+          if (session.userId === String(userId) && !session.revokedAt && session.id !== except) {
+            session.revokedAt = new Date();
+          }
+        });
+      },
+    },
+
+    userTokens: {
+      async create(userId, { purpose, tokenHash, expiresAt }) {
+        userTokens.forEach((token, id) => {
+          if (token.userId === String(userId) && token.purpose === purpose) {
+            userTokens.delete(id);
+          }
+        });
+        const token = { id: nextUserTokenId(), userId: String(userId), purpose, tokenHash, expiresAt, createdAt: now() };
+        userTokens.set(token.id, token);
+        return publicUserToken(token);
+      },
+      async find(purpose, tokenHash) {
+        const token = liveUserToken(purpose, tokenHash);
+        return token ? publicUserToken(token) : null;
+      },
+      async consume(purpose, tokenHash) {
+        const token = liveUserToken(purpose, tokenHash);
+        if (!token) {
+          return null;
+        }
+        userTokens.delete(token.id);
+        return publicUserToken(token);
+      },
+    },
+
+    lists: {
+      async list(userId, { includeArchived = false } = {}) {
+        return [...lists.values()]
+          .filter((list) => list.userId === String(userId) && (includeArchived || !list.archived))
+          .sort(inboxFirst)
+          .map(clone);
+      },
+      async create(userId, fields) {
+        const timestamp = now();
+        const list = {
+          id: nextListId(),
+          userId: String(userId),
+          name: fields.name,
+          ...LIST_DEFAULTS,
+          ...fields,
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        lists.set(list.id, list);
+        return clone(list);
+      },
+      async findById(userId, listId) {
+        return clone(findList(userId, listId));
+      },
+      async getInbox(userId) {
+        const inbox = [...lists.values()].find((list) => list.userId === String(userId) && list.isInbox);
+        return inbox ? clone(inbox) : this.create(userId, { name: INBOX_NAME, isInbox: true });
+      },
+      async update(userId, listId, changes) {
+        const list = findList(userId, listId);
+        if (!list) {
+          return null;
+        }
+        Object.assign(list, changes, { updatedAt: now() });
+        return clone(list);
+      },
+      async restore(userId, { createdAt, updatedAt, ...fields }) {
+        const { id } = fields.isInbox ? await this.getInbox(userId) : await this.create(userId, fields);
+        const list = findList(userId, id);
+        Object.assign(list, fields, { createdAt: iso(createdAt), updatedAt: iso(updatedAt) });
+        return clone(list);
+      },
+      async remove(userId, listId) {
+        if (!findList(userId, listId)) {
+          return false;
+        }
+        const inbox = await this.getInbox(userId);
+        const deletedAt = now();
+        [...tasks.values()]
+          .filter((task) => task.listId === String(listId))
+          .forEach((task) => {
+            Object.assign(task, { listId: inbox.id, deletedAt: task.deletedAt || deletedAt });
+          });
+        [...members.values()]
+          .filter((member) => member.listId === String(listId))
+          .forEach((member) => members.delete(member.id));
+        return lists.delete(String(listId));
+      },
+    },
+
+    tasks: {
+      async list(userId, options = {}) {
+        const { sort = { field: 'created', direction: 'desc' }, after = null, limit } = options;
+        const key = (task) => sortValue(task, sort.field);
+
+        const matching = [...tasks.values()].filter(
+          (task) => task.userId === String(userId) && !task.deletedAt && matchesFilters(task, options)
+        );
+        const page = matching
+          .filter((task) => !after || compareKeys(key(task), task.id, after.value, after.id, sort.direction) > 0)
+          .sort((a, b) => compareKeys(key(a), a.id, key(b), b.id, sort.direction))
+          .slice(0, limit === undefined ? undefined : limit);
+
+        return { items: page.map(toTask), total: matching.length };
+      },
+      async create(userId, fields) {
+        const timestamp = now();
+        const task = {
+          id: nextTaskId(),
+          userId: String(userId),
+          listId: String(fields.listId),
+          title: fields.title,
+          ...TASK_DEFAULTS,
+          ...normalize(fields),
+          version: 1,
+          items: [],
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        tasks.set(task.id, task);
+        return toTask(task);
+      },
+      async restore(userId, { items, createdAt, updatedAt, ...fields }, { ownSeries = false } = {}) {
+        const id = nextTaskId();
+        const task = {
+          id,
+          userId: String(userId),
+          ...TASK_DEFAULTS,
+          ...normalize(fields),
+          listId: String(fields.listId),
+          seriesId: ownSeries ? id : fields.seriesId ?? null,
+          items: items.map(({ title, done }) => ({ id: nextItemId(), title, done })),
+          createdAt: iso(createdAt),
+          updatedAt: iso(updatedAt),
+        };
+        tasks.set(id, task);
+        return toTask(task);
+      },
+      async findById(userId, taskId) {
+        return toTask(findTask(userId, taskId));
+      },
+      async update(userId, taskId, changes, { version } = {}) {
+        const task = findTask(userId, taskId);
+        if (!task || (version !== undefined && task.version !== version)) {
+          return null;
+        }
+        Object.assign(task, normalize(changes));
+        touch(task);
+        return toTask(task);
+      },
+      async remove(userId, taskId, { version } = {}) {
+        const task = findTask(userId, taskId);
+        if (!task || (version !== undefined && task.version !== version)) {
+          return false;
+        }
+        task.deletedAt = now();
+        return true;
+      },
+      async listTrash(userId, { listIds } = {}) {
+        return [...tasks.values()]
+          .filter(
+            (task) => task.userId === String(userId) && task.deletedAt && (!listIds || listIds.includes(task.listId))
+          )
+          .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || Number(b.id) - Number(a.id))
+          .map(toTask);
+      },
+      async findInTrash(userId, taskId) {
+        return toTask(findTask(userId, taskId, { trashed: true }));
+      },
+      async recover(userId, taskId, { position } = {}) {
+        const task = findTask(userId, taskId, { trashed: true });
+        if (!task) {
+          return null;
+        }
+        task.deletedAt = null;
+        if (position !== undefined) {
+          task.position = position;
+        }
+        touch(task);
+        return toTask(task);
+      },
+      async purgeTrash(before) {
+        const expired = [...tasks.values()].filter((task) => task.deletedAt && new Date(task.deletedAt) < before);
+        expired.forEach((task) => tasks.delete(task.id));
+        return expired.length;
+      },
+      async nextPosition(userId, position, direction) {
+        const positions = [...tasks.values()]
+          .filter((task) => task.userId === String(userId) && !task.deletedAt && task.position !== null)
+          .map((task) => task.position)
+          .filter((candidate) => position === null || (direction === 'asc' ? candidate > position : candidate < position))
+          .sort();
+        return (direction === 'asc' ? positions[0] : positions[positions.length - 1]) ?? null;
+      },
+    },
+
+    items: {
+      async add(userId, taskId, { title, done = false }) {
+        const task = findTask(userId, taskId);
+        if (!task) {
+          return null;
+        }
+        task.items.push({ id: nextItemId(), title, done });
+        touch(task);
+        return toTask(task);
+      },
+      async update(userId, taskId, itemId, changes) {
+        const task = findTask(userId, taskId);
+        const item = task && task.items.find((candidate) => candidate.id === String(itemId));
+        if (!item) {
+          return null;
+        }
+        Object.assign(item, changes);
+        touch(task);
+        return toTask(task);
+      },
+      async reorder(userId, taskId, itemIds) {
+        const task = findTask(userId, taskId);
+        if (!task) {
+          return null;
+        }
+        task.items = itemIds.map((id) => task.items.find((item) => item.id === id));
+        touch(task);
+        return toTask(task);
+      },
+      async remove(userId, taskId, itemId) {
+        const task = findTask(userId, taskId);
+        if (!task || !task.items.some((item) => item.id === String(itemId))) {
+          return null;
+        }
+        task.items = task.items.filter((item) => item.id !== String(itemId));
+        touch(task);
+        return toTask(task);
+      },
+    },
+
+    members: {
+      async create({ ownerId, listId, userId, role }) {
+        const timestamp = now();
+        const member = {
+          id: nextMemberId(),
+          ownerId: String(ownerId),
+          listId: listId === null ? null : String(listId),
+          userId: String(userId),
+          role,
+          status: 'pending',
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        members.set(member.id, member);
+        return clone(member);
+      },
+      async findById(id) {
+        return clone(members.get(String(id)));
+      },
+      async listForOwner(ownerId, listId) {
+        const scope = listId === null ? null : String(listId);
+        return [...members.values()]
+          .filter((member) => member.ownerId === String(ownerId) && member.listId === scope)
+          .map(clone);
+      },
+      async listForUser(userId) {
+        return [...members.values()].filter((member) => member.userId === String(userId)).map(clone);
+      },
+      async update(id, changes) {
+        const member = members.get(String(id));
+        if (!member) {
+          return null;
+        }
+        Object.assign(member, changes, { updatedAt: now() });
+        return clone(member);
+      },
+      async remove(id) {
+        return members.delete(String(id));
+      },
+    },
+
+    feeds: {
+      async findByUser(userId) {
+        const feed = feeds.get(String(userId));
+        return feed ? publicFeed(feed) : null;
+      },
+      async findByTokenHash(hash) {
+        const feed = [...feeds.values()].find((candidate) => candidate.tokenHash === hash);
+        return feed ? publicFeed(feed) : null;
+      },
+      async replace(userId, { tokenHash }) {
+        const feed = { userId: String(userId), tokenHash, createdAt: now() };
+        feeds.set(feed.userId, feed);
+        return publicFeed(feed);
+      },
+      async remove(userId) {
+        return feeds.delete(String(userId));
+      },
+    },
+
+    apiTokens: {
+      async create(userId, { name, scopes, tokenHash, expiresAt }) {
+        const token = {
+          id: nextApiTokenId(),
+          userId: String(userId),
+          name,
+          scopes: [...scopes],
+          tokenHash,
+          expiresAt: expiresAt ?? null,
+          lastUsedAt: null,
+          createdAt: now(),
+        };
+        apiTokens.set(token.id, token);
+        return publicApiToken(token);
+      },
+      async list(userId) {
+        return [...apiTokens.values()]
+          .filter((token) => token.userId === String(userId))
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || Number(b.id) - Number(a.id))
+          .map(publicApiToken);
+      },
+      async findByHash(hash) {
+        const token = [...apiTokens.values()].find((candidate) => candidate.tokenHash === hash);
+        return token && !(token.expiresAt && new Date(token.expiresAt) <= new Date()) ? publicApiToken(token) : null;
+      },
+      async touch(id) {
+        const token = apiTokens.get(String(id));
+        if (token) {
+          token.lastUsedAt = now();
+        }
+      },
+      async remove(userId, tokenId) {
+        const token = apiTokens.get(String(tokenId));
+        return Boolean(token && token.userId === String(userId) && apiTokens.delete(token.id));
+      },
+    },
+
+    webhooks: {
+      async create(userId, { url, events, secret }) {
+        const timestamp = now();
+        const webhook = {
+          id: nextWebhookId(),
+          userId: String(userId),
+          url,
+          events: [...events],
+          secret,
+          active: true,
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        webhooks.set(webhook.id, webhook);
+        return clone(webhook);
+      },
+      async list(userId) {
+        return [...webhooks.values()]
+          .filter((webhook) => webhook.userId === String(userId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+          .map(clone);
+      },
+      async findById(userId, webhookId) {
+        const webhook = webhooks.get(String(webhookId));
+        return webhook && webhook.userId === String(userId) ? clone(webhook) : null;
+      },
+      async update(userId, webhookId, changes) {
+        const webhook = webhooks.get(String(webhookId));
+        if (!webhook || webhook.userId !== String(userId)) {
+          return null;
+        }
+        ['url', 'events', 'active'].forEach((field) => {
+          if (changes[field] !== undefined) {
+            webhook[field] = clone(changes[field]);
+          }
+        });
+        webhook.updatedAt = now();
+        return clone(webhook);
+      },
+      async remove(userId, webhookId) {
+        const webhook = webhooks.get(String(webhookId));
+        if (!webhook || webhook.userId !== String(userId)) {
+          return false;
+        }
+        webhooks.delete(webhook.id);
+        deliveries.forEach((delivery, key) => {
+          if (delivery.webhookId === webhook.id) {
+            deliveries.delete(key);
+          }
+        });
+        return true;
+      },
+    },
+
+    webhookDeliveries: {
+      async create({ userId, webhookId, eventId, type, payload, nextAttemptAt }) {
+        const timestamp = now();
+        const delivery = {
+          id: nextDeliveryId(),
+          userId: String(userId),
+          webhookId: String(webhookId),
+          eventId,
+          type,
+          payload: clone(payload),
+          status: 'pending',
+          attempts: 0,
+          responseStatus: null,
+          error: null,
+          nextAttemptAt: iso(nextAttemptAt),
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        deliveries.set(delivery.id, delivery);
+        return clone(delivery);
+      },
+      async list(webhookId, { limit } = {}) {
+        const found = [...deliveries.values()]
+          .filter((delivery) => delivery.webhookId === String(webhookId))
+          .sort((a, b) => Number(b.id) - Number(a.id));
+        return (limit === undefined ? found : found.slice(0, limit)).map(clone);
+      },
+      async update(id, changes) {
+        const delivery = deliveries.get(String(id));
+        if (!delivery) {
+          return null;
+        }
+        ['status', 'attempts', 'responseStatus', 'error'].forEach((field) => {
+          if (changes[field] !== undefined) {
+            delivery[field] = changes[field];
+          }
+        });
+        if (changes.nextAttemptAt !== undefined) {
+          delivery.nextAttemptAt = changes.nextAttemptAt === null ? null : iso(changes.nextAttemptAt);
+        }
+        delivery.updatedAt = now();
+        return clone(delivery);
+      },
+      async listDue(limit) {
+        const due = (delivery) => delivery.status === 'pending' && new Date(delivery.nextAttemptAt) <= new Date();
+        return [...deliveries.values()]
+          .filter(due)
+          .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt) || Number(a.id) - Number(b.id))
+          .slice(0, limit)
+          .map(clone);
+      },
+      async claim(id, until) {
+        const delivery = deliveries.get(String(id));
+        if (!delivery || delivery.status !== 'pending' || new Date(delivery.nextAttemptAt) > new Date()) {
+          return null;
+        }
+        delivery.nextAttemptAt = iso(until);
+        return clone(delivery);
+      },
+      async prune(webhookId, keep) {
+        const kept = new Set((await this.list(webhookId, { limit: keep })).map((delivery) => delivery.id));
+        let removed = 0;
+        deliveries.forEach((delivery, key) => {
+          if (delivery.webhookId === String(webhookId) && !kept.has(key) && delivery.status !== 'pending') {
+            deliveries.delete(key);
+            removed += 1;
+          }
+        });
+        return removed;
+      },
+    },
+
+    activity: {
+      async add(userId, { taskId, listId, actorId, action, title, changes }) {
+        const entry = {
+          id: nextActivityId(),
+          userId: String(userId),
+          taskId: String(taskId),
+          listId: listId === null ? null : String(listId),
+          actorId: actorId === null ? null : String(actorId),
+          action,
+          title,
+          changes: clone(changes),
+          createdAt: now(),
+        };
+        activity.set(entry.id, entry);
+        return clone(entry);
+      },
+      async list(userId, { taskId, listIds, before, limit } = {}) {
+        return [...activity.values()]
+          .filter(
+            (entry) =>
+              entry.userId === String(userId) &&
+              (taskId === undefined || entry.taskId === String(taskId)) &&
+              (!listIds || listIds.includes(entry.listId)) &&
+              (before === undefined || Number(entry.id) < Number(before))
+          )
+          .sort((a, b) => Number(b.id) - Number(a.id))
+          .slice(0, limit)
+          .map(clone);
+      },
+    },
+
+    counters: {
+      async hit(key, windowMs) {
+        const counter = liveCounter(key) || { count: 0, resetAt: iso(Date.now() + windowMs) };
+        counter.count += 1;
+        counters.set(key, counter);
+        return clone(counter);
+      },
+      async get(key) {
+        return clone(liveCounter(key));
+      },
+      async reset(key) {
+        counters.delete(key);
+      },
+      async prune() {
+        const expired = [...counters.keys()].filter((key) => !liveCounter(key));
+        expired.forEach((key) => counters.delete(key));
+        return expired.length;
+      },
+    },
+
+    loginFailures: {
+      async add(userId, { ip, userAgent, reason }) {
+        const failure = { id: nextLoginFailureId(), userId: String(userId), ip, userAgent, reason, createdAt: now() };
+        loginFailures.set(failure.id, failure);
+        return clone(failure);
+      },
+      async list(userId, { before, limit } = {}) {
+        return [...loginFailures.values()]
+          .filter(
+            (failure) =>
+              failure.userId === String(userId) && (before === undefined || Number(failure.id) < Number(before))
+          )
+          .sort((a, b) => Number(b.id) - Number(a.id))
+          .slice(0, limit)
+          .map(clone);
+      },
+    },
+
+    tags: {
+      async list(userId) {
+        const counts = new Map();
+        [...tasks.values()]
+          .filter((task) => task.userId === String(userId) && !task.deletedAt)
+          .forEach((task) => task.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return [...counts.entries()]
+          .map(([name, count]) => ({ name, count }))
+          .sort((a, b) => b.count - a.count || (a.name < b.name ? -1 : 1));
+      },
+      async rename(userId, from, to) {
+        let updated = 0;
+        [...tasks.values()]
+          .filter((task) => task.userId === String(userId) && task.tags.some((tag) => from.includes(tag)))
+          .forEach((task) => {
+            const kept = task.tags.filter((tag) => !from.includes(tag));
+            task.tags = [...new Set([...kept, to])].sort();
+            touch(task);
+            updated += 1;
+          });
+        return updated;
+      },
+      async remove(userId, name) {
+        let updated = 0;
+        [...tasks.values()]
+          .filter((task) => task.userId === String(userId) && task.tags.includes(name))
+          .forEach((task) => {
+            task.tags = task.tags.filter((tag) => tag !== name);
+            touch(task);
+            updated += 1;
+          });
+        return updated;
+      },
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
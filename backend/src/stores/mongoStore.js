@@ -0,0 +1,779 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const List = require('../models/List');
+const Session = require('../models/Session');
+const Membership = require('../models/Membership');
+const CalendarFeed = require('../models/CalendarFeed');
+const Activity = require('../models/Activity');
+const UserToken = require('../models/UserToken');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const LoginFailure = require('../models/LoginFailure');
+const ApiToken = require('../models/ApiToken');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { priorityRank, priorityName } = require('../taskFields');
+const { INBOX_NAME } = require('../listFields');
+const { checklistProgress } = require('../checklistFields');
+
+/* Serverless functions reuse the module scope between invocations, so the
+   connection is cached on `global` instead of reconnecting per request. */
+let cached = global.mongoose;
+
+// Queries inside connection.transaction() pick up its session by themselves
+mongoose.set('transactionAsyncLocalStorage', true);
+
+if (!cached) {
+  cached = global.mongoose = { conn: null, promise: null };
+}
+
+async function connectDB() {
+  if (cached.conn) return cached.conn;
+
+  if (!cached.promise) {
+    if (!process.env.MONGO_URI) {
+      throw new Error('MONGO_URI is not defined');
+    }
+
+    cached.promise = mongoose
+      .connect(process.env.MONGO_URI, { bufferCommands: false })
+      .then((connection) => connection);
+  }
+
+  try {
+    cached.conn = await cached.promise;
+  } catch (error) {
+    cached.promise = null;
+    throw error;
+  }
+  return cached.conn;
+}
+
+const isId = (id) => mongoose.isValidObjectId(id);
+
+const mapUser = (doc) => ({
+  id: String(doc._id),
+  name: doc.name,
+  email: doc.email,
+  emailVerified: Boolean(doc.emailVerifiedAt),
+});
+const mapSession = (doc) =>
+  doc && {
+    id: String(doc._id),
+    userId: String(doc.userId),
+    expiresAt: doc.expiresAt,
+    revokedAt: doc.revokedAt,
+    userAgent: doc.userAgent ?? null,
+    ip: doc.ip ?? null,
+    createdAt: doc.createdAt,
+    lastUsedAt: doc.updatedAt,
+  };
+const mapList = (doc) =>
+  doc && {
+    id: String(doc._id),
+    userId: String(doc.userId),
+    name: doc.name,
+    color: doc.color ?? null,
+    icon: doc.icon ?? null,
+    archived: doc.archived,
+    isInbox: doc.isInbox,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+const mapMember = (doc) =>
+  doc && {
+    id: String(doc._id),
+    ownerId: String(doc.ownerId),
+    listId: doc.listId ? String(doc.listId) : null,
+    userId: String(doc.userId),
+    role: doc.role,
+    status: doc.status,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+const mapUserToken = (doc) =>
+  doc && {
+    id: String(doc._id),
+    userId: String(doc.userId),
+    purpose: doc.purpose,
+    expiresAt: doc.expiresAt,
+    createdAt: doc.createdAt,
+  };
+const mapFeed = (doc) => doc && { userId: String(doc.userId), createdAt: doc.createdAt };
+const mapApiToken = (doc) =>
+  doc && {
+    id: String(doc._id),
+    userId: String(doc.userId),
+    name: doc.name,
+    scopes: [...doc.scopes],
+    expiresAt: doc.expiresAt ?? null,
+    lastUsedAt: doc.lastUsedAt ?? null,
+    createdAt: doc.createdAt,
+  };
+const mapWebhook = (doc) =>
+  doc && {
+    id: String(doc._id),
+    userId: String(doc.userId),
+    url: doc.url,
+    events: [...doc.events],
+    secret: doc.secret,
+    active: doc.active,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+const mapDelivery = (doc) =>
+  doc && {
+    id: String(doc._id),
+    userId: String(doc.userId),
+    webhookId: String(doc.webhookId),
+    eventId: doc.eventId,
+    type: doc.type,
+    payload: doc.payload,
+    status: doc.status,
+    attempts: doc.attempts,
+    responseStatus: doc.responseStatus ?? null,
+    error: doc.error ?? null,
+    nextAttemptAt: doc.nextAttemptAt ?? null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+const mapActivity = (doc) => ({
+  id: String(doc._id),
+  userId: String(doc.userId),
+  taskId: String(doc.taskId),
+  listId: doc.listId ? String(doc.listId) : null,
+  actorId: doc.actorId ? String(doc.actorId) : null,
+  action: doc.action,
+  title: doc.title,
+  changes: doc.changes ?? {},
+  createdAt: doc.createdAt,
+});
+const mapCounter = (doc) => doc && { count: doc.hits, resetAt: doc.resetAt };
+const mapLoginFailure = (doc) => ({
+  id: String(doc._id),
+  userId: String(doc.userId),
+  ip: doc.ip,
+  userAgent: doc.userAgent,
+  reason: doc.reason,
+  createdAt: doc.createdAt,
+});
+const mapItem = (doc) => ({ id: String(doc._id), title: doc.title, done: doc.done });
+const mapTask = (doc) => {
+  if (!doc) return null;
+  const items = (doc.items ?? []).map(mapItem);
+  return {
+    id: String(doc._id),
+    userId: String(doc.userId),
+    listId: String(doc.listId),
+    title: doc.title,
+    completed: doc.completed,
+    dueAt: doc.dueAt ?? null,
+    priority: priorityName(doc.priority),
+    notes: doc.notes ?? '',
+    estimateMinutes: doc.estimateMinutes ?? null,
+    tags: doc.tags ?? [],
+    autoComplete: doc.autoComplete ?? false,
+    recurrence: doc.recurrence ?? null,
+    seriesId: doc.seriesId ? String(doc.seriesId) : null,
+    position: doc.position ?? null,
+    createdBy: doc.createdBy ? String(doc.createdBy) : null,
+    completedBy: doc.completedBy ? String(doc.completedBy) : null,
+    version: doc.version ?? 0,
+    items,
+    progress: checklistProgress(items),
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    deletedAt: doc.deletedAt ?? null,
+  };
+};
+
+const sortKeys = {
+  created: '$createdAt',
+  updated: '$updatedAt',
+  due: { $ifNull: ['$dueAt', null] },
+  priority: '$priority',
+  title: { $toLower: '$title' },
+  manual: { $ifNull: ['$position', null] },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List ids that are not ObjectIds, e.g. straight from a query string, match nothing
+function taskFilter(userId, { listId, listIds, status, search, tags, dueBefore, dueAfter }) {
+  const filter = { userId: new mongoose.Types.ObjectId(String(userId)), deletedAt: null };
+  if (listId !== undefined) filter.listId = new mongoose.Types.ObjectId(String(listId));
+  if (listIds) filter.listId = { $in: listIds.filter(isId).map((id) => new mongoose.Types.ObjectId(id)) };
+  if (status === 'open') filter.completed = false;
+  if (status === 'completed') filter.completed = true;
+  if (search) filter.title = { $regex: escapeRegex(search), $options: 'i' };
+  if (tags) filter.tags = { [tags.match === 'all' ? '$all' : '$in']: tags.names };
+  if (dueBefore || dueAfter) {
+    filter.dueAt = { $ne: null };
+    if (dueBefore) filter.dueAt.$lt = dueBefore;
+    if (dueAfter) filter.dueAt.$gte = dueAfter;
+  }
+  return filter;
+}
+
+// Keyset pagination on the computed sortKey; missing due dates come last.
+function afterCursor({ field, direction }, after) {
+  const op = direction === 'asc' ? '$gt' : '$lt';
+  const id = new mongoose.Types.ObjectId(after.id);
+  if (after.value === null) {
+    return { sortNull: 1, _id: { [op]: id } };
+  }
+  const value = ['created', 'updated', 'due'].includes(field) ? new Date(after.value) : after.value;
+  return {
+    $or: [
+      { sortNull: 0, sortKey: { [op]: value } },
+      { sortNull: 0, sortKey: value, _id: { [op]: id } },
+      { sortNull: 1 },
+    ],
+  };
+}
+
+const toTaskDoc = (fields) =>
+  fields.priority === undefined ? fields : { ...fields, priority: priorityRank(fields.priority) };
+
+// Tasks saved before versioning have no version field; mapTask reports them as 0
+const bump = { $inc: { version: 1 } };
+const atVersion = (version) => (version === 0 ? { version: { $in: [0, null] } } : { version });
+// `deletedAt: null` also matches tasks saved before the trash existed
+const taskMatch = (userId, taskId, version) => ({
+  _id: taskId,
+  userId,
+  deletedAt: null,
+  ...(version === undefined ? {} : atVersion(version)),
+});
+const trashed = (userId) => ({ userId, deletedAt: { $ne: null } });
+
+function createMongoStore() {
+  return {
+    init: connectDB,
+    async ping() {
+      await mongoose.connection.db.admin().ping();
+    },
+    // Needs a replica set, which Atlas always is
+    async transaction(fn) {
+      let result;
+      await mongoose.connection.transaction(async () => {
+        result = await fn(this);
+      });
+      return result;
+    },
+
+    users: {
+      async create({ name, email, passwordHash }) {
+        return mapUser(await User.create({ name, email, password_hash: passwordHash }));
+      },
+      async findById(id) {
+        if (!isId(id)) return null;
+        const user = await User.findById(id).lean();
+        return user ? mapUser(user) : null;
+      },
+      async findByEmail(email) {
+        const user = await User.findOne({ email }).lean();
+        return user ? { ...mapUser(user), passwordHash: user.password_hash } : null;
+      },
+      async update(id, { passwordHash, emailVerified, ...changes }) {
+        if (!isId(id)) return null;
+        const update = { ...changes };
+        if (passwordHash !== undefined) update.password_hash = passwordHash;
+        if (emailVerified !== undefined) update.emailVerifiedAt = emailVerified ? new Date() : null;
+        const user = await User.findByIdAndUpdate(id, update, { new: true }).lean();
+        return user ? mapUser(user) : null;
+      },
+      // Does by hand what the SQL foreign keys do, all or nothing
+      async remove(id) {
+        if (!isId(id)) return false;
+        let removed = false;
+        await mongoose.connection.transaction(async () => {
+          const userId = new mongoose.Types.ObjectId(String(id));
+          removed = (await User.deleteOne({ _id: userId })).deletedCount > 0;
+          if (!removed) return;
+          // One at a time: operations in a transaction must not run in parallel
+          const userModels = [Session, List, Task, CalendarFeed, Activity, UserToken, LoginFailure, ApiToken];
+          for (const Model of [...userModels, Webhook, WebhookDelivery]) {
+            await Model.deleteMany({ userId });
+          }
+          await Membership.deleteMany({ $or: [{ ownerId: userId }, { userId }] });
+          await Task.updateMany({ createdBy: userId }, { createdBy: null }, { timestamps: false });
+          await Task.updateMany({ completedBy: userId }, { completedBy: null }, { timestamps: false });
+          await Activity.updateMany({ actorId: userId }, { actorId: null });
+        });
+        return removed;
+      },
+    },
+
+    sessions: {
+      async create({ userId, refreshTokenHash, expiresAt, userAgent = null, ip = null }) {
+        return mapSession(await Session.create({ userId, refreshTokenHash, expiresAt, userAgent, ip }));
+      },
+      async findById(id) {
+        if (!isId(id)) return null;
+        return mapSession(await Session.findById(id).lean());
+      },
+      async findByRefreshTokenHash(hash) {
+        return mapSession(await Session.findOne({ refreshTokenHash: hash }).lean());
+      },
+      async listForUser(userId) {
+        if (!isId(userId)) return [];
+        const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+          .sort({ updatedAt: -1, _id: -1 })
+          .lean();
+        return sessions.map(mapSession);
+      },
+      async rotate(id, { refreshTokenHash, expiresAt }) {
+        await Session.updateOne({ _id: id }, { refreshTokenHash, expiresAt });
+      },
+      async revoke(id) {
+        await Session.updateOne({ _id: id }, { revokedAt: new Date() });
+      },
+      async revokeAll(userId, { except } = {}) {
+        const filter = { userId, revokedAt: null };
+        if (isId(except)) filter._id = { $ne: except };
+        await Session.updateMany(filter, { revokedAt: new Date() });
+      },
+    },
+
+    userTokens: {
+      async create(userId, { purpose, tokenHash, expiresAt }) {
+        await UserToken.deleteMany({ userId, purpose });
+        return mapUserToken(await UserToken.create({ userId, purpose, tokenHash, expiresAt }));
+      },
+      async find(purpose, tokenHash) {
+        return mapUserToken(await UserToken.findOne({ tokenHash, purpose, expiresAt: { $gt: new Date() } }).lean());
+      },
+      async consume(purpose, tokenHash) {
+        // Deleting is the check: of two requests with the same token, only one gets it back
+        return mapUserToken(
+          await UserToken.findOneAndDelete({ tokenHash, purpose, expiresAt: { $gt: new Date() } }).lean()
+        );
+      },
+    },
+
+    lists: {
+      async list(userId, { includeArchived = false } = {}) {
+        const filter = includeArchived ? { userId } : { userId, archived: false };
+        const lists = await List.find(filter).sort({ isInbox: -1, createdAt: 1, _id: 1 }).lean();
+        return lists.map(mapList);
+      },
+      async create(userId, fields) {
+        return mapList(await List.create({ ...fields, userId }));
+      },
+      async findById(userId, listId) {
+        if (!isId(listId)) return null;
+        return mapList(await List.findOne({ _id: listId, userId }).lean());
+      },
+      async getInbox(userId) {
+        const inbox = await List.findOne({ userId, isInbox: true }).lean();
+        if (inbox) return mapList(inbox);
+
+        // Tasks created before lists existed have no listId; they move to the new inbox
+        const created = await List.create({ userId, name: INBOX_NAME, isInbox: true });
+        await Task.updateMany({ userId, listId: { $exists: false } }, { listId: created._id });
+        return mapList(created);
+      },
+      async update(userId, listId, changes) {
+        if (!isId(listId)) return null;
+        return mapList(await List.findOneAndUpdate({ _id: listId, userId }, changes, { new: true }).lean());
+      },
+      async restore(userId, { createdAt, updatedAt, ...fields }) {
+        if (!fields.isInbox) {
+          const [list] = await List.create([{ ...fields, userId, createdAt, updatedAt }], { timestamps: false });
+          return mapList(list);
+        }
+        const inbox = await this.getInbox(userId);
+        return mapList(
+          await List.findOneAndUpdate(
+            { _id: inbox.id, userId },
+            { $set: { ...fields, createdAt, updatedAt } },
+            { new: true, timestamps: false, overwriteImmutable: true }
+          ).lean()
+        );
+      },
+      async remove(userId, listId) {
+        if (!isId(listId)) return false;
+        const inbox = await this.getInbox(userId);
+        const result = await List.deleteOne({ _id: listId, userId });
+        if (!result.deletedCount) return false;
+        await Task.updateMany({ userId, listId, deletedAt: { $ne: null } }, { listId: inbox.id });
+        await Task.updateMany({ userId, listId }, { listId: inbox.id, deletedAt: new Date() });
+        await Membership.deleteMany({ listId });
+        return true;
+      },
+    },
+
+    tasks: {
+      async list(userId, options = {}) {
+        const { sort = { field: 'created', direction: 'desc' }, after = null, limit } = options;
+        if (options.listId !== undefined && !isId(options.listId)) return { items: [], total: 0 };
+        if (after && !isId(after.id)) return { items: [], total: 0 };
+
+        const filter = taskFilter(userId, options);
+        const direction = sort.direction === 'asc' ? 1 : -1;
+        const pipeline = [
+          { $match: filter },
+          { $addFields: { sortKey: sortKeys[sort.field] } },
+          { $addFields: { sortNull: { $cond: [{ $eq: ['$sortKey', null] }, 1, 0] } } },
+        ];
+        if (after) pipeline.push({ $match: afterCursor(sort, after) });
+        pipeline.push({ $sort: { sortNull: 1, sortKey: direction, _id: direction } });
+        if (limit !== undefined) pipeline.push({ $limit: limit });
+
+        const [tasks, total] = await Promise.all([Task.aggregate(pipeline), Task.countDocuments(filter)]);
+        return { items: tasks.map(mapTask), total };
+      },
+      async create(userId, fields) {
+        return mapTask(await Task.create({ ...toTaskDoc(fields), userId }));
+      },
+      async restore(userId, fields, { ownSeries = false } = {}) {
+        const _id = new mongoose.Types.ObjectId();
+        const [task] = await Task.create(
+          [{ ...toTaskDoc(fields), _id, userId, seriesId: ownSeries ? _id : fields.seriesId ?? null }],
+          { timestamps: false }
+        );
+        return mapTask(task);
+      },
+      async findById(userId, taskId) {
+        if (!isId(taskId)) return null;
+        return mapTask(await Task.findOne(taskMatch(userId, taskId)).lean());
+      },
+      async update(userId, taskId, changes, { version } = {}) {
+        if (!isId(taskId)) return null;
+        const task = await Task.findOneAndUpdate(
+          taskMatch(userId, taskId, version),
+          { $set: toTaskDoc(changes), ...bump },
+          { new: true }
+        ).lean();
+        return mapTask(task);
+      },
+      async remove(userId, taskId, { version } = {}) {
+        if (!isId(taskId)) return false;
+        const result = await Task.updateOne(
+          taskMatch(userId, taskId, version),
+          { $set: { deletedAt: new Date() } },
+          { timestamps: false }
+        );
+        return result.matchedCount > 0;
+      },
+      async listTrash(userId, { listIds } = {}) {
+        const filter = trashed(userId);
+        if (listIds) filter.listId = { $in: listIds.filter(isId).map((id) => new mongoose.Types.ObjectId(id)) };
+        const tasks = await Task.find(filter).sort({ deletedAt: -1, _id: -1 }).lean();
+        return tasks.map(mapTask);
+      },
+      async findInTrash(userId, taskId) {
+        if (!isId(taskId)) return null;
+        return mapTask(await Task.findOne({ ...trashed(userId), _id: taskId }).lean());
+      },
+      async recover(userId, taskId, { position } = {}) {
+        if (!isId(taskId)) return null;
+        const task = await Task.findOneAndUpdate(
+          { ...trashed(userId), _id: taskId },
+          { $set: { deletedAt: null, ...(position === undefined ? {} : { position }) }, ...bump },
+          { new: true }
+        ).lean();
+        return mapTask(task);
+      },
+      async purgeTrash(before) {
+        const result = await Task.deleteMany({ deletedAt: { $ne: null, $lt: before } });
+        return result.deletedCount;
+      },
+      async nextPosition(userId, position, direction) {
+        const filter = { userId, deletedAt: null, position: { $ne: null } };
+        if (position !== null) filter.position[direction === 'asc' ? '$gt' : '$lt'] = position;
+        const task = await Task.findOne(filter)
+          .sort({ position: direction === 'asc' ? 1 : -1 })
+          .select('position')
+          .lean();
+        return task ? task.position : null;
+      },
+    },
+
+    items: {
+      async add(userId, taskId, { title, done = false }) {
+        if (!isId(taskId)) return null;
+        const task = await Task.findOneAndUpdate(
+          taskMatch(userId, taskId),
+          { $push: { items: { title, done } }, ...bump },
+          { new: true }
+        ).lean();
+        return mapTask(task);
+      },
+      async update(userId, taskId, itemId, changes) {
+        if (!isId(taskId) || !isId(itemId)) return null;
+        const set = Object.fromEntries(Object.entries(changes).map(([field, value]) => [`items.$.${field}`, value]));
+        const task = await Task.findOneAndUpdate(
+          { ...taskMatch(userId, taskId), 'items._id': itemId },
+          { $set: set, ...bump },
+          { new: true }
+        ).lean();
+        return mapTask(task);
+      },
+      async reorder(userId, taskId, itemIds) {
+        if (!isId(taskId)) return null;
+        const task = await Task.findOne(taskMatch(userId, taskId)).lean();
+        if (!task) return null;
+        const items = itemIds.map((id) => task.items.find((item) => String(item._id) === id));
+        return mapTask(
+          await Task.findOneAndUpdate(taskMatch(userId, taskId), { $set: { items }, ...bump }, { new: true }).lean()
+        );
+      },
+      async remove(userId, taskId, itemId) {
+        if (!isId(taskId) || !isId(itemId)) return null;
+        const task = await Task.findOneAndUpdate(
+          { ...taskMatch(userId, taskId), 'items._id': itemId },
+          { $pull: { items: { _id: itemId } }, ...bump },
+          { new: true }
+        ).lean();
+        return mapTask(task);
+      },
+    },
+
+    members: {
+      async create({ ownerId, listId, userId, role }) {
+        return mapMember(await Membership.create({ ownerId, listId, userId, role }));
+      },
+      async findById(id) {
+        if (!isId(id)) return null;
+        return mapMember(await Membership.findById(id).lean());
+      },
+      async listForOwner(ownerId, listId) {
+        if (listId !== null && !isId(listId)) return [];
+        const members = await Membership.find({ ownerId, listId }).sort({ _id: 1 }).lean();
+        return members.map(mapMember);
+      },
+      async listForUser(userId) {
+        const members = await Membership.find({ userId }).sort({ _id: 1 }).lean();
+        return members.map(mapMember);
+      },
+      async update(id, changes) {
+        if (!isId(id)) return null;
+        return mapMember(await Membership.findByIdAndUpdate(id, changes, { new: true }).lean());
+      },
+      async remove(id) {
+        if (!isId(id)) return false;
+        const result = await Membership.deleteOne({ _id: id });
+        return result.deletedCount > 0;
+      },
+    },
+
+    feeds: {
+      async findByUser(userId) {
+        if (!isId(userId)) return null;
+        return mapFeed(await CalendarFeed.findOne({ userId }).lean());
+      },
+      async findByTokenHash(hash) {
+        return mapFeed(await CalendarFeed.findOne({ tokenHash: hash }).lean());
+      },
+      async replace(userId, { tokenHash }) {
+        await CalendarFeed.deleteOne({ userId });
+        return mapFeed(await CalendarFeed.create({ userId, tokenHash }));
+      },
+      async remove(userId) {
+        if (!isId(userId)) return false;
+        const result = await CalendarFeed.deleteOne({ userId });
+        return result.deletedCount > 0;
+      },
+    },
+
+    apiTokens: {
+      async create(userId, { name, scopes, tokenHash, expiresAt }) {
+        return mapApiToken(await ApiToken.create({ userId, name, scopes, tokenHash, expiresAt: expiresAt ?? null }));
+      },
+      async list(userId) {
+        if (!isId(userId)) return [];
+        const tokens = await ApiToken.find({ userId }).sort({ createdAt: -1, _id: -1 }).lean();
+        return tokens.map(mapApiToken);
+      },
+      async findByHash(hash) {
+        const token = await ApiToken.findOne({
+          tokenHash: hash,
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        }).lean();
+        return mapApiToken(token);
+      },
+      async touch(id) {
+        await ApiToken.updateOne({ _id: id }, { lastUsedAt: new Date() });
+      },
+      async remove(userId, tokenId) {
+        if (!isId(userId) || !isId(tokenId)) return false;
+        const result = await ApiToken.deleteOne({ _id: tokenId, userId });
+        return result.deletedCount > 0;
+      },
+    },
+
+    webhooks: {
+      async create(userId, { url, events, secret }) {
+        return mapWebhook(await Webhook.create({ userId, url, events, secret }));
+      },
+      async list(userId) {
+        if (!isId(userId)) return [];
+        return (await Webhook.find({ userId }).sort({ _id: 1 }).lean()).map(mapWebhook);
+      },
+      async findById(userId, webhookId) {
+        if (!isId(userId) || !isId(webhookId)) return null;
+        return mapWebhook(await Webhook.findOne({ _id: webhookId, userId }).lean());
+      },
+      async update(userId, webhookId, changes) {
+        if (!isId(userId) || !isId(webhookId)) return null;
+        const { url, events, active } = changes;
+        const updated = await Webhook.findOneAndUpdate(
+          { _id: webhookId, userId },
+          Object.fromEntries(Object.entries({ url, events, active }).filter(([, value]) => value !== undefined)),
+          { new: true }
+        ).lean();
+        return mapWebhook(updated);
+      },
+      async remove(userId, webhookId) {
+        if (!isId(userId) || !isId(webhookId)) return false;
+        const result = await Webhook.deleteOne({ _id: webhookId, userId });
+        if (result.deletedCount > 0) {
+          await WebhookDelivery.deleteMany({ webhookId });
+        }
+        return result.deletedCount > 0;
+      },
+    },
+
+    webhookDeliveries: {
+      async create(fields) {
+        return mapDelivery(await WebhookDelivery.create(fields));
+      },
+      async list(webhookId, { limit } = {}) {
+        if (!isId(webhookId)) return [];
+        let found = WebhookDelivery.find({ webhookId }).sort({ _id: -1 });
+        if (limit !== undefined) found = found.limit(limit);
+        return (await found.lean()).map(mapDelivery);
+      },
+      async update(id, changes) {
+        if (!isId(id)) return null;
+        const { status, attempts, responseStatus, error, nextAttemptAt } = changes;
+        const fields = { status, attempts, responseStatus, error, nextAttemptAt };
+        const updated = await WebhookDelivery.findByIdAndUpdate(
+          id,
+          Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+          { new: true }
+        ).lean();
+        return mapDelivery(updated);
+      },
+      async listDue(limit) {
+        const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+          .sort({ nextAttemptAt: 1, _id: 1 })
+          .limit(limit)
+          .lean();
+        return due.map(mapDelivery);
+      },
+      async claim(id, until) {
+        if (!isId(id)) return null;
+        const claimed = await WebhookDelivery.findOneAndUpdate(
+          { _id: id, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+          { nextAttemptAt: until },
+          { new: true }
+        ).lean();
+        return mapDelivery(claimed);
+      },
+      async prune(webhookId, keep) {
+        if (!isId(webhookId)) return 0;
+        const [oldest] = await WebhookDelivery.find({ webhookId }).sort({ _id: -1 }).skip(keep - 1).limit(1).lean();
+        if (!oldest) return 0;
+        const result = await WebhookDelivery.deleteMany({
+          webhookId,
+          _id: { $lt: oldest._id },
+          status: { $ne: 'pending' },
+        });
+        return result.deletedCount;
+      },
+    },
+
+    activity: {
+      async add(userId, fields) {
+        return mapActivity(await Activity.create({ ...fields, userId }));
+      },
+      async list(userId, { taskId, listIds, before, limit } = {}) {
+        if ((taskId !== undefined && !isId(taskId)) || (before !== undefined && !isId(before))) return [];
+        const filter = { userId };
+        if (taskId !== undefined) filter.taskId = taskId;
+        if (listIds) filter.listId = { $in: listIds.filter(isId).map((id) => new mongoose.Types.ObjectId(id)) };
+        if (before !== undefined) filter._id = { $lt: new mongoose.Types.ObjectId(before) };
+        let found = Activity.find(filter).sort({ _id: -1 });
+        if (limit !== undefined) found = found.limit(limit);
+        return (await found.lean()).map(mapActivity);
+      },
+    },
+
+    counters: {
+      async hit(key, windowMs) {
+        const attempt = async () => {
+          const now = new Date();
+          const counter = await RateLimitCounter.findOneAndUpdate(
+            { key, resetAt: { $gt: now } },
+            { $inc: { hits: 1 } },
+            { new: true }
+          ).lean();
+          if (counter) return mapCounter(counter);
+          await RateLimitCounter.deleteOne({ key });
+          const resetAt = new Date(now.getTime() + windowMs);
+          return mapCounter(await RateLimitCounter.create({ key, hits: 1, resetAt }));
+        };
+        // When two first hits race, one create fails on the unique key; its retry finds the other's counter
+        return attempt().catch(attempt);
+      },
+      async get(key) {
+        return mapCounter(await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } }).lean());
+      },
+      async reset(key) {
+        await RateLimitCounter.deleteOne({ key });
+      },
+      async prune() {
+        const result = await RateLimitCounter.deleteMany({ resetAt: { $lte: new Date() } });
+        return result.deletedCount;
+      },
+    },
+
+    loginFailures: {
+      async add(userId, fields) {
+        return mapLoginFailure(await LoginFailure.create({ ...fields, userId }));
+      },
+      async list(userId, { before, limit } = {}) {
+        if (before !== undefined && !isId(before)) return [];
+        const filter = { userId };
+        if (before !== undefined) filter._id = { $lt: new mongoose.Types.ObjectId(before) };
+        let found = LoginFailure.find(filter).sort({ _id: -1 });
+        if (limit !== undefined) found = found.limit(limit);
+        return (await found.lean()).map(mapLoginFailure);
+      },
+    },
+
+    tags: {
+      async list(userId) {
+        const tags = await Task.aggregate([
+          { $match: { userId: new mongoose.Types.ObjectId(String(userId)), deletedAt: null } },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ]);
+        return tags.map((tag) => ({ name: tag._id, count: tag.count }));
+      },
+      async rename(userId, from, to) {
+        // An update pipeline so the merged array stays deduplicated and sorted
+        const result = await Task.updateMany({ userId, tags: { $in: from } }, [
+          {
+            $set: {
+              tags: { $sortArray: { input: { $setUnion: [{ $setDifference: ['$tags', from] }, [to]] }, sortBy: 1 } },
+              version: { $add: [{ $ifNull: ['$version', 0] }, 1] },
+              updatedAt: '$$NOW',
+            },
+          },
+        ]);
+        return result.modifiedCount;
+      },
+      async remove(userId, name) {
+        const result = await Task.updateMany({ userId, tags: name }, { $pull: { tags: name }, ...bump });
+        return result.modifiedCount;
+      },
+    },
+  };
+}
+
+module.exports = { createMongoStore, connectDB };
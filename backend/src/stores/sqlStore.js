@@ -0,0 +1,1084 @@
+const db = require('../db');
+const { TASK_DEFAULTS, priorityRank, priorityName } = require('../taskFields');
+const { INBOX_NAME, LIST_DEFAULTS } = require('../listFields');
+const { checklistProgress } = require('../checklistFields');
+
+const LIST_COLUMNS = 'id, user_id, name, color, icon, archived, is_inbox, created_at, updated_at';
+const TASK_COLUMNS =
+  'id, user_id, list_id, title, completed, due_at, priority, notes, estimate_minutes, auto_complete, recurrence, series_id, position, ' +
+  'created_by, completed_by, version, created_at, updated_at, deleted_at';
+const USER_COLUMNS = 'id, name, email, email_verified_at';
+const SESSION_COLUMNS = 'id, user_id, expires_at, revoked_at, user_agent, ip, created_at, updated_at';
+const MEMBER_COLUMNS = 'id, owner_id, list_id, user_id, role, status, created_at, updated_at';
+const FEED_COLUMNS = 'user_id, created_at';
+const API_TOKEN_COLUMNS = 'id, user_id, name, scopes, expires_at, last_used_at, created_at';
+const ACTIVITY_COLUMNS = 'id, user_id, task_id, list_id, actor_id, action, title, changes, created_at';
+const USER_TOKEN_COLUMNS = 'id, user_id, purpose, expires_at, created_at';
+const LOGIN_FAILURE_COLUMNS = 'id, user_id, ip, user_agent, reason, created_at';
+const WEBHOOK_COLUMNS = 'id, user_id, url, events, secret, active, created_at, updated_at';
+const DELIVERY_COLUMNS =
+  'id, user_id, webhook_id, event_id, type, payload, status, attempts, response_status, error, next_attempt_at, ' +
+  'created_at, updated_at';
+
+// Ids are serial integers in SQL; anything else can never match a row.
+const toId = (value) => (/^\d+$/.test(String(value)) ? Number(value) : null);
+
+const mapUser = (row) => ({
+  id: String(row.id),
+  name: row.name,
+  email: row.email,
+  emailVerified: row.email_verified_at !== null,
+});
+const mapSession = (row) =>
+  row && {
+    id: String(row.id),
+    userId: String(row.user_id),
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    userAgent: row.user_agent,
+    ip: row.ip,
+    createdAt: row.created_at,
+    lastUsedAt: row.updated_at,
+  };
+const mapUserToken = (row) =>
+  row && {
+    id: String(row.id),
+    userId: String(row.user_id),
+    purpose: row.purpose,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+  };
+const mapList = (row) =>
+  row && {
+    id: String(row.id),
+    userId: String(row.user_id),
+    name: row.name,
+    color: row.color ?? null,
+    icon: row.icon ?? null,
+    archived: Boolean(row.archived),
+    isInbox: Boolean(row.is_inbox),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+const mapMember = (row) =>
+  row && {
+    id: String(row.id),
+    ownerId: String(row.owner_id),
+    listId: row.list_id === null ? null : String(row.list_id),
+    userId: String(row.user_id),
+    role: row.role,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+const mapFeed = (row) => row && { userId: String(row.user_id), createdAt: row.created_at };
+const mapApiToken = (row) =>
+  row && {
+    id: String(row.id),
+    userId: String(row.user_id),
+    name: row.name,
+    scopes: row.scopes.split(' '),
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at,
+  };
+const mapWebhook = (row) =>
+  row && {
+    id: String(row.id),
+    userId: String(row.user_id),
+    url: row.url,
+    events: row.events.split(' '),
+    secret: row.secret,
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+const mapDelivery = (row) =>
+  row && {
+    id: String(row.id),
+    userId: String(row.user_id),
+    webhookId: String(row.webhook_id),
+    eventId: row.event_id,
+    type: row.type,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: Number(row.attempts),
+    responseStatus: row.response_status === null ? null : Number(row.response_status),
+    error: row.error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+const mapActivity = (row) => ({
+  id: String(row.id),
+  userId: String(row.user_id),
+  taskId: String(row.task_id),
+  listId: row.list_id === null ? null : String(row.list_id),
+  actorId: row.actor_id === null ? null : String(row.actor_id),
+  action: row.action,
+  title: row.title,
+  changes: JSON.parse(row.changes),
+  createdAt: row.created_at,
+});
+const mapCounter = (row) => row && { count: Number(row.hits), resetAt: row.reset_at };
+const mapLoginFailure = (row) => ({
+  id: String(row.id),
+  userId: String(row.user_id),
+  ip: row.ip,
+  userAgent: row.user_agent,
+  reason: row.reason,
+  createdAt: row.created_at,
+});
+const mapItem = (row) => ({ id: String(row.id), title: row.title, done: Boolean(row.done) });
+const mapTask = (row, { tags = [], items = [] } = {}) =>
+  row && {
+    id: String(row.id),
+    userId: String(row.user_id),
+    listId: String(row.list_id),
+    title: row.title,
+    completed: Boolean(row.completed),
+    dueAt: row.due_at ?? null,
+    priority: priorityName(row.priority),
+    notes: row.notes ?? '',
+    estimateMinutes: row.estimate_minutes ?? null,
+    tags,
+    autoComplete: Boolean(row.auto_complete),
+    recurrence: row.recurrence ?? null,
+    seriesId: row.series_id === null ? null : String(row.series_id),
+    position: row.position ?? null,
+    createdBy: row.created_by === null ? null : String(row.created_by),
+    completedBy: row.completed_by === null ? null : String(row.completed_by),
+    version: Number(row.version),
+    items,
+    progress: checklistProgress(items),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    deletedAt: row.deleted_at ?? null,
+  };
+
+// Fields as exposed by the store, mapped to their column and stored value.
+const listColumns = {
+  name: ['name', (value) => value],
+  color: ['color', (value) => value],
+  icon: ['icon', (value) => value],
+  archived: ['archived', (value) => value],
+  isInbox: ['is_inbox', (value) => value],
+};
+
+const taskColumns = {
+  listId: ['list_id', toId],
+  title: ['title', (value) => value],
+  completed: ['completed', (value) => value],
+  dueAt: ['due_at', (value) => value],
+  priority: ['priority', priorityRank],
+  notes: ['notes', (value) => value],
+  estimateMinutes: ['estimate_minutes', (value) => value],
+  autoComplete: ['auto_complete', (value) => value],
+  recurrence: ['recurrence', (value) => value],
+  seriesId: ['series_id', toId],
+  position: ['position', (value) => value],
+  createdBy: ['created_by', toId],
+  completedBy: ['completed_by', toId],
+};
+
+const userColumns = {
+  name: ['name', (value) => value],
+  email: ['email', (value) => value],
+  passwordHash: ['password_hash', (value) => value],
+  emailVerified: ['email_verified_at', (value) => (value ? new Date() : null)],
+};
+
+const webhookColumns = {
+  url: ['url', (value) => value],
+  events: ['events', (value) => value.join(' ')],
+  active: ['active', Boolean],
+};
+
+const deliveryColumns = {
+  status: ['status', (value) => value],
+  attempts: ['attempts', (value) => value],
+  responseStatus: ['response_status', (value) => value],
+  error: ['error', (value) => value],
+  nextAttemptAt: ['next_attempt_at', (value) => value],
+};
+
+const memberColumns = {
+  role: ['role', (value) => value],
+  status: ['status', (value) => value],
+};
+
+const sortExpressions = {
+  created: 'created_at',
+  updated: 'updated_at',
+  due: 'due_at',
+  priority: 'priority',
+  title: 'LOWER(title)',
+  manual: 'position',
+};
+
+const escapeLike = (value) => value.replace(/[!%_]/g, (match) => `!${match}`);
+
+// Cursor values for date sorts travel as ISO strings; compare them as dates.
+const toSortParam = (field, value) =>
+  value !== null && ['created', 'updated', 'due'].includes(field) ? new Date(value) : value;
+
+const placeholders = (params, values) =>
+  values
+    .map((value) => {
+      params.push(value);
+      return `$${params.length}`;
+    })
+    .join(', ');
+
+function taskFilters(userId, { listId, listIds, status, search, tags, dueBefore, dueAfter }) {
+  const clauses = ['user_id = $1', 'deleted_at IS NULL'];
+  const params = [toId(userId)];
+  const add = (clause, value) => {
+    params.push(value);
+    clauses.push(clause.replace('?', `$${params.length}`));
+  };
+
+  if (listId !== undefined) add('list_id = ?', toId(listId));
+  if (listIds) {
+    clauses.push(listIds.length ? `list_id IN (${placeholders(params, listIds.map(toId))})` : 'FALSE');
+  }
+  if (status === 'open') clauses.push('completed = FALSE');
+  if (status === 'completed') clauses.push('completed = TRUE');
+  if (search) add("LOWER(title) LIKE ? ESCAPE '!'", `%${escapeLike(search.toLowerCase())}%`);
+  if (tags) {
+    const names = placeholders(params, tags.names);
+    const having = tags.match === 'all' ? ` GROUP BY task_id HAVING COUNT(*) = ${tags.names.length}` : '';
+    clauses.push(`id IN (SELECT task_id FROM task_tags WHERE tag IN (${names})${having})`);
+  }
+  if (dueBefore) add('due_at < ?', dueBefore);
+  if (dueAfter) add('due_at >= ?', dueAfter);
+
+  return { clauses, params };
+}
+
+/*
+ * Keyset pagination: rows strictly after the cursor's (value, id) in sort
+ * order. NULL values (only possible for due dates) always come last.
+ */
+function afterCursor(expression, { direction }, after, field, params) {
+  const op = direction === 'asc' ? '>' : '<';
+  params.push(toId(after.id));
+  const id = `$${params.length}`;
+  if (after.value === null) {
+    return `(${expression} IS NULL AND id ${op} ${id})`;
+  }
+  params.push(toSortParam(field, after.value));
+  const value = `$${params.length}`;
+  return `(${expression} ${op} ${value} OR (${expression} = ${value} AND id ${op} ${id}) OR ${expression} IS NULL)`;
+}
+
+function toRow(columns, fields) {
+  return Object.entries(fields)
+    .filter(([field]) => columns[field])
+    .map(([field, value]) => {
+      const [column, convert] = columns[field];
+      return [column, convert(value)];
+    });
+}
+
+async function insertRow(run, table, returning, userId, row) {
+  const columns = row.map(([column]) => column).join(', ');
+  const values = row.map((_entry, index) => `$${index + 2}`).join(', ');
+  const created = await run(
+    `INSERT INTO ${table} (user_id, ${columns}, created_at, updated_at) VALUES ($1, ${values}, NOW(), NOW()) RETURNING ${returning}`,
+    [toId(userId), ...row.map(([, value]) => value)]
+  );
+  return created.rows[0];
+}
+
+async function updateRow(run, table, returning, userId, id, row) {
+  const assignments = row.map(([column], index) => `${column} = $${index + 3}, `).join('');
+  const updated = await run(
+    `UPDATE ${table} SET ${assignments}updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING ${returning}`,
+    [toId(id), toId(userId), ...row.map(([, value]) => value)]
+  );
+  return updated.rows[0];
+}
+
+// Like updateRow, also bumping the version; with `version`, only a task still at it matches
+async function updateTaskRow(run, userId, taskId, row, version) {
+  const assignments = row.map(([column], index) => `${column} = $${index + 3}, `).join('');
+  const params = [toId(taskId), toId(userId), ...row.map(([, value]) => value)];
+  let where = 'id = $1 AND user_id = $2 AND deleted_at IS NULL';
+  if (version !== undefined) {
+    params.push(version);
+    where += ` AND version = $${params.length}`;
+  }
+  const updated = await run(
+    `UPDATE tasks SET ${assignments}version = version + 1, updated_at = NOW() WHERE ${where} RETURNING ${TASK_COLUMNS}`,
+    params
+  );
+  return updated.rows[0];
+}
+
+const groupByTask = (rows, map) => {
+  const byTask = new Map();
+  rows.forEach((row) => {
+    const key = String(row.task_id);
+    byTask.set(key, [...(byTask.get(key) || []), map(row)]);
+  });
+  return byTask;
+};
+
+// Loads the tags and checklist items of the given task rows and maps them to tasks.
+async function withDetails(run, rows) {
+  if (!rows.length) {
+    return [];
+  }
+  const params = [];
+  const ids = placeholders(params, rows.map((row) => row.id));
+  const tags = await run(`SELECT task_id, tag FROM task_tags WHERE task_id IN (${ids}) ORDER BY tag`, params);
+  const items = await run(
+    `SELECT id, task_id, title, done FROM task_items WHERE task_id IN (${ids}) ORDER BY position, id`,
+    params
+  );
+  const tagsByTask = groupByTask(tags.rows, (row) => row.tag);
+  const itemsByTask = groupByTask(items.rows, mapItem);
+  return rows.map((row) =>
+    mapTask(row, { tags: tagsByTask.get(String(row.id)), items: itemsByTask.get(String(row.id)) })
+  );
+}
+
+// Bumps the task's version and updated_at and returns it, or null when it is not the user's.
+async function touchTask(run, userId, taskId) {
+  const result = await run(
+    `UPDATE tasks SET version = version + 1, updated_at = NOW() WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL RETURNING ${TASK_COLUMNS}`,
+    [toId(taskId), toId(userId)]
+  );
+  const [task] = await withDetails(run, result.rows);
+  return task || null;
+}
+
+async function findItem(run, userId, taskId, itemId) {
+  const result = await run(
+    'SELECT task_items.id FROM task_items JOIN tasks ON tasks.id = task_items.task_id WHERE task_items.id = $1 AND task_items.task_id = $2 AND tasks.user_id = $3 AND tasks.deleted_at IS NULL',
+    [toId(itemId), toId(taskId), toId(userId)]
+  );
+  return result.rows[0] || null;
+}
+
+async function replaceTags(run, userId, taskId, tags) {
+  await run('DELETE FROM task_tags WHERE task_id = $1', [taskId]);
+  for (const tag of tags) {
+    await run('INSERT INTO task_tags (task_id, user_id, tag) VALUES ($1, $2, $3)', [taskId, toId(userId), tag]);
+  }
+}
+
+/**
+ * Queries go through the shared connection by default. The store that
+ * store.transaction() hands out runs every query on the one transaction,
+ * including those of its own nested transaction() calls.
+ */
+function createSqlStore({ query = db.query, transaction = db.transaction } = {}) {
+  return {
+    init: db.bootstrapDatabase,
+    transaction(fn) {
+      return transaction((tx) => fn(createSqlStore({ query: tx, transaction: (inner) => inner(tx) })));
+    },
+    async ping() {
+      await query('SELECT 1');
+    },
+
+    users: {
+      async create({ name, email, passwordHash }) {
+        const created = await query(
+          `INSERT INTO users (name, email, password_hash, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING ${USER_COLUMNS}`,
+          [name, email, passwordHash]
+        );
+        return mapUser(created.rows[0]);
+      },
+      async findById(id) {
+        const result = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [toId(id)]);
+        return result.rows[0] ? mapUser(result.rows[0]) : null;
+      },
+      async findByEmail(email) {
+        const result = await query(`SELECT ${USER_COLUMNS}, password_hash FROM users WHERE email = $1`, [email]);
+        const row = result.rows[0];
+        return row ? { ...mapUser(row), passwordHash: row.password_hash } : null;
+      },
+      async update(id, changes) {
+        const row = toRow(userColumns, changes);
+        const assignments = row.map(([column], index) => `${column} = $${index + 2}, `).join('');
+        const updated = await query(
+          `UPDATE users SET ${assignments}updated_at = NOW() WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+          [toId(id), ...row.map(([, value]) => value)]
+        );
+        return updated.rows[0] ? mapUser(updated.rows[0]) : null;
+      },
+      // The foreign keys take everything of the user's with them (see the migrations)
+      async remove(id) {
+        const deleted = await query('DELETE FROM users WHERE id = $1', [toId(id)]);
+        return deleted.rowCount > 0;
+      },
+    },
+
+    sessions: {
+      async create({ userId, refreshTokenHash, expiresAt, userAgent = null, ip = null }) {
+        const created = await query(
+          `INSERT INTO sessions (user_id, refresh_token_hash, expires_at, user_agent, ip, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, NOW(), NOW()) RETURNING ${SESSION_COLUMNS}`,
+          [toId(userId), refreshTokenHash, expiresAt, userAgent, ip]
+        );
+        return mapSession(created.rows[0]);
+      },
+      async findById(id) {
+        const result = await query(`SELECT ${SESSION_COLUMNS} FROM sessions WHERE id = $1`, [toId(id)]);
+        return mapSession(result.rows[0]);
+      },
+      async findByRefreshTokenHash(hash) {
+        const result = await query(`SELECT ${SESSION_COLUMNS} FROM sessions WHERE refresh_token_hash = $1`, [hash]);
+        return mapSession(result.rows[0]);
+      },
+      async listForUser(userId) {
+        const result = await query(
+          `SELECT ${SESSION_COLUMNS} FROM sessions WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > $2 ORDER BY updated_at DESC, id DESC`,
+          [toId(userId), new Date()]
+        );
+        return result.rows.map(mapSession);
+      },
+      async rotate(id, { refreshTokenHash, expiresAt }) {
+        await query('UPDATE sessions SET refresh_token_hash = $1, expires_at = $2, updated_at = NOW() WHERE id = $3', [
+          refreshTokenHash,
+          expiresAt,
+          toId(id),
+        ]);
+      },
+      async revoke(id) {
+        await query('UPDATE sessions SET revoked_at = NOW(), updated_at = NOW() WHERE id = $1', [toId(id)]);
+      },
+      async revokeAll(userId, { except } = {}) {
+        await query(
+          'UPDATE sessions SET revoked_at = NOW(), updated_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL AND id <> $2',
+          [toId(userId), toId(except) ?? 0]
+        );
+      },
+    },
+
+    userTokens: {
+      async create(userId, { purpose, tokenHash, expiresAt }) {
+        return transaction(async (tx) => {
+          await tx('DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2', [toId(userId), purpose]);
+          const created = await tx(
+            `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING ${USER_TOKEN_COLUMNS}`,
+            [toId(userId), purpose, tokenHash, expiresAt]
+          );
+          return mapUserToken(created.rows[0]);
+        });
+      },
+      async find(purpose, tokenHash) {
+        const result = await query(
+          `SELECT ${USER_TOKEN_COLUMNS} FROM user_tokens WHERE token_hash = $1 AND purpose = $2 AND expires_at > $3`,
+          [tokenHash, purpose, new Date()]
+        );
+        return mapUserToken(result.rows[0]) || null;
+      },
+      async consume(purpose, tokenHash) {
+        const token = await this.find(purpose, tokenHash);
+        if (!token) {
+          return null;
+        }
+        // Only the request that deletes the row gets the token
+        const deleted = await query('DELETE FROM user_tokens WHERE id = $1', [toId(token.id)]);
+        return deleted.rowCount > 0 ? token : null;
+      },
+    },
+
+    lists: {
+      async list(userId, { includeArchived = false } = {}) {
+        const result = await query(
+          `SELECT ${LIST_COLUMNS} FROM lists WHERE user_id = $1${includeArchived ? '' : ' AND archived = FALSE'} ORDER BY is_inbox DESC, created_at ASC, id ASC`,
+          [toId(userId)]
+        );
+        return result.rows.map(mapList);
+      },
+      async create(userId, fields) {
+        return mapList(await insertRow(query, 'lists', LIST_COLUMNS, userId, toRow(listColumns, { ...LIST_DEFAULTS, ...fields })));
+      },
+      async findById(userId, listId) {
+        const result = await query(`SELECT ${LIST_COLUMNS} FROM lists WHERE id = $1 AND user_id = $2`, [
+          toId(listId),
+          toId(userId),
+        ]);
+        return mapList(result.rows[0]);
+      },
+      async getInbox(userId) {
+        const result = await query(`SELECT ${LIST_COLUMNS} FROM lists WHERE user_id = $1 AND is_inbox = TRUE`, [
+          toId(userId),
+        ]);
+        return mapList(result.rows[0]) || this.create(userId, { name: INBOX_NAME, isInbox: true });
+      },
+      async update(userId, listId, changes) {
+        return mapList(await updateRow(query, 'lists', LIST_COLUMNS, userId, listId, toRow(listColumns, changes)));
+      },
+      async restore(userId, { createdAt, updatedAt, ...fields }) {
+        const list = fields.isInbox
+          ? await this.update(userId, (await this.getInbox(userId)).id, fields)
+          : await this.create(userId, fields);
+        const restored = await query(
+          `UPDATE lists SET created_at = $1, updated_at = $2 WHERE id = $3 RETURNING ${LIST_COLUMNS}`,
+          [new Date(createdAt), new Date(updatedAt), toId(list.id)]
+        );
+        return mapList(restored.rows[0]);
+      },
+      async remove(userId, listId) {
+        const inbox = await this.getInbox(userId);
+        return transaction(async (tx) => {
+          await tx(
+            'UPDATE tasks SET list_id = $1, deleted_at = COALESCE(deleted_at, NOW()) WHERE list_id = $2 AND user_id = $3',
+            [toId(inbox.id), toId(listId), toId(userId)]
+          );
+          // Memberships go with the list through ON DELETE CASCADE
+          const result = await tx('DELETE FROM lists WHERE id = $1 AND user_id = $2', [toId(listId), toId(userId)]);
+          return result.rowCount > 0;
+        });
+      },
+    },
+
+    tasks: {
+      async list(userId, options = {}) {
+        const { sort = { field: 'created', direction: 'desc' }, after = null, limit } = options;
+        const { clauses, params } = taskFilters(userId, options);
+        const where = clauses.join(' AND ');
+
+        const counted = await query(`SELECT COUNT(*) AS total FROM tasks WHERE ${where}`, params);
+        const total = Number(counted.rows[0].total);
+
+        const expression = sortExpressions[sort.field];
+        const pageParams = [...params];
+        const pageClauses = after
+          ? [...clauses, afterCursor(expression, sort, after, sort.field, pageParams)]
+          : clauses;
+        const direction = sort.direction === 'asc' ? 'ASC' : 'DESC';
+        const nullsLast = ['due', 'manual'].includes(sort.field) ? `(${expression} IS NULL) ASC, ` : '';
+        let sql = `SELECT ${TASK_COLUMNS} FROM tasks WHERE ${pageClauses.join(' AND ')} ORDER BY ${nullsLast}${expression} ${direction}, id ${direction}`;
+        if (limit !== undefined) {
+          pageParams.push(limit);
+          sql += ` LIMIT $${pageParams.length}`;
+        }
+
+        const result = await query(sql, pageParams);
+        return { items: await withDetails(query, result.rows), total };
+      },
+      async create(userId, fields) {
+        const { tags, ...rest } = { ...TASK_DEFAULTS, ...fields };
+        return transaction(async (tx) => {
+          const row = await insertRow(tx, 'tasks', TASK_COLUMNS, userId, toRow(taskColumns, rest));
+          await replaceTags(tx, userId, row.id, tags);
+          return mapTask(row, { tags });
+        });
+      },
+      async restore(userId, { items, version, createdAt, updatedAt, ...fields }, { ownSeries = false } = {}) {
+        const { tags, ...rest } = { ...TASK_DEFAULTS, ...fields };
+        return transaction(async (tx) => {
+          const { id } = await insertRow(tx, 'tasks', 'id', userId, toRow(taskColumns, rest));
+          const restored = await tx(
+            `UPDATE tasks SET version = $1, created_at = $2, updated_at = $3${ownSeries ? ', series_id = id' : ''} WHERE id = $4 RETURNING ${TASK_COLUMNS}`,
+            [version, new Date(createdAt), new Date(updatedAt), id]
+          );
+          await replaceTags(tx, userId, id, tags);
+          for (const [position, { title, done }] of items.entries()) {
+            await tx('INSERT INTO task_items (task_id, title, done, position) VALUES ($1, $2, $3, $4)', [
+              id,
+              title,
+              done,
+              position,
+            ]);
+          }
+          const [task] = await withDetails(tx, restored.rows);
+          return task;
+        });
+      },
+      async findById(userId, taskId) {
+        const result = await query(`SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`, [
+          toId(taskId),
+          toId(userId),
+        ]);
+        const [task] = await withDetails(query, result.rows);
+        return task || null;
+      },
+      async update(userId, taskId, changes, { version } = {}) {
+        const { tags, ...rest } = changes;
+        return transaction(async (tx) => {
+          const row = await updateTaskRow(tx, userId, taskId, toRow(taskColumns, rest), version);
+          if (!row) {
+            return null;
+          }
+          if (tags !== undefined) {
+            await replaceTags(tx, userId, row.id, tags);
+          }
+          const [task] = await withDetails(tx, [row]);
+          return task;
+        });
+      },
+      async remove(userId, taskId, { version } = {}) {
+        const params = [toId(taskId), toId(userId)];
+        let sql = 'UPDATE tasks SET deleted_at = NOW() WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL';
+        if (version !== undefined) {
+          params.push(version);
+          sql += ' AND version = $3';
+        }
+        const result = await query(sql, params);
+        return result.rowCount > 0;
+      },
+      async listTrash(userId, { listIds } = {}) {
+        const params = [toId(userId)];
+        let sql = `SELECT ${TASK_COLUMNS} FROM tasks WHERE user_id = $1 AND deleted_at IS NOT NULL`;
+        if (listIds) {
+          sql += listIds.length ? ` AND list_id IN (${placeholders(params, listIds.map(toId))})` : ' AND FALSE';
+        }
+        const result = await query(`${sql} ORDER BY deleted_at DESC, id DESC`, params);
+        return withDetails(query, result.rows);
+      },
+      async findInTrash(userId, taskId) {
+        const result = await query(
+          `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL`,
+          [toId(taskId), toId(userId)]
+        );
+        const [task] = await withDetails(query, result.rows);
+        return task || null;
+      },
+      async recover(userId, taskId, { position } = {}) {
+        const params = [toId(taskId), toId(userId)];
+        let assignments = '';
+        if (position !== undefined) {
+          params.push(position);
+          assignments = 'position = $3, ';
+        }
+        const result = await query(
+          `UPDATE tasks SET ${assignments}deleted_at = NULL, version = version + 1, updated_at = NOW() WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING ${TASK_COLUMNS}`,
+          params
+        );
+        const [task] = await withDetails(query, result.rows);
+        return task || null;
+      },
+      async purgeTrash(before) {
+        const result = await query('DELETE FROM tasks WHERE deleted_at < $1', [before]);
+        return result.rowCount;
+      },
+      async nextPosition(userId, position, direction) {
+        const aggregate = direction === 'asc' ? 'MIN' : 'MAX';
+        const params = [toId(userId)];
+        let sql = `SELECT ${aggregate}(position) AS position FROM tasks WHERE user_id = $1 AND deleted_at IS NULL`;
+        if (position !== null) {
+          params.push(position);
+          sql += ` AND position ${direction === 'asc' ? '>' : '<'} $2`;
+        }
+        const result = await query(sql, params);
+        return result.rows[0].position ?? null;
+      },
+    },
+
+    items: {
+      async add(userId, taskId, { title, done = false }) {
+        return transaction(async (tx) => {
+          const task = await tx('SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [
+            toId(taskId),
+            toId(userId),
+          ]);
+          if (!task.rows.length) {
+            return null;
+          }
+          const last = await tx('SELECT MAX(position) AS position FROM task_items WHERE task_id = $1', [toId(taskId)]);
+          const position = last.rows[0].position === null ? 0 : Number(last.rows[0].position) + 1;
+          await tx('INSERT INTO task_items (task_id, title, done, position) VALUES ($1, $2, $3, $4)', [
+            toId(taskId),
+            title,
+            done,
+            position,
+          ]);
+          return touchTask(tx, userId, taskId);
+        });
+      },
+      async update(userId, taskId, itemId, changes) {
+        return transaction(async (tx) => {
+          if (!(await findItem(tx, userId, taskId, itemId))) {
+            return null;
+          }
+          const row = Object.entries(changes);
+          const assignments = row.map(([column], index) => `${column} = $${index + 2}`).join(', ');
+          await tx(`UPDATE task_items SET ${assignments} WHERE id = $1`, [
+            toId(itemId),
+            ...row.map(([, value]) => value),
+          ]);
+          return touchTask(tx, userId, taskId);
+        });
+      },
+      async reorder(userId, taskId, itemIds) {
+        return transaction(async (tx) => {
+          const task = await tx('SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [
+            toId(taskId),
+            toId(userId),
+          ]);
+          if (!task.rows.length) {
+            return null;
+          }
+          for (const [position, itemId] of itemIds.entries()) {
+            await tx('UPDATE task_items SET position = $1 WHERE id = $2 AND task_id = $3', [
+              position,
+              toId(itemId),
+              toId(taskId),
+            ]);
+          }
+          return touchTask(tx, userId, taskId);
+        });
+      },
+      async remove(userId, taskId, itemId) {
+        return transaction(async (tx) => {
+          if (!(await findItem(tx, userId, taskId, itemId))) {
+            return null;
+          }
+          await tx('DELETE FROM task_items WHERE id = $1', [toId(itemId)]);
+          return touchTask(tx, userId, taskId);
+        });
+      },
+    },
+
+    members: {
+      async create({ ownerId, listId, userId, role }) {
+        const created = await query(
+          `INSERT INTO memberships (owner_id, list_id, user_id, role, status, created_at, updated_at) VALUES ($1, $2, $3, $4, 'pending', NOW(), NOW()) RETURNING ${MEMBER_COLUMNS}`,
+          [toId(ownerId), listId === null ? null : toId(listId), toId(userId), role]
+        );
+        return mapMember(created.rows[0]);
+      },
+      async findById(id) {
+        const result = await query(`SELECT ${MEMBER_COLUMNS} FROM memberships WHERE id = $1`, [toId(id)]);
+        return mapMember(result.rows[0]);
+      },
+      async listForOwner(ownerId, listId) {
+        const result =
+          listId === null
+            ? await query(
+                `SELECT ${MEMBER_COLUMNS} FROM memberships WHERE owner_id = $1 AND list_id IS NULL ORDER BY id`,
+                [toId(ownerId)]
+              )
+            : await query(`SELECT ${MEMBER_COLUMNS} FROM memberships WHERE owner_id = $1 AND list_id = $2 ORDER BY id`, [
+                toId(ownerId),
+                toId(listId),
+              ]);
+        return result.rows.map(mapMember);
+      },
+      async listForUser(userId) {
+        const result = await query(`SELECT ${MEMBER_COLUMNS} FROM memberships WHERE user_id = $1 ORDER BY id`, [
+          toId(userId),
+        ]);
+        return result.rows.map(mapMember);
+      },
+      async update(id, changes) {
+        const row = toRow(memberColumns, changes);
+        const assignments = row.map(([column], index) => `${column} = $${index + 2}, `).join('');
+        const updated = await query(
+          `UPDATE memberships SET ${assignments}updated_at = NOW() WHERE id = $1 RETURNING ${MEMBER_COLUMNS}`,
+          [toId(id), ...row.map(([, value]) => value)]
+        );
+        return mapMember(updated.rows[0]);
+      },
+      async remove(id) {
+        const result = await query('DELETE FROM memberships WHERE id = $1', [toId(id)]);
+        return result.rowCount > 0;
+      },
+    },
+
+    feeds: {
+      async findByUser(userId) {
+        const result = await query(`SELECT ${FEED_COLUMNS} FROM calendar_feeds WHERE user_id = $1`, [toId(userId)]);
+        return mapFeed(result.rows[0]);
+      },
+      async findByTokenHash(hash) {
+        const result = await query(`SELECT ${FEED_COLUMNS} FROM calendar_feeds WHERE token_hash = $1`, [hash]);
+        return mapFeed(result.rows[0]);
+      },
+      async replace(userId, { tokenHash }) {
+        return transaction(async (tx) => {
+          await tx('DELETE FROM calendar_feeds WHERE user_id = $1', [toId(userId)]);
+          const created = await tx(
+            `INSERT INTO calendar_feeds (user_id, token_hash, created_at, updated_at) VALUES ($1, $2, NOW(), NOW()) RETURNING ${FEED_COLUMNS}`,
+            [toId(userId), tokenHash]
+          );
+          return mapFeed(created.rows[0]);
+        });
+      },
+      async remove(userId) {
+        const result = await query('DELETE FROM calendar_feeds WHERE user_id = $1', [toId(userId)]);
+        return result.rowCount > 0;
+      },
+    },
+
+    apiTokens: {
+      async create(userId, { name, scopes, tokenHash, expiresAt }) {
+        const created = await query(
+          `INSERT INTO api_tokens (user_id, name, token_hash, scopes, expires_at, created_at) VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING ${API_TOKEN_COLUMNS}`,
+          [toId(userId), name, tokenHash, scopes.join(' '), expiresAt ?? null]
+        );
+        return mapApiToken(created.rows[0]);
+      },
+      async list(userId) {
+        const result = await query(
+          `SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+          [toId(userId)]
+        );
+        return result.rows.map(mapApiToken);
+      },
+      async findByHash(hash) {
+        const result = await query(
+          `SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE token_hash = $1 AND (expires_at IS NULL OR expires_at > $2)`,
+          [hash, new Date()]
+        );
+        return mapApiToken(result.rows[0]) || null;
+      },
+      async touch(id) {
+        await query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1', [toId(id)]);
+      },
+      async remove(userId, tokenId) {
+        const result = await query('DELETE FROM api_tokens WHERE id = $1 AND user_id = $2', [
+          toId(tokenId),
+          toId(userId),
+        ]);
+        return result.rowCount > 0;
+      },
+    },
+
+    webhooks: {
+      async create(userId, { url, events, secret }) {
+        const row = [...toRow(webhookColumns, { url, events, active: true }), ['secret', secret]];
+        return mapWebhook(await insertRow(query, 'webhooks', WEBHOOK_COLUMNS, userId, row));
+      },
+      async list(userId) {
+        const result = await query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE user_id = $1 ORDER BY id`, [
+          toId(userId),
+        ]);
+        return result.rows.map(mapWebhook);
+      },
+      async findById(userId, webhookId) {
+        const result = await query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1 AND user_id = $2`, [
+          toId(webhookId),
+          toId(userId),
+        ]);
+        return mapWebhook(result.rows[0]) || null;
+      },
+      async update(userId, webhookId, changes) {
+        const row = toRow(webhookColumns, changes);
+        return mapWebhook(await updateRow(query, 'webhooks', WEBHOOK_COLUMNS, userId, webhookId, row)) || null;
+      },
+      async remove(userId, webhookId) {
+        // Deliveries go with the webhook through ON DELETE CASCADE
+        const result = await query('DELETE FROM webhooks WHERE id = $1 AND user_id = $2', [
+          toId(webhookId),
+          toId(userId),
+        ]);
+        return result.rowCount > 0;
+      },
+    },
+
+    webhookDeliveries: {
+      async create({ userId, webhookId, eventId, type, payload, nextAttemptAt }) {
+        const created = await query(
+          `INSERT INTO webhook_deliveries (user_id, webhook_id, event_id, type, payload, status, attempts, next_attempt_at, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, 'pending', 0, $6, NOW(), NOW()) RETURNING ${DELIVERY_COLUMNS}`,
+          [toId(userId), toId(webhookId), eventId, type, JSON.stringify(payload), nextAttemptAt]
+        );
+        return mapDelivery(created.rows[0]);
+      },
+      async list(webhookId, { limit } = {}) {
+        const params = [toId(webhookId)];
+        let sql = `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY id DESC`;
+        if (limit !== undefined) {
+          params.push(limit);
+          sql += ' LIMIT $2';
+        }
+        const result = await query(sql, params);
+        return result.rows.map(mapDelivery);
+      },
+      async update(id, changes) {
+        const row = toRow(deliveryColumns, changes);
+        const assignments = row.map(([column], index) => `${column} = $${index + 2}, `).join('');
+        const updated = await query(
+          `UPDATE webhook_deliveries SET ${assignments}updated_at = NOW() WHERE id = $1 RETURNING ${DELIVERY_COLUMNS}`,
+          [toId(id), ...row.map(([, value]) => value)]
+        );
+        return mapDelivery(updated.rows[0]) || null;
+      },
+      async listDue(limit) {
+        const result = await query(
+          `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= $1 ORDER BY next_attempt_at, id LIMIT $2`,
+          [new Date(), limit]
+        );
+        return result.rows.map(mapDelivery);
+      },
+      async claim(id, until) {
+        const claimed = await query(
+          "UPDATE webhook_deliveries SET next_attempt_at = $2 WHERE id = $1 AND status = 'pending' AND next_attempt_at <= $3",
+          [toId(id), until, new Date()]
+        );
+        if (!claimed.rowCount) {
+          return null;
+        }
+        const result = await query(`SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = $1`, [toId(id)]);
+        return mapDelivery(result.rows[0]) || null;
+      },
+      async prune(webhookId, keep) {
+        // The oldest delivery to keep marks the cut; pending ones stay until they finish
+        const oldest = await query(
+          'SELECT id FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY id DESC LIMIT 1 OFFSET $2',
+          [toId(webhookId), keep - 1]
+        );
+        if (!oldest.rows.length) {
+          return 0;
+        }
+        const result = await query(
+          "DELETE FROM webhook_deliveries WHERE webhook_id = $1 AND id < $2 AND status <> 'pending'",
+          [toId(webhookId), oldest.rows[0].id]
+        );
+        return result.rowCount;
+      },
+    },
+
+    activity: {
+      async add(userId, { taskId, listId, actorId, action, title, changes }) {
+        const created = await query(
+          `INSERT INTO task_activity (user_id, task_id, list_id, actor_id, action, title, changes, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING ${ACTIVITY_COLUMNS}`,
+          [
+            toId(userId),
+            toId(taskId),
+            listId === null ? null : toId(listId),
+            actorId === null ? null : toId(actorId),
+            action,
+            title,
+            JSON.stringify(changes),
+          ]
+        );
+        return mapActivity(created.rows[0]);
+      },
+      async list(userId, { taskId, listIds, before, limit } = {}) {
+        const clauses = ['user_id = $1'];
+        const params = [toId(userId)];
+        const add = (clause, value) => {
+          params.push(value);
+          clauses.push(clause.replace('?', `$${params.length}`));
+        };
+        if (taskId !== undefined) add('task_id = ?', toId(taskId));
+        if (listIds) {
+          clauses.push(listIds.length ? `list_id IN (${placeholders(params, listIds.map(toId))})` : 'FALSE');
+        }
+        if (before !== undefined) add('id < ?', toId(before));
+        let sql = `SELECT ${ACTIVITY_COLUMNS} FROM task_activity WHERE ${clauses.join(' AND ')} ORDER BY id DESC`;
+        if (limit !== undefined) {
+          params.push(limit);
+          sql += ` LIMIT $${params.length}`;
+        }
+        const result = await query(sql, params);
+        return result.rows.map(mapActivity);
+      },
+    },
+
+    counters: {
+      async hit(key, windowMs) {
+        const attempt = () =>
+          transaction(async (tx) => {
+            const now = new Date();
+            const updated = await tx(
+              'UPDATE rate_limit_counters SET hits = hits + 1 WHERE counter_key = $1 AND reset_at > $2',
+              [key, now]
+            );
+            if (!updated.rowCount) {
+              await tx('DELETE FROM rate_limit_counters WHERE counter_key = $1', [key]);
+              await tx('INSERT INTO rate_limit_counters (counter_key, hits, reset_at) VALUES ($1, 1, $2)', [
+                key,
+                new Date(now.getTime() + windowMs),
+              ]);
+            }
+            const result = await tx('SELECT hits, reset_at FROM rate_limit_counters WHERE counter_key = $1', [key]);
+            return mapCounter(result.rows[0]);
+          });
+        // When two first hits race, the insert of one fails; its retry finds the other's row
+        return attempt().catch(attempt);
+      },
+      async get(key) {
+        const result = await query(
+          'SELECT hits, reset_at FROM rate_limit_counters WHERE counter_key = $1 AND reset_at > $2',
+          [key, new Date()]
+        );
+        return mapCounter(result.rows[0]) || null;
+      },
+      async reset(key) {
+        await query('DELETE FROM rate_limit_counters WHERE counter_key = $1', [key]);
+      },
+      async prune() {
+        const result = await query('DELETE FROM rate_limit_counters WHERE reset_at <= $1', [new Date()]);
+        return result.rowCount;
+      },
+    },
+
+    loginFailures: {
+      async add(userId, { ip, userAgent, reason }) {
+        const created = await query(
+          `INSERT INTO login_failures (user_id, ip, user_agent, reason, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING ${LOGIN_FAILURE_COLUMNS}`,
+          [toId(userId), ip, userAgent, reason]
+        );
+        return mapLoginFailure(created.rows[0]);
+      },
+      async list(userId, { before, limit } = {}) {
+        const params = [toId(userId)];
+        let sql = `SELECT ${LOGIN_FAILURE_COLUMNS} FROM login_failures WHERE user_id = $1`;
+        if (before !== undefined) {
+          params.push(toId(before));
+          sql += ` AND id < $${params.length}`;
+        }
+        sql += ' ORDER BY id DESC';
+        if (limit !== undefined) {
+          params.push(limit);
+          sql += ` LIMIT $${params.length}`;
+        }
+        const result = await query(sql, params);
+        return result.rows.map(mapLoginFailure);
+      },
+    },
+
+    tags: {
+      async list(userId) {
+        const result = await query(
+          'SELECT tag, COUNT(*) AS count FROM task_tags JOIN tasks ON tasks.id = task_tags.task_id WHERE task_tags.user_id = $1 AND tasks.deleted_at IS NULL GROUP BY tag ORDER BY count DESC, tag ASC',
+          [toId(userId)]
+        );
+        return result.rows.map((row) => ({ name: row.tag, count: Number(row.count) }));
+      },
+      async rename(userId, from, to) {
+        return transaction(async (tx) => {
+          const params = [toId(userId)];
+          const names = placeholders(params, from);
+          const affected = await tx(`SELECT DISTINCT task_id FROM task_tags WHERE user_id = $1 AND tag IN (${names})`, params);
+          const taskIds = affected.rows.map((row) => row.task_id);
+          if (!taskIds.length) {
+            return 0;
+          }
+          await tx(`DELETE FROM task_tags WHERE user_id = $1 AND tag IN (${names})`, params);
+          for (const taskId of taskIds) {
+            await tx('DELETE FROM task_tags WHERE task_id = $1 AND tag = $2', [taskId, to]);
+            await tx('INSERT INTO task_tags (task_id, user_id, tag) VALUES ($1, $2, $3)', [taskId, toId(userId), to]);
+          }
+          const idParams = [];
+          await tx(`UPDATE tasks SET version = version + 1, updated_at = NOW() WHERE id IN (${placeholders(idParams, taskIds)})`, idParams);
+          return taskIds.length;
+        });
+      },
+      async remove(userId, name) {
+        return transaction(async (tx) => {
+          const affected = await tx('SELECT task_id FROM task_tags WHERE user_id = $1 AND tag = $2', [toId(userId), name]);
+          const taskIds = affected.rows.map((row) => row.task_id);
+          if (!taskIds.length) {
+            return 0;
+          }
+          await tx('DELETE FROM task_tags WHERE user_id = $1 AND tag = $2', [toId(userId), name]);
+          const idParams = [];
+          await tx(`UPDATE tasks SET version = version + 1, updated_at = NOW() WHERE id IN (${placeholders(idParams, taskIds)})`, idParams);
+          return taskIds.length;
+        });
+      },
+    },
+  };
+}
+
+module.exports = { createSqlStore };
@@ -0,0 +1,181 @@
+const { httpError } = require('./errors');
+const { parseRule, formatRule } = require('./recurrence');
+
+const PRIORITIES = ['none', 'low', 'medium', 'high'];
+const MAX_TITLE_LENGTH = 255;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_ESTIMATE_MINUTES = 7 * 24 * 60;
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[\p{L}\p{N}_-]{1,32}$/u;
+// Dates from years 1970 to 9999; anything else is a typo, and would have
+// recurrence.js step through centuries of occurrences
+const MIN_DATE = Date.UTC(1970, 0, 1);
+const MAX_DATE = Date.UTC(10000, 0, 1) - 1;
+
+const TASK_DEFAULTS = {
+  completed: false,
+  dueAt: null,
+  priority: 'none',
+  notes: '',
+  estimateMinutes: null,
+  tags: [],
+  autoComplete: false,
+  recurrence: null,
+  seriesId: null,
+  position: null,
+  createdBy: null,
+  completedBy: null,
+};
+
+// Stores keep priority as a number so it sorts naturally.
+const priorityRank = (name) => Math.max(PRIORITIES.indexOf(name), 0);
+const priorityName = (rank) => PRIORITIES[rank] || 'none';
+
+function readTitle(value) {
+  const title = String(value ?? '').trim();
+  if (!title) {
+    throw httpError(400, 'Task title cannot be empty');
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    throw httpError(400, `Task title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  return title;
+}
+
+const inDateRange = (date) => date.getTime() >= MIN_DATE && date.getTime() <= MAX_DATE;
+
+function readDueAt(value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw httpError(400, 'Due date must be an ISO 8601 date or null');
+  }
+  if (!inDateRange(date)) {
+    throw httpError(400, 'Due date must be between the years 1970 and 9999');
+  }
+  return date;
+}
+
+function readPriority(value) {
+  if (!PRIORITIES.includes(value)) {
+    throw httpError(400, `Priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+  return value;
+}
+
+function readNotes(value) {
+  if (value === null) {
+    return '';
+  }
+  if (typeof value !== 'string') {
+    throw httpError(400, 'Notes must be text');
+  }
+  if (value.length > MAX_NOTES_LENGTH) {
+    throw httpError(400, `Notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+function readEstimate(value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < 1 || value > MAX_ESTIMATE_MINUTES) {
+    throw httpError(400, `Estimate must be a whole number of minutes between 1 and ${MAX_ESTIMATE_MINUTES}`);
+  }
+  return value;
+}
+
+function readListId(value) {
+  if ((typeof value !== 'string' && typeof value !== 'number') || String(value).trim() === '') {
+    throw httpError(400, 'List id must be a string');
+  }
+  return String(value).trim();
+}
+
+/**
+ * Canonical form of a tag: no leading #, lower-case, letters, digits, _ and -.
+ */
+function normalizeTag(value) {
+  const tag = String(value ?? '').trim().replace(/^#/, '').toLowerCase();
+  if (!TAG_PATTERN.test(tag)) {
+    throw httpError(400, `Invalid tag "${value}": use up to 32 letters, digits, _ or -`);
+  }
+  return tag;
+}
+
+// Tags are kept de-duplicated and sorted so every store returns them alike.
+function readTags(value) {
+  if (!Array.isArray(value)) {
+    throw httpError(400, 'Tags must be an array of strings');
+  }
+  const tags = [...new Set(value.map(normalizeTag))].sort();
+  if (tags.length > MAX_TAGS) {
+    throw httpError(400, `A task can have at most ${MAX_TAGS} tags`);
+  }
+  return tags;
+}
+
+function readRecurrence(value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  return formatRule(parseRule(value));
+}
+
+const readers = {
+  listId: readListId,
+  title: readTitle,
+  completed: (value) => {
+    if (typeof value !== 'boolean') {
+      throw httpError(400, 'Completed must be true or false');
+    }
+    return value;
+  },
+  autoComplete: (value) => {
+    if (typeof value !== 'boolean') {
+      throw httpError(400, 'autoComplete must be true or false');
+    }
+    return value;
+  },
+  dueAt: readDueAt,
+  priority: readPriority,
+  notes: readNotes,
+  estimateMinutes: readEstimate,
+  tags: readTags,
+  recurrence: readRecurrence,
+};
+
+/**
+ * Validates the writable task fields of a request body and returns only the
+ * ones that were sent. Throws a 400 error for the first invalid field. When
+ * `creating`, a title is required.
+ */
+function readTaskInput(body, { creating = false } = {}) {
+  const input = {};
+
+  if (creating && !String(body.title ?? '').trim()) {
+    throw httpError(400, 'Task title is required');
+  }
+
+  Object.entries(readers).forEach(([field, read]) => {
+    if (body[field] !== undefined) {
+      input[field] = read(body[field]);
+    }
+  });
+
+  return input;
+}
+
+module.exports = {
+  PRIORITIES,
+  TASK_DEFAULTS,
+  priorityRank,
+  priorityName,
+  normalizeTag,
+  inDateRange,
+  readListId,
+  readTaskInput,
+};
@@ -0,0 +1,271 @@
+/*
+ * Imports the tasks of a parsed file (see formats/index.js) into an owner's
+ * account. prepareImport checks every row and works out which lists to
+ * create without writing anything, so its result doubles as the dry-run
+ * preview; runImport then writes it, meant to run inside a transaction, and
+ * resolves to the tasks it created.
+ */
+
+const { recordActivity } = require('./activity');
+const { httpError } = require('./errors');
+const { MAX_ITEMS, readItemInput } = require('./checklistFields');
+const { LIST_DEFAULTS, readListInput } = require('./listFields');
+const { inDateRange, readTaskInput } = require('./taskFields');
+const { MAX_RANK_LENGTH, rankBetween } = require('./rank');
+
+const MAX_TASKS = 5000;
+const RANK = /^[0-9a-z]*[1-9a-z]$/;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function readTimestamp(value, name) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be an ISO 8601 date`);
+  }
+  if (!inDateRange(date)) {
+    throw httpError(400, `${name} must be between the years 1970 and 9999`);
+  }
+  return date;
+}
+
+function readItems(value) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw httpError(400, 'Checklist items must be an array');
+  }
+  if (value.length > MAX_ITEMS) {
+    throw httpError(400, `A checklist can have at most ${MAX_ITEMS} items`);
+  }
+  return value.map((item) => ({ done: false, ...readItemInput(isObject(item) ? item : {}, { creating: true }) }));
+}
+
+// Fields only a backup (or a file this app wrote) carries; those left out get what a new task would have
+function readKeptFields(fields) {
+  const kept = {
+    createdAt: readTimestamp(fields.createdAt, 'createdAt'),
+    updatedAt: readTimestamp(fields.updatedAt, 'updatedAt'),
+  };
+  if (fields.version !== undefined) {
+    if (!Number.isInteger(fields.version) || fields.version < 0) {
+      throw httpError(400, 'Version must be a whole number');
+    }
+    kept.version = fields.version;
+  }
+  if (fields.position !== undefined) {
+    if (fields.position !== null && !(typeof fields.position === 'string' && RANK.test(fields.position))) {
+      throw httpError(400, 'Position must be a rank such as "h4", or null');
+    }
+    if (fields.position !== null && fields.position.length > MAX_RANK_LENGTH) {
+      throw httpError(400, `Position must be at most ${MAX_RANK_LENGTH} characters`);
+    }
+    kept.position = fields.position;
+  }
+  ['seriesId', 'createdBy', 'completedBy'].forEach((field) => {
+    if (fields[field] !== undefined) {
+      kept[field] = fields[field] === null ? null : String(fields[field]);
+    }
+  });
+  return kept;
+}
+
+function readBackupList(fields, index) {
+  try {
+    if (!isObject(fields)) {
+      throw httpError(400, 'must be an object');
+    }
+    const { name, color, icon, archived } = fields;
+    const isInbox = fields.isInbox === true;
+    const input = readListInput({ name, color, icon, archived: isInbox ? false : archived }, { creating: true });
+    const createdAt = readTimestamp(fields.createdAt, 'createdAt') ?? new Date();
+    const updatedAt = readTimestamp(fields.updatedAt, 'updatedAt') ?? createdAt;
+    return { ...LIST_DEFAULTS, ...input, isInbox, createdAt, updatedAt };
+  } catch (error) {
+    throw httpError(400, `List ${index + 1}: ${error.message}`);
+  }
+}
+
+/**
+ * Validates the rows of a parsed file for `userId`. Tasks without a list go
+ * to `listId`, or to the inbox. Returns the plan for runImport:
+ *
+ * { lists, rows, errors, warnings }
+ *   lists   lists to create, in order; a backed-up inbox is restored onto the inbox
+ *   rows    valid tasks: { row, key, list, input, items, kept }
+ *   errors  [{ row, message }] for the rows that are not
+ */
+async function prepareImport(store, userId, parsed, { listId } = {}) {
+  if (parsed.tasks.length > MAX_TASKS) {
+    throw httpError(400, `An import can have at most ${MAX_TASKS} tasks`);
+  }
+  const inbox = await store.lists.getInbox(userId);
+  const existing = await store.lists.list(userId, { includeArchived: true });
+  const fallback = listId === undefined ? inbox : existing.find((list) => list.id === String(listId));
+  if (!fallback) {
+    throw httpError(400, 'List not found');
+  }
+
+  // New lists get their id once runImport writes them
+  const lists = [];
+  const byKey = new Map();
+  const byName = new Map(existing.map((list) => [list.name.toLowerCase(), list]));
+  parsed.lists.forEach(({ key, fields }, index) => {
+    const list = { fields: readBackupList(fields, index), restore: true, id: null };
+    if (list.fields.isInbox && lists.some((other) => other.fields.isInbox)) {
+      list.fields.isInbox = false;
+    }
+    if (list.fields.isInbox) {
+      list.id = inbox.id;
+    }
+    lists.push(list);
+    byKey.set(key, list);
+  });
+
+  const listFor = (reference) => {
+    if (!reference) {
+      return fallback;
+    }
+    if (reference.key !== undefined) {
+      const list = byKey.get(reference.key);
+      if (!list) {
+        throw httpError(400, `List ${reference.key} is not in the backup`);
+      }
+      return list;
+    }
+    const name = reference.name.trim().toLowerCase();
+    if (!byName.has(name)) {
+      const list = { fields: readListInput({ name: reference.name }, { creating: true }), restore: false, id: null };
+      lists.push(list);
+      byName.set(name, list);
+    }
+    return byName.get(name);
+  };
+
+  const rows = [];
+  const errors = [];
+  parsed.tasks.forEach(({ row, key, list, fields }) => {
+    try {
+      if (!isObject(fields)) {
+        throw httpError(400, 'Each task must be an object');
+      }
+      const { listId: _listId, items, ...body } = fields;
+      rows.push({
+        row,
+        key,
+        input: readTaskInput(body, { creating: true }),
+        items: readItems(items),
+        kept: readKeptFields(body),
+        list: listFor(list),
+      });
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      errors.push({ row, message: error.message });
+    }
+  });
+
+  return { lists, rows, errors, warnings: parsed.warnings };
+}
+
+// What an import creates, for the response to a dry run and to the import itself
+const summarize = ({ lists, rows, errors, warnings }) => ({
+  lists: lists.filter((list) => !list.fields.isInbox).map((list) => list.fields.name),
+  tasks: rows.length,
+  errors,
+  warnings,
+});
+
+/**
+ * Writes a plan from prepareImport. Tasks that bring no place in the manual
+ * order go on top, in file order. createdBy and completedBy only keep the
+ * importer, the owner and the task's list's members. Each series of
+ * repeating tasks keeps pointing at one of its own tasks, whose new id
+ * becomes the seriesId.
+ */
+async function runImport(store, access, plan) {
+  const { ownerId: userId, actorId } = access;
+  for (const list of plan.lists) {
+    const written = list.restore
+      ? await store.lists.restore(userId, list.fields)
+      : await store.lists.create(userId, list.fields);
+    list.id = written.id;
+  }
+
+  const positions = new Map();
+  let top = await store.tasks.nextPosition(userId, null, 'asc');
+  [...plan.rows].reverse().forEach((row) => {
+    if (row.kept.position === undefined) {
+      top = rankBetween(null, top);
+      positions.set(row, top);
+    }
+  });
+
+  // People named in the file who cannot see the task's list now could not have touched it
+  const sharedWith = async (listId) =>
+    (await store.members.listForOwner(userId, listId))
+      .filter((member) => member.status === 'accepted')
+      .map((member) => member.userId);
+  const everywhere = [actorId, userId, ...(await sharedWith(null))];
+  const people = new Map();
+  for (const listId of new Set(plan.rows.map(({ list }) => list.id))) {
+    people.set(listId, new Set([...everywhere, ...(await sharedWith(listId))]));
+  }
+  const person = (id, listId, fallback) =>
+    id === undefined ? fallback : id !== null && people.get(listId).has(id) ? id : null;
+
+  const now = new Date();
+  const fieldsFor = ({ input, items, kept, list }, position, seriesId) => ({
+    ...input,
+    listId: list.id,
+    items,
+    seriesId,
+    position,
+    version: kept.version ?? 1,
+    createdBy: person(kept.createdBy, list.id, actorId),
+    completedBy: person(kept.completedBy, list.id, input.completed ? actorId : null),
+    createdAt: kept.createdAt ?? now,
+    updatedAt: kept.updatedAt ?? now,
+  });
+  const created = [];
+  const write = async (row, seriesId, options) => {
+    const fields = fieldsFor(row, positions.get(row) ?? row.kept.position, seriesId);
+    const task = await store.tasks.restore(userId, fields, options);
+    await recordActivity(store, access, task, { action: 'created' });
+    created.push(task);
+    return task;
+  };
+
+  // The task a series is named after, or its first one here when that task was not exported
+  const keys = new Set(plan.rows.map((row) => row.key));
+  const firstOfSeries = new Map();
+  plan.rows.forEach((row) => {
+    if (row.kept.seriesId && !firstOfSeries.has(row.kept.seriesId)) {
+      firstOfSeries.set(row.kept.seriesId, row);
+    }
+  });
+  const leads = new Set(
+    plan.rows.filter(({ key, kept: { seriesId } }) =>
+      seriesId && keys.has(seriesId) ? seriesId === key : seriesId && firstOfSeries.get(seriesId)?.key === key
+    )
+  );
+
+  const series = new Map();
+  for (const row of leads) {
+    const task = await write(row, null, { ownSeries: true });
+    series.set(row.kept.seriesId, task.id);
+  }
+  for (const row of plan.rows) {
+    if (!leads.has(row)) {
+      await write(row, series.get(row.kept.seriesId) ?? null);
+    }
+  }
+  return created;
+}
+
+module.exports = { prepareImport, runImport, summarize };
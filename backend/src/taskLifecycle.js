@@ -0,0 +1,81 @@
+/*
+ * Side effects of completing a task that go beyond the task itself. Routes
+ * call these after a store update so every store gets the same behaviour.
+ */
+
+const { parseRule, nextOccurrence } = require('./recurrence');
+const { rankBetween } = require('./rank');
+
+const COPIED_FIELDS = [
+  'listId',
+  'title',
+  'priority',
+  'notes',
+  'estimateMinutes',
+  'tags',
+  'autoComplete',
+  'recurrence',
+  'createdBy',
+];
+
+/**
+ * When a repeating task goes from open to completed, creates its next
+ * occurrence and hands the rule over to it, so re-opening and completing
+ * the old one again cannot spawn a duplicate. The old task keeps its
+ * `seriesId`. Returns the completed task, with `nextOccurrence` when one was
+ * created.
+ */
+async function completeOccurrence(store, userId, before, task) {
+  if (before.completed || !task.completed || !task.recurrence) {
+    return task;
+  }
+  const seriesId = task.seriesId || task.id;
+  const fields = Object.fromEntries(COPIED_FIELDS.map((field) => [field, task[field]]));
+  // The next occurrence takes the place right after the completed one
+  const position =
+    task.position === null ? null : rankBetween(task.position, await store.tasks.nextPosition(userId, task.position, 'asc'));
+  const next = await store.tasks.create(userId, {
+    ...fields,
+    seriesId,
+    position,
+    dueAt: nextOccurrence(parseRule(task.recurrence), task.dueAt),
+  });
+  for (const item of task.items) {
+    await store.items.add(userId, next.id, { title: item.title });
+  }
+
+  const completed = await store.tasks.update(userId, task.id, { recurrence: null, seriesId });
+  return { ...completed, nextOccurrence: await store.tasks.findById(userId, next.id) };
+}
+
+/**
+ * With `autoComplete` on, a task with a checklist is completed exactly when
+ * every item is done. Called after anything that changes the checklist or
+ * the flag, with the id of the user who made the change; returns the task as
+ * it now stands.
+ */
+async function syncCompletion(store, userId, task, actorId) {
+  if (!task.autoComplete || !task.progress.total) {
+    return task;
+  }
+  const completed = task.progress.done === task.progress.total;
+  if (completed === task.completed) {
+    return task;
+  }
+  const updated = await store.tasks.update(userId, task.id, { completed, completedBy: completed ? actorId : null });
+  return completeOccurrence(store, userId, task, updated);
+}
+
+/**
+ * Moves a repeating task on to its next due date without completing it, and
+ * clears its checklist for the new occurrence.
+ */
+async function skipOccurrence(store, userId, task) {
+  const dueAt = nextOccurrence(parseRule(task.recurrence), task.dueAt);
+  for (const item of task.items.filter((candidate) => candidate.done)) {
+    await store.items.update(userId, task.id, item.id, { done: false });
+  }
+  return store.tasks.update(userId, task.id, { dueAt });
+}
+
+module.exports = { completeOccurrence, syncCompletion, skipOccurrence };
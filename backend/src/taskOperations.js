@@ -0,0 +1,120 @@
+/*
+ * The writes behind POST, PUT/PATCH and DELETE /tasks and POST .../restore,
+ * shared by the single task routes and the batch endpoint. Each takes the
+ * store to write through, so a batch can hand in the one bound to its
+ * transaction, and leaves publishing events to the caller once the change is
+ * committed. Each records the change in the task's history (activity.js).
+ */
+
+const { findTaskFor, requireRole } = require('./access');
+const { recordActivity } = require('./activity');
+const { httpError } = require('./errors');
+const { rankBetween } = require('./rank');
+const { completeOccurrence, syncCompletion } = require('./taskLifecycle');
+const { staleTask, checkVersion } = require('./taskVersions');
+
+// The list a task is added to or moved to; the caller must be able to edit it
+async function resolveList(store, access, listId) {
+  const list =
+    listId === undefined
+      ? await store.lists.getInbox(access.ownerId)
+      : await store.lists.findById(access.ownerId, listId);
+  const notFound = httpError(400, listId === undefined ? 'Choose a list for the task' : 'List not found');
+  if (!list) {
+    throw notFound;
+  }
+  requireRole(access, list.id, 'editor', notFound);
+  return list;
+}
+
+// A conditional write found nothing: the task changed or went away after the check
+async function writeFailed(store, userId, taskId, precondition) {
+  const current = await store.tasks.findById(userId, taskId);
+  return current && precondition ? staleTask(precondition, current) : httpError(404, 'Task not found');
+}
+
+/**
+ * Creates a task from validated input (taskFields.readTaskInput) at the top
+ * of the manual order.
+ */
+async function createTask(store, access, input) {
+  const { ownerId: userId, actorId } = access;
+  const list = await resolveList(store, access, input.listId);
+  const position = rankBetween(null, await store.tasks.nextPosition(userId, null, 'asc'));
+  const task = await store.tasks.create(userId, {
+    ...input,
+    listId: list.id,
+    position,
+    createdBy: actorId,
+    completedBy: input.completed ? actorId : null,
+  });
+  await recordActivity(store, access, task, { action: 'created' });
+  return task;
+}
+
+/**
+ * Applies validated changes, with the side effects of completing a task.
+ * `precondition` comes from taskVersions.readPrecondition and `action`
+ * overrides the one the history entry gets. Returns the task as it now
+ * stands and as it was before.
+ */
+async function updateTask(store, access, taskId, changes, precondition = null, { action } = {}) {
+  const { ownerId: userId, actorId } = access;
+  const before = await findTaskFor(store, access, taskId, 'editor');
+  const version = checkVersion(precondition, before);
+  if (changes.listId !== undefined) {
+    await resolveList(store, access, changes.listId);
+  }
+  const fields = { ...changes };
+  if (fields.completed !== undefined && fields.completed !== before.completed) {
+    fields.completedBy = fields.completed ? actorId : null;
+  }
+  let task = await store.tasks.update(userId, taskId, fields, { version });
+  if (!task) {
+    throw await writeFailed(store, userId, taskId, precondition);
+  }
+  if (fields.completed) {
+    task = await completeOccurrence(store, userId, before, task);
+  }
+  if (fields.autoComplete) {
+    task = await syncCompletion(store, userId, task, actorId);
+  }
+  await recordActivity(store, access, task, { before, action });
+  return { task, before };
+}
+
+// Moves a task to the trash and returns it as it was
+async function removeTask(store, access, taskId, precondition = null) {
+  const userId = access.ownerId;
+  const task = await findTaskFor(store, access, taskId, 'editor');
+  const version = checkVersion(precondition, task);
+  if (!(await store.tasks.remove(userId, taskId, { version }))) {
+    throw await writeFailed(store, userId, taskId, precondition);
+  }
+  await recordActivity(store, access, task, { action: 'deleted' });
+  return task;
+}
+
+// Takes a task back out of the trash; the caller must be able to edit its list
+async function restoreTask(store, access, taskId) {
+  const userId = access.ownerId;
+  const notFound = httpError(404, 'Task not found in the trash');
+  const trashed = await store.tasks.findInTrash(userId, taskId);
+  if (!trashed) {
+    throw notFound;
+  }
+  requireRole(access, trashed.listId, 'editor', notFound);
+  // Tasks added since may have taken its rank, so it goes right after its old one
+  const position =
+    trashed.position === null
+      ? undefined
+      : rankBetween(trashed.position, await store.tasks.nextPosition(userId, trashed.position, 'asc'));
+  const task = await store.tasks.recover(userId, taskId, { position });
+  if (!task) {
+    throw notFound;
+  }
+  await recordActivity(store, access, task, { action: 'restored' });
+  return task;
+}
+
+module.exports = { createTask, updateTask, removeTask, restoreTask };
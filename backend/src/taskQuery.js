@@ -0,0 +1,148 @@
+const { httpError } = require('./errors');
+const { priorityRank, normalizeTag } = require('./taskFields');
+
+const STATUSES = ['all', 'open', 'completed'];
+const TAG_MATCHES = ['all', 'any'];
+const SORT_FIELDS = ['created', 'updated', 'due', 'priority', 'title', 'manual'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_SEARCH_LENGTH = 200;
+
+// The direction a sort defaults to when `order` is not given
+const DEFAULT_ORDER = {
+  created: 'desc',
+  updated: 'desc',
+  due: 'asc',
+  priority: 'desc',
+  title: 'asc',
+  manual: 'asc',
+};
+
+function readDate(value, name) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+function readLimit(value) {
+  const limit = value === undefined ? DEFAULT_LIMIT : Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw httpError(400, `Limit must be a whole number between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    return { value, id };
+  } catch (error) {
+    throw httpError(400, 'Invalid cursor');
+  }
+}
+
+/**
+ * The value a task is ordered by for a given sort field. Pagination cursors
+ * carry this value, and every store compares against it the same way: dates
+ * as ISO strings, priority as its rank, titles lower-cased, manual order by
+ * the rank in `position`. Missing due dates and positions are null and
+ * always sort last.
+ */
+function sortValue(task, field) {
+  switch (field) {
+    case 'updated':
+      return new Date(task.updatedAt).toISOString();
+    case 'due':
+      return task.dueAt ? new Date(task.dueAt).toISOString() : null;
+    case 'priority':
+      return priorityRank(task.priority);
+    case 'title':
+      return task.title.toLowerCase();
+    case 'manual':
+      return task.position ?? null;
+    default:
+      return new Date(task.createdAt).toISOString();
+  }
+}
+
+/**
+ * Turns the query string of GET /tasks into the options every store's
+ * `tasks.list` understands:
+ *
+ * {
+ *   listId, status, search, dueBefore, dueAfter,   filters (all optional)
+ *   tags: { names, match },                         match is 'all' or 'any'
+ *   sort: { field, direction },
+ *   limit,
+ *   after: { value, id } | null                     decoded cursor
+ * }
+ */
+function readTaskQuery(query) {
+  const options = {};
+
+  if (query.listId !== undefined) {
+    options.listId = String(query.listId);
+  }
+
+  const status = query.status === undefined ? 'all' : String(query.status);
+  if (!STATUSES.includes(status)) {
+    throw httpError(400, `Status must be one of: ${STATUSES.join(', ')}`);
+  }
+  options.status = status;
+
+  if (query.q !== undefined && String(query.q).trim()) {
+    options.search = String(query.q).trim().slice(0, MAX_SEARCH_LENGTH);
+  }
+  if (query.tags !== undefined && String(query.tags).trim()) {
+    const names = [...new Set(String(query.tags).split(',').filter((tag) => tag.trim()).map(normalizeTag))];
+    const match = query.tagsMatch === undefined ? 'all' : String(query.tagsMatch);
+    if (!TAG_MATCHES.includes(match)) {
+      throw httpError(400, 'tagsMatch must be all or any');
+    }
+    options.tags = { names, match };
+  }
+  if (query.dueBefore !== undefined) {
+    options.dueBefore = readDate(query.dueBefore, 'dueBefore');
+  }
+  if (query.dueAfter !== undefined) {
+    options.dueAfter = readDate(query.dueAfter, 'dueAfter');
+  }
+
+  const field = query.sort === undefined ? 'created' : String(query.sort);
+  if (!SORT_FIELDS.includes(field)) {
+    throw httpError(400, `Sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const direction = query.order === undefined ? DEFAULT_ORDER[field] : String(query.order);
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw httpError(400, 'Order must be asc or desc');
+  }
+  options.sort = { field, direction };
+
+  options.limit = readLimit(query.limit);
+
+  options.after = query.cursor ? decodeCursor(query.cursor) : null;
+
+  return options;
+}
+
+/**
+ * Builds the response for a page fetched with `limit + 1` items: the extra
+ * item only signals that another page exists.
+ */
+function toPage(rows, total, { limit, sort }) {
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor = rows.length > limit ? encodeCursor(sortValue(last, sort.field), last.id) : null;
+  return { items, nextCursor, total };
+}
+
+module.exports = { readTaskQuery, readLimit, encodeCursor, decodeCursor, sortValue, toPage };
@@ -0,0 +1,64 @@
+/*
+ * Optimistic concurrency for tasks. Stores bump a task's `version` on every
+ * change and the API sends it as the task's ETag. A client makes a write
+ * conditional with `If-Match: "<version>"`, or with a `version` field in the
+ * body where it cannot set headers. A stale write fails with the current
+ * task in the error body, so the client can merge instead of overwriting.
+ */
+
+const { httpError } = require('./errors');
+
+const etagFor = (task) => `"${task.version}"`;
+
+/**
+ * What a write request is conditional on: `{ versions, status }` with the
+ * versions it may apply to and the status to fail with, or null for an
+ * unconditional write. If-Match fails with 412, a body `version` with 409.
+ */
+function readPrecondition(req) {
+  const header = req.get('If-Match');
+  if (header !== undefined) {
+    if (header.trim() === '*') {
+      return null;
+    }
+    // If-Match compares strongly, so weak tags (W/"3") and junk never match
+    const versions = header
+      .split(',')
+      .map((tag) => /^"(\d+)"$/.exec(tag.trim()))
+      .filter(Boolean)
+      .map((match) => Number(match[1]));
+    return { versions, status: 412 };
+  }
+  return readVersion(req.body?.version);
+}
+
+// The precondition for a `version` sent in a body, or null when there is none
+function readVersion(version) {
+  if (version === undefined) {
+    return null;
+  }
+  if (!Number.isInteger(version) || version < 0) {
+    throw httpError(400, 'Version must be a whole number');
+  }
+  return { versions: [version], status: 409 };
+}
+
+function staleTask(precondition, task) {
+  return httpError(precondition.status, 'Task was changed since you loaded it', { task });
+}
+
+/**
+ * Throws when `task` is not at a version `precondition` allows. Returns the
+ * version the store write must still find, or undefined when unconditional.
+ */
+function checkVersion(precondition, task) {
+  if (!precondition) {
+    return undefined;
+  }
+  if (!precondition.versions.includes(task.version)) {
+    throw staleTask(precondition, task);
+  }
+  return task.version;
+}
+
+module.exports = { etagFor, readPrecondition, readVersion, staleTask, checkVersion };
@@ -0,0 +1,127 @@
+/*
+ * Brute-force protection for the auth routes. Routes that check a password
+ * or send an email are rate limited per client IP and per email address.
+ * On top of that, failed logins slow the next login for that email down,
+ * doubling the wait each time, and enough of them in a row lock it for a
+ * while. Counts live in a counter store (see counters/index.js); emails are
+ * hashed before they become keys there.
+ *
+ * The wait and the lock are kept per email and client, so that knowing
+ * someone's email is not enough to lock them out of their account: only the
+ * client that got the password wrong has to wait. Guesses from many clients
+ * are still capped by the per-email rate limit.
+ */
+
+const net = require('net');
+const { hashToken } = require('./auth');
+const { handleError, httpError } = require('./errors');
+
+const RATE_LIMIT_WINDOW_MINUTES = Number.parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES, 10) || 15;
+const RATE_LIMIT_PER_IP = Number.parseInt(process.env.RATE_LIMIT_PER_IP, 10) || 100;
+const RATE_LIMIT_PER_EMAIL = Number.parseInt(process.env.RATE_LIMIT_PER_EMAIL, 10) || 20;
+// Failed logins before each further one makes the next attempt wait 1, 2, 4... seconds
+const LOGIN_BACKOFF_AFTER = Number.parseInt(process.env.LOGIN_BACKOFF_AFTER, 10) || 3;
+const LOGIN_LOCKOUT_AFTER = Number.parseInt(process.env.LOGIN_LOCKOUT_AFTER, 10) || 10;
+const LOGIN_LOCKOUT_MINUTES = Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+const MINUTE_MS = 60 * 1000;
+
+// A 429 whose Retry-After says when the window at `resetAt` is over
+function tooManyRequests(message, resetAt) {
+  const retryAfter = Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+  return httpError(429, message, { retryAfter });
+}
+
+const emailKey = (prefix, email) => `${prefix}:email:${hashToken(email)}`;
+
+// An IPv6 client usually holds a whole /64, so that is what counts as one client
+function clientRange(ip) {
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  if (!net.isIPv6(address)) {
+    return address;
+  }
+  const [head, tail] = address.split('::').map((part) => (part ? part.split(':') : []));
+  const groups = tail ? [...head, ...Array(8 - head.length - tail.length).fill('0'), ...tail] : head;
+  return `${groups
+    .slice(0, 4)
+    .map((group) => Number.parseInt(group, 16).toString(16))
+    .join(':')}::/64`;
+}
+
+/**
+ * Middleware limiting how often the route `name` can be called from one IP
+ * and, when the body has one, for one email address.
+ */
+function rateLimit(counters, name) {
+  return async (req, res, next) => {
+    try {
+      const email = String(req.body.email || '').trim().toLowerCase();
+      const limits = [[`${name}:ip:${req.ip}`, RATE_LIMIT_PER_IP]];
+      if (email) {
+        limits.push([emailKey(name, email), RATE_LIMIT_PER_EMAIL]);
+      }
+      for (const [key, limit] of limits) {
+        const { count, resetAt } = await counters.hit(key, RATE_LIMIT_WINDOW_MINUTES * MINUTE_MS);
+        if (count > limit) {
+          throw tooManyRequests('Too many requests, please try again later', resetAt);
+        }
+      }
+      next();
+    } catch (error) {
+      handleError(res, error, 'Failed to check the rate limit');
+    }
+  };
+}
+
+/**
+ * Tracks failed logins per email and client IP (see clientRange). `check`
+ * throws a 429 while that client has to wait or is locked out of the email;
+ * `failed` counts a failure and says whether it locked the email for the
+ * client; `succeeded` clears everything for the client, as does a password
+ * reset.
+ */
+function createLoginThrottle(counters) {
+  const clientKey = (prefix, email, ip) => `${emailKey(prefix, email)}:ip:${clientRange(ip)}`;
+  const failuresKey = (email, ip) => clientKey('login-failures', email, ip);
+  const waitKey = (email, ip) => clientKey('login-wait', email, ip);
+  const lockKey = (email, ip) => clientKey('login-lock', email, ip);
+
+  // Replaces the key's window with one of `windowMs`
+  async function block(key, windowMs) {
+    await counters.reset(key);
+    await counters.hit(key, windowMs);
+  }
+
+  return {
+    async check(email, ip) {
+      const lock = await counters.get(lockKey(email, ip));
+      if (lock) {
+        throw tooManyRequests(
+          'Too many failed logins from here: this account is locked for now. Try again later or reset your password',
+          lock.resetAt
+        );
+      }
+      const wait = await counters.get(waitKey(email, ip));
+      if (wait) {
+        throw tooManyRequests('Too many failed logins, please wait a moment before trying again', wait.resetAt);
+      }
+    },
+    async failed(email, ip) {
+      const { count } = await counters.hit(failuresKey(email, ip), LOGIN_LOCKOUT_MINUTES * MINUTE_MS);
+      if (count >= LOGIN_LOCKOUT_AFTER) {
+        await counters.reset(failuresKey(email, ip));
+        await block(lockKey(email, ip), LOGIN_LOCKOUT_MINUTES * MINUTE_MS);
+        return { locked: true };
+      }
+      if (count >= LOGIN_BACKOFF_AFTER) {
+        await block(waitKey(email, ip), 1000 * 2 ** (count - LOGIN_BACKOFF_AFTER));
+      }
+      return { locked: false };
+    },
+    async succeeded(email, ip) {
+      await Promise.all([failuresKey, waitKey, lockKey].map((key) => counters.reset(key(email, ip))));
+    },
+  };
+}
+
+module.exports = { rateLimit, createLoginThrottle };
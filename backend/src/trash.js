@@ -0,0 +1,27 @@
+/*
+ * Deleted tasks wait in the trash for TRASH_RETENTION_DAYS before they are
+ * purged for good. There is no scheduler to lean on (the API also runs as
+ * serverless functions), so API requests trigger the purge, at most once an
+ * hour per process.
+ */
+
+const TRASH_RETENTION_DAYS = Number.parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Middleware purging expired trash in the background; a failed purge only gets logged
+function sweepTrash(store) {
+  let lastSweep = 0;
+  return (_req, _res, next) => {
+    const now = Date.now();
+    if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+      lastSweep = now;
+      store.tasks.purgeTrash(new Date(now - TRASH_RETENTION_DAYS * DAY_MS)).catch((error) => {
+        console.error('TRASH PURGE FAILED:', error);
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { TRASH_RETENTION_DAYS, sweepTrash };
@@ -0,0 +1,27 @@
+const { httpError } = require('./errors');
+
+const MAX_NAME_LENGTH = 100;
+// Something@something.tld without spaces; whether it is really theirs is what verification is for
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function readName(value) {
+  const name = String(value ?? '').trim();
+  if (!name) {
+    throw httpError(400, 'Name cannot be empty');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `Name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+}
+
+// Emails are compared and stored lowercase
+function readEmail(value) {
+  const email = String(value ?? '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    throw httpError(400, 'Email is not a valid address');
+  }
+  return email;
+}
+
+module.exports = { readName, readEmail };
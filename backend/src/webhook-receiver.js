@@ -0,0 +1,50 @@
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('./webhooks');
+
+/*
+ * A local endpoint to point webhooks at while developing: prints every
+ * delivery and, given the webhook's secret, whether its signature checks out.
+ *
+ *   WEBHOOK_SECRET=whsec_... npm run webhooks:listen -- 4000
+ *
+ * WEBHOOK_STATUS makes it answer with another status, to watch retries. The
+ * API only sends to localhost when it runs with WEBHOOK_ALLOW_PRIVATE=true.
+ */
+
+const port = Number(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const status = Number(process.env.WEBHOOK_STATUS) || 204;
+
+function checkSignature(req, body) {
+  if (!secret) {
+    return 'not checked, set WEBHOOK_SECRET';
+  }
+  const expected = Buffer.from(signPayload(secret, req.headers['x-todo-timestamp'], body));
+  const signature = Buffer.from(String(req.headers['x-todo-signature']));
+  return expected.length === signature.length && crypto.timingSafeEqual(expected, signature) ? 'valid' : 'INVALID';
+}
+
+http
+  .createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const { 'x-todo-event': event, 'x-todo-delivery': delivery } = req.headers;
+      console.log(`${req.method} ${req.url} ${event} (delivery ${delivery})`);
+      console.log(`signature: ${checkSignature(req, body)}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch (_error) {
+        console.log(body);
+      }
+      res.statusCode = status;
+      res.end();
+    });
+  })
+  .listen(port, () => {
+    console.log(`Listening for webhooks at http://localhost:${port}, answering ${status}`);
+  });
@@ -0,0 +1,390 @@
+/*
+ * Outgoing webhooks. A user registers URLs for the task events they care
+ * about; every task change in the API is POSTed to them as JSON, signed with
+ * the webhook's secret. Failed deliveries are retried with exponential
+ * backoff and every attempt's outcome is kept in a delivery log.
+ *
+ * Deliveries wait in the store, not in memory: a retry is scheduled with a
+ * timer, and API requests also pick up deliveries that are overdue (at most
+ * once a minute per process), so retries survive restarts and serverless
+ * instances that freeze between requests.
+ *
+ * Signing: X-Todo-Signature is `sha256=` and the hex HMAC-SHA256, keyed with
+ * the secret, of `<X-Todo-Timestamp>.<body>`. Receivers should compare it in
+ * constant time and reject old timestamps.
+ *
+ * Webhooks never reach loopback, private, carrier-grade NAT, link-local,
+ * unique-local, multicast or reserved addresses, nor the NAT64 and 6to4
+ * ranges that carry an IPv4 address inside an IPv6 one, or the server could
+ * be made to call its own network and show the answers in the delivery log.
+ * The host is checked when a webhook is saved and again on every connection,
+ * against the address actually used, so a DNS record changed since cannot
+ * get around it.
+ * WEBHOOK_ALLOW_PRIVATE=true lifts this for local development.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { httpError } = require('./errors');
+
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.completed', 'task.deleted'];
+const TEST_EVENT = 'webhook.test';
+const SECRET_PREFIX = 'whsec_';
+const MAX_WEBHOOKS = 10;
+const MAX_URL_LENGTH = 2000;
+// Deliveries kept per webhook; older finished ones are dropped as new ones come in
+const DELIVERY_LOG_SIZE = 100;
+
+// Attempts in all, the first included; the wait doubles after each failure
+const MAX_ATTEMPTS = Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_SECONDS = Number.parseInt(process.env.WEBHOOK_RETRY_SECONDS, 10) || 30;
+const TIMEOUT_SECONDS = 10;
+// How long an attempt keeps others off its delivery; more than an attempt can take
+const CLAIM_MS = (TIMEOUT_SECONDS + 50) * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const SWEEP_BATCH_SIZE = 20;
+const MAX_ERROR_LENGTH = 500;
+
+const USER_AGENT = 'todo-webhooks/1.0';
+
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  // Carrier-grade NAT; cloud metadata services live here too, e.g. 100.100.100.200
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  // Multicast, and the reserved block above it up to the broadcast address
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  // NAT64 and 6to4 carry an IPv4 address inside, which may be a private one
+  ['64:ff9b::', 96, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+].forEach(([address, prefix, type]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, type));
+const PRIVATE_ADDRESS_MESSAGE = 'Webhooks cannot be sent to private or local addresses';
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) count as the IPv4 address they map
+const isPrivate = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+// The URL's host without the brackets around an IPv6 address
+const hostOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+// dns.lookup for outgoing connections, failing when the host resolves to a private address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+    } else if ((Array.isArray(address) ? address : [{ address }]).some((entry) => isPrivate(entry.address))) {
+      callback(new Error(PRIVATE_ADDRESS_MESSAGE));
+    } else {
+      callback(null, address, family);
+    }
+  });
+}
+
+const createWebhookSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function readUrl(value) {
+  const text = String(value ?? '').trim();
+  let url = null;
+  try {
+    url = new URL(text);
+  } catch (_error) {
+    // reported below
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw httpError(400, 'URL must be an absolute http or https URL');
+  }
+  if (url.href.length > MAX_URL_LENGTH) {
+    throw httpError(400, `URL must be at most ${MAX_URL_LENGTH} characters`);
+  }
+  if (!ALLOW_PRIVATE) {
+    const host = hostOf(url.href);
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (_error) {
+      throw httpError(400, `Cannot find the host ${host}`);
+    }
+    if (addresses.some(({ address }) => isPrivate(address))) {
+      throw httpError(400, PRIVATE_ADDRESS_MESSAGE);
+    }
+  }
+  return url.href;
+}
+
+// Kept in the order of WEBHOOK_EVENTS, without repeats
+function readEvents(value) {
+  if (!Array.isArray(value) || !value.length) {
+    throw httpError(400, `Events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const unknown = value.find((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown !== undefined) {
+    throw httpError(400, `Unknown event: ${unknown}`);
+  }
+  return WEBHOOK_EVENTS.filter((event) => value.includes(event));
+}
+
+/**
+ * Validates the body of POST (`creating`) or PATCH /webhooks into the fields
+ * it sets: { url, events } when creating, any of { url, events, active }
+ * otherwise. Resolves the URL's host to check where it points.
+ */
+async function readWebhookFields(body, { creating = false } = {}) {
+  const fields = {};
+  if (creating || body.url !== undefined) {
+    fields.url = await readUrl(body.url);
+  }
+  if (creating || body.events !== undefined) {
+    fields.events = readEvents(body.events);
+  }
+  if (!creating && body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      throw httpError(400, 'active must be true or false');
+    }
+    fields.active = body.active;
+  }
+  return fields;
+}
+
+/**
+ * The webhook event for a change the event hub announces (see events.js), or
+ * null for resync, which names no task. A restored task is created again; an
+ * update that completes a task is sent as task.completed instead.
+ */
+function webhookEvent(type, task, previous) {
+  if (type === 'task.created' || type === 'task.restored') {
+    return 'task.created';
+  }
+  if (type === 'task.updated') {
+    return task.completed && previous && !previous.completed ? 'task.completed' : 'task.updated';
+  }
+  return type === 'task.deleted' ? type : null;
+}
+
+const claimUntil = () => new Date(Date.now() + CLAIM_MS);
+
+/**
+ * POSTs `body` to `url` without following redirects and resolves to the
+ * response status; the response body is not read. Rejects when there is no
+ * response within TIMEOUT_SECONDS. Addresses written into the URL skip the
+ * lookup, so they are checked here.
+ */
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const host = hostOf(url);
+    if (!ALLOW_PRIVATE && net.isIP(host) && isPrivate(host)) {
+      reject(new Error(PRIVATE_ADDRESS_MESSAGE));
+      return;
+    }
+    const request = (url.startsWith('https:') ? https : http).request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: ALLOW_PRIVATE ? undefined : publicLookup,
+      },
+      (response) => {
+        clearTimeout(timer);
+        response.destroy();
+        resolve(response.statusCode);
+      }
+    );
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`No response within ${TIMEOUT_SECONDS} seconds`));
+    }, TIMEOUT_SECONDS * 1000);
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Sends events to the webhooks of a store's users. `notify` is what the event
+ * hub calls on every task change; `sendTest` sends a test event once, without
+ * retries; `retryDue` attempts the deliveries whose retry is overdue.
+ */
+function createWebhookDispatcher(store) {
+  // One attempt; resolves to the response status and, unless it was a 2xx, what went wrong
+  async function send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const responseStatus = await post(
+        webhook.url,
+        {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Todo-Event': delivery.type,
+          'X-Todo-Delivery': delivery.id,
+          'X-Todo-Timestamp': timestamp,
+          'X-Todo-Signature': signPayload(webhook.secret, timestamp, body),
+        },
+        body
+      );
+      const ok = responseStatus >= 200 && responseStatus < 300;
+      return { responseStatus, error: ok ? null : `Responded with ${responseStatus}` };
+    } catch (error) {
+      return { responseStatus: null, error: error.message.slice(0, MAX_ERROR_LENGTH) };
+    }
+  }
+
+  function scheduleRetry(deliveryId, nextAttemptAt) {
+    // A few milliseconds late, so the claim finds the delivery due
+    const timer = setTimeout(() => {
+      retry(deliveryId).catch((error) => console.error('WEBHOOK RETRY FAILED:', error));
+    }, nextAttemptAt.getTime() - Date.now() + 10);
+    timer.unref();
+  }
+
+  // Attempts a delivery the caller has claimed and records how it went
+  async function attempt(webhook, delivery, { retries = true } = {}) {
+    const attempts = delivery.attempts + 1;
+    const { responseStatus, error } = await send(webhook, delivery);
+    if (!error) {
+      return store.webhookDeliveries.update(delivery.id, {
+        status: 'succeeded',
+        attempts,
+        responseStatus,
+        error: null,
+        nextAttemptAt: null,
+      });
+    }
+    if (retries && attempts < MAX_ATTEMPTS) {
+      const nextAttemptAt = new Date(Date.now() + RETRY_SECONDS * 1000 * 2 ** (attempts - 1));
+      const updated = await store.webhookDeliveries.update(delivery.id, {
+        status: 'pending',
+        attempts,
+        responseStatus,
+        error,
+        nextAttemptAt,
+      });
+      scheduleRetry(delivery.id, nextAttemptAt);
+      return updated;
+    }
+    return store.webhookDeliveries.update(delivery.id, {
+      status: 'failed',
+      attempts,
+      responseStatus,
+      error,
+      nextAttemptAt: null,
+    });
+  }
+
+  // Another attempt at a pending delivery, unless someone else got to it first
+  async function retry(deliveryId) {
+    const delivery = await store.webhookDeliveries.claim(deliveryId, claimUntil());
+    if (!delivery) {
+      return;
+    }
+    const webhook = await store.webhooks.findById(delivery.userId, delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      await store.webhookDeliveries.update(delivery.id, {
+        status: 'failed',
+        error: 'The webhook was disabled',
+        nextAttemptAt: null,
+      });
+      return;
+    }
+    await attempt(webhook, delivery);
+  }
+
+  // Logs a delivery of `payload` to `webhook`, claimed for the first attempt right away
+  async function createDelivery(webhook, payload) {
+    const delivery = await store.webhookDeliveries.create({
+      userId: webhook.userId,
+      webhookId: webhook.id,
+      eventId: payload.id,
+      type: payload.type,
+      payload,
+      nextAttemptAt: claimUntil(),
+    });
+    await store.webhookDeliveries.prune(webhook.id, DELIVERY_LOG_SIZE);
+    return delivery;
+  }
+
+  const toPayload = (type, data) => ({ id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data });
+
+  async function deliver(ownerId, type, task, previous) {
+    const webhooks = (await store.webhooks.list(ownerId)).filter(
+      (webhook) => webhook.active && webhook.events.includes(type)
+    );
+    if (!webhooks.length) {
+      return;
+    }
+    const payload = toPayload(type, previous ? { task, previous } : { task });
+    await Promise.all(
+      webhooks.map(async (webhook) => attempt(webhook, await createDelivery(webhook, payload)))
+    );
+  }
+
+  return {
+    /**
+     * Queues `task`'s change for the owner's webhooks and makes the first
+     * attempt in the background. Never throws: a failure is only logged.
+     */
+    notify(ownerId, type, task, previous = null) {
+      const event = task && webhookEvent(type, task, previous);
+      if (event) {
+        deliver(ownerId, event, task, previous).catch((error) => {
+          console.error('WEBHOOK DELIVERY FAILED:', error);
+        });
+      }
+    },
+
+    // Resolves to the logged delivery once its one attempt is over
+    async sendTest(webhook) {
+      const delivery = await createDelivery(webhook, toPayload(TEST_EVENT, { webhookId: webhook.id }));
+      return attempt(webhook, delivery, { retries: false });
+    },
+
+    async retryDue() {
+      const due = await store.webhookDeliveries.listDue(SWEEP_BATCH_SIZE);
+      for (const delivery of due) {
+        await retry(delivery.id);
+      }
+    },
+  };
+}
+
+// Middleware retrying overdue deliveries in the background; a failed sweep only gets logged
+function sweepWebhooks(webhooks) {
+  let lastSweep = 0;
+  return (_req, _res, next) => {
+    const now = Date.now();
+    if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+      lastSweep = now;
+      webhooks.retryDue().catch((error) => {
+        console.error('WEBHOOK RETRY FAILED:', error);
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS,
+  DELIVERY_LOG_SIZE,
+  createWebhookSecret,
+  signPayload,
+  readWebhookFields,
+  createWebhookDispatcher,
+  sweepWebhooks,
+};
@@ -0,0 +1,103 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, STORES, startApi } = require('./support/api');
+
+/*
+ * Who may reach what: no or bad credentials are a 401, someone else's account
+ * a 403, and tasks on lists a member cannot see a 404, so that they do not
+ * learn those tasks exist.
+ */
+
+for (const kind of STORES) {
+  describe(`access (${kind} store)`, () => {
+    let api;
+    let owner;
+    let member;
+    let stranger;
+    let shared;
+    let hidden;
+
+    before(async () => {
+      api = await startApi(kind);
+      owner = await api.register('Owner');
+      member = await api.register('Member');
+      stranger = await api.register('Stranger');
+      const { body: list } = await owner.as('POST', '/lists', { body: { name: 'Shared' } });
+      await api.share(owner, member, { listId: list.id, role: 'viewer' });
+      ({ body: shared } = await owner.as('POST', '/tasks', { body: { title: 'Shared task', listId: list.id } }));
+      ({ body: hidden } = await owner.as('POST', '/tasks', { body: { title: 'Inbox task' } }));
+    });
+
+    after(() => api.close());
+
+    test('requests without a valid access token are a 401', async () => {
+      assert.equal((await api.request('GET', `${owner.base}/tasks`)).status, 401);
+      assert.equal((await api.request('GET', `${owner.base}/tasks`, { token: 'not-a-token' })).status, 401);
+      const { status } = await api.request('GET', `${owner.base}/tasks`, { headers: { Authorization: 'Basic abc' } });
+      assert.equal(status, 401);
+    });
+
+    test('a logged-out session is a 401', async () => {
+      const login = { email: stranger.email, password: PASSWORD };
+      const { accessToken: token } = (await api.request('POST', '/api/auth/login', { body: login })).body;
+      assert.equal((await api.request('GET', `${stranger.base}/tasks`, { token })).status, 200);
+      assert.equal((await api.request('POST', '/api/auth/logout', { token })).status, 204);
+      assert.equal((await api.request('GET', `${stranger.base}/tasks`, { token })).status, 401);
+    });
+
+    test("another user's account is a 403", async () => {
+      for (const [method, path] of [
+        ['GET', '/tasks'],
+        ['GET', `/tasks/${hidden.id}`],
+        ['PATCH', `/tasks/${hidden.id}`],
+        ['DELETE', `/tasks/${hidden.id}`],
+        ['GET', '/lists'],
+        ['GET', '/export'],
+      ]) {
+        const body = method === 'GET' ? undefined : {};
+        const response = await api.request(method, owner.base + path, { token: stranger.token, body });
+        assert.equal(response.status, 403, `${method} ${path}`);
+      }
+    });
+
+    test('members cannot use owner-only routes', async () => {
+      const token = member.token;
+      for (const [method, path, body] of [
+        ['POST', '/lists', { name: 'Mine now' }],
+        ['PUT', '/tags/work', { name: 'play' }],
+        ['GET', '/export'],
+        ['POST', '/import', { format: 'personal-tasks-backup', version: 1, lists: [], tasks: [] }],
+      ]) {
+        const response = await api.request(method, owner.base + path, { token, body });
+        assert.equal(response.status, 403, `${method} ${path}`);
+      }
+    });
+
+    test('viewers can read shared tasks but not change them', async () => {
+      const { status, body } = await api.request('GET', `${owner.base}/tasks/${shared.id}`, { token: member.token });
+      assert.equal(status, 200);
+      assert.equal(body.title, 'Shared task');
+      const update = await api.request('PATCH', `${owner.base}/tasks/${shared.id}`, {
+        token: member.token,
+        body: { title: 'Changed' },
+      });
+      assert.equal(update.status, 403);
+      assert.equal((await owner.as('GET', `/tasks/${shared.id}`)).body.title, 'Shared task');
+    });
+
+    test('tasks on lists a member cannot see are a 404, like missing ones', async () => {
+      const hiddenTask = await api.request('GET', `${owner.base}/tasks/${hidden.id}`, { token: member.token });
+      const missing = await api.request('GET', `${owner.base}/tasks/999999`, { token: member.token });
+      assert.equal(hiddenTask.status, 404);
+      assert.deepEqual(hiddenTask.body, missing.body);
+      const { body: list } = await api.request('GET', `${owner.base}/tasks`, { token: member.token });
+      assert.deepEqual(list.items.map((task) => task.id), [shared.id]);
+    });
+
+    test('missing tasks are a 404 for the owner too', async () => {
+      assert.equal((await owner.as('GET', '/tasks/999999')).status, 404);
+      assert.equal((await owner.as('PATCH', '/tasks/999999', { body: { title: 'x' } })).status, 404);
+      assert.equal((await owner.as('DELETE', '/tasks/999999')).status, 404);
+    });
+  });
+}
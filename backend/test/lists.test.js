@@ -0,0 +1,44 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { STORES, startApi } = require('./support/api');
+
+for (const kind of STORES) {
+  describe(`deleting a list (${kind} store)`, () => {
+    let api;
+    let owner;
+
+    before(async () => {
+      api = await startApi(kind);
+      owner = await api.register('Owner');
+    });
+
+    after(() => api.close());
+
+    test('moves its tasks to the trash in the inbox, from where they can be restored', async () => {
+      const inbox = (await owner.as('GET', '/lists')).body.find((list) => list.isInbox);
+      const { body: list } = await owner.as('POST', '/lists', { body: { name: 'Groceries' } });
+      const { body: milk } = await owner.as('POST', '/tasks', { body: { title: 'Milk', listId: list.id } });
+      const { body: eggs } = await owner.as('POST', '/tasks', { body: { title: 'Eggs', listId: list.id } });
+      await owner.as('DELETE', `/tasks/${eggs.id}`);
+
+      assert.equal((await owner.as('DELETE', `/lists/${list.id}`)).status, 204);
+      assert.equal((await owner.as('GET', `/tasks?listId=${list.id}`)).body.items.length, 0);
+
+      const { body: trash } = await owner.as('GET', '/tasks/trash');
+      assert.deepEqual(trash.items.map((task) => task.title).sort(), ['Eggs', 'Milk']);
+      assert.ok(trash.items.every((task) => task.listId === inbox.id && task.deletedAt));
+
+      const { status, body: restored } = await owner.as('POST', `/tasks/${milk.id}/restore`);
+      assert.equal(status, 200);
+      assert.equal(restored.listId, inbox.id);
+      assert.equal(restored.deletedAt, null);
+      const { body: tasks } = await owner.as('GET', '/tasks');
+      assert.deepEqual(tasks.items.map((task) => task.title), ['Milk']);
+    });
+
+    test('the inbox cannot be deleted', async () => {
+      const inbox = (await owner.as('GET', '/lists')).body.find((list) => list.isInbox);
+      assert.equal((await owner.as('DELETE', `/lists/${inbox.id}`)).status, 400);
+    });
+  });
+}
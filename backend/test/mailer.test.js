@@ -0,0 +1,49 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMailerFromEnv } = require('../src/mailer');
+
+const saved = { NODE_ENV: process.env.NODE_ENV, MAIL_URL: process.env.MAIL_URL };
+
+function setEnv(values) {
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+}
+
+afterEach(() => setEnv(saved));
+
+test('refuses to print emails to the console in production', () => {
+  setEnv({ NODE_ENV: 'production', MAIL_URL: undefined });
+  assert.throws(() => createMailerFromEnv(), /MAIL_URL must be set in production/);
+});
+
+test('prints emails to the console outside production', () => {
+  setEnv({ NODE_ENV: 'development', MAIL_URL: undefined });
+  assert.equal(typeof createMailerFromEnv().send, 'function');
+});
+
+test('refuses MAIL_URL schemes other than smtp, smtps and file', () => {
+  for (const url of ['http://mail.example.com', 'sendmail:', 'mail.example.com:587']) {
+    setEnv({ NODE_ENV: 'production', MAIL_URL: url });
+    assert.throws(() => createMailerFromEnv(), /Unsupported MAIL_URL scheme/, url);
+  }
+});
+
+test('writes emails to MAIL_URL=file: in production too', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-test-'));
+  try {
+    setEnv({ NODE_ENV: 'production', MAIL_URL: `file://${dir}` });
+    await createMailerFromEnv().send({ to: 'someone@example.com', subject: 'Hello', text: 'Hi there' });
+    const [file] = fs.readdirSync(dir);
+    assert.match(fs.readFileSync(path.join(dir, file), 'utf8'), /To: someone@example\.com/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const db = require('../src/db');
+const { createSqlStore } = require('../src/stores/sqlStore');
+
+/*
+ * The MySQL adapter against a stand-in for the mysql2 pool: the statements it
+ * sends (`?` markers, NOW(3), FOR UPDATE) run on SQLite, migrated like any
+ * other database, and come back shaped the way mysql2 returns them.
+ */
+
+const toValue = (value) => {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+};
+
+function createFakePool(filename) {
+  const sqlite = new Database(filename);
+  sqlite.pragma('foreign_keys = ON');
+  const statements = [];
+
+  const connection = {
+    async query(sql, values = []) {
+      statements.push(sql);
+      const text = sql
+        .replace(/\bNOW\(3\)/gi, "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')")
+        .replace(/\s+FOR UPDATE$/i, '');
+      const statement = sqlite.prepare(text);
+      const params = values.map(toValue);
+      if (statement.reader) {
+        return [statement.all(params)];
+      }
+      const { changes, lastInsertRowid } = statement.run(params);
+      return [{ affectedRows: changes, insertId: Number(lastInsertRowid) }];
+    },
+    beginTransaction: async () => sqlite.exec('BEGIN'),
+    commit: async () => sqlite.exec('COMMIT'),
+    rollback: async () => sqlite.exec('ROLLBACK'),
+    release() {},
+  };
+
+  return {
+    statements,
+    query: (sql, values) => connection.query(sql, values),
+    getConnection: async () => connection,
+    end: async () => sqlite.close(),
+  };
+}
+
+let dir;
+let pool;
+let store;
+let userId;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-mysql-'));
+  const filename = path.join(dir, 'test.db');
+  process.env.DATABASE_URL = `sqlite:${filename}`;
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await db.bootstrapDatabase();
+  } finally {
+    console.log = log;
+  }
+  await db.closeDatabase();
+
+  pool = createFakePool(filename);
+  const adapter = db.createMysqlAdapter({ pool });
+  store = createSqlStore({ query: adapter.query, transaction: adapter.transaction });
+  ({ id: userId } = await store.users.create({ name: 'Ada', email: 'ada@example.com', passwordHash: 'x' }));
+});
+
+after(async () => {
+  await pool.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an update at the current version returns the updated task', async () => {
+  const task = await store.tasks.create(userId, { title: 'Write tests' });
+  const updated = await store.tasks.update(userId, task.id, { title: 'Write more tests' }, { version: task.version });
+  assert.equal(updated.title, 'Write more tests');
+  assert.equal(updated.version, task.version + 1);
+});
+
+test('an update at a stale version changes nothing', async () => {
+  const task = await store.tasks.create(userId, { title: 'Stale' });
+  await store.tasks.update(userId, task.id, { title: 'Fresh' }, { version: task.version });
+  assert.equal(await store.tasks.update(userId, task.id, { title: 'Lost' }, { version: task.version }), null);
+  assert.equal((await store.tasks.findById(userId, task.id)).title, 'Fresh');
+});
+
+test('recovering a task from the trash returns it', async () => {
+  const task = await store.tasks.create(userId, { title: 'Trashed' });
+  assert.equal(await store.tasks.remove(userId, task.id), true);
+  const recovered = await store.tasks.recover(userId, task.id);
+  assert.equal(recovered.id, task.id);
+  assert.equal(recovered.deletedAt, null);
+  assert.equal(await store.tasks.recover(userId, task.id), null);
+});
+
+test('UPDATE ... RETURNING locks the rows it matches and reads them back by id', async () => {
+  const task = await store.tasks.create(userId, { title: 'Locked' });
+  pool.statements.length = 0;
+  await store.tasks.update(userId, task.id, { completed: true }, { version: task.version });
+  const [lock, update, select] = pool.statements;
+  assert.match(lock, /^SELECT id FROM tasks WHERE .* AND version = \? FOR UPDATE$/);
+  assert.match(update, /^UPDATE tasks SET /);
+  assert.match(select, /FROM tasks WHERE id IN \(\?\)$/);
+});
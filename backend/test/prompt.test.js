@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const PROMPT = path.join(__dirname, '../src/cli/prompt.js');
+
+// Types `typed` at a prompt in a child process whose stdin passes for a terminal
+function prompt(typed, options) {
+  const script = `Object.defineProperty(process.stdin, 'isTTY', { value: true });
+require(${JSON.stringify(PROMPT)}).ask('Password: ', ${JSON.stringify(options)})
+  .then((answer) => process.stdout.write(JSON.stringify(answer)));`;
+  const child = spawnSync(process.execPath, ['-e', script], { input: typed, encoding: 'utf8', timeout: 10000 });
+  return { answer: JSON.parse(child.stdout), stderr: child.stderr };
+}
+
+test('hidden input is read without being echoed', () => {
+  const { answer, stderr } = prompt('hunter2\n', { hidden: true });
+  assert.equal(answer, 'hunter2');
+  assert.match(stderr, /Password: /);
+  assert.doesNotMatch(stderr, /hunter2/);
+});
+
+test('other input is echoed as it is typed', () => {
+  const { answer, stderr } = prompt('alice\n', {});
+  assert.equal(answer, 'alice');
+  assert.match(stderr, /Password: .*alice/);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRule, nextOccurrence } = require('../src/recurrence');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RULES = [
+  'FREQ=DAILY',
+  'FREQ=DAILY;INTERVAL=3',
+  'FREQ=WEEKLY',
+  'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH,SU',
+  'FREQ=MONTHLY',
+  'FREQ=MONTHLY;INTERVAL=5;BYMONTHDAY=31',
+  'FREQ=MONTHLY;BYMONTHDAY=-1',
+];
+
+const mondayOf = (date) =>
+  Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+
+// Whether `date`, at the anchor's time of day, is an occurrence, straight from the rule's definition
+function isOccurrence(rule, anchor, date) {
+  if (rule.freq === 'DAILY') {
+    return Math.round((date - anchor) / DAY) % rule.interval === 0;
+  }
+  if (rule.freq === 'WEEKLY') {
+    const weeks = Math.round((mondayOf(date) - mondayOf(anchor)) / (7 * DAY));
+    const days = rule.byDay || [WEEKDAYS[anchor.getUTCDay()]];
+    return weeks % rule.interval === 0 && days.includes(WEEKDAYS[date.getUTCDay()]);
+  }
+  const months = (date.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + date.getUTCMonth() - anchor.getUTCMonth();
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  const wanted = rule.byMonthDay ?? anchor.getUTCDate();
+  return months % rule.interval === 0 && date.getUTCDate() === (wanted === -1 ? lastDay : Math.min(wanted, lastDay));
+}
+
+test('skips missed occurrences straight to the first one after now', () => {
+  const weekly = nextOccurrence(
+    parseRule('FREQ=WEEKLY;BYDAY=MO,FR'),
+    '1970-01-05T08:00:00.000Z',
+    new Date('2024-03-13T10:00:00Z')
+  );
+  assert.equal(weekly.toISOString(), '2024-03-15T08:00:00.000Z');
+  const monthly = nextOccurrence(
+    parseRule('FREQ=MONTHLY;BYMONTHDAY=31'),
+    '1970-01-31T07:30:00.000Z',
+    new Date('2023-02-10T00:00:00Z')
+  );
+  assert.equal(monthly.toISOString(), '2023-02-28T07:30:00.000Z');
+});
+
+test('lands on the first occurrence after now that going day by day finds', () => {
+  const anchor = new Date('2022-01-31T18:45:00Z');
+  for (const text of RULES) {
+    const rule = parseRule(text);
+    const occurrences = [];
+    for (let date = new Date(anchor.getTime() + DAY); occurrences.length < 100; date = new Date(date.getTime() + DAY)) {
+      if (isOccurrence(rule, anchor, date)) {
+        occurrences.push(date);
+      }
+    }
+    for (let now = anchor.getTime(); now < occurrences[occurrences.length - 1].getTime(); now += 2.5 * DAY) {
+      const expected = occurrences.find((occurrence) => occurrence.getTime() > now);
+      const next = nextOccurrence(rule, anchor, new Date(now));
+      assert.deepEqual(next, expected, `${text} at ${new Date(now).toISOString()}`);
+    }
+  }
+});
+
+test('takes no time for a due date thousands of years back', () => {
+  const started = Date.now();
+  const now = new Date('9999-06-15T12:00:00Z');
+  for (const text of RULES) {
+    const next = nextOccurrence(parseRule(text), '1970-01-01T09:00:00.000Z', now);
+    assert.ok(next > now && next < new Date('9999-12-01T00:00:00Z'), `${text}: ${next.toISOString()}`);
+    assert.equal(next.getUTCHours(), 9);
+  }
+  assert.ok(Date.now() - started < 500, `took ${Date.now() - started} ms`);
+});
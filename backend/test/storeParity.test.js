@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support/api');
+
+/*
+ * The memory and SQL stores behind the same requests must answer the same.
+ * Ids and timestamps differ between runs, so ids become labels in the order
+ * they first show up and timestamps only record whether they are set.
+ */
+
+const ID_FIELDS = new Set(['id', 'userId', 'listId', 'seriesId', 'createdBy', 'completedBy']);
+const TIME_FIELDS = new Set(['createdAt', 'updatedAt', 'deletedAt']);
+
+function normalize(value, labels = new Map()) {
+  if (Array.isArray(value)) {
+    return value.map((entry) => normalize(entry, labels));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => {
+      if (ID_FIELDS.has(key) && entry !== null) {
+        if (!labels.has(entry)) {
+          labels.set(entry, `#${labels.size + 1}`);
+        }
+        return [key, labels.get(entry)];
+      }
+      if (TIME_FIELDS.has(key) || key === 'nextCursor') {
+        return [key, entry !== null];
+      }
+      return [key, normalize(entry, labels)];
+    })
+  );
+}
+
+// Runs the same changes on a fresh app and resolves to every answer, in order
+async function runScenario(kind) {
+  const api = await startApi(kind);
+  try {
+    const owner = await api.register('Owner');
+    const answers = [];
+    const call = async (method, path, body) => {
+      const { status, body: answer } = await owner.as(method, path, { body });
+      answers.push({ call: `${method} ${path.replace(/([/=])\d+(?=[/&]|$)/g, '$1:id')}`, status, answer });
+      return answer;
+    };
+
+    const work = await call('POST', '/lists', { name: 'Work', color: '#3366ff' });
+    await call('POST', '/lists', { name: 'Home' });
+    const a = await call('POST', '/tasks', {
+      title: 'Alpha',
+      priority: 'high',
+      dueAt: '2030-01-02T09:00:00.000Z',
+      tags: ['Work', 'urgent'],
+    });
+    const b = await call('POST', '/tasks', { title: 'Bravo', notes: 'Some notes', dueAt: '2030-01-01T09:00:00.000Z' });
+    const c = await call('POST', '/tasks', { title: 'Charlie', listId: work.id, tags: ['home'], estimateMinutes: 30 });
+    const d = await call('POST', '/tasks', { title: 'Delta', priority: 'low' });
+
+    await call('PATCH', `/tasks/${b.id}`, { title: 'Bravo 2', completed: true });
+    await call('PUT', `/tasks/${d.id}`, { notes: 'Put notes', tags: ['urgent'] });
+    const first = await call('POST', `/tasks/${a.id}/items`, { title: 'First' });
+    const second = await call('POST', `/tasks/${a.id}/items`, { title: 'Second' });
+    await call('PUT', `/tasks/${a.id}/items/${first.items[0].id}`, { done: true });
+    await call('PUT', `/tasks/${a.id}/items/order`, { itemIds: [second.items[1].id, first.items[0].id] });
+
+    await call('POST', `/tasks/${d.id}/move`, { after: a.id });
+    await call('POST', `/tasks/${c.id}/move`, { before: a.id });
+    await call('POST', `/tasks/${b.id}/move`, { after: c.id, before: a.id });
+
+    await call('DELETE', `/tasks/${c.id}`);
+    await call('GET', '/tasks/trash');
+    await call('POST', `/tasks/${c.id}/restore`);
+
+    for (const query of [
+      'sort=manual',
+      'sort=due',
+      'sort=due&order=desc',
+      'sort=priority',
+      'sort=title&order=asc',
+      'sort=created',
+      'sort=updated',
+      'status=open',
+      'status=completed',
+      'tags=urgent',
+      'tags=work,home&tagsMatch=any',
+      'q=rav',
+      `listId=${work.id}`,
+      'dueBefore=2030-01-02T00:00:00.000Z',
+    ]) {
+      await call('GET', `/tasks?${query}`);
+    }
+    const page = await call('GET', '/tasks?sort=title&limit=2');
+    await call('GET', `/tasks?sort=title&limit=2&cursor=${encodeURIComponent(page.nextCursor)}`);
+
+    await call('GET', '/tags');
+    await call('PUT', '/tags/urgent', { name: 'soon' });
+    await call('POST', '/tags/merge', { sources: ['work'], target: 'soon' });
+    await call('GET', '/tags');
+    await call('GET', '/lists');
+    await call('DELETE', `/lists/${work.id}`);
+    await call('GET', '/tasks?sort=manual');
+    await call('GET', '/tasks/trash');
+    return normalize(answers);
+  } finally {
+    await api.close();
+  }
+}
+
+test('the memory and SQL stores answer the same', async () => {
+  const memory = await runScenario('memory');
+  const sql = await runScenario('sql');
+
+  assert.deepEqual(memory.filter(({ status }) => status >= 300), []);
+  const manual = memory.find(({ call }) => call === 'GET /tasks?sort=manual').answer;
+  assert.deepEqual(manual.items.map((task) => task.title), ['Charlie', 'Bravo 2', 'Alpha', 'Delta']);
+  for (const [index, answer] of memory.entries()) {
+    assert.deepEqual(sql[index], answer, `answer ${index + 1}: ${answer.call}`);
+  }
+  assert.equal(sql.length, memory.length);
+});
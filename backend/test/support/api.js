@@ -0,0 +1,83 @@
+const { once } = require('events');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const db = require('../../src/db');
+const { createApp } = require('../../src/createApp');
+const { createMemoryStore, createSqlStore } = require('../../src/stores');
+
+/*
+ * Runs the whole app on a free port for integration tests, on the memory
+ * store or, for 'sql', on a fresh in-memory SQLite database. Only one SQL app
+ * can run at a time, as the database connection is shared by the process.
+ * Emails are kept in `mail` instead of being printed.
+ */
+
+const STORES = ['memory', 'sql'];
+const PASSWORD = 'secret12';
+
+async function startApi(kind = 'memory') {
+  if (kind === 'sql') {
+    process.env.DATABASE_URL = 'sqlite::memory:';
+  }
+  const store = kind === 'sql' ? createSqlStore() : createMemoryStore();
+  await store.init();
+  const mail = [];
+  const mailer = {
+    async send(message) {
+      mail.push(message);
+    },
+  };
+  const server = createApp(store, { mailer }).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves to { status, headers, body }, the body parsed when it is JSON
+  async function request(method, url, { token, body, headers = {} } = {}) {
+    const response = await fetch(origin + url, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text };
+  }
+
+  // Registers a new user; `as` calls the API with their token, under /api/users/:theirId
+  let count = 0;
+  async function register(name = `User ${(count += 1)}`) {
+    const email = `${name.toLowerCase().replace(/\W+/g, '.')}@example.com`;
+    const { status, body } = await request('POST', '/api/auth/register', { body: { name, email, password: PASSWORD } });
+    if (status !== 201) {
+      throw new Error(`Could not register ${email}: ${status} ${JSON.stringify(body)}`);
+    }
+    const user = { id: body.user.id, email, token: body.accessToken, base: `/api/users/${body.user.id}` };
+    user.as = (method, path, options = {}) => request(method, user.base + path, { token: user.token, ...options });
+    return user;
+  }
+
+  // Shares `listId` (null for every list) of `owner` with `member`, accepted
+  async function share(owner, member, { listId = null, role = 'editor' } = {}) {
+    const path = listId === null ? '/members' : `/lists/${listId}/members`;
+    const { body: invitation } = await owner.as('POST', path, { body: { email: member.email, role } });
+    await member.as('POST', `/invitations/${invitation.id}/accept`);
+    return invitation;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    server.close();
+    if (kind === 'sql') {
+      await db.closeDatabase();
+    }
+  }
+
+  return { store, mail, request, register, share, close };
+}
+
+module.exports = { STORES, PASSWORD, startApi };
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readTaskInput } = require('../src/taskFields');
+
+const readDueAt = (dueAt) => readTaskInput({ title: 'Task', dueAt }, { creating: true }).dueAt;
+
+test('due dates from 1970 to 9999 are accepted', () => {
+  assert.equal(readDueAt('1970-01-01T00:00:00.000Z').toISOString(), '1970-01-01T00:00:00.000Z');
+  assert.equal(readDueAt('9999-12-31T23:59:59.999Z').toISOString(), '9999-12-31T23:59:59.999Z');
+  assert.equal(readDueAt(null), null);
+});
+
+test('due dates outside 1970 to 9999 are a 400', () => {
+  for (const dueAt of ['1969-12-31T23:59:59.999Z', '+010000-01-01T00:00:00.000Z', '-000001-01-01T00:00:00.000Z']) {
+    assert.throws(() => readDueAt(dueAt), { status: 400, message: 'Due date must be between the years 1970 and 9999' });
+  }
+});
@@ -0,0 +1,88 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { STORES, startApi } = require('./support/api');
+
+const backup = (lists, tasks) => ({ format: 'personal-tasks-backup', version: 1, lists, tasks });
+
+for (const kind of STORES) {
+  describe(`importing a backup (${kind} store)`, () => {
+    let api;
+    let owner;
+    let inbox;
+
+    before(async () => {
+      api = await startApi(kind);
+      owner = await api.register('Owner');
+      inbox = (await owner.as('GET', '/lists')).body.find((list) => list.isInbox);
+    });
+
+    after(() => api.close());
+
+    test("keeps only people who can see the task's list as createdBy and completedBy", async () => {
+      const [listMember, everyListMember, invited, stranger] = [
+        await api.register('List member'),
+        await api.register('Every list member'),
+        await api.register('Invited'),
+        await api.register('Stranger'),
+      ];
+      await api.share(owner, listMember, { listId: inbox.id });
+      await api.share(owner, everyListMember);
+      await owner.as('POST', `/lists/${inbox.id}/members`, { body: { email: invited.email, role: 'editor' } });
+
+      const task = (title, listId, person) => ({
+        title,
+        listId,
+        completed: true,
+        createdBy: person,
+        completedBy: person,
+      });
+      const lists = [
+        { id: 'inbox', name: 'Inbox', isInbox: true },
+        { id: 'new', name: 'New list' },
+      ];
+      const { status } = await owner.as('POST', '/import', {
+        body: backup(lists, [
+          task('By owner', 'new', owner.id),
+          task('By list member', 'inbox', listMember.id),
+          task('By list member, elsewhere', 'new', listMember.id),
+          task('By every list member', 'new', everyListMember.id),
+          task('By invited', 'inbox', invited.id),
+          task('By stranger', 'inbox', stranger.id),
+          task('By nobody', 'inbox', 'no-such-user'),
+        ]),
+      });
+      assert.equal(status, 201);
+
+      const { body } = await owner.as('GET', '/tasks?sort=title&order=asc');
+      const names = { [owner.id]: 'owner', [listMember.id]: 'list member', [everyListMember.id]: 'every list member' };
+      const name = (id) => names[id] ?? id;
+      const people = Object.fromEntries(
+        body.items.map((imported) => [imported.title, [name(imported.createdBy), name(imported.completedBy)]])
+      );
+      assert.deepEqual(people, {
+        'By owner': ['owner', 'owner'],
+        'By list member': ['list member', 'list member'],
+        'By list member, elsewhere': [null, null],
+        'By every list member': ['every list member', 'every list member'],
+        'By invited': [null, null],
+        'By stranger': [null, null],
+        'By nobody': [null, null],
+      });
+    });
+
+    test('turns down dates outside 1970 to 9999', async () => {
+      const lists = [{ id: 'inbox', name: 'Inbox', isInbox: true }];
+      for (const [field, value] of [
+        ['dueAt', '+010000-01-01T00:00:00.000Z'],
+        ['createdAt', '1969-12-31T23:59:59.000Z'],
+        ['updatedAt', '+275760-09-13T00:00:00.000Z'],
+      ]) {
+        const { status, body } = await owner.as('POST', '/import', {
+          body: backup(lists, [{ title: 'Out of range', listId: 'inbox', [field]: value }]),
+        });
+        assert.equal(status, 400, field);
+        assert.match(body.errors[0].message, /between the years 1970 and 9999/);
+      }
+    });
+  });
+}
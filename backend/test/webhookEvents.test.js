@@ -0,0 +1,126 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+
+// The receiver below listens on loopback
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+
+const { STORES, startApi } = require('./support/api');
+
+/*
+ * Changes to many tasks at once reach the live updates as one resync, but
+ * webhooks get an event for every task they touched.
+ */
+
+for (const kind of STORES) {
+  describe(`webhook events for changes to many tasks (${kind} store)`, () => {
+    let api;
+    let owner;
+    let receiver;
+    let received = [];
+
+    // Resolves to [type, title, tags, previous tags] for the next `count` deliveries, in title order
+    async function nextEvents(count) {
+      for (let waited = 0; received.length < count && waited < 5000; waited += 20) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      const events = received.map(({ type, data: { task, previous } }) => [
+        type,
+        task.title,
+        task.tags,
+        previous ? previous.tags : null,
+      ]);
+      received = [];
+      return events.sort(([, a], [, b]) => a.localeCompare(b));
+    }
+
+    before(async () => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          received.push(JSON.parse(body));
+          res.end();
+        });
+      });
+      receiver.listen(0, '127.0.0.1');
+      await once(receiver, 'listening');
+
+      api = await startApi(kind);
+      owner = await api.register('Owner');
+      const { status } = await owner.as('POST', '/webhooks', {
+        body: {
+          url: `http://127.0.0.1:${receiver.address().port}/hook`,
+          events: ['task.created', 'task.updated', 'task.deleted'],
+        },
+      });
+      assert.equal(status, 201);
+    });
+
+    after(async () => {
+      await api.close();
+      receiver.close();
+    });
+
+    test('renaming, merging and deleting a tag send task.updated for each task', async () => {
+      await owner.as('POST', '/tasks', { body: { title: 'A', tags: ['red'] } });
+      await owner.as('POST', '/tasks', { body: { title: 'B', tags: ['red', 'blue'] } });
+      await owner.as('POST', '/tasks', { body: { title: 'C', tags: ['green'] } });
+      await nextEvents(3);
+
+      await owner.as('PUT', '/tags/red', { body: { name: 'pink' } });
+      assert.deepEqual(await nextEvents(2), [
+        ['task.updated', 'A', ['pink'], ['red']],
+        ['task.updated', 'B', ['blue', 'pink'], ['blue', 'red']],
+      ]);
+
+      await owner.as('POST', '/tags/merge', { body: { sources: ['blue', 'green'], target: 'pink' } });
+      assert.deepEqual(await nextEvents(2), [
+        ['task.updated', 'B', ['pink'], ['blue', 'pink']],
+        ['task.updated', 'C', ['pink'], ['green']],
+      ]);
+
+      await owner.as('DELETE', '/tags/pink');
+      assert.deepEqual(await nextEvents(3), [
+        ['task.updated', 'A', [], ['pink']],
+        ['task.updated', 'B', [], ['pink']],
+        ['task.updated', 'C', [], ['pink']],
+      ]);
+    });
+
+    test('deleting a list sends task.deleted for each of its tasks', async () => {
+      const { body: list } = await owner.as('POST', '/lists', { body: { name: 'Doomed' } });
+      await owner.as('POST', '/tasks', { body: { title: 'D', listId: list.id } });
+      await owner.as('POST', '/tasks', { body: { title: 'E', listId: list.id } });
+      await nextEvents(2);
+
+      await owner.as('DELETE', `/lists/${list.id}`);
+      assert.deepEqual(await nextEvents(2), [
+        ['task.deleted', 'D', [], null],
+        ['task.deleted', 'E', [], null],
+      ]);
+    });
+
+    test('an import sends task.created for each task', async () => {
+      const { status } = await owner.as('POST', '/import', {
+        body: {
+          format: 'personal-tasks-backup',
+          version: 1,
+          lists: [{ id: 'l1', name: 'Imported' }],
+          tasks: [
+            { title: 'F', listId: 'l1', tags: ['new'] },
+            { title: 'G', listId: 'l1' },
+          ],
+        },
+      });
+      assert.equal(status, 201);
+      assert.deepEqual(await nextEvents(2), [
+        ['task.created', 'F', ['new'], null],
+        ['task.created', 'G', [], null],
+      ]);
+    });
+  });
+}
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readWebhookFields } = require('../src/webhooks');
+
+/*
+ * Where webhooks may point. Addresses written into the URL need no DNS
+ * lookup, so these run offline.
+ */
+
+const events = ['task.created'];
+const save = (url) => readWebhookFields({ url, events }, { creating: true });
+
+async function assertRefused(url) {
+  await assert.rejects(save(url), { status: 400, message: 'Webhooks cannot be sent to private or local addresses' });
+}
+
+test('refuses carrier-grade NAT addresses, cloud metadata included', async () => {
+  await assertRefused('http://100.64.0.1/hook');
+  await assertRefused('http://100.100.100.200/latest/meta-data');
+  await assertRefused('http://100.127.255.254/hook');
+});
+
+test('refuses multicast addresses', async () => {
+  await assertRefused('http://224.0.0.1/hook');
+  await assertRefused('http://239.255.255.250/hook');
+});
+
+test('refuses reserved addresses and the broadcast address', async () => {
+  await assertRefused('http://240.0.0.1/hook');
+  await assertRefused('http://255.255.255.255/hook');
+});
+
+test('refuses NAT64 addresses', async () => {
+  // 10.0.0.1 and 127.0.0.1 behind the well-known prefix
+  await assertRefused('http://[64:ff9b::a00:1]/hook');
+  await assertRefused('http://[64:ff9b::7f00:1]/hook');
+});
+
+test('refuses 6to4 addresses', async () => {
+  // 192.168.1.1 and 169.254.169.254 inside 2002::/16
+  await assertRefused('http://[2002:c0a8:101::1]/hook');
+  await assertRefused('http://[2002:a9fe:a9fe::1]/hook');
+});
+
+test('refuses IPv4-mapped IPv6 addresses in the blocked ranges', async () => {
+  await assertRefused('http://[::ffff:100.100.100.200]/hook');
+  await assertRefused('http://[::ffff:224.0.0.1]/hook');
+});
+
+test('accepts public addresses next to the blocked ranges', async () => {
+  for (const url of ['http://100.63.255.255/hook', 'http://100.128.0.1/hook', 'http://223.255.255.254/hook']) {
+    assert.equal((await save(url)).url, url);
+  }
+  assert.equal((await save('https://[2001:db8::1]/hook')).url, 'https://[2001:db8::1]/hook');
+});
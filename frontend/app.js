@@ -1,65 +1,383 @@
+import {
+  saveTasks,
+  loadSavedTasks,
+  deleteSavedTask,
+  saveLists,
+  loadSavedLists,
+  queueChange,
+  queuedChanges,
+  updateQueuedChange,
+  removeQueuedChange,
+  clearSavedData,
+} from './offline.js';
+
 const endpoints = {
   login: '/api/auth/login',
   register: '/api/auth/register',
+  refresh: '/api/auth/refresh',
+  logout: '/api/auth/logout',
+  forgotPassword: '/api/auth/forgot-password',
+  resetPassword: '/api/auth/reset-password',
+  verifyEmail: '/api/auth/verify-email',
+  resendVerification: '/api/auth/verify-email/resend',
+  lists: (userId) => `/api/users/${userId}/lists`,
   tasks: (userId) => `/api/users/${userId}/tasks`,
+  tags: (userId) => `/api/users/${userId}/tags`,
+  members: (userId, listId) => (listId ? `/api/users/${userId}/lists/${listId}/members` : `/api/users/${userId}/members`),
+  invitations: (userId) => `/api/users/${userId}/invitations`,
+  shared: (userId) => `/api/users/${userId}/shared`,
+  events: (userId) => `/api/users/${userId}/events`,
+  exportFile: (userId, format) => `/api/users/${userId}/export?format=${format}`,
+  importFile: (userId) => `/api/users/${userId}/import`,
+  calendarFeed: (userId) => `/api/users/${userId}/calendar-feed`,
+  trash: (userId) => `/api/users/${userId}/tasks/trash`,
+  loginFailures: (userId) => `/api/users/${userId}/login-failures`,
+  account: (userId) => `/api/users/${userId}`,
+  password: (userId) => `/api/users/${userId}/password`,
+  sessions: (userId, sessionId) => `/api/users/${userId}/sessions${sessionId ? `/${sessionId}` : ''}`,
+  apiTokens: (userId, tokenId) => `/api/users/${userId}/api-tokens${tokenId ? `/${tokenId}` : ''}`,
 };
 
 const authSection = document.getElementById('authSection');
 const appSection = document.getElementById('appSection');
+const profileSection = document.getElementById('profileSection');
 const toast = document.getElementById('toast');
 const authTabs = document.querySelectorAll('.auth-tab');
 const loginForm = document.getElementById('loginForm');
 const registerForm = document.getElementById('registerForm');
+const forgotForm = document.getElementById('forgotForm');
+const resetForm = document.getElementById('resetForm');
+const authForms = [loginForm, registerForm, forgotForm, resetForm];
+const verifyBanner = document.getElementById('verifyBanner');
+const verifyEmail = document.getElementById('verifyEmail');
+const resendVerification = document.getElementById('resendVerification');
 const logoutButton = document.getElementById('logoutButton');
 const taskForm = document.getElementById('taskForm');
 const taskInput = document.getElementById('taskInput');
+const tagSuggestions = document.getElementById('tagSuggestions');
+const tagFilter = document.getElementById('tagFilter');
 const taskList = document.getElementById('taskList');
+const taskSearch = document.getElementById('taskSearch');
+const statusFilter = document.getElementById('statusFilter');
+const sortSelect = document.getElementById('sortSelect');
+const taskCount = document.getElementById('taskCount');
+const taskSentinel = document.getElementById('taskSentinel');
+const selectAll = document.getElementById('selectAll');
+const bulkActions = document.getElementById('bulkActions');
+const bulkCount = document.getElementById('bulkCount');
+const bulkComplete = document.getElementById('bulkComplete');
+const bulkMove = document.getElementById('bulkMove');
+const bulkDelete = document.getElementById('bulkDelete');
+const bulkClear = document.getElementById('bulkClear');
+const bulkShortcuts = document.getElementById('bulkShortcuts');
+const completeAllButton = document.getElementById('completeAllButton');
+const clearCompletedButton = document.getElementById('clearCompletedButton');
 const welcomeLabel = document.getElementById('welcomeLabel');
+const syncStatus = document.getElementById('syncStatus');
+const syncConflicts = document.getElementById('syncConflicts');
+const syncConflictList = document.getElementById('syncConflictList');
+const syncConflictDismiss = document.getElementById('syncConflictDismiss');
 const appTitle = document.getElementById('appTitle');
+const taskDialog = document.getElementById('taskDialog');
+const taskEditForm = document.getElementById('taskEditForm');
+const listNav = document.getElementById('listNav');
+const listForm = document.getElementById('listForm');
+const listNameInput = document.getElementById('listNameInput');
+const showArchived = document.getElementById('showArchived');
+const editListButton = document.getElementById('editListButton');
+const shareButton = document.getElementById('shareButton');
+const sharedSection = document.getElementById('sharedSection');
+const sharedNav = document.getElementById('sharedNav');
+const invitationSection = document.getElementById('invitationSection');
+const invitationList = document.getElementById('invitationList');
+const shareDialog = document.getElementById('shareDialog');
+const shareForm = document.getElementById('shareForm');
+const shareFields = {
+  email: document.getElementById('shareEmail'),
+  role: document.getElementById('shareRole'),
+  allLists: document.getElementById('shareAllLists'),
+};
+const shareTitle = document.getElementById('shareTitle');
+const shareClose = document.getElementById('shareClose');
+const memberList = document.getElementById('memberList');
+const transferButton = document.getElementById('transferButton');
+const transferDialog = document.getElementById('transferDialog');
+const transferClose = document.getElementById('transferClose');
+const exportFormat = document.getElementById('exportFormat');
+const exportButton = document.getElementById('exportButton');
+const importForm = document.getElementById('importForm');
+const importFile = document.getElementById('importFile');
+const importPreview = document.getElementById('importPreview');
+const importSummary = document.getElementById('importSummary');
+const importProblems = document.getElementById('importProblems');
+const importButton = document.getElementById('importButton');
+const calendarButton = document.getElementById('calendarButton');
+const calendarDialog = document.getElementById('calendarDialog');
+const calendarForm = document.getElementById('calendarForm');
+const calendarStatus = document.getElementById('calendarStatus');
+const calendarLink = document.getElementById('calendarLink');
+const calendarFields = {
+  type: document.getElementById('calendarType'),
+  completed: document.getElementById('calendarCompleted'),
+  thisList: document.getElementById('calendarThisList'),
+  tags: document.getElementById('calendarTags'),
+};
+const calendarThisListLabel = document.getElementById('calendarThisListLabel');
+const calendarUrl = document.getElementById('calendarUrl');
+const calendarCopy = document.getElementById('calendarCopy');
+const calendarRevoke = document.getElementById('calendarRevoke');
+const calendarClose = document.getElementById('calendarClose');
+const calendarCreate = document.getElementById('calendarCreate');
+const trashButton = document.getElementById('trashButton');
+const trashDialog = document.getElementById('trashDialog');
+const trashHint = document.getElementById('trashHint');
+const trashList = document.getElementById('trashList');
+const securityButton = document.getElementById('securityButton');
+const securityDialog = document.getElementById('securityDialog');
+const loginFailureList = document.getElementById('loginFailureList');
+const loginFailureMore = document.getElementById('loginFailureMore');
+const profileButton = document.getElementById('profileButton');
+const profileBackButton = document.getElementById('profileBackButton');
+const profileForm = document.getElementById('profileForm');
+const profileFields = {
+  name: document.getElementById('profileName'),
+  email: document.getElementById('profileEmail'),
+  password: document.getElementById('profileEmailPassword'),
+  passwordField: document.getElementById('profileEmailPasswordField'),
+};
+const passwordForm = document.getElementById('passwordForm');
+const sessionList = document.getElementById('sessionList');
+const revokeOtherSessions = document.getElementById('revokeOtherSessions');
+const deleteAccountForm = document.getElementById('deleteAccountForm');
+const apiTokenForm = document.getElementById('apiTokenForm');
+const apiTokenList = document.getElementById('apiTokenList');
+const apiTokenCreated = document.getElementById('apiTokenCreated');
+const apiTokenValue = document.getElementById('apiTokenValue');
+const apiTokenCopy = document.getElementById('apiTokenCopy');
+const apiTokenFields = {
+  name: document.getElementById('apiTokenName'),
+  read: document.getElementById('apiTokenRead'),
+  write: document.getElementById('apiTokenWrite'),
+  expiry: document.getElementById('apiTokenExpiry'),
+};
+const listDialog = document.getElementById('listDialog');
+const listEditForm = document.getElementById('listEditForm');
+const listFields = {
+  name: document.getElementById('listEditName'),
+  icon: document.getElementById('listEditIcon'),
+  color: document.getElementById('listEditColor'),
+  archived: document.getElementById('listEditArchived'),
+};
+const listEditArchivedField = document.getElementById('listEditArchivedField');
+const listDeleteButton = document.getElementById('listDeleteButton');
+const listEditCancel = document.getElementById('listEditCancel');
+const editFields = {
+  listId: document.getElementById('editList'),
+  title: document.getElementById('editTitle'),
+  dueAt: document.getElementById('editDueAt'),
+  priority: document.getElementById('editPriority'),
+  estimateMinutes: document.getElementById('editEstimate'),
+  tags: document.getElementById('editTags'),
+  autoComplete: document.getElementById('editAutoComplete'),
+  notes: document.getElementById('editNotes'),
+};
+const editCancel = document.getElementById('editCancel');
+const mergeDialog = document.getElementById('mergeDialog');
+const mergeForm = document.getElementById('mergeForm');
+const mergeFields = document.getElementById('mergeFields');
+const mergeDiscard = document.getElementById('mergeDiscard');
+const editSkip = document.getElementById('editSkip');
+const editHistory = document.getElementById('editHistory');
+const historyDialog = document.getElementById('historyDialog');
+const historyTitle = document.getElementById('historyTitle');
+const historyList = document.getElementById('historyList');
+const historyMore = document.getElementById('historyMore');
+const repeatFields = {
+  kind: document.getElementById('editRepeat'),
+  interval: document.getElementById('editRepeatInterval'),
+  days: document.getElementById('editRepeatDays'),
+  monthDay: document.getElementById('editRepeatMonthDay'),
+  monthDayField: document.getElementById('editRepeatMonthDayField'),
+};
+
+const storedSession = loadStoredSession();
 
 const state = {
   authMode: 'login',
-  user: loadStoredUser(),
+  // From a password reset link, until the new password is set
+  resetToken: null,
+  user: storedSession?.user || null,
+  session: storedSession,
+  // What is shown once logged in: 'tasks' or 'profile'
+  view: 'tasks',
+  // Set while looking at lists someone else shared: { ownerId, name }
+  workspace: null,
+  shared: [],
+  invitations: [],
+  people: new Map(),
+  lists: [],
+  activeListId: null,
+  showArchived: false,
+  filters: { status: 'all', q: '', tags: [], sort: 'created', order: 'desc' },
+  tags: [],
+  suggestion: { items: [], index: 0 },
+  openChecklists: new Set(),
+  draggingTaskId: null,
+  // Tasks picked for a bulk action; `anchor` is the last one clicked, where a shift-click range starts
+  selection: { ids: new Set(), anchor: null },
+  // The file picked for import, once its dry run has come back: { format, text }
+  pendingImport: null,
+  // { active, createdAt, path }; the path (with the secret) only right after the link was made
+  calendarFeed: { active: false, createdAt: null, path: null },
   tasks: [],
+  total: 0,
+  nextCursor: null,
+  loadingPage: false,
+  editingTask: null,
+  // The task whose history is open, and the cursor of its next page: { task, nextCursor }
+  history: null,
+  // Where the next page of failed logins in the Security dialog starts
+  loginFailureCursor: null,
+  // Offline support: queued changes and the ones the server turned down on replay
+  sync: { online: navigator.onLine, pending: 0, replaying: false, conflicts: [] },
 };
 
-function loadStoredUser() {
+const priorityLabels = { low: 'Low', medium: 'Medium', high: 'High' };
+const priorityRanks = { none: 0, low: 1, medium: 2, high: 3 };
+
+// The live event stream; lastEventId lets a reconnect pick up where it left off
+const live = { controller: null, timer: null, lastEventId: null, retryMs: 3000 };
+
+// Mirrors the tag rules of the API (see backend/src/taskFields.js)
+const TAG_IN_TEXT = /(^|\s)#([\p{L}\p{N}_-]{1,32})(?=\s|$)/gu;
+const TAG_BEING_TYPED = /(?:^|\s)#([\p{L}\p{N}_-]*)$/u;
+const MAX_SUGGESTIONS = 6;
+
+const weekdayNames = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+
+function loadStoredSession() {
   try {
-    const raw = localStorage.getItem('taskUser');
-    return raw ? JSON.parse(raw) : null;
+    const raw = localStorage.getItem('taskSession');
+    const session = raw ? JSON.parse(raw) : null;
+    return session?.accessToken ? session : null;
   } catch (error) {
     return null;
   }
 }
 
-function storeUser(user) {
-  state.user = user;
-  localStorage.setItem('taskUser', JSON.stringify(user));
+function storeSession(session) {
+  state.session = session;
+  state.user = session.user;
+  localStorage.setItem('taskSession', JSON.stringify(session));
 }
 
 function clearUser() {
   state.user = null;
+  state.session = null;
+  state.view = 'tasks';
+  state.workspace = null;
+  state.shared = [];
+  state.invitations = [];
+  state.people.clear();
+  disconnectEvents();
+  live.lastEventId = null;
+  state.sync = { online: navigator.onLine, pending: 0, replaying: false, conflicts: [] };
+  clearSavedData().catch(() => null);
+  state.lists = [];
+  state.activeListId = null;
   state.tasks = [];
+  state.total = 0;
+  state.nextCursor = null;
+  state.tags = [];
+  state.filters.tags = [];
+  state.openChecklists.clear();
+  localStorage.removeItem('taskSession');
   localStorage.removeItem('taskUser');
 }
 
-function showToast(message, isError = false) {
+let toastTimer = null;
+
+// `action` ({ label, onClick }) adds a button, e.g. Undo, and keeps the toast up longer
+function showToast(message, isError = false, action = null) {
   toast.textContent = message;
   toast.style.background = isError ? '#b42318' : '#0f172a';
+  if (action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      toast.classList.remove('visible');
+      action.onClick();
+    });
+    toast.append(' ', button);
+  }
   toast.classList.add('visible');
-  setTimeout(() => toast.classList.remove('visible'), 2600);
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toast.classList.remove('visible'), action ? 6000 : 2600);
 }
 
-async function request(url, options = {}) {
-  const response = await fetch(url, {
-    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
-    ...options,
-  });
+let refreshing = null;
+
+async function refreshSession() {
+  if (!refreshing) {
+    refreshing = fetch(endpoints.refresh, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: state.session?.refreshToken }),
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          return false;
+        }
+        storeSession(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+function expireSession() {
+  clearUser();
+  renderAppState();
+  switchAuthMode('login');
+}
+
+// `download: true` resolves to the response body as a Blob instead of parsed JSON
+async function request(url, options = {}, retried = false) {
+  const { download = false, ...init } = options;
+  const authHeader = state.session ? { Authorization: `Bearer ${state.session.accessToken}` } : {};
+  let response;
+  try {
+    response = await fetch(url, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', ...authHeader, ...(options.headers || {}) },
+    });
+  } catch (error) {
+    // fetch only rejects when the server could not be reached at all
+    const offline = new Error('You are offline');
+    offline.offline = true;
+    setOnline(false);
+    throw offline;
+  }
+  setOnline(true);
+
+  if (response.status === 401 && state.session) {
+    if (!retried && (await refreshSession())) {
+      return request(url, options, true);
+    }
+    expireSession();
+  }
 
   if (!response.ok) {
     const body = await response.json().catch(() => ({}));
     const error = new Error(body.message || 'Request failed');
     error.status = response.status;
+    error.body = body;
     throw error;
   }
 
@@ -67,7 +385,7 @@ async function request(url, options = {}) {
     return null;
   }
 
-  return response.json();
+  return download ? response.blob() : response.json();
 }
 
 function switchAuthMode(mode) {
@@ -76,212 +394,2784 @@ function switchAuthMode(mode) {
     const isActive = tab.dataset.mode === mode;
     tab.classList.toggle('active', isActive);
   });
-  const isLogin = mode === 'login';
-  loginForm.classList.toggle('hidden', !isLogin);
-  registerForm.classList.toggle('hidden', isLogin);
+  authForms.forEach((form) => form.classList.toggle('hidden', form.dataset.mode !== mode));
 }
 
 function renderAppState() {
   const loggedIn = Boolean(state.user);
   authSection.hidden = loggedIn;
-  appSection.hidden = !loggedIn;
+  appSection.hidden = !loggedIn || state.view !== 'tasks';
+  profileSection.hidden = !loggedIn || state.view !== 'profile';
 
   if (loggedIn) {
-    welcomeLabel.textContent = `Hello, ${state.user.name}`;
-    appTitle.textContent = 'Your tasks';
+    welcomeLabel.textContent = state.workspace
+      ? `Shared by ${state.workspace.name}`
+      : `Hello, ${state.user.name}`;
+    verifyBanner.hidden = state.user.emailVerified !== false;
+    verifyEmail.textContent = state.user.email;
+    listForm.hidden = Boolean(state.workspace);
+    transferButton.hidden = Boolean(state.workspace);
+    calendarButton.hidden = Boolean(state.workspace);
+    securityButton.hidden = Boolean(state.workspace);
+    renderListTitle();
+    renderSyncStatus();
   }
 }
 
-function renderTasks() {
-  taskList.innerHTML = '';
-  const template = document.getElementById('taskTemplate');
+function activeList() {
+  return state.lists.find((list) => list.id === state.activeListId) || null;
+}
 
-  if (state.tasks.length === 0) {
-    const empty = document.createElement('li');
-    empty.className = 'task-row';
-    empty.textContent = 'No tasks yet. Add your first one above.';
-    taskList.appendChild(empty);
-    return;
-  }
+// Whose lists are on screen: the user's own, or the owner of a shared workspace
+const ownerId = () => state.workspace?.ownerId || state.user.id;
 
-  state.tasks.forEach((task) => {
-    const clone = template.content.cloneNode(true);
-    const checkbox = clone.querySelector('input[type="checkbox"]');
-    const title = clone.querySelector('.task-title');
-    const editButton = clone.querySelector('.action.edit');
-    const deleteButton = clone.querySelector('.action.danger');
+// The caller's role on a list, as reported by the API (see backend/src/access.js)
+const roleOf = (listId) => state.lists.find((list) => list.id === listId)?.role || null;
+const canEdit = (listId) => ['owner', 'editor'].includes(roleOf(listId));
 
-    checkbox.checked = task.completed;
-    title.textContent = task.title;
-    title.classList.toggle('completed', task.completed);
+function personName(userId) {
+  return userId === state.user.id ? 'you' : state.people.get(userId) || 'someone';
+}
 
-    checkbox.addEventListener('change', () => toggleTask(task.id, checkbox.checked));
-    editButton.addEventListener('click', () => editTaskPrompt(task));
-    deleteButton.addEventListener('click', () => removeTask(task.id));
+function listLabel(list) {
+  return list.icon ? `${list.icon} ${list.name}` : list.name;
+}
 
-    taskList.appendChild(clone);
+function renderListTitle() {
+  const list = activeList();
+  appTitle.textContent = list ? listLabel(list) : 'Your tasks';
+  editListButton.hidden = !list || list.role !== 'owner';
+  shareButton.hidden = !list || list.role !== 'owner';
+  taskForm.hidden = Boolean(list) && !canEdit(list.id);
+}
+
+function renderLists() {
+  listNav.innerHTML = '';
+  state.lists.forEach((list) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'list-link';
+    button.classList.toggle('active', list.id === state.activeListId);
+    button.classList.toggle('archived', list.archived);
+    button.style.setProperty('--list-color', list.color || 'var(--accent)');
+    button.textContent = listLabel(list);
+    button.addEventListener('click', () => selectList(list.id));
+    item.appendChild(button);
+    listNav.appendChild(item);
   });
+
+  editFields.listId.innerHTML = '';
+  state.lists
+    .filter((list) => canEdit(list.id))
+    .forEach((list) => {
+      editFields.listId.appendChild(new Option(listLabel(list), list.id));
+    });
+
+  renderListTitle();
 }
 
-async function fetchTasks() {
+async function fetchLists() {
   if (!state.user) {
     return;
   }
   try {
-    const data = await request(endpoints.tasks(state.user.id));
-    state.tasks = data;
-    renderTasks();
+    const query = state.showArchived ? '?archived=true' : '';
+    state.lists = await request(`${endpoints.lists(ownerId())}${query}`);
+    saveLists(ownerId(), state.lists).catch(() => null);
   } catch (error) {
-    showToast(error.message, true);
-    if (error.status === 401 || error.status === 404) {
-      clearUser();
-      renderAppState();
+    if (!error.offline) {
+      showToast(error.message, true);
+      return;
     }
+    state.lists = await loadSavedLists(ownerId()).catch(() => []);
   }
+  if (!activeList()) {
+    state.activeListId = (state.lists.find((list) => list.isInbox) || state.lists[0])?.id || null;
+  }
+  renderLists();
 }
 
-async function createTask(title) {
-  if (!state.user) {
-    return;
-  }
-  await request(endpoints.tasks(state.user.id), {
+async function selectList(listId) {
+  state.activeListId = listId;
+  renderLists();
+  await Promise.all([fetchTasks(), fetchPeople()]);
+  renderTasks();
+}
+
+async function createList(name) {
+  const list = await request(endpoints.lists(ownerId()), {
     method: 'POST',
-    body: JSON.stringify({ title }),
+    body: JSON.stringify({ name }),
   });
-  await fetchTasks();
-  showToast('Task added');
+  await fetchLists();
+  await selectList(list.id);
+  showToast('List created');
 }
 
-async function toggleTask(taskId, completed) {
-  if (!state.user) {
+function openListEditor() {
+  const list = activeList();
+  if (!list) {
+    return;
+  }
+  listFields.name.value = list.name;
+  listFields.icon.value = list.icon || '';
+  listFields.color.value = list.color || '#006dff';
+  listFields.archived.checked = list.archived;
+  listEditArchivedField.hidden = list.isInbox;
+  listDeleteButton.hidden = list.isInbox;
+  listDialog.showModal();
+}
+
+async function handleListEditSubmit(event) {
+  event.preventDefault();
+  const list = activeList();
+  const name = listFields.name.value.trim();
+  if (!list || !name) {
+    showToast('List name cannot be empty', true);
     return;
   }
+  const payload = { name, icon: listFields.icon.value.trim() || null, color: listFields.color.value };
+  if (!list.isInbox) {
+    payload.archived = listFields.archived.checked;
+  }
   try {
-    await request(`${endpoints.tasks(state.user.id)}/${taskId}`, {
+    await request(`${endpoints.lists(ownerId())}/${list.id}`, {
       method: 'PUT',
-      body: JSON.stringify({ completed }),
+      body: JSON.stringify(payload),
     });
+    listDialog.close();
+    await fetchLists();
     await fetchTasks();
+    showToast('List updated');
   } catch (error) {
     showToast(error.message, true);
   }
 }
 
-function editTaskPrompt(task) {
-  const nextTitle = window.prompt('Update task title', task.title);
-  if (nextTitle === null) {
+async function removeActiveList() {
+  const list = activeList();
+  if (!list || !window.confirm(`Delete "${list.name}"? Its tasks go to the trash.`)) {
     return;
   }
-  const trimmed = nextTitle.trim();
-  if (!trimmed) {
-    showToast('Title cannot be empty', true);
+  try {
+    await request(`${endpoints.lists(ownerId())}/${list.id}`, { method: 'DELETE' });
+    listDialog.close();
+    state.activeListId = null;
+    await fetchLists();
+    await fetchTasks();
+    showToast('List deleted');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+// Names for the "Added by / Completed by" badges: everyone with access to the list
+async function fetchPeople() {
+  if (!state.user || !state.activeListId) {
     return;
   }
-  updateTask(task.id, { title: trimmed });
+  try {
+    const { owner, members } = await request(endpoints.members(ownerId(), state.activeListId));
+    state.people = new Map([[owner.id, owner.name], ...members.map((member) => [member.userId, member.name])]);
+  } catch (error) {
+    state.people.clear();
+  }
 }
 
-async function updateTask(taskId, payload) {
+async function fetchSharing() {
   if (!state.user) {
     return;
   }
   try {
-    await request(`${endpoints.tasks(state.user.id)}/${taskId}`, {
+    [state.invitations, state.shared] = await Promise.all([
+      request(endpoints.invitations(state.user.id)),
+      request(endpoints.shared(state.user.id)),
+    ]);
+    renderSharing();
+  } catch (error) {
+    if (!error.offline) {
+      showToast(error.message, true);
+    }
+  }
+}
+
+const sharedLabel = (membership) =>
+  `${membership.owner.name} · ${membership.list ? listLabel(membership.list) : 'All lists'}`;
+
+function renderSharing() {
+  sharedNav.innerHTML = '';
+  sharedSection.hidden = !state.shared.length;
+  if (state.workspace) {
+    const item = document.createElement('li');
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'list-link';
+    back.textContent = '← My lists';
+    back.addEventListener('click', () => switchWorkspace(null));
+    item.appendChild(back);
+    sharedNav.appendChild(item);
+  }
+  state.shared.forEach((membership) => {
+    const item = document.createElement('li');
+    item.className = 'shared-item';
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'list-link';
+    open.classList.toggle('active', state.workspace?.ownerId === membership.ownerId);
+    open.textContent = sharedLabel(membership);
+    open.title = membership.role === 'viewer' ? 'You can view these tasks' : 'You can edit these tasks';
+    open.addEventListener('click', () => switchWorkspace(membership.owner, membership.listId));
+    const leave = document.createElement('button');
+    leave.type = 'button';
+    leave.className = 'icon-button';
+    leave.textContent = '×';
+    leave.setAttribute('aria-label', `Leave ${sharedLabel(membership)}`);
+    leave.addEventListener('click', () => leaveShared(membership));
+    item.append(open, leave);
+    sharedNav.appendChild(item);
+  });
+
+  invitationList.innerHTML = '';
+  invitationSection.hidden = !state.invitations.length;
+  state.invitations.forEach((invitation) => {
+    const item = document.createElement('li');
+    item.className = 'invitation';
+    const label = document.createElement('span');
+    label.textContent = `${sharedLabel(invitation)} (${invitation.role})`;
+    const accept = document.createElement('button');
+    accept.type = 'button';
+    accept.className = 'action edit';
+    accept.textContent = 'Accept';
+    accept.addEventListener('click', () => respondToInvitation(invitation, 'accept'));
+    const decline = document.createElement('button');
+    decline.type = 'button';
+    decline.className = 'action danger';
+    decline.textContent = 'Decline';
+    decline.addEventListener('click', () => respondToInvitation(invitation, 'decline'));
+    item.append(label, accept, decline);
+    invitationList.appendChild(item);
+  });
+}
+
+// Shows another user's shared lists, or the user's own with a null owner
+async function switchWorkspace(owner, listId = null) {
+  state.workspace = owner && owner.id !== state.user.id ? { ownerId: owner.id, name: owner.name } : null;
+  state.activeListId = listId;
+  state.filters.tags = [];
+  state.openChecklists.clear();
+  renderAppState();
+  renderTagFilter();
+  renderSharing();
+  // Event ids belong to one owner's stream
+  live.lastEventId = null;
+  connectEvents();
+  await fetchLists();
+  await selectList(state.activeListId);
+  fetchTags();
+}
+
+async function respondToInvitation(invitation, action) {
+  try {
+    await request(`${endpoints.invitations(state.user.id)}/${invitation.id}/${action}`, { method: 'POST' });
+    await fetchSharing();
+    showToast(action === 'accept' ? `${invitation.owner.name} shared with you` : 'Invitation declined');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function leaveShared(membership) {
+  if (!window.confirm(`Stop seeing ${sharedLabel(membership)}?`)) {
+    return;
+  }
+  try {
+    await request(`${endpoints.members(membership.ownerId, membership.listId)}/${membership.id}`, {
+      method: 'DELETE',
+    });
+    await fetchSharing();
+    if (state.workspace?.ownerId === membership.ownerId) {
+      const stillShared = state.shared.find((other) => other.ownerId === membership.ownerId);
+      await switchWorkspace(stillShared ? stillShared.owner : null, stillShared?.listId ?? null);
+    }
+    showToast('Left the shared list');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+// Members of the list being shared, or of all lists when the box is ticked
+const shareScope = () => (shareFields.allLists.checked ? null : state.activeListId);
+
+async function renderMembers() {
+  memberList.innerHTML = '';
+  try {
+    const { members } = await request(endpoints.members(state.user.id, shareScope()));
+    if (!members.length) {
+      const empty = document.createElement('li');
+      empty.textContent = 'Only you so far.';
+      memberList.appendChild(empty);
+    }
+    members.forEach((member) => {
+      const item = document.createElement('li');
+      item.className = 'member';
+      const label = document.createElement('span');
+      label.textContent = member.status === 'pending' ? `${member.name} (invited)` : member.name;
+      label.title = member.email;
+      const role = document.createElement('select');
+      role.setAttribute('aria-label', `Role of ${member.name}`);
+      role.append(new Option('Editor', 'editor'), new Option('Viewer', 'viewer'));
+      role.value = member.role;
+      role.addEventListener('change', () => updateMember(member, { role: role.value }));
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'icon-button';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${member.name}`);
+      remove.addEventListener('click', () => removeMember(member));
+      // Members of all lists also show up on each list; manage them from there
+      if (member.listId !== shareScope()) {
+        role.disabled = true;
+        remove.hidden = true;
+        label.textContent += ' · all lists';
+      }
+      item.append(label, role, remove);
+      memberList.appendChild(item);
+    });
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+function openShareDialog() {
+  const list = activeList();
+  if (!list) {
+    return;
+  }
+  shareTitle.textContent = `Share ${listLabel(list)}`;
+  shareForm.reset();
+  renderMembers();
+  shareDialog.showModal();
+}
+
+async function handleShareSubmit(event) {
+  event.preventDefault();
+  try {
+    const member = await request(endpoints.members(state.user.id, shareScope()), {
+      method: 'POST',
+      body: JSON.stringify({ email: shareFields.email.value.trim(), role: shareFields.role.value }),
+    });
+    shareFields.email.value = '';
+    await renderMembers();
+    showToast(`Invited ${member.name}`);
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function updateMember(member, changes) {
+  try {
+    await request(`${endpoints.members(state.user.id, member.listId)}/${member.id}`, {
       method: 'PUT',
-      body: JSON.stringify(payload),
+      body: JSON.stringify(changes),
     });
-    await fetchTasks();
-    showToast('Task updated');
+    showToast('Role updated');
   } catch (error) {
     showToast(error.message, true);
   }
+  await renderMembers();
 }
 
-async function removeTask(taskId) {
-  if (!state.user) {
+async function removeMember(member) {
+  if (!window.confirm(`Stop sharing with ${member.name}?`)) {
+    return;
+  }
+  try {
+    await request(`${endpoints.members(state.user.id, member.listId)}/${member.id}`, { method: 'DELETE' });
+    await renderMembers();
+    showToast('Access removed');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+// File extensions the import accepts, and the format each is read as
+const IMPORT_FORMATS = { json: 'json', csv: 'csv', md: 'md', markdown: 'md', txt: 'md', ics: 'ics' };
+const IMPORT_TYPES = { json: 'application/json', csv: 'text/csv', md: 'text/markdown', ics: 'text/calendar' };
+
+function openTransferDialog() {
+  importForm.reset();
+  state.pendingImport = null;
+  renderImportPreview(null);
+  transferDialog.showModal();
+}
+
+async function exportTasks() {
+  const format = exportFormat.value;
+  try {
+    const file = await request(endpoints.exportFile(state.user.id, format), { download: true });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(file);
+    link.download = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+function sendImport({ dryRun }) {
+  const { format, text } = state.pendingImport;
+  return request(`${endpoints.importFile(state.user.id)}?format=${format}${dryRun ? '&dryRun=true' : ''}`, {
+    method: 'POST',
+    headers: { 'Content-Type': IMPORT_TYPES[format] },
+    body: text,
+  });
+}
+
+// The server reads the file without writing anything, so the user sees what it holds before importing
+async function previewImport() {
+  const [file] = importFile.files;
+  state.pendingImport = null;
+  renderImportPreview(null);
+  if (!file) {
     return;
   }
-  const confirmed = window.confirm('Delete this task? This cannot be undone.');
-  if (!confirmed) {
+  const format = IMPORT_FORMATS[file.name.split('.').pop().toLowerCase()];
+  if (!format) {
+    showToast('Choose a .json, .csv, .md or .ics file', true);
     return;
   }
   try {
-    await request(`${endpoints.tasks(state.user.id)}/${taskId}`, { method: 'DELETE' });
-    await fetchTasks();
-    showToast('Task removed');
+    state.pendingImport = { format, text: await file.text() };
+    renderImportPreview(await sendImport({ dryRun: true }));
   } catch (error) {
+    state.pendingImport = null;
     showToast(error.message, true);
   }
 }
 
-async function handleAuthSubmit(event) {
-  event.preventDefault();
-  const form = event.currentTarget;
-  const mode = form.dataset.mode;
+function renderImportPreview(report) {
+  importPreview.hidden = !report;
+  importProblems.innerHTML = '';
+  importButton.disabled = !report || report.errors.length > 0 || (!report.tasks && !report.lists.length);
+  if (!report) {
+    return;
+  }
+  const { errors, warnings, lists, tasks } = report;
+  const newLists = lists.length ? ` and ${lists.length} new list${lists.length === 1 ? '' : 's'} (${lists.join(', ')})` : '';
+  importSummary.textContent = errors.length
+    ? `${errors.length} row${errors.length === 1 ? ' has' : 's have'} errors. Fix the file and choose it again.`
+    : `Ready to import ${taskCountLabel(tasks)}${newLists}.`;
+  [...errors.map((problem) => ({ ...problem, error: true })), ...warnings].forEach(({ row, message, error }) => {
+    const item = document.createElement('li');
+    item.classList.toggle('error', Boolean(error));
+    item.textContent = row ? `Row ${row}: ${message}` : message;
+    importProblems.appendChild(item);
+  });
+}
 
+async function handleImportSubmit(event) {
+  event.preventDefault();
+  if (!state.pendingImport) {
+    return;
+  }
+  importButton.disabled = true;
   try {
-    if (mode === 'login') {
-      const email = document.getElementById('loginEmail').value.trim();
-      const password = document.getElementById('loginPassword').value;
-      const { user } = await request(endpoints.login, {
-        method: 'POST',
-        body: JSON.stringify({ email, password }),
-      });
-      storeUser(user);
-      showToast('Logged in');
+    const report = await sendImport({ dryRun: false });
+    transferDialog.close();
+    showToast(`Imported ${taskCountLabel(report.tasks)}`);
+    await fetchLists();
+    fetchTasks();
+    fetchTags();
+  } catch (error) {
+    if (error.body?.errors) {
+      renderImportPreview(error.body);
     } else {
-      const name = document.getElementById('registerName').value.trim();
-      const email = document.getElementById('registerEmail').value.trim();
-      const password = document.getElementById('registerPassword').value;
-      const { user } = await request(endpoints.register, {
-        method: 'POST',
-        body: JSON.stringify({ name, email, password }),
-      });
-      storeUser(user);
-      registerForm.reset();
-      showToast('Account created');
+      importButton.disabled = false;
     }
+    showToast(error.message, true);
+  }
+}
 
-    loginForm.reset();
-    renderAppState();
-    await fetchTasks();
+async function openCalendarDialog() {
+  calendarForm.reset();
+  state.calendarFeed = { active: false, createdAt: null, path: null };
+  const list = activeList();
+  calendarFields.thisList.disabled = !list;
+  calendarThisListLabel.textContent = list ? `Only ${listLabel(list)}` : 'Only this list';
+  renderCalendarFeed();
+  calendarDialog.showModal();
+  try {
+    state.calendarFeed = { ...(await request(endpoints.calendarFeed(state.user.id))), path: null };
+    renderCalendarFeed();
   } catch (error) {
     showToast(error.message, true);
   }
 }
 
-authTabs.forEach((tab) =>
-  tab.addEventListener('click', () => {
-    switchAuthMode(tab.dataset.mode);
-  })
-);
-
-loginForm.addEventListener('submit', handleAuthSubmit);
-registerForm.addEventListener('submit', handleAuthSubmit);
+// The feed link with the options picked in the dialog as its query string
+function calendarFeedUrl() {
+  const url = new URL(state.calendarFeed.path, window.location.origin);
+  if (calendarFields.type.value !== 'event') {
+    url.searchParams.set('type', calendarFields.type.value);
+  }
+  if (calendarFields.completed.checked) {
+    url.searchParams.set('completed', '7');
+  }
+  if (calendarFields.thisList.checked && state.activeListId) {
+    url.searchParams.set('listId', state.activeListId);
+  }
+  const tags = parseTagList(calendarFields.tags.value);
+  if (tags.length) {
+    url.searchParams.set('tags', tags.join(','));
+    url.searchParams.set('tagsMatch', 'any');
+  }
+  return url.href;
+}
 
-logoutButton.addEventListener('click', () => {
-  clearUser();
-  renderAppState();
-  switchAuthMode('login');
-  showToast('Logged out');
-});
+function renderCalendarFeed() {
+  const { active, createdAt, path } = state.calendarFeed;
+  calendarStatus.textContent = active
+    ? `On since ${new Date(createdAt).toLocaleDateString()}.`
+    : 'Off. Create a link to turn it on.';
+  calendarLink.hidden = !path;
+  calendarUrl.value = path ? calendarFeedUrl() : '';
+  calendarRevoke.hidden = !active;
+  calendarCreate.textContent = active ? 'New link' : 'Create link';
+}
 
-taskForm.addEventListener('submit', async (event) => {
+async function createCalendarFeed(event) {
   event.preventDefault();
-  const title = taskInput.value.trim();
-  if (!title) {
-    showToast('Add a task title first', true);
+  if (state.calendarFeed.active && !window.confirm('Make a new link? Calendars using the old one stop updating.')) {
     return;
   }
   try {
-    await createTask(title);
-    taskInput.value = '';
+    state.calendarFeed = await request(endpoints.calendarFeed(state.user.id), { method: 'POST' });
+    renderCalendarFeed();
+    showToast('Calendar link ready');
   } catch (error) {
     showToast(error.message, true);
   }
-});
+}
 
-switchAuthMode(state.authMode);
-renderAppState();
-if (state.user) {
-  fetchTasks();
+async function revokeCalendarFeed() {
+  if (!window.confirm('Turn off the calendar feed? Calendars using the link stop updating.')) {
+    return;
+  }
+  try {
+    await request(endpoints.calendarFeed(state.user.id), { method: 'DELETE' });
+    state.calendarFeed = { active: false, createdAt: null, path: null };
+    renderCalendarFeed();
+    showToast('Calendar feed turned off');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function copyCalendarFeed() {
+  try {
+    await navigator.clipboard.writeText(calendarUrl.value);
+    showToast('Link copied');
+  } catch (error) {
+    calendarUrl.select();
+    showToast('Copy the selected link', true);
+  }
+}
+
+function formatDue(dueAt) {
+  const due = new Date(dueAt);
+  const sameYear = due.getFullYear() === new Date().getFullYear();
+  return due.toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: sameYear ? undefined : 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function formatEstimate(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) {
+    return `${rest}m`;
+  }
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+// datetime-local inputs work in local time without a zone suffix
+function toLocalInputValue(iso) {
+  if (!iso) {
+    return '';
+  }
+  const date = new Date(iso);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+// Reads the canonical rule strings the API returns (see backend/src/recurrence.js)
+function parseRecurrence(value) {
+  const parts = Object.fromEntries(value.split(';').map((part) => part.split('=')));
+  return {
+    freq: parts.FREQ,
+    interval: Number(parts.INTERVAL || 1),
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    byMonthDay: parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : null,
+    fromCompletion: parts['X-FROM'] === 'COMPLETION',
+  };
+}
+
+function describeRecurrence(value) {
+  const rule = parseRecurrence(value);
+  const every = (unit) => (rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`);
+  if (rule.fromCompletion) {
+    return `${rule.interval} day${rule.interval === 1 ? '' : 's'} after completing`;
+  }
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.map((day) => weekdayNames[day]).join(', ');
+    return days ? `${every('week')} on ${days}` : every('week');
+  }
+  if (rule.freq === 'MONTHLY') {
+    if (rule.byMonthDay === -1) {
+      return `${every('month')} on the last day`;
+    }
+    return rule.byMonthDay ? `${every('month')} on day ${rule.byMonthDay}` : every('month');
+  }
+  return every('day');
+}
+
+function renderRepeatPicker() {
+  const kind = repeatFields.kind.value;
+  repeatFields.interval.hidden = kind === 'none';
+  repeatFields.days.hidden = kind !== 'WEEKLY';
+  repeatFields.monthDayField.hidden = kind !== 'MONTHLY';
+}
+
+function fillRepeatPicker(recurrence) {
+  const rule = recurrence ? parseRecurrence(recurrence) : null;
+  repeatFields.kind.value = !rule ? 'none' : rule.fromCompletion ? 'COMPLETION' : rule.freq;
+  repeatFields.interval.value = rule ? rule.interval : 1;
+  repeatFields.days.querySelectorAll('input').forEach((input) => {
+    input.checked = Boolean(rule?.byDay.includes(input.value));
+  });
+  repeatFields.monthDay.value = String(rule?.byMonthDay ?? '');
+  renderRepeatPicker();
+}
+
+function readRepeatPicker() {
+  const kind = repeatFields.kind.value;
+  if (kind === 'none') {
+    return null;
+  }
+  const parts = [`FREQ=${kind === 'COMPLETION' ? 'DAILY' : kind}`];
+  const interval = Number(repeatFields.interval.value) || 1;
+  if (interval !== 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (kind === 'WEEKLY') {
+    const days = [...repeatFields.days.querySelectorAll('input:checked')].map((input) => input.value);
+    if (days.length) {
+      parts.push(`BYDAY=${days.join(',')}`);
+    }
+  }
+  if (kind === 'MONTHLY' && repeatFields.monthDay.value) {
+    parts.push(`BYMONTHDAY=${repeatFields.monthDay.value}`);
+  }
+  if (kind === 'COMPLETION') {
+    parts.push('X-FROM=COMPLETION');
+  }
+  return parts.join(';');
+}
+
+function renderTaskDetails(clone, task) {
+  const priority = clone.querySelector('.task-priority');
+  const due = clone.querySelector('.task-due');
+  const estimate = clone.querySelector('.task-estimate');
+  const notes = clone.querySelector('.task-notes');
+  const repeat = clone.querySelector('.task-repeat');
+
+  if (task.recurrence) {
+    repeat.hidden = false;
+    repeat.title = describeRecurrence(task.recurrence);
+    repeat.setAttribute('aria-label', `Repeats: ${repeat.title}`);
+  }
+
+  if (task.priority && task.priority !== 'none') {
+    priority.hidden = false;
+    priority.className = `task-priority priority-${task.priority}`;
+    priority.title = `${priorityLabels[task.priority]} priority`;
+    priority.textContent = priorityLabels[task.priority];
+  }
+
+  if (task.dueAt) {
+    const overdue = !task.completed && new Date(task.dueAt) < new Date();
+    due.hidden = false;
+    due.textContent = overdue ? `Overdue · ${formatDue(task.dueAt)}` : `Due ${formatDue(task.dueAt)}`;
+    due.classList.toggle('overdue', overdue);
+  }
+
+  if (task.estimateMinutes) {
+    estimate.hidden = false;
+    estimate.textContent = `~${formatEstimate(task.estimateMinutes)}`;
+  }
+
+  if (task.notes) {
+    notes.hidden = false;
+    notes.querySelector('p').textContent = task.notes;
+  }
+
+  // Only worth showing once someone else is involved
+  const people = clone.querySelector('.task-people');
+  const credits = [];
+  if (task.createdBy && task.createdBy !== ownerId()) {
+    credits.push(`Added by ${personName(task.createdBy)}`);
+  }
+  if (task.completed && task.completedBy && task.completedBy !== task.createdBy) {
+    credits.push(`Completed by ${personName(task.completedBy)}`);
+  }
+  if (credits.length) {
+    people.hidden = false;
+    people.textContent = credits.join(' · ');
+  }
+
+  const tags = clone.querySelector('.task-tags');
+  (task.tags || []).forEach((tag) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'badge tag-chip';
+    chip.textContent = `#${tag}`;
+    chip.title = `Show tasks tagged #${tag}`;
+    chip.addEventListener('click', () => addTagFilter(tag));
+    tags.appendChild(chip);
+  });
+}
+
+function renderChecklist(clone, task) {
+  const checklist = clone.querySelector('.task-checklist');
+  const toggle = clone.querySelector('.checklist-toggle');
+  const { done, total } = task.progress;
+  const open = state.openChecklists.has(task.id);
+
+  checklist.hidden = total === 0 && !open;
+  checklist.open = open;
+  checklist.querySelector('.checklist-label').textContent = total ? `Checklist ${done}/${total}` : 'Checklist';
+  const progress = checklist.querySelector('.checklist-progress');
+  progress.hidden = total === 0;
+  progress.value = total ? done / total : 0;
+  toggle.textContent = open ? 'Hide steps' : 'Checklist';
+
+  const list = checklist.querySelector('.checklist');
+  const template = document.getElementById('checklistItemTemplate');
+  task.items.forEach((item, index) => {
+    const row = template.content.cloneNode(true);
+    const checkbox = row.querySelector('input[type="checkbox"]');
+    const title = row.querySelector('.checklist-title');
+    const moveUp = row.querySelector('.move-up');
+    const moveDown = row.querySelector('.move-down');
+
+    checkbox.checked = item.done;
+    title.textContent = item.title;
+    title.classList.toggle('completed', item.done);
+    moveUp.disabled = index === 0;
+    moveDown.disabled = index === task.items.length - 1;
+
+    checkbox.addEventListener('change', () => updateItem(task.id, item.id, { done: checkbox.checked }));
+    title.addEventListener('dblclick', () => renameItem(task.id, item));
+    moveUp.addEventListener('click', () => moveItem(task, index, -1));
+    moveDown.addEventListener('click', () => moveItem(task, index, 1));
+    row.querySelector('.remove').addEventListener('click', () => removeItem(task.id, item.id));
+    list.appendChild(row);
+  });
+
+  checklist.addEventListener('toggle', () => {
+    if (checklist.open) {
+      state.openChecklists.add(task.id);
+    } else {
+      state.openChecklists.delete(task.id);
+    }
+    toggle.textContent = checklist.open ? 'Hide steps' : 'Checklist';
+  });
+  toggle.addEventListener('click', () => {
+    if (state.openChecklists.has(task.id)) {
+      state.openChecklists.delete(task.id);
+    } else {
+      state.openChecklists.add(task.id);
+    }
+    renderTasks();
+    if (state.openChecklists.has(task.id)) {
+      taskList.querySelector(`[data-task-id="${task.id}"] .checklist-form input`)?.focus();
+    }
+  });
+
+  const form = checklist.querySelector('.checklist-form');
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const input = form.querySelector('input');
+    const title = input.value.trim();
+    if (title) {
+      await addItem(task.id, title);
+      taskList.querySelector(`[data-task-id="${task.id}"] .checklist-form input`)?.focus();
+    }
+  });
+}
+
+function renderTagFilter() {
+  tagFilter.innerHTML = '';
+  tagFilter.hidden = state.filters.tags.length === 0;
+  state.filters.tags.forEach((tag) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'badge tag-chip active';
+    chip.textContent = `#${tag} ×`;
+    chip.title = `Stop filtering by #${tag}`;
+    chip.addEventListener('click', () => removeTagFilter(tag));
+    tagFilter.appendChild(chip);
+  });
+}
+
+function addTagFilter(tag) {
+  if (!state.filters.tags.includes(tag)) {
+    state.filters.tags.push(tag);
+    renderTagFilter();
+    fetchTasks();
+  }
+}
+
+function removeTagFilter(tag) {
+  state.filters.tags = state.filters.tags.filter((item) => item !== tag);
+  renderTagFilter();
+  fetchTasks();
+}
+
+async function fetchTags() {
+  if (!state.user) {
+    return;
+  }
+  // Tags are per owner, and only the owner may list them
+  if (state.workspace) {
+    state.tags = [];
+    return;
+  }
+  try {
+    state.tags = await request(endpoints.tags(state.user.id));
+  } catch (error) {
+    // Suggestions are a convenience; the task list still works without them
+    state.tags = [];
+  }
+}
+
+// Splits "Buy milk #errand #home" into a title and its tags
+function parseTaskInput(text) {
+  const tags = [...text.matchAll(TAG_IN_TEXT)].map((match) => match[2].toLowerCase());
+  const title = text.replace(TAG_IN_TEXT, ' ').replace(/\s+/g, ' ').trim();
+  return { title, tags: [...new Set(tags)] };
+}
+
+function parseTagList(text) {
+  return [...new Set(text.split(/[\s,]+/).map((tag) => tag.replace(/^#/, '').toLowerCase()).filter(Boolean))];
+}
+
+const isManualOrder = () => state.filters.sort === 'manual';
+
+// Moves a task locally straight away, then asks the server for its new rank
+async function moveTask(taskId, toIndex) {
+  const fromIndex = state.tasks.findIndex((task) => task.id === taskId);
+  if (fromIndex === -1 || toIndex < 0 || toIndex >= state.tasks.length || toIndex === fromIndex) {
+    return;
+  }
+  const [task] = state.tasks.splice(fromIndex, 1);
+  state.tasks.splice(toIndex, 0, task);
+  const previous = state.tasks[toIndex - 1];
+  const next = state.tasks[toIndex + 1];
+  renderTasks();
+  taskList.querySelector(`[data-task-id="${taskId}"]`)?.focus();
+
+  try {
+    const moved = await request(`${endpoints.tasks(ownerId())}/${taskId}/move`, {
+      method: 'POST',
+      body: JSON.stringify({ after: previous?.id, before: next?.id }),
+    });
+    const index = state.tasks.findIndex((item) => item.id === taskId);
+    if (index !== -1) {
+      state.tasks[index] = moved;
+    }
+  } catch (error) {
+    showToast(error.message, true);
+    await fetchTasks();
+  }
+}
+
+function enableReordering(row, task) {
+  row.draggable = true;
+  row.tabIndex = 0;
+  row.setAttribute('aria-description', 'Alt+Up or Alt+Down to reorder');
+
+  row.addEventListener('keydown', (event) => {
+    if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) {
+      return;
+    }
+    event.preventDefault();
+    const index = state.tasks.findIndex((item) => item.id === task.id);
+    moveTask(task.id, event.key === 'ArrowUp' ? index - 1 : index + 1);
+  });
+
+  row.addEventListener('dragstart', (event) => {
+    state.draggingTaskId = task.id;
+    event.dataTransfer.effectAllowed = 'move';
+    row.classList.add('dragging');
+  });
+  row.addEventListener('dragend', () => {
+    state.draggingTaskId = null;
+    row.classList.remove('dragging');
+  });
+  row.addEventListener('dragover', (event) => {
+    if (state.draggingTaskId && state.draggingTaskId !== task.id) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+    }
+  });
+  row.addEventListener('drop', (event) => {
+    event.preventDefault();
+    const draggedId = state.draggingTaskId;
+    if (!draggedId || draggedId === task.id) {
+      return;
+    }
+    // Dropping on the lower half of a row places the task below it
+    const { top, height } = row.getBoundingClientRect();
+    const below = event.clientY > top + height / 2;
+    const targetIndex = state.tasks.findIndex((item) => item.id === task.id);
+    const fromIndex = state.tasks.findIndex((item) => item.id === draggedId);
+    const toIndex = targetIndex + (below ? 1 : 0) - (fromIndex < targetIndex ? 1 : 0);
+    moveTask(draggedId, toIndex);
+  });
+}
+
+function renderTasks() {
+  taskList.innerHTML = '';
+  const template = document.getElementById('taskTemplate');
+  renderBulkBar();
+
+  const filtered = state.filters.status !== 'all' || state.filters.q || state.filters.tags.length;
+  taskCount.textContent = state.total ? `Showing ${state.tasks.length} of ${state.total}` : '';
+
+  if (state.tasks.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'task-row';
+    empty.textContent = filtered ? 'No tasks match these filters.' : 'No tasks yet. Add your first one above.';
+    taskList.appendChild(empty);
+    return;
+  }
+
+  state.tasks.forEach((task) => {
+    const clone = template.content.cloneNode(true);
+    const checkbox = clone.querySelector('.task-main input[type="checkbox"]');
+    const select = clone.querySelector('.task-select');
+    const title = clone.querySelector('.task-title');
+    const editButton = clone.querySelector('.action.edit');
+    const deleteButton = clone.querySelector('.action.danger');
+    const row = clone.querySelector('.task-row');
+
+    row.dataset.taskId = task.id;
+    if (task.pending) {
+      row.classList.add('pending');
+      row.title = 'Waiting to sync';
+    }
+    const editable = canEdit(task.listId);
+    if (isManualOrder() && editable) {
+      enableReordering(row, task);
+    }
+    checkbox.checked = task.completed;
+    select.checked = state.selection.ids.has(task.id);
+    select.disabled = Boolean(task.pending);
+    row.classList.toggle('selected', select.checked);
+    title.textContent = task.title;
+    title.classList.toggle('completed', task.completed);
+    renderTaskDetails(clone, task);
+    renderChecklist(clone, task);
+    if (!editable) {
+      row.classList.add('read-only');
+      row.querySelectorAll('input').forEach((input) => {
+        input.disabled = true;
+      });
+    }
+
+    checkbox.addEventListener('change', () => toggleTask(task.id, checkbox.checked));
+    select.addEventListener('click', (event) => selectTask(task.id, select.checked, event.shiftKey));
+    editButton.addEventListener('click', () => openTaskEditor(task));
+    deleteButton.addEventListener('click', () => removeTask(task.id));
+
+    taskList.appendChild(clone);
+  });
+}
+
+// Tasks that can take part in a bulk action: the server must know them and the user must be able to edit them
+const selectableTasks = () => state.tasks.filter((task) => !task.pending && canEdit(task.listId));
+
+function renderBulkBar() {
+  const selectable = selectableTasks();
+  const { ids } = state.selection;
+  ids.forEach((id) => {
+    if (!selectable.some((task) => task.id === id)) {
+      ids.delete(id);
+    }
+  });
+  selectAll.disabled = !selectable.length;
+  selectAll.checked = selectable.length > 0 && ids.size === selectable.length;
+  selectAll.indeterminate = ids.size > 0 && ids.size < selectable.length;
+  bulkActions.hidden = !ids.size;
+  bulkCount.textContent = `${ids.size} selected`;
+  bulkShortcuts.hidden = ids.size > 0 || Boolean(state.activeListId && !canEdit(state.activeListId));
+
+  bulkMove.innerHTML = '';
+  bulkMove.appendChild(new Option('Move to list…', ''));
+  state.lists
+    .filter((list) => canEdit(list.id) && !list.archived)
+    .forEach((list) => {
+      bulkMove.appendChild(new Option(listLabel(list), list.id));
+    });
+}
+
+// Shift-click (un)selects every task between the last one clicked and this one
+function selectTask(taskId, selected, range) {
+  const tasks = selectableTasks();
+  const to = tasks.findIndex((task) => task.id === taskId);
+  const from = range ? tasks.findIndex((task) => task.id === state.selection.anchor) : -1;
+  const picked =
+    from === -1 ? [taskId] : tasks.slice(Math.min(from, to), Math.max(from, to) + 1).map((task) => task.id);
+  picked.forEach((id) => (selected ? state.selection.ids.add(id) : state.selection.ids.delete(id)));
+  state.selection.anchor = taskId;
+  renderTasks();
+}
+
+function selectAllTasks(selected) {
+  state.selection.ids = new Set(selected ? selectableTasks().map((task) => task.id) : []);
+  state.selection.anchor = null;
+  renderTasks();
+}
+
+const taskCountLabel = (count) => `${count} task${count === 1 ? '' : 's'}`;
+
+/*
+ * Bulk actions are not queued offline: the server applies all of a batch
+ * or none of it, and answers with every task it changed.
+ */
+async function bulkRequest(path, body, describe) {
+  if (!state.user) {
+    return;
+  }
+  try {
+    const { results } = await request(`${endpoints.tasks(ownerId())}/${path}`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+    state.selection.ids.clear();
+    results.forEach((result) => {
+      if (result.op === 'delete') {
+        forgetTask(result.id);
+      } else {
+        applyTaskChange(result.task, { created: result.op === 'create' || result.op === 'restore' });
+      }
+    });
+    renderTasks();
+    const deleted = results.filter((result) => result.op === 'delete').map((result) => result.id);
+    if (deleted.length || results.some((result) => result.op === 'restore')) {
+      fetchTags();
+    }
+    const undo = deleted.length ? { label: 'Undo', onClick: () => restoreTasks(deleted) } : null;
+    showToast(results.length ? describe(taskCountLabel(results.length)) : 'Nothing to change', false, undo);
+  } catch (error) {
+    if (error.body?.task) {
+      applyTaskChange(error.body.task);
+    }
+    showToast(error.offline ? 'Bulk changes need a connection' : error.message, true);
+    renderBulkBar();
+  }
+}
+
+const selectedIds = () => [...state.selection.ids];
+// "Complete all" and "Clear completed" cover the open list, or every list when none is open
+const bulkScope = () => ({ listId: state.activeListId || undefined });
+const bulkScopeLabel = () => (activeList() ? listLabel(activeList()) : 'all lists');
+
+function completeSelected() {
+  const operations = selectedIds().map((id) => ({ op: 'update', id, changes: { completed: true } }));
+  bulkRequest('batch', { operations }, (count) => `Completed ${count}`);
+}
+
+function moveSelected(listId) {
+  const list = state.lists.find((item) => item.id === listId);
+  bulkRequest('move-to-list', { ids: selectedIds(), listId }, (count) => `Moved ${count} to ${listLabel(list)}`);
+}
+
+function deleteSelected() {
+  const operations = selectedIds().map((id) => ({ op: 'delete', id }));
+  bulkRequest('batch', { operations }, (count) => `Deleted ${count}`);
+}
+
+function completeAll() {
+  if (!window.confirm(`Complete every open task in ${bulkScopeLabel()}?`)) {
+    return;
+  }
+  bulkRequest('complete-all', bulkScope(), (count) => `Completed ${count}`);
+}
+
+function clearCompleted() {
+  bulkRequest('clear-completed', bulkScope(), (count) => `Cleared ${count}`);
+}
+
+// A batch takes at most 100 operations, and "Clear completed" can delete more
+const RESTORE_BATCH_SIZE = 100;
+
+// Takes tasks back out of the trash, e.g. from the Undo of a delete
+async function restoreTasks(ids) {
+  try {
+    for (let start = 0; start < ids.length; start += RESTORE_BATCH_SIZE) {
+      const operations = ids.slice(start, start + RESTORE_BATCH_SIZE).map((id) => ({ op: 'restore', id }));
+      const { results } = await request(`${endpoints.tasks(ownerId())}/batch`, {
+        method: 'POST',
+        body: JSON.stringify({ operations }),
+      });
+      results.forEach((result) => applyTaskChange(result.task, { created: true }));
+    }
+    fetchTags();
+    showToast(`Restored ${taskCountLabel(ids.length)}`);
+  } catch (error) {
+    showToast(error.offline ? 'Restoring needs a connection' : error.message, true);
+  }
+}
+
+async function openTrashDialog() {
+  trashHint.textContent = '';
+  trashList.innerHTML = '';
+  trashDialog.showModal();
+  try {
+    const { items, retentionDays } = await request(endpoints.trash(ownerId()));
+    trashHint.textContent = `Deleted tasks stay here for ${retentionDays} days, then they are gone for good.`;
+    renderTrash(items);
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+function renderTrash(tasks) {
+  trashList.innerHTML = '';
+  if (!tasks.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'The trash is empty.';
+    trashList.appendChild(empty);
+  }
+  tasks.forEach((task) => {
+    const item = document.createElement('li');
+    item.className = 'trash-item';
+    const label = document.createElement('span');
+    label.textContent = task.title;
+    label.title = `Deleted ${new Date(task.deletedAt).toLocaleString()}`;
+    const restore = document.createElement('button');
+    restore.type = 'button';
+    restore.className = 'action edit';
+    restore.textContent = 'Restore';
+    restore.setAttribute('aria-label', `Restore ${task.title}`);
+    restore.addEventListener('click', async () => {
+      restore.disabled = true;
+      await restoreTasks([task.id]);
+      renderTrash(tasks.filter((other) => other.id !== task.id));
+    });
+    item.append(label, restore);
+    trashList.appendChild(item);
+  });
+}
+
+const loginFailureReasons = {
+  password: 'Wrong password',
+  locked: 'Turned away while locked after failed attempts',
+};
+
+function openSecurityDialog() {
+  loginFailureList.innerHTML = '';
+  state.loginFailureCursor = null;
+  securityDialog.showModal();
+  loadLoginFailures();
+}
+
+async function loadLoginFailures() {
+  const params = new URLSearchParams({ limit: '20' });
+  if (state.loginFailureCursor) {
+    params.set('cursor', state.loginFailureCursor);
+  }
+  try {
+    const page = await request(`${endpoints.loginFailures(state.user.id)}?${params}`);
+    if (!page.items.length && !loginFailureList.children.length) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No failed logins.';
+      loginFailureList.appendChild(empty);
+    }
+    page.items.forEach((failure) => {
+      const item = document.createElement('li');
+      item.className = 'history-entry';
+      const heading = document.createElement('div');
+      heading.className = 'history-heading';
+      const label = document.createElement('span');
+      label.textContent = loginFailureReasons[failure.reason] || failure.reason;
+      const time = document.createElement('time');
+      time.dateTime = failure.createdAt;
+      time.textContent = new Date(failure.createdAt).toLocaleString();
+      heading.append(label, time);
+      const origin = document.createElement('p');
+      origin.className = 'history-change';
+      origin.textContent = [failure.ip, failure.userAgent].filter(Boolean).join(' · ') || 'Unknown origin';
+      item.append(heading, origin);
+      loginFailureList.appendChild(item);
+    });
+    state.loginFailureCursor = page.nextCursor;
+    loginFailureMore.hidden = !page.nextCursor;
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+function showView(view) {
+  state.view = view;
+  renderAppState();
+}
+
+function openProfile() {
+  profileFields.name.value = state.user.name;
+  profileFields.email.value = state.user.email;
+  profileFields.password.value = '';
+  renderEmailPasswordField();
+  passwordForm.reset();
+  deleteAccountForm.reset();
+  apiTokenForm.reset();
+  apiTokenValue.value = '';
+  apiTokenCreated.hidden = true;
+  showView('profile');
+  loadSessions();
+  loadApiTokens();
+}
+
+// Changing the email asks for the password, so the field only shows up then
+function renderEmailPasswordField() {
+  const changed = profileFields.email.value.trim().toLowerCase() !== state.user.email;
+  profileFields.passwordField.hidden = !changed;
+  profileFields.password.required = changed;
+}
+
+async function handleProfileSubmit(event) {
+  event.preventDefault();
+  const email = profileFields.email.value.trim();
+  const emailChanged = email.toLowerCase() !== state.user.email;
+  try {
+    const user = await request(endpoints.account(state.user.id), {
+      method: 'PATCH',
+      body: JSON.stringify({
+        name: profileFields.name.value.trim(),
+        email,
+        currentPassword: emailChanged ? profileFields.password.value : undefined,
+      }),
+    });
+    storeSession({ ...state.session, user });
+    profileFields.password.value = '';
+    renderEmailPasswordField();
+    renderAppState();
+    showToast(emailChanged ? `Saved. Check ${user.email} for a link to verify it` : 'Profile saved');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function handlePasswordSubmit(event) {
+  event.preventDefault();
+  const newPassword = document.getElementById('newPassword').value;
+  if (newPassword !== document.getElementById('newPasswordRepeat').value) {
+    showToast('The two passwords differ', true);
+    return;
+  }
+  try {
+    await request(endpoints.password(state.user.id), {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword: document.getElementById('currentPassword').value, newPassword }),
+    });
+    passwordForm.reset();
+    showToast('Password changed. Other sessions were logged out');
+    loadSessions();
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function loadSessions() {
+  try {
+    const { items } = await request(endpoints.sessions(state.user.id));
+    sessionList.innerHTML = '';
+    items.forEach((session) => {
+      const item = document.createElement('li');
+      item.className = 'history-entry';
+      const heading = document.createElement('div');
+      heading.className = 'history-heading';
+      const label = document.createElement('span');
+      label.textContent = session.current ? 'This browser' : session.userAgent || 'Unknown client';
+      const time = document.createElement('time');
+      time.dateTime = session.lastUsedAt;
+      time.textContent = `Last used ${new Date(session.lastUsedAt).toLocaleString()}`;
+      heading.append(label, time);
+      const origin = document.createElement('p');
+      origin.className = 'history-change';
+      origin.textContent = [`Logged in ${new Date(session.createdAt).toLocaleString()}`, session.ip]
+        .filter(Boolean)
+        .join(' · ');
+      item.append(heading, origin);
+      if (!session.current) {
+        const revoke = document.createElement('button');
+        revoke.type = 'button';
+        revoke.className = 'action danger';
+        revoke.textContent = 'Log out';
+        revoke.addEventListener('click', () => revokeSession(session.id));
+        item.append(revoke);
+      }
+      sessionList.appendChild(item);
+    });
+    revokeOtherSessions.hidden = items.length < 2;
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function revokeSession(sessionId) {
+  try {
+    await request(endpoints.sessions(state.user.id, sessionId), { method: 'DELETE' });
+    showToast('Session logged out');
+    loadSessions();
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function revokeAllOtherSessions() {
+  try {
+    await request(endpoints.sessions(state.user.id), { method: 'DELETE' });
+    showToast('Logged out everywhere else');
+    loadSessions();
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+function describeApiToken(token) {
+  const parts = [token.scopes.join(', '), `created ${new Date(token.createdAt).toLocaleDateString()}`];
+  if (token.expiresAt) {
+    const expired = new Date(token.expiresAt) <= new Date();
+    parts.push(`${expired ? 'expired' : 'expires'} ${new Date(token.expiresAt).toLocaleDateString()}`);
+  } else {
+    parts.push('never expires');
+  }
+  return parts.join(' · ');
+}
+
+async function loadApiTokens() {
+  try {
+    const { items } = await request(endpoints.apiTokens(state.user.id));
+    apiTokenList.innerHTML = '';
+    if (!items.length) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No API tokens yet.';
+      apiTokenList.appendChild(empty);
+    }
+    items.forEach((token) => {
+      const item = document.createElement('li');
+      item.className = 'history-entry';
+      const heading = document.createElement('div');
+      heading.className = 'history-heading';
+      const label = document.createElement('span');
+      label.textContent = token.name;
+      const time = document.createElement('time');
+      time.textContent = token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used';
+      if (token.lastUsedAt) {
+        time.dateTime = token.lastUsedAt;
+      }
+      heading.append(label, time);
+      const details = document.createElement('p');
+      details.className = 'history-change';
+      details.textContent = describeApiToken(token);
+      const revoke = document.createElement('button');
+      revoke.type = 'button';
+      revoke.className = 'action danger';
+      revoke.textContent = 'Revoke';
+      revoke.addEventListener('click', () => revokeApiToken(token));
+      item.append(heading, details, revoke);
+      apiTokenList.appendChild(item);
+    });
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function handleApiTokenSubmit(event) {
+  event.preventDefault();
+  const scopes = [
+    apiTokenFields.read.checked && 'tasks:read',
+    apiTokenFields.write.checked && 'tasks:write',
+  ].filter(Boolean);
+  if (!scopes.length) {
+    showToast('Pick at least one scope', true);
+    return;
+  }
+  const days = Number(apiTokenFields.expiry.value);
+  const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+  try {
+    const created = await request(endpoints.apiTokens(state.user.id), {
+      method: 'POST',
+      body: JSON.stringify({ name: apiTokenFields.name.value.trim(), scopes, expiresAt }),
+    });
+    apiTokenForm.reset();
+    apiTokenValue.value = created.token;
+    apiTokenCreated.hidden = false;
+    apiTokenValue.select();
+    showToast('Token created');
+    loadApiTokens();
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function copyApiToken() {
+  try {
+    await navigator.clipboard.writeText(apiTokenValue.value);
+    showToast('Token copied');
+  } catch (error) {
+    apiTokenValue.select();
+    showToast('Copy the selected token', true);
+  }
+}
+
+async function revokeApiToken(token) {
+  if (!window.confirm(`Revoke "${token.name}"? Anything using it stops working.`)) {
+    return;
+  }
+  try {
+    await request(endpoints.apiTokens(state.user.id, token.id), { method: 'DELETE' });
+    showToast('Token revoked');
+    loadApiTokens();
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function handleDeleteAccount(event) {
+  event.preventDefault();
+  if (!window.confirm('Delete your account with all its lists and tasks? This cannot be undone.')) {
+    return;
+  }
+  try {
+    await request(endpoints.account(state.user.id), {
+      method: 'DELETE',
+      body: JSON.stringify({ currentPassword: document.getElementById('deleteAccountPassword').value }),
+    });
+    clearUser();
+    renderAppState();
+    switchAuthMode('login');
+    showToast('Your account was deleted');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+function taskQueryString(cursor) {
+  const params = new URLSearchParams();
+  if (state.activeListId) {
+    params.set('listId', state.activeListId);
+  }
+  if (state.filters.status !== 'all') {
+    params.set('status', state.filters.status);
+  }
+  if (state.filters.q) {
+    params.set('q', state.filters.q);
+  }
+  if (state.filters.tags.length) {
+    params.set('tags', state.filters.tags.join(','));
+  }
+  params.set('sort', state.filters.sort);
+  params.set('order', state.filters.order);
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  return params.toString();
+}
+
+// Loads the first page and replaces whatever was shown
+async function fetchTasks() {
+  if (!state.user) {
+    return;
+  }
+  try {
+    const page = await request(`${endpoints.tasks(ownerId())}?${taskQueryString()}`);
+    state.tasks = page.items;
+    state.total = page.total;
+    state.nextCursor = page.nextCursor;
+    renderTasks();
+    saveTaskPage(page, { first: true });
+  } catch (error) {
+    if (error.offline) {
+      await showSavedTasks();
+      return;
+    }
+    showToast(error.message, true);
+    if (state.workspace && (error.status === 403 || error.status === 404)) {
+      // The owner stopped sharing; go back to the user's own lists
+      await switchWorkspace(null);
+    } else if (error.status === 403 || error.status === 404) {
+      expireSession();
+    }
+  }
+}
+
+async function loadMoreTasks() {
+  if (!state.user || !state.nextCursor || state.loadingPage) {
+    return;
+  }
+  state.loadingPage = true;
+  try {
+    const page = await request(`${endpoints.tasks(ownerId())}?${taskQueryString(state.nextCursor)}`);
+    const seen = new Set(state.tasks.map((task) => task.id));
+    state.tasks.push(...page.items.filter((task) => !seen.has(task.id)));
+    state.total = page.total;
+    state.nextCursor = page.nextCursor;
+    renderTasks();
+    saveTaskPage(page);
+  } catch (error) {
+    if (!error.offline) {
+      showToast(error.message, true);
+    }
+  } finally {
+    state.loadingPage = false;
+  }
+}
+
+// Keeps a page of tasks for offline use. A complete, unfiltered answer also
+// drops saved tasks that are gone from that scope on the server.
+function saveTaskPage(page, { first = false } = {}) {
+  const { status, q, tags } = state.filters;
+  const listId = state.activeListId;
+  const complete = first && !page.nextCursor && status === 'all' && !q && !tags.length;
+  const replace = complete ? (task) => !task.pending && (!listId || task.listId === listId) : null;
+  saveTasks(ownerId(), page.items, { replace }).catch(() => null);
+}
+
+// Offline, the view is built from the tasks saved on this device
+async function showSavedTasks() {
+  const saved = await loadSavedTasks(ownerId()).catch(() => []);
+  state.tasks = saved.filter(matchesView).sort(compareTasks);
+  state.total = state.tasks.length;
+  state.nextCursor = null;
+  renderTasks();
+}
+
+// Whether a task belongs in the current view, so local changes can be
+// applied without refetching the list
+function matchesView(task) {
+  const { status, q, tags } = state.filters;
+  if (state.activeListId && task.listId !== state.activeListId) {
+    return false;
+  }
+  if ((status === 'open' && task.completed) || (status === 'completed' && !task.completed)) {
+    return false;
+  }
+  if (!tags.every((tag) => task.tags.includes(tag))) {
+    return false;
+  }
+  return !q || task.title.toLowerCase().includes(q.toLowerCase());
+}
+
+// The value the current sort orders by, compared the way the API does
+function sortKey(task) {
+  switch (state.filters.sort) {
+    case 'updated':
+      return new Date(task.updatedAt).getTime();
+    case 'due':
+      return task.dueAt ? new Date(task.dueAt).getTime() : null;
+    case 'priority':
+      return priorityRanks[task.priority] || 0;
+    case 'title':
+      return task.title.toLowerCase();
+    case 'manual':
+      return task.position ?? null;
+    default:
+      return new Date(task.createdAt).getTime();
+  }
+}
+
+// Missing values last, ties broken by id in the sort direction
+function compareTasks(a, b) {
+  const sign = state.filters.order === 'asc' ? 1 : -1;
+  const keyA = sortKey(a);
+  const keyB = sortKey(b);
+  if (keyA !== keyB) {
+    if (keyA === null) return 1;
+    if (keyB === null) return -1;
+    return (keyA < keyB ? -1 : 1) * sign;
+  }
+  const byId = a.id.length - b.id.length || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  return byId * sign;
+}
+
+/**
+ * Puts a changed task where the current view wants it, or takes it out.
+ * Used for the user's own changes and for live events alike, so applying
+ * the same change twice is harmless. `created` says the task is new rather
+ * than one that may sit on a page not loaded yet.
+ */
+function applyTaskChange(task, { created = false } = {}) {
+  // Completing a repeating task created the next one
+  if (task.nextOccurrence) {
+    applyTaskChange(task.nextOccurrence, { created: true });
+  }
+  saveTasks(ownerId(), [task]).catch(() => null);
+  const index = state.tasks.findIndex((item) => item.id === task.id);
+  const shown = index !== -1;
+  if (shown) {
+    state.tasks.splice(index, 1);
+  }
+  if (matchesView(task)) {
+    const at = state.tasks.findIndex((item) => compareTasks(task, item) < 0);
+    if (at !== -1) {
+      state.tasks.splice(at, 0, task);
+    } else if (!state.nextCursor) {
+      state.tasks.push(task);
+    }
+    if (!shown && (created || !state.nextCursor)) {
+      state.total += 1;
+    }
+  } else if (shown) {
+    state.total -= 1;
+  }
+  renderTasks();
+}
+
+function forgetTask(taskId) {
+  deleteSavedTask(taskId).catch(() => null);
+  if (!state.tasks.some((task) => task.id === taskId)) {
+    return;
+  }
+  state.tasks = state.tasks.filter((task) => task.id !== taskId);
+  state.total -= 1;
+  renderTasks();
+}
+
+function setOnline(online) {
+  if (state.sync.online === online) {
+    return;
+  }
+  state.sync.online = online;
+  renderSyncStatus();
+  if (online) {
+    replayChanges();
+  }
+}
+
+// Conditional changes only apply to the task version they were made on
+function changeRequest(change) {
+  const body = change.body === undefined ? undefined : JSON.stringify(change.body);
+  const headers = change.conditional && change.version !== undefined ? { 'If-Match': `"${change.version}"` } : {};
+  return request(change.url, { method: change.method, body, headers });
+}
+
+/*
+ * Sends a task change, or queues it when the server cannot be reached.
+ * While older changes are still queued, new ones queue behind them so the
+ * server sees everything in the order it was made.
+ */
+async function sendChange(change) {
+  if (!state.sync.pending) {
+    try {
+      return { queued: false, result: await changeRequest(change) };
+    } catch (error) {
+      if (!error.offline) {
+        throw error;
+      }
+    }
+  }
+  await queueChange({ ...change, ownerId: ownerId() });
+  state.sync.pending += 1;
+  renderSyncStatus();
+  if (state.sync.online) {
+    replayChanges();
+  }
+  return { queued: true, result: null };
+}
+
+/*
+ * Sends queued changes, oldest first. A change the server turns down (the
+ * task was deleted meanwhile, access was revoked, ...) is dropped and listed
+ * as a conflict, and the view is reloaded to show what the server has.
+ * Losing the connection again stops the replay until the next time.
+ */
+async function replayChanges() {
+  if (!state.user || state.sync.replaying || !state.sync.pending) {
+    return;
+  }
+  state.sync.replaying = true;
+  renderSyncStatus();
+  let stopped = false;
+  let refused = false;
+  try {
+    const changes = await queuedChanges();
+    for (const [index, change] of changes.entries()) {
+      try {
+        const result = await changeRequest(change);
+        if (result) {
+          await rebaseChanges(changes.slice(index + 1), change, result);
+          applyReplayed(change, result);
+        }
+      } catch (error) {
+        if (error.offline || !state.user) {
+          stopped = true;
+          break;
+        }
+        refused = true;
+        state.sync.conflicts.push(`${change.label}: ${error.message}`);
+      }
+      await removeQueuedChange(change.key);
+      state.sync.pending -= 1;
+      renderSyncStatus();
+    }
+  } catch (error) {
+    // IndexedDB went away; what is left stays queued
+    stopped = true;
+  } finally {
+    state.sync.replaying = false;
+    renderSyncStatus();
+  }
+  if (refused) {
+    fetchTasks();
+  }
+  // Changes made during the replay queued up behind it
+  if (!stopped && state.sync.online && state.sync.pending) {
+    replayChanges();
+  }
+}
+
+/*
+ * Changes queued after `change` for the same task were made on the version
+ * it had on this device. Once the server has taken `change`, they move on to
+ * the version it answered with, and a task created offline gets its real id.
+ */
+async function rebaseChanges(later, change, task) {
+  for (const next of later.filter((candidate) => candidate.taskId === change.taskId)) {
+    if (change.tempId) {
+      next.taskId = task.id;
+      next.url = next.url.replaceAll(change.tempId, task.id);
+    }
+    if (next.version === change.version) {
+      next.version = task.version;
+    }
+    await updateQueuedChange(next);
+  }
+}
+
+// Shows the server's answer to a replayed change, swapping out the stand-in of a created task
+function applyReplayed(change, task) {
+  const shown = change.ownerId === ownerId();
+  if (change.tempId) {
+    if (shown) {
+      forgetTask(change.tempId);
+    } else {
+      deleteSavedTask(change.tempId).catch(() => null);
+    }
+  }
+  if (shown) {
+    applyTaskChange(task, { created: Boolean(change.tempId) });
+  } else {
+    saveTasks(change.ownerId, [task]).catch(() => null);
+  }
+}
+
+// A stand-in for a task created offline, until the server assigns the real one
+function localTask(id, { title, tags, listId }) {
+  const timestamp = new Date().toISOString();
+  const inbox = state.lists.find((list) => list.isInbox);
+  return {
+    id,
+    userId: ownerId(),
+    listId: listId || inbox?.id || null,
+    title,
+    completed: false,
+    dueAt: null,
+    priority: 'none',
+    notes: '',
+    estimateMinutes: null,
+    tags: [...tags].sort(),
+    autoComplete: false,
+    recurrence: null,
+    seriesId: null,
+    // Sorts before every rank, the way the server places new tasks
+    position: '',
+    createdBy: state.user.id,
+    completedBy: null,
+    // The server starts at 1; changes queued on top of this one get rebased
+    version: 0,
+    items: [],
+    progress: { done: 0, total: 0 },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    pending: true,
+  };
+}
+
+function changedLocally(task, changes) {
+  return { ...task, ...changes, updatedAt: new Date().toISOString(), pending: true };
+}
+
+function renderSyncStatus() {
+  const { online, pending, replaying, conflicts } = state.sync;
+  const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+  let text = '';
+  if (!online) {
+    text = pending ? `Offline · ${changes} pending` : 'Offline';
+  } else if (replaying) {
+    text = `Syncing ${changes}…`;
+  } else if (pending) {
+    text = `${changes} pending`;
+  }
+  syncStatus.textContent = text;
+  syncStatus.hidden = !text;
+  syncStatus.classList.toggle('offline', !online);
+
+  syncConflicts.hidden = !conflicts.length;
+  syncConflictList.innerHTML = '';
+  conflicts.forEach((message) => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    syncConflictList.appendChild(item);
+  });
+}
+
+function handleLiveEvent({ id, type, data }) {
+  if (id) {
+    live.lastEventId = id;
+  }
+  const payload = data ? JSON.parse(data) : {};
+  if (type === 'task.created' || type === 'task.updated' || type === 'task.restored') {
+    applyTaskChange(payload.task, { created: type !== 'task.updated' });
+  } else if (type === 'task.deleted') {
+    forgetTask(payload.id);
+  } else if (type === 'resync') {
+    fetchTasks();
+    fetchTags();
+  }
+}
+
+// One "id: / event: / data:" block of a Server-Sent Events stream
+function parseEventBlock(block) {
+  const event = { id: null, type: 'message', data: '' };
+  block.split(/\r?\n/).forEach((line) => {
+    if (!line || line.startsWith(':')) {
+      return;
+    }
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'id') event.id = value;
+    if (field === 'event') event.type = value;
+    if (field === 'data') event.data = event.data ? `${event.data}\n${value}` : value;
+    if (field === 'retry' && Number(value) > 0) live.retryMs = Number(value);
+  });
+  return event;
+}
+
+function disconnectEvents() {
+  clearTimeout(live.timer);
+  live.controller?.abort();
+  live.controller = null;
+}
+
+/*
+ * Follows GET /users/:userId/events so changes made in other tabs, on other
+ * devices or by other members show up without a reload. EventSource cannot
+ * send the Authorization header, so the stream is read through fetch and
+ * reopened after live.retryMs whenever it drops.
+ */
+async function connectEvents(retried = false) {
+  disconnectEvents();
+  if (!state.user) {
+    return;
+  }
+  const controller = new AbortController();
+  live.controller = controller;
+  try {
+    const headers = { Authorization: `Bearer ${state.session.accessToken}` };
+    if (live.lastEventId) {
+      headers['Last-Event-ID'] = live.lastEventId;
+    }
+    const response = await fetch(endpoints.events(ownerId()), { headers, signal: controller.signal });
+    if (response.status === 401 && !retried && (await refreshSession())) {
+      connectEvents(true);
+      return;
+    }
+    if (!response.ok) {
+      throw new Error('Live updates are unavailable');
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      const blocks = (buffer + value).split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.map(parseEventBlock).filter((event) => event.type !== 'message').forEach(handleLiveEvent);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+  }
+  if (live.controller === controller) {
+    live.timer = setTimeout(connectEvents, live.retryMs);
+  }
+}
+
+async function createTask({ title, tags }) {
+  if (!state.user) {
+    return;
+  }
+  const body = { title, tags, listId: state.activeListId || undefined };
+  const tempId = `local-${crypto.randomUUID()}`;
+  const { queued, result } = await sendChange({
+    method: 'POST',
+    url: endpoints.tasks(ownerId()),
+    body,
+    label: `Add “${title}”`,
+    taskId: tempId,
+    version: 0,
+    tempId,
+  });
+  if (queued) {
+    applyTaskChange(localTask(tempId, body), { created: true });
+    showToast('Saved offline; it will be added once you are back online');
+    return;
+  }
+  if (tags.length) {
+    fetchTags();
+  }
+  applyTaskChange(result, { created: true });
+  showToast('Task added');
+}
+
+async function toggleTask(taskId, completed) {
+  if (!state.user) {
+    return;
+  }
+  const task = state.tasks.find((item) => item.id === taskId);
+  try {
+    const { queued, result } = await sendChange({
+      method: 'PUT',
+      url: `${endpoints.tasks(ownerId())}/${taskId}`,
+      body: { completed },
+      label: `${completed ? 'Complete' : 'Reopen'} “${task?.title}”`,
+      taskId,
+      version: task?.version,
+    });
+    const completedBy = completed ? state.user.id : null;
+    applyTaskChange(queued ? changedLocally(task, { completed, completedBy }) : result);
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+// Every checklist endpoint answers with the whole task
+async function checklistRequest(taskId, path, options) {
+  try {
+    const task = await request(`${endpoints.tasks(ownerId())}/${taskId}/items${path}`, options);
+    applyTaskChange(task);
+    return true;
+  } catch (error) {
+    showToast(error.message, true);
+    return false;
+  }
+}
+
+function addItem(taskId, title) {
+  return checklistRequest(taskId, '', { method: 'POST', body: JSON.stringify({ title }) });
+}
+
+function updateItem(taskId, itemId, changes) {
+  return checklistRequest(taskId, `/${itemId}`, { method: 'PUT', body: JSON.stringify(changes) });
+}
+
+function renameItem(taskId, item) {
+  const title = window.prompt('Rename step', item.title);
+  if (title && title.trim() && title.trim() !== item.title) {
+    updateItem(taskId, item.id, { title: title.trim() });
+  }
+}
+
+function moveItem(task, index, offset) {
+  const itemIds = task.items.map((item) => item.id);
+  [itemIds[index], itemIds[index + offset]] = [itemIds[index + offset], itemIds[index]];
+  return checklistRequest(task.id, '/order', { method: 'PUT', body: JSON.stringify({ itemIds }) });
+}
+
+function removeItem(taskId, itemId) {
+  return checklistRequest(taskId, `/${itemId}`, { method: 'DELETE' });
+}
+
+function openTaskEditor(task) {
+  state.editingTask = task;
+  editFields.listId.value = task.listId;
+  editFields.title.value = task.title;
+  editFields.dueAt.value = toLocalInputValue(task.dueAt);
+  editFields.priority.value = task.priority || 'none';
+  editFields.estimateMinutes.value = task.estimateMinutes ?? '';
+  editFields.notes.value = task.notes || '';
+  editFields.tags.value = (task.tags || []).join(', ');
+  editFields.autoComplete.checked = task.autoComplete;
+  fillRepeatPicker(task.recurrence);
+  editSkip.hidden = !task.recurrence;
+  taskDialog.showModal();
+  editFields.title.focus();
+}
+
+function closeTaskEditor() {
+  state.editingTask = null;
+  taskDialog.close();
+}
+
+async function handleTaskEditSubmit(event) {
+  event.preventDefault();
+  const task = state.editingTask;
+  if (!task) {
+    return;
+  }
+  const title = editFields.title.value.trim();
+  if (!title) {
+    showToast('Title cannot be empty', true);
+    return;
+  }
+  const estimate = editFields.estimateMinutes.value;
+  const form = {
+    listId: editFields.listId.value,
+    title,
+    dueAt: editFields.dueAt.value ? new Date(editFields.dueAt.value).toISOString() : null,
+    priority: editFields.priority.value,
+    estimateMinutes: estimate ? Number(estimate) : null,
+    notes: editFields.notes.value,
+    tags: parseTagList(editFields.tags.value),
+    autoComplete: editFields.autoComplete.checked,
+    recurrence: readRepeatPicker(),
+  };
+  // Only the edited fields are sent, so a merge has as little to decide as possible
+  const edited = Object.entries(form).filter(([field, value]) => !sameValue(field, value, task[field]));
+  const changes = Object.fromEntries(edited);
+  const saved = Object.keys(changes).length ? await updateTask(task, changes) : true;
+  if (saved) {
+    closeTaskEditor();
+  }
+}
+
+// Compares field values the way the API stores them
+function sameValue(field, a, b) {
+  if (field === 'tags') {
+    return [...(a || [])].sort().join(' ') === [...(b || [])].sort().join(' ');
+  }
+  if (field === 'dueAt') {
+    return (a ? Date.parse(a) : null) === (b ? Date.parse(b) : null);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+// Saves edits made to `task` as the editor loaded it, unless it changed on the server since
+async function updateTask(task, payload) {
+  if (!state.user) {
+    return;
+  }
+  try {
+    const { queued, result } = await sendChange({
+      method: 'PATCH',
+      url: `${endpoints.tasks(ownerId())}/${task.id}`,
+      body: payload,
+      label: `Edit “${task.title}”`,
+      taskId: task.id,
+      version: task.version,
+      conditional: true,
+    });
+    if (queued) {
+      const current = state.tasks.find((item) => item.id === task.id) || task;
+      applyTaskChange(changedLocally(current, payload));
+      showToast('Saved offline; it will sync once you are back online');
+      return true;
+    }
+    applyTaskChange(result);
+    if (payload.tags) {
+      fetchTags();
+    }
+    showToast('Task updated');
+    return true;
+  } catch (error) {
+    if (error.status === 412 && error.body?.task) {
+      return mergeEdit(task, payload, error.body.task);
+    }
+    showToast(error.message, true);
+    return false;
+  }
+}
+
+/*
+ * Someone else saved the task while it was open in the editor. Fields only
+ * one side changed are combined; where both changed the same field, the
+ * user picks which value to keep. Discarding keeps the other version.
+ */
+async function mergeEdit(base, mine, theirs) {
+  const clashes = Object.keys(mine).filter(
+    (field) => !sameValue(field, base[field], theirs[field]) && !sameValue(field, mine[field], theirs[field])
+  );
+  const picks = clashes.length ? await askMerge(clashes, mine, theirs) : {};
+  const kept = Object.entries(mine).filter(
+    ([field, value]) => picks && picks[field] !== 'theirs' && !sameValue(field, value, theirs[field])
+  );
+  const merged = Object.fromEntries(kept);
+  if (!Object.keys(merged).length) {
+    applyTaskChange(theirs);
+    showToast(picks ? 'Task updated' : 'Kept the other version');
+    return true;
+  }
+  return updateTask(theirs, merged);
+}
+
+const fieldLabels = {
+  listId: 'List',
+  title: 'Title',
+  dueAt: 'Due',
+  priority: 'Priority',
+  estimateMinutes: 'Estimate',
+  notes: 'Notes',
+  tags: 'Tags',
+  autoComplete: 'Auto-complete',
+  recurrence: 'Repeat',
+};
+
+const fieldFormats = {
+  listId: (listId) => state.lists.find((list) => list.id === listId)?.name || 'Another list',
+  dueAt: formatDue,
+  priority: (priority) => priorityLabels[priority] || 'None',
+  estimateMinutes: formatEstimate,
+  tags: (tags) => tags.map((tag) => `#${tag}`).join(' '),
+  autoComplete: (on) => (on ? 'On' : 'Off'),
+  recurrence: describeRecurrence,
+};
+
+function formatFieldValue(field, value) {
+  if (value === null || value === '' || (Array.isArray(value) && !value.length)) {
+    return 'None';
+  }
+  const text = fieldFormats[field] ? fieldFormats[field](value) : String(value);
+  return text.length > 120 ? `${text.slice(0, 119)}…` : text;
+}
+
+let resolveMerge = null;
+
+// Resolves with { field: 'mine' | 'theirs' } for each clashing field, or null when discarded
+function askMerge(fields, mine, theirs) {
+  mergeFields.innerHTML = '';
+  fields.forEach((field) => {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'field merge-field';
+    const legend = document.createElement('legend');
+    legend.textContent = fieldLabels[field];
+    fieldset.appendChild(legend);
+    [
+      ['mine', 'Yours', mine[field]],
+      ['theirs', 'Theirs', theirs[field]],
+    ].forEach(([pick, who, value], index) => {
+      const option = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = field;
+      radio.value = pick;
+      radio.checked = index === 0;
+      const text = document.createElement('span');
+      text.textContent = `${who}: ${formatFieldValue(field, value)}`;
+      option.append(radio, text);
+      fieldset.appendChild(option);
+    });
+    mergeFields.appendChild(fieldset);
+  });
+  mergeDialog.showModal();
+  return new Promise((resolve) => {
+    resolveMerge = resolve;
+  });
+}
+
+function finishMerge(picks) {
+  const resolve = resolveMerge;
+  resolveMerge = null;
+  if (mergeDialog.open) {
+    mergeDialog.close();
+  }
+  resolve?.(picks);
+}
+
+async function skipOccurrence() {
+  const task = state.editingTask;
+  if (!task || !state.user) {
+    return;
+  }
+  try {
+    const updated = await request(`${endpoints.tasks(ownerId())}/${task.id}/skip`, { method: 'POST' });
+    applyTaskChange(updated);
+    closeTaskEditor();
+    showToast(updated.dueAt ? `Skipped to ${formatDue(updated.dueAt)}` : 'Occurrence skipped');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+const historyActions = {
+  created: 'Created',
+  renamed: 'Renamed',
+  completed: 'Completed',
+  reopened: 'Reopened',
+  updated: 'Edited',
+  deleted: 'Deleted',
+  restored: 'Restored',
+  reverted: 'Reverted',
+};
+const historyFields = {
+  title: 'Title',
+  completed: 'Done',
+  dueAt: 'Due',
+  priority: 'Priority',
+  notes: 'Notes',
+  estimateMinutes: 'Estimate',
+  tags: 'Tags',
+  autoComplete: 'Complete with checklist',
+  recurrence: 'Repeats',
+  listId: 'List',
+  items: 'Checklist',
+};
+
+function describeHistoryValue(field, value) {
+  if (value === null || value === '' || (Array.isArray(value) && !value.length)) {
+    return 'none';
+  }
+  switch (field) {
+    case 'completed':
+    case 'autoComplete':
+      return value ? 'yes' : 'no';
+    case 'dueAt':
+      return formatDue(value);
+    case 'priority':
+      return priorityLabels[value] || 'none';
+    case 'estimateMinutes':
+      return formatEstimate(value);
+    case 'tags':
+      return value.map((tag) => `#${tag}`).join(' ');
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'listId': {
+      const list = state.lists.find((item) => item.id === value);
+      return list ? listLabel(list) : 'another list';
+    }
+    case 'items':
+      return `${value.filter((item) => item.done).length} of ${value.length} done`;
+    default:
+      return value.length > 60 ? `${value.slice(0, 60)}…` : value;
+  }
+}
+
+function openTaskHistory() {
+  const task = state.editingTask;
+  if (!task) {
+    return;
+  }
+  closeTaskEditor();
+  state.history = { task, nextCursor: null };
+  historyTitle.textContent = `History of “${task.title}”`;
+  historyList.innerHTML = '';
+  historyDialog.showModal();
+  loadTaskHistory();
+}
+
+async function loadTaskHistory() {
+  const { task, nextCursor } = state.history;
+  const params = new URLSearchParams({ limit: '20' });
+  if (nextCursor) {
+    params.set('cursor', nextCursor);
+  }
+  try {
+    const page = await request(`${endpoints.tasks(ownerId())}/${task.id}/history?${params}`);
+    state.history.nextCursor = page.nextCursor;
+    page.items.forEach((entry) => historyList.appendChild(renderHistoryEntry(entry)));
+    historyMore.hidden = !page.nextCursor;
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+function renderHistoryEntry(entry) {
+  const item = document.createElement('li');
+  item.className = 'history-entry';
+  const heading = document.createElement('div');
+  heading.className = 'history-heading';
+  const label = document.createElement('span');
+  const who = entry.actor ? entry.actor.name : 'Someone';
+  label.textContent = `${historyActions[entry.action] || entry.action} by ${who}`;
+  const time = document.createElement('time');
+  time.dateTime = entry.createdAt;
+  time.textContent = new Date(entry.createdAt).toLocaleString();
+  heading.append(label, time);
+  item.appendChild(heading);
+
+  Object.entries(entry.changes).forEach(([field, { from, to }]) => {
+    const change = document.createElement('p');
+    change.className = 'history-change';
+    const values = `${describeHistoryValue(field, from)} → ${describeHistoryValue(field, to)}`;
+    change.textContent = `${historyFields[field] || field}: ${values}`;
+    item.appendChild(change);
+  });
+
+  // The newest entry is how the task looks already
+  if (entry.action !== 'deleted' && historyList.children.length) {
+    const revert = document.createElement('button');
+    revert.type = 'button';
+    revert.className = 'action edit';
+    revert.textContent = 'Revert to this version';
+    revert.addEventListener('click', () => revertTask(entry));
+    item.appendChild(revert);
+  }
+  return item;
+}
+
+async function revertTask(entry) {
+  const { task } = state.history;
+  try {
+    const reverted = await request(`${endpoints.tasks(ownerId())}/${task.id}/history/${entry.id}/revert`, {
+      method: 'POST',
+    });
+    applyTaskChange(reverted);
+    fetchTags();
+    showToast('Task reverted');
+    state.history = { task: reverted, nextCursor: null };
+    historyList.innerHTML = '';
+    loadTaskHistory();
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+async function removeTask(taskId) {
+  if (!state.user) {
+    return;
+  }
+  const task = state.tasks.find((item) => item.id === taskId);
+  try {
+    const { queued } = await sendChange({
+      method: 'DELETE',
+      url: `${endpoints.tasks(ownerId())}/${taskId}`,
+      label: `Delete “${task?.title}”`,
+      taskId,
+      version: task?.version,
+      conditional: true,
+    });
+    forgetTask(taskId);
+    if (queued) {
+      showToast('Removed offline; it will sync once you are back online');
+      return;
+    }
+    fetchTags();
+    showToast('Task moved to the trash', false, { label: 'Undo', onClick: () => restoreTasks([taskId]) });
+  } catch (error) {
+    if (error.status === 412 && error.body?.task) {
+      applyTaskChange(error.body.task);
+      if (window.confirm('Someone changed this task since it was loaded. Delete it anyway?')) {
+        removeTask(taskId);
+      }
+      return;
+    }
+    showToast(error.message, true);
+  }
+}
+
+// The "#partial" being typed right before the caret, if any
+function tagBeingTyped() {
+  const beforeCaret = taskInput.value.slice(0, taskInput.selectionStart);
+  const match = beforeCaret.match(TAG_BEING_TYPED);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function closeSuggestions() {
+  state.suggestion = { items: [], index: 0 };
+  tagSuggestions.hidden = true;
+  taskInput.setAttribute('aria-expanded', 'false');
+}
+
+function renderSuggestions() {
+  tagSuggestions.innerHTML = '';
+  state.suggestion.items.forEach((tag, index) => {
+    const option = document.createElement('li');
+    option.setAttribute('role', 'option');
+    option.className = 'tag-suggestion';
+    option.classList.toggle('active', index === state.suggestion.index);
+    option.setAttribute('aria-selected', String(index === state.suggestion.index));
+    option.textContent = `#${tag.name}`;
+    const count = document.createElement('span');
+    count.textContent = tag.count;
+    option.appendChild(count);
+    // mousedown keeps focus in the input, unlike click
+    option.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      acceptSuggestion(tag.name);
+    });
+    tagSuggestions.appendChild(option);
+  });
+}
+
+function updateSuggestions() {
+  const partial = tagBeingTyped();
+  if (partial === null) {
+    closeSuggestions();
+    return;
+  }
+  const items = state.tags.filter((tag) => tag.name.startsWith(partial) && tag.name !== partial).slice(0, MAX_SUGGESTIONS);
+  if (!items.length) {
+    closeSuggestions();
+    return;
+  }
+  state.suggestion = { items, index: 0 };
+  tagSuggestions.hidden = false;
+  taskInput.setAttribute('aria-expanded', 'true');
+  renderSuggestions();
+}
+
+function acceptSuggestion(name) {
+  const caret = taskInput.selectionStart;
+  const before = taskInput.value.slice(0, caret).replace(/#[\p{L}\p{N}_-]*$/u, `#${name} `);
+  const after = taskInput.value.slice(caret).replace(/^\s+/, '');
+  taskInput.value = before + after;
+  taskInput.setSelectionRange(before.length, before.length);
+  closeSuggestions();
+}
+
+async function handleAuthSubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const mode = form.dataset.mode;
+
+  try {
+    if (mode === 'login') {
+      const email = document.getElementById('loginEmail').value.trim();
+      const password = document.getElementById('loginPassword').value;
+      const session = await request(endpoints.login, {
+        method: 'POST',
+        body: JSON.stringify({ email, password }),
+      });
+      storeSession(session);
+      showToast('Logged in');
+    } else if (mode === 'register') {
+      const name = document.getElementById('registerName').value.trim();
+      const email = document.getElementById('registerEmail').value.trim();
+      const password = document.getElementById('registerPassword').value;
+      const session = await request(endpoints.register, {
+        method: 'POST',
+        body: JSON.stringify({ name, email, password }),
+      });
+      storeSession(session);
+      registerForm.reset();
+      showToast(`Account created. Check ${email} for a link to verify it`);
+    } else {
+      const password = document.getElementById('resetPassword').value;
+      if (password !== document.getElementById('resetPasswordRepeat').value) {
+        showToast('The two passwords differ', true);
+        return;
+      }
+      const session = await request(endpoints.resetPassword, {
+        method: 'POST',
+        body: JSON.stringify({ token: state.resetToken, password }),
+      });
+      storeSession(session);
+      state.resetToken = null;
+      resetForm.reset();
+      showToast('Password changed');
+    }
+
+    loginForm.reset();
+    renderAppState();
+    await fetchLists();
+    await selectList(state.activeListId);
+    fetchTags();
+    fetchSharing();
+    connectEvents();
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+authTabs.forEach((tab) =>
+  tab.addEventListener('click', () => {
+    switchAuthMode(tab.dataset.mode);
+  })
+);
+
+loginForm.addEventListener('submit', handleAuthSubmit);
+registerForm.addEventListener('submit', handleAuthSubmit);
+resetForm.addEventListener('submit', handleAuthSubmit);
+
+document.querySelectorAll('[data-switch]').forEach((button) =>
+  button.addEventListener('click', () => {
+    switchAuthMode(button.dataset.switch);
+  })
+);
+
+forgotForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  try {
+    const { message } = await request(endpoints.forgotPassword, {
+      method: 'POST',
+      body: JSON.stringify({ email: document.getElementById('forgotEmail').value.trim() }),
+    });
+    forgotForm.reset();
+    switchAuthMode('login');
+    showToast(message);
+  } catch (error) {
+    showToast(error.message, true);
+  }
+});
+
+resendVerification.addEventListener('click', async () => {
+  try {
+    const { message } = await request(endpoints.resendVerification, { method: 'POST' });
+    showToast(message);
+  } catch (error) {
+    showToast(error.message, true);
+  }
+});
+
+async function verifyEmailAddress(token) {
+  try {
+    const { user } = await request(endpoints.verifyEmail, { method: 'POST', body: JSON.stringify({ token }) });
+    if (state.user?.id === user.id) {
+      storeSession({ ...state.session, user });
+      renderAppState();
+    }
+    showToast('Email verified');
+  } catch (error) {
+    showToast(error.message, true);
+  }
+}
+
+// Links in account emails carry their token in the fragment: #reset-password=… or #verify-email=…
+function takeEmailLink() {
+  const match = /^#(reset-password|verify-email)=([\w-]+)$/.exec(window.location.hash);
+  if (match) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+  return match ? { kind: match[1], token: match[2] } : null;
+}
+
+logoutButton.addEventListener('click', async () => {
+  const { pending } = state.sync;
+  const unsynced = `${pending} offline change${pending === 1 ? ' has' : 's have'} not synced yet`;
+  if (pending && !window.confirm(`${unsynced} and will be lost. Log out anyway?`)) {
+    return;
+  }
+  await request(endpoints.logout, { method: 'POST' }).catch(() => null);
+  clearUser();
+  renderAppState();
+  switchAuthMode(state.resetToken ? 'reset' : 'login');
+  showToast('Logged out');
+});
+
+window.addEventListener('online', () => {
+  setOnline(true);
+  if (state.user && !state.sync.pending) {
+    fetchTasks();
+  }
+});
+window.addEventListener('offline', () => setOnline(false));
+
+syncConflictDismiss.addEventListener('click', () => {
+  state.sync.conflicts = [];
+  renderSyncStatus();
+});
+
+let searchTimer = null;
+taskSearch.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    state.filters.q = taskSearch.value.trim();
+    fetchTasks();
+  }, 250);
+});
+
+statusFilter.addEventListener('change', () => {
+  state.filters.status = statusFilter.value;
+  fetchTasks();
+});
+
+sortSelect.addEventListener('change', () => {
+  const [sort, order] = sortSelect.value.split(':');
+  state.filters.sort = sort;
+  state.filters.order = order;
+  fetchTasks();
+});
+
+selectAll.addEventListener('change', () => selectAllTasks(selectAll.checked));
+bulkComplete.addEventListener('click', completeSelected);
+bulkMove.addEventListener('change', () => {
+  if (bulkMove.value) {
+    moveSelected(bulkMove.value);
+  }
+});
+bulkDelete.addEventListener('click', deleteSelected);
+bulkClear.addEventListener('click', () => selectAllTasks(false));
+completeAllButton.addEventListener('click', completeAll);
+clearCompletedButton.addEventListener('click', clearCompleted);
+
+new IntersectionObserver((entries) => {
+  if (entries.some((entry) => entry.isIntersecting)) {
+    loadMoreTasks();
+  }
+}).observe(taskSentinel);
+
+listForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const name = listNameInput.value.trim();
+  if (!name) {
+    showToast('Give the list a name first', true);
+    return;
+  }
+  try {
+    await createList(name);
+    listNameInput.value = '';
+  } catch (error) {
+    showToast(error.message, true);
+  }
+});
+
+showArchived.addEventListener('change', () => {
+  state.showArchived = showArchived.checked;
+  fetchLists();
+});
+
+editListButton.addEventListener('click', openListEditor);
+listEditForm.addEventListener('submit', handleListEditSubmit);
+listEditCancel.addEventListener('click', () => listDialog.close());
+listDeleteButton.addEventListener('click', removeActiveList);
+shareButton.addEventListener('click', openShareDialog);
+shareForm.addEventListener('submit', handleShareSubmit);
+shareFields.allLists.addEventListener('change', renderMembers);
+shareClose.addEventListener('click', () => shareDialog.close());
+transferButton.addEventListener('click', openTransferDialog);
+transferClose.addEventListener('click', () => transferDialog.close());
+exportButton.addEventListener('click', exportTasks);
+importFile.addEventListener('change', previewImport);
+importForm.addEventListener('submit', handleImportSubmit);
+calendarButton.addEventListener('click', openCalendarDialog);
+calendarForm.addEventListener('submit', createCalendarFeed);
+calendarForm.addEventListener('input', renderCalendarFeed);
+calendarRevoke.addEventListener('click', revokeCalendarFeed);
+calendarCopy.addEventListener('click', copyCalendarFeed);
+calendarClose.addEventListener('click', () => calendarDialog.close());
+trashButton.addEventListener('click', openTrashDialog);
+securityButton.addEventListener('click', openSecurityDialog);
+loginFailureMore.addEventListener('click', loadLoginFailures);
+profileButton.addEventListener('click', openProfile);
+profileBackButton.addEventListener('click', () => showView('tasks'));
+profileForm.addEventListener('submit', handleProfileSubmit);
+profileFields.email.addEventListener('input', renderEmailPasswordField);
+passwordForm.addEventListener('submit', handlePasswordSubmit);
+revokeOtherSessions.addEventListener('click', revokeAllOtherSessions);
+deleteAccountForm.addEventListener('submit', handleDeleteAccount);
+apiTokenForm.addEventListener('submit', handleApiTokenSubmit);
+apiTokenCopy.addEventListener('click', copyApiToken);
+
+taskEditForm.addEventListener('submit', handleTaskEditSubmit);
+editCancel.addEventListener('click', closeTaskEditor);
+editSkip.addEventListener('click', skipOccurrence);
+editHistory.addEventListener('click', openTaskHistory);
+historyMore.addEventListener('click', loadTaskHistory);
+historyDialog.addEventListener('close', () => {
+  state.history = null;
+});
+repeatFields.kind.addEventListener('change', renderRepeatPicker);
+repeatFields.monthDay.append(
+  new Option('Same day as due date', ''),
+  ...Array.from({ length: 31 }, (_value, index) => new Option(String(index + 1), String(index + 1))),
+  new Option('Last day', '-1')
+);
+taskDialog.addEventListener('close', () => {
+  state.editingTask = null;
+});
+mergeForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const checked = [...mergeForm.querySelectorAll('input[type="radio"]:checked')];
+  finishMerge(Object.fromEntries(checked.map((radio) => [radio.name, radio.value])));
+});
+mergeDiscard.addEventListener('click', () => finishMerge(null));
+mergeDialog.addEventListener('close', () => finishMerge(null));
+
+taskInput.addEventListener('input', updateSuggestions);
+taskInput.addEventListener('blur', closeSuggestions);
+taskInput.addEventListener('keydown', (event) => {
+  const { items, index } = state.suggestion;
+  if (!items.length) {
+    return;
+  }
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    state.suggestion.index = (index + step + items.length) % items.length;
+    renderSuggestions();
+  } else if (event.key === 'Enter' || event.key === 'Tab') {
+    event.preventDefault();
+    acceptSuggestion(items[index].name);
+  } else if (event.key === 'Escape') {
+    closeSuggestions();
+  }
+});
+
+taskForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const input = parseTaskInput(taskInput.value);
+  if (!input.title) {
+    showToast('Add a task title first', true);
+    return;
+  }
+  try {
+    await createTask(input);
+    taskInput.value = '';
+  } catch (error) {
+    showToast(error.message, true);
+  }
+});
+
+const emailLink = takeEmailLink();
+if (emailLink?.kind === 'reset-password') {
+  state.resetToken = emailLink.token;
+  state.authMode = 'reset';
+}
+switchAuthMode(state.authMode);
+renderAppState();
+if (emailLink?.kind === 'verify-email') {
+  verifyEmailAddress(emailLink.token);
+} else if (emailLink && state.user) {
+  showToast('Log out to use the password reset link', true);
+}
+if (state.user) {
+  fetchLists().then(() => selectList(state.activeListId));
+  fetchTags();
+  fetchSharing();
+  connectEvents();
+  queuedChanges()
+    .then((changes) => {
+      state.sync.pending = changes.length;
+      renderSyncStatus();
+      replayChanges();
+    })
+    .catch(() => null);
+}
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(() => null);
 }
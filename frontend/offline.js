@@ -0,0 +1,126 @@
+/*
+ * What the app keeps in IndexedDB so it keeps working without a connection:
+ *
+ *   tasks   every task the app has seen, by id, tagged with its owner's id
+ *   lists   the last GET /lists answer per owner
+ *   queue   task changes made while offline, oldest first, replayed by
+ *           app.js once the server can be reached again
+ *
+ * Queued changes look like { method, url, body, label, tempId?, ownerId }.
+ * `tempId` marks a create whose task only has a local id so far.
+ */
+
+const DB_NAME = 'personal-tasks';
+const DB_VERSION = 1;
+
+let opening = null;
+
+function openDatabase() {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      const open = indexedDB.open(DB_NAME, DB_VERSION);
+      open.onupgradeneeded = () => {
+        const db = open.result;
+        db.createObjectStore('tasks', { keyPath: 'id' }).createIndex('ownerId', 'ownerId');
+        db.createObjectStore('lists', { keyPath: 'ownerId' });
+        db.createObjectStore('queue', { keyPath: 'key', autoIncrement: true });
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+    // Private windows may refuse IndexedDB; let the next call try again
+    opening.catch(() => {
+      opening = null;
+    });
+  }
+  return opening;
+}
+
+const done = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs `fn(stores)` in one transaction and resolves with its result once committed
+async function inTransaction(names, mode, fn) {
+  const db = await openDatabase();
+  const transaction = db.transaction(names, mode);
+  const committed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const stores = Object.fromEntries(names.map((name) => [name, transaction.objectStore(name)]));
+  const result = await fn(stores);
+  await committed;
+  return result;
+}
+
+/**
+ * Saves tasks of one owner. With `replace`, saved tasks of that owner that
+ * match it but are not among `tasks` are dropped first, for when `tasks` is
+ * known to be the complete set (a whole list, say).
+ */
+export function saveTasks(ownerId, tasks, { replace = null } = {}) {
+  return inTransaction(['tasks'], 'readwrite', async ({ tasks: store }) => {
+    if (replace) {
+      const keep = new Set(tasks.map((task) => task.id));
+      const saved = await done(store.index('ownerId').getAll(ownerId));
+      saved.filter((task) => replace(task) && !keep.has(task.id)).forEach((task) => store.delete(task.id));
+    }
+    tasks.forEach((task) => store.put({ ...task, ownerId }));
+  });
+}
+
+export function loadSavedTasks(ownerId) {
+  return inTransaction(['tasks'], 'readonly', ({ tasks }) =>
+    done(tasks.index('ownerId').getAll(ownerId))
+  ).then((saved) => saved.map(({ ownerId: _ownerId, ...task }) => task));
+}
+
+export function deleteSavedTask(taskId) {
+  return inTransaction(['tasks'], 'readwrite', ({ tasks }) => {
+    tasks.delete(taskId);
+  });
+}
+
+export function saveLists(ownerId, lists) {
+  return inTransaction(['lists'], 'readwrite', ({ lists: store }) => {
+    store.put({ ownerId, lists });
+  });
+}
+
+export function loadSavedLists(ownerId) {
+  return inTransaction(['lists'], 'readonly', ({ lists }) => done(lists.get(ownerId))).then(
+    (saved) => saved?.lists || []
+  );
+}
+
+export function queueChange(change) {
+  return inTransaction(['queue'], 'readwrite', ({ queue }) => done(queue.add(change)));
+}
+
+// Oldest first, each with the `key` it is stored under
+export function queuedChanges() {
+  return inTransaction(['queue'], 'readonly', ({ queue }) => done(queue.getAll()));
+}
+
+export function updateQueuedChange(change) {
+  return inTransaction(['queue'], 'readwrite', ({ queue }) => {
+    queue.put(change);
+  });
+}
+
+export function removeQueuedChange(key) {
+  return inTransaction(['queue'], 'readwrite', ({ queue }) => {
+    queue.delete(key);
+  });
+}
+
+// Logging out leaves nothing of the account behind on the device
+export function clearSavedData() {
+  return inTransaction(['tasks', 'lists', 'queue'], 'readwrite', (stores) => {
+    Object.values(stores).forEach((store) => store.clear());
+  });
+}
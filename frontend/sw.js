@@ -0,0 +1,58 @@
+/*
+ * Service worker: keeps the app shell available offline. Shell files are
+ * answered from the cache and refreshed in the background, so a new
+ * deployment shows up on the next load. API calls are never touched here;
+ * app.js handles those (see offline.js).
+ */
+
+// Bump to drop every cached file on the next activation
+const CACHE = 'personal-tasks-v1';
+const SHELL = [
+  './',
+  './index.html',
+  './app.js',
+  './offline.js',
+  './styles.css',
+  './manifest.webmanifest',
+  './icon.svg',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function staleWhileRevalidate(event, key) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(key);
+  const fresh = fetch(event.request).then((response) => {
+    if (response.ok) {
+      cache.put(key, response.clone());
+    }
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(fresh.catch(() => null));
+    return cached;
+  }
+  return fresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+  // Every page of the app is index.html
+  const key = event.request.mode === 'navigate' ? './index.html' : event.request;
+  event.respondWith(staleWhileRevalidate(event, key));
+});